@@ -0,0 +1,1615 @@
+// backend/app.js
+// Builds the Express app. server.js listens on it; tests call createApp()
+// with their own database file and payment provider.
+const express = require('express');
+const bodyParser = require('body-parser');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const { normalizeCssColor, cleanText, normalizeHttpUrl } = require('./lib/validation');
+const { renderResultsCard, renderResultsPng } = require('./lib/card');
+const {
+  EVENT_TYPES, createWebhooks, normalizeEvents, endpointView, newSecret,
+} = require('./lib/webhooks');
+const { createTallyStream } = require('./lib/tallyStream');
+const {
+  SUPPORTER_STATUSES, loadWordFilter, cleanSupporter, visibleStatuses, leaderboard,
+} = require('./lib/supporters');
+const {
+  loadPriceTable, quote, priceList, loadBundles, maxVotesPerCheckout, bundlePrices, decimalsFor,
+} = require('./lib/pricing');
+const { normalizeCurrency, loadCurrencies, currencyList } = require('./lib/currencies');
+const {
+  appendLedger, ledgerTally, chainHead, normalizeReceiptCode, GENESIS_HASH,
+} = require('./lib/ledger');
+const { createCrediting, paymentIntentId, REVERSED_STATUSES } = require('./lib/crediting');
+const { loadPaymentProvider } = require('./lib/payments');
+const { defaultDbPath, openDatabase } = require('./lib/db');
+const { migrate } = require('./lib/migrate');
+const { createHealth } = require('./lib/health');
+const {
+  backupDir, backupName, isBackupName, backupDatabase, listBackups,
+  validateBackup, restoreDatabase, exportRows, toCSV,
+} = require('./lib/backup');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { loadCorsConfig, corsPolicy, corsByPath, securityHeaders } = require('./lib/security');
+const { loadAbuseConfig, createRateLimiter, clientFingerprint, expireStaleCheckouts } = require('./lib/abuse');
+
+/**
+ * options:
+ *   env       settings, default process.env
+ *   dbPath    SQLite file, default DB_PATH or persist/votes.db
+ *   payments  payment provider (see lib/payments); null turns checkout off,
+ *             undefined picks one from env
+ *   logger    see lib/logger; default writes JSON lines at LOG_LEVEL
+ * Returns { app, db, log, close }. close() stops the timers and closes the DB.
+ */
+function createApp(options = {}) {
+  const env = options.env || process.env;
+  const log = options.logger || createLogger({ level: env.LOG_LEVEL });
+
+  const app = express();
+  const port = env.PORT || 8787;
+
+  /* ---------- URLs / ENV (no trailing slash) ---------- */
+  function noSlash(v, fallback) {
+    return String(v || fallback).replace(/\/$/, '');
+  }
+  const FRONTEND_URL = noSlash(env.FRONTEND_URL, 'http://localhost:5173');
+  const BACKEND_URL  = noSlash(env.BACKEND_URL,  `http://localhost:${port}`);
+  const INSTAGRAM_URL = env.INSTAGRAM_URL || 'https://instagram.com/Wiz_pharoah';
+  const ADMIN_TOKEN   = env.ADMIN_TOKEN || '';           // for admin routes
+  const PRICES        = loadPriceTable(env);                     // { USD: 100, JPY: 150, … } per vote
+  const CURRENCIES    = loadCurrencies(PRICES, env);             // allowlist checkout accepts
+  const BUNDLES       = loadBundles(env);                        // [{ votes, discount_pct, max_quantity }]
+  const MAX_VOTES     = maxVotesPerCheckout(BUNDLES, env);       // per checkout
+  const LIMITS        = loadAbuseConfig(env);                    // checkout rate limits, see lib/abuse.js
+
+  // req.ip comes from X-Forwarded-For only through trusted proxies. Off by
+  // default, since without a proxy anyone can set the header and dodge the
+  // per-IP limits; behind Render's proxy set TRUST_PROXY=1 (one hop).
+  const TRUST_PROXY = env.TRUST_PROXY ?? 'false';
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY)
+    : TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
+  /* ---------- Request ids, request log, metrics ---------- */
+  const metrics = createMetrics();
+  const M = {
+    requestDuration: metrics.histogram('vote_http_request_duration_seconds', 'HTTP request latency by route'),
+    checkoutsCreated: metrics.counter('vote_checkouts_created_total', 'Checkout Sessions created'),
+    checkoutsRejected: metrics.counter('vote_checkouts_rejected_total', 'Checkouts refused by the abuse limits'),
+    verifications: metrics.counter('vote_verifications_total', 'verify-session calls by result'),
+    webhookEvents: metrics.counter('vote_webhook_events_total', 'Webhook events handled, by type and outcome'),
+    webhookFailures: metrics.counter('vote_webhook_failures_total', 'Webhook deliveries rejected or failed, by reason'),
+    outboundDeliveries: metrics.counter('vote_outbound_webhook_deliveries_total', 'Outbound webhook attempts, by outcome'),
+  };
+
+  // An incoming X-Request-Id (from a proxy, or the frontend) is kept so the
+  // same id shows up on both sides; otherwise a new one is made. Either way
+  // it goes back in the response and on every log line for the request.
+  app.use((req, res, next) => {
+    const given = String(req.headers['x-request-id'] || '');
+    req.id = /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+    req.log = log.child({ request_id: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const routePath = req.route && typeof req.route.path === 'string' ? req.baseUrl + req.route.path : null;
+      const route = routePath || (req.route ? req.path : 'unmatched');
+      // SSE streams stay open for minutes and would swamp the latency buckets.
+      if (!String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+        M.requestDuration.observe({ method: req.method, route, status: String(res.statusCode) }, seconds);
+      }
+      const quiet = route.startsWith('/api/health') || route === '/api/metrics';
+      req.log[res.statusCode >= 500 ? 'error' : quiet ? 'debug' : 'info']('request', {
+        method: req.method, path: req.originalUrl.split('?')[0], route, status: res.statusCode,
+        duration_ms: Math.round(seconds * 1000), ip: req.ip, origin: req.headers.origin,
+      });
+    });
+    next();
+  });
+
+  /* ---------- Security headers + CORS (see lib/security.js) ---------- */
+  app.disable('x-powered-by');
+  app.use(securityHeaders(env));
+
+  const CORS = loadCorsConfig(env, { frontendUrl: FRONTEND_URL });
+  app.use(corsByPath([
+    ['/api/admin', corsPolicy({
+      origins: CORS.adminOrigins,
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      headers: ['Content-Type', 'Authorization'],
+      expose: ['X-Request-Id', 'Content-Disposition'],
+      maxAge: CORS.maxAge,
+    })],
+    ['/', corsPolicy({
+      origins: CORS.origins,
+      methods: ['GET', 'POST'],
+      headers: ['Content-Type', 'X-Client-Id', 'X-Request-Id'],
+      expose: ['Retry-After', 'X-Request-Id'],
+      maxAge: CORS.maxAge,
+    })],
+  ]));
+
+  /* ---------- Payments ---------- */
+  // Stripe, or the local mock with PAYMENT_PROVIDER=mock. null = checkout off.
+  const payments = options.payments !== undefined
+    ? options.payments
+    : loadPaymentProvider(env, { backendUrl: BACKEND_URL });
+  log.info(payments ? 'Payments enabled' : 'Payments not configured; checkout is off', { provider: payments?.name });
+  if (payments?.router) app.use(payments.router);
+
+  /* ---------- Body parsers ---------- */
+  // Webhooks need the raw body. /api/stripe/webhook is the old address.
+  const WEBHOOK_PATHS = ['/api/payments/webhook', '/api/stripe/webhook'];
+  app.use(WEBHOOK_PATHS, bodyParser.raw({ type: 'application/json' }));
+  // Everything else is JSON
+  app.use(bodyParser.json());
+
+  /* ---------- SQLite (free-tier safe) ---------- */
+  const DB_PATH = options.dbPath || defaultDbPath(env);
+  const db = openDatabase(DB_PATH);
+
+  log.info('Backend starting', { frontend_url: FRONTEND_URL, backend_url: BACKEND_URL, db_path: DB_PATH });
+
+  /* ---------- Schema ---------- */
+  // The tables are defined in migrations/; anything pending is applied here.
+  migrate(db, { log: log.child({ component: 'db' }) });
+
+  // Outbound events for other tools; what is sent is built under "Outbound events" below.
+  const webhooks = createWebhooks({
+    db, env, log: log.child({ component: 'webhooks' }),
+    onResult: outcome => M.outboundDeliveries.inc({ outcome }),
+  });
+
+  const POLL_STATUSES = ['draft', 'open', 'closed', 'archived'];
+
+  // Names and messages voters attach at checkout (see lib/supporters.js)
+  const wordFilter = loadWordFilter(env);
+  const SUPPORTERS_VISIBLE = visibleStatuses(env);
+
+  // Seed defaults if empty
+  db.prepare('INSERT OR IGNORE INTO settings (id, question, glow) VALUES (1, ?, ?)')
+    .run("Is this week's answer YES?", '#00ffff');
+
+  function seedNames() {
+    return (env.CANDIDATES || 'Yes,No')
+      .split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  if (db.prepare('SELECT COUNT(*) AS c FROM polls').get().c === 0) {
+    const s = db.prepare('SELECT question, glow FROM settings WHERE id=1').get();
+    const seeds = seedNames();
+    db.transaction(() => {
+      const pollId = db.prepare("INSERT INTO polls (question, glow, status, opens_at) VALUES (?, ?, 'open', CURRENT_TIMESTAMP)")
+        .run(s.question, s.glow).lastInsertRowid;
+      const ins = db.prepare('INSERT INTO candidates (poll_id, name, position) VALUES (?, ?, ?)');
+      seeds.forEach((n, i) => ins.run(pollId, n, i));
+    })();
+    log.info('Seeded first poll', { component: 'db', candidates: seeds });
+  }
+
+  /* ---------- Polls ---------- */
+  // All times are stored the way SQLite's CURRENT_TIMESTAMP writes them
+  // (UTC "YYYY-MM-DD HH:MM:SS") so they compare correctly as strings.
+  function toSqlTime(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const t = new Date(v);
+    if (Number.isNaN(t.getTime())) return undefined;
+    return t.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  // Opening a poll closes whichever poll was open before: there is only ever
+  // one weekly question taking votes.
+  function openPoll(id) {
+    db.transaction(() => {
+      const others = db.prepare("SELECT id FROM polls WHERE status='open' AND id<>?").all(id);
+      db.prepare("UPDATE polls SET status='closed', closes_at=COALESCE(closes_at, CURRENT_TIMESTAMP) WHERE status='open' AND id<>?").run(id);
+      db.prepare("UPDATE polls SET status='open', opens_at=COALESCE(opens_at, CURRENT_TIMESTAMP) WHERE id=?").run(id);
+      for (const o of others) pollClosed(o.id);
+    })();
+  }
+
+  function closePoll(id) {
+    const was = db.prepare('SELECT status FROM polls WHERE id=?').get(id)?.status;
+    db.prepare("UPDATE polls SET status='closed', closes_at=CASE WHEN closes_at IS NULL OR closes_at > CURRENT_TIMESTAMP THEN CURRENT_TIMESTAMP ELSE closes_at END WHERE id=?").run(id);
+    if (was === 'open') pollClosed(id);
+  }
+
+  // Apply opens_at / closes_at. Called on a timer and before anything that
+  // depends on a poll's status, so a vote can't slip in after closing time.
+  function syncPollSchedule() {
+    const due = db.prepare(
+      "SELECT id FROM polls WHERE status='open' AND closes_at IS NOT NULL AND closes_at <= CURRENT_TIMESTAMP"
+    ).all();
+    for (const p of due) closePoll(p.id);
+
+    const toOpen = db.prepare(
+      "SELECT id FROM polls WHERE status='draft' AND opens_at IS NOT NULL AND opens_at <= CURRENT_TIMESTAMP " +
+      "AND (closes_at IS NULL OR closes_at > CURRENT_TIMESTAMP) ORDER BY opens_at ASC"
+    ).all();
+    for (const p of toOpen) openPoll(p.id);
+
+    if (due.length || toOpen.length) tallyStream.publish();
+  }
+
+  // The poll the site shows: the open one, or else the most recently closed.
+  function currentPoll() {
+    return db.prepare("SELECT * FROM polls WHERE status='open' ORDER BY opens_at DESC, id DESC LIMIT 1").get()
+        || db.prepare("SELECT * FROM polls WHERE status='closed' ORDER BY closes_at DESC, id DESC LIMIT 1").get()
+        || null;
+  }
+
+  // Tallies are summed from the ledger; candidates.tally is only a cache that
+  // /api/admin/reconcile checks against it.
+  function pollCandidates(pollId) {
+    return db.prepare(`SELECT c.id, c.name, c.color, c.image_url, c.description,
+        COALESCE((SELECT SUM(delta) FROM vote_ledger l WHERE l.candidate_id = c.id), 0) AS tally
+      FROM candidates c WHERE c.poll_id=? ORDER BY c.position ASC, c.id ASC`).all(pollId);
+  }
+
+  // What /api/tally returns and what the live stream pushes
+  function tallySnapshot() {
+    const p = currentPoll();
+    return {
+      tally: p ? pollCandidates(p.id) : [],
+      poll: p ? { id: p.id, status: p.status, closes_at: p.closes_at } : null,
+    };
+  }
+
+  // TALLY_HEARTBEAT_MS=25000: how often idle streams get a `: ping`, under most proxies' idle timeouts
+  const heartbeatMs = Number.parseInt(env.TALLY_HEARTBEAT_MS, 10);
+  const tallyStream = createTallyStream({ snapshot: tallySnapshot, heartbeatMs: heartbeatMs > 0 ? heartbeatMs : undefined });
+  const crediting = createCrediting({
+    db,
+    onChange: () => tallyStream.publish(),
+    onCounted: votesCounted,
+    onReversed: (trx, status) => webhooks.emit('vote.reversed', { ...voteEventData(trx), reason: status }),
+  });
+
+  function pollWithResults(poll) {
+    const candidates = pollCandidates(poll.id);
+    const total = candidates.reduce((sum, c) => sum + c.tally, 0);
+    return { ...poll, total, candidates };
+  }
+
+  /* ---------- Outbound events (see lib/webhooks.js) ---------- */
+  // Everything here runs inside the transaction that made the change, so an
+  // event is queued exactly when the change commits. Vote events carry what
+  // a receipt page shows: never session ids, payment ids or IPs.
+  function voteEventData(trx) {
+    const cand = db.prepare('SELECT id, name, tally FROM candidates WHERE id=?').get(trx.candidate_id);
+    return {
+      receipt: trx.receipt,
+      poll_id: trx.poll_id,
+      candidate: { id: trx.candidate_id, name: cand?.name ?? null },
+      votes: trx.votes,
+      currency: trx.currency,
+      amount_total: trx.amount_total,
+      tally: cand?.tally ?? null,
+    };
+  }
+
+  function votesCounted(trx) {
+    const data = voteEventData(trx);
+    webhooks.emit('vote.counted', data);
+    announceMilestones(trx.poll_id, data.candidate, trx.votes);
+  }
+
+  // tally.milestone, once per milestone, for the candidate and for the poll total
+  function announceMilestones(pollId, candidate, added) {
+    if (added <= 0) return;
+    const tally = db.prepare('SELECT tally FROM candidates WHERE id=?').get(candidate.id)?.tally ?? 0;
+    const total = db.prepare('SELECT COALESCE(SUM(tally), 0) AS t FROM candidates WHERE poll_id=?').get(pollId).t;
+    for (const m of webhooks.claimMilestones(pollId, candidate.id, tally - added, tally)) {
+      webhooks.emit('tally.milestone', { poll_id: pollId, scope: 'candidate', candidate, milestone: m, tally });
+    }
+    for (const m of webhooks.claimMilestones(pollId, null, total - added, total)) {
+      webhooks.emit('tally.milestone', { poll_id: pollId, scope: 'poll', candidate: null, milestone: m, tally: total });
+    }
+  }
+
+  function pollClosed(id) {
+    const { candidates, total, ...poll } = pollWithResults(db.prepare('SELECT * FROM polls WHERE id=?').get(id));
+    webhooks.emit('poll.closed', {
+      poll: { id: poll.id, question: poll.question, opens_at: poll.opens_at, closes_at: poll.closes_at },
+      total,
+      results: candidates.map(c => ({ id: c.id, name: c.name, tally: c.tally })),
+    });
+  }
+
+  const scheduleTimer = setInterval(() => {
+    try { syncPollSchedule(); }
+    catch (e) { log.error('Poll schedule error', { err: e }); }
+  }, 30 * 1000).unref();
+  syncPollSchedule();
+
+  /* ---------- Helpers ---------- */
+  // Write one audit_log row. Call inside the same db.transaction as the change.
+  function audit(req, action, target, details, reason) {
+    db.prepare('INSERT INTO audit_log (action, target, details, reason, actor) VALUES (?, ?, ?, ?, ?)')
+      .run(action, target, JSON.stringify(details || {}), reason || null, req.ip || '');
+  }
+
+  function unsupportedCurrency(value) {
+    return { error:`Unsupported currency: ${String(value).slice(0, 10)}`, supported: CURRENCIES.codes };
+  }
+
+  function requireAdmin(req, res, next) {
+    const auth = req.headers.authorization || '';
+    if (!ADMIN_TOKEN || auth !== `Bearer ${ADMIN_TOKEN}`) return res.status(401).json({ error:'Unauthorized' });
+    next();
+  }
+
+  /* ---------- Basic routes ---------- */
+  app.get('/', (req,res)=>res.send('Backend up ✅ — try /api/health/ready, /api/settings, /api/tally'));
+
+  // GET /api/health/live  → the process is up (kept at /api/health too)
+  // GET /api/health/ready → 200 when the DB and schema are usable, else 503; see lib/health.js
+  const health = createHealth({ db, payments });
+  app.get(['/api/health', '/api/health/live'], (_req,res)=>res.set('Cache-Control', 'no-store').json(health.live()));
+  app.get('/api/health/ready', (req,res)=>{
+    const r = health.ready();
+    if (!r.ok) req.log.warn('Not ready', { checks: r.checks });
+    res.set('Cache-Control', 'no-store').status(r.ok ? 200 : 503).json(r);
+  });
+
+  app.get('/api/settings', (_req,res)=>{
+    syncPollSchedule();
+    const s = db.prepare('SELECT question, glow FROM settings WHERE id=1').get();
+    const p = currentPoll();
+    res.json({
+      question: p?.question || s?.question || '',
+      glow: p?.glow || s?.glow || '#00ffff',
+      instagram: INSTAGRAM_URL,
+      poll: p ? { id: p.id, status: p.status, opens_at: p.opens_at, closes_at: p.closes_at } : null,
+    });
+  });
+
+  app.get('/api/tally', (_req,res)=>{
+    syncPollSchedule();
+    res.json(tallySnapshot());
+  });
+
+  // GET /api/tally/stream  → SSE: a `tally` event on every change, `: ping` heartbeats.
+  // Reconnects send Last-Event-ID and only get a snapshot if they missed something.
+  app.get('/api/tally/stream', (req,res)=>{
+    syncPollSchedule();
+    tallyStream.handler(req, res);
+  });
+
+  // GET /api/pricing  → per-vote price of every currency (smallest units) + bundles
+  // GET /api/pricing?currency=JPY&votes=30  → also bundle prices and the exact
+  //   total for that order, discounts applied
+  app.get('/api/pricing', (req,res)=>{
+    const out = {
+      prices: priceList(PRICES).filter(p => CURRENCIES.has(p.currency)),
+      bundles: BUNDLES,
+      max_votes: MAX_VOTES,
+    };
+    if (req.query.currency) {
+      const currency = normalizeCurrency(req.query.currency);
+      if (!CURRENCIES.has(currency)) return res.status(400).json(unsupportedCurrency(req.query.currency));
+      out.bundles = bundlePrices(PRICES, currency, BUNDLES);
+      out.quote = quote(PRICES, currency, req.query.votes, BUNDLES, MAX_VOTES);
+    }
+    res.json(out);
+  });
+
+  // GET /api/currencies  → the allowlist the frontend builds its picker from
+  app.get('/api/currencies', (_req,res)=>{
+    res.json({ default: CURRENCIES.default, currencies: currencyList(CURRENCIES, PRICES) });
+  });
+
+  /* ---------- Polls ---------- */
+  // GET /api/polls  → every poll that has been published, newest first
+  app.get('/api/polls', (_req,res)=>{
+    syncPollSchedule();
+    const rows = db.prepare(`SELECT p.id, p.question, p.glow, p.status, p.opens_at, p.closes_at,
+        (SELECT COALESCE(SUM(delta), 0) FROM vote_ledger l WHERE l.poll_id = p.id) AS total
+      FROM polls p
+      WHERE p.status <> 'draft'
+      ORDER BY COALESCE(p.opens_at, p.created_at) DESC, p.id DESC`).all();
+    const cur = currentPoll();
+    res.json({ current: cur?.id ?? null, polls: rows });
+  });
+
+  app.get('/api/polls/current', (_req,res)=>{
+    syncPollSchedule();
+    const p = currentPoll();
+    if (!p) return res.status(404).json({ error:'No poll is running' });
+    res.json(pollWithResults(p));
+  });
+
+  app.get('/api/polls/:id', (req,res)=>{
+    syncPollSchedule();
+    const p = db.prepare("SELECT * FROM polls WHERE id=? AND status <> 'draft'").get(Number(req.params.id));
+    if (!p) return res.status(404).json({ error:'Poll not found' });
+    res.json(pollWithResults(p));
+  });
+
+  // GET /api/polls/:id/card.svg  (id or "current") → results card for link previews
+  // GET /api/polls/:id/card.png  → the same, rasterised, for og:image
+  app.get('/api/polls/:id/card.:format(svg|png)', async (req,res)=>{
+    syncPollSchedule();
+    // unknown and draft polls are refused before anything is rendered
+    const p = req.params.id === 'current'
+      ? currentPoll()
+      : db.prepare("SELECT * FROM polls WHERE id=? AND status <> 'draft'").get(Number(req.params.id));
+    if (!p) return res.status(404).json({ error:'Poll not found' });
+    const png = req.params.format === 'png';
+    let body;
+    try {
+      body = png ? await renderResultsPng(pollWithResults(p), {}, env) : renderResultsCard(pollWithResults(p));
+    } catch (e) {
+      req.log.error('Card render failed', { err: e, poll_id: p.id });
+      return res.status(500).json({ error:'Could not render the card' });
+    }
+    res.set({
+      'Content-Type': png ? 'image/png' : 'image/svg+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=60',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+    });
+    res.send(body);
+  });
+
+  // GET /api/leaderboard?poll_id=&limit=10  (default: the current poll)
+  // → top named backers per candidate, from paid votes only, hidden entries left out
+  app.get('/api/leaderboard', (req,res)=>{
+    syncPollSchedule();
+    const p = req.query.poll_id
+      ? db.prepare("SELECT * FROM polls WHERE id=? AND status <> 'draft'").get(Number(req.query.poll_id))
+      : currentPoll();
+    if (!p) return res.status(404).json({ error:'Poll not found' });
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 10, 1), 50);
+    res.json({
+      poll: { id: p.id, question: p.question, status: p.status },
+      candidates: leaderboard(db, p.id, { limit, statuses: SUPPORTERS_VISIBLE })
+        .map(c => ({ ...c, backers: c.backers.map(({ last_at, ...b }) => b) })),
+    });
+  });
+
+  /* ---------- Receipts + public audit (see lib/ledger.js) ---------- */
+  function chainInfo() {
+    return { head: chainHead(db), length: db.prepare('SELECT COUNT(*) AS n FROM vote_ledger').get().n };
+  }
+
+  // GET /api/receipts/:code  → was this payment counted, and where is it in the chain?
+  // Only what the receipt itself proves: no session ids, amounts or payer details.
+  app.get('/api/receipts/:code', (req,res)=>{
+    const code = normalizeReceiptCode(req.params.code);
+    const trx = code && db.prepare(`SELECT t.status, t.votes, t.poll_id, t.candidate_id, c.name AS candidate, p.question
+      FROM transactions t LEFT JOIN candidates c ON c.id = t.candidate_id LEFT JOIN polls p ON p.id = t.poll_id
+      WHERE t.receipt=?`).get(code);
+    if (!trx) return res.status(404).json({ error:'Receipt not found' });
+    const entries = db.prepare(`SELECT id, kind, delta, created_at, prev_hash, hash
+      FROM vote_ledger WHERE receipt=? ORDER BY id`).all(code);
+    res.json({
+      receipt: code,
+      counted: trx.status === 'paid',
+      status: trx.status,
+      votes: trx.votes,
+      poll: { id: trx.poll_id, question: trx.question },
+      candidate: { id: trx.candidate_id, name: trx.candidate },
+      entries,
+      chain: chainInfo(),
+    });
+  });
+
+  // GET /api/audit/ledger  → the whole ledger as a JSON download. Recompute the
+  // hashes from the genesis hash to check the chain head, and sum the deltas
+  // per candidate to check the tallies (scripts/verify-audit.js does both).
+  app.get('/api/audit/ledger', (_req,res)=>{
+    const entries = db.prepare(`SELECT id, poll_id, candidate_id, delta, kind, receipt, created_at, prev_hash, hash
+      FROM vote_ledger ORDER BY id`).all();
+    const polls = db.prepare(`SELECT id, question, status FROM polls
+      WHERE id IN (SELECT DISTINCT poll_id FROM vote_ledger) ORDER BY id`).all();
+    const candidates = db.prepare(`SELECT id, poll_id, name FROM candidates
+      WHERE id IN (SELECT DISTINCT candidate_id FROM vote_ledger) ORDER BY poll_id, position, id`).all();
+    const tally = db.prepare(`SELECT poll_id, candidate_id, SUM(delta) AS votes FROM vote_ledger
+      GROUP BY poll_id, candidate_id ORDER BY poll_id, candidate_id`).all();
+    res.attachment('vote-ledger-audit.json').json({
+      format: 'vote-ledger-audit/1',
+      how_to_verify: [
+        'Start with prev = genesis_hash and walk entries in order.',
+        'For each entry: line = poll_id|candidate_id|delta|kind|receipt|created_at (receipt "" when null);',
+        'hash = sha256 hex of prev + "\\n" + line. It must equal entry.hash, and entry.prev_hash must equal prev.',
+        'The last hash is the chain head; the sum of delta per candidate is its tally.',
+      ],
+      generated_at: new Date().toISOString(),
+      genesis_hash: GENESIS_HASH,
+      ...chainInfo(),
+      polls,
+      candidates,
+      tally,
+      entries,
+    });
+  });
+
+  /* ---------- Admin routes ---------- */
+  // All admin routes take  Header: Authorization: Bearer <ADMIN_TOKEN>
+  // Every change is validated and written to audit_log in the same transaction.
+  const MAX_QUESTION = 200;
+  const MAX_CANDIDATE_NAME = 60;
+  const MAX_CANDIDATE_DESCRIPTION = 280;
+  const CANDIDATE_COLUMNS = 'id,name,tally,position,color,image_url,description';
+
+  function isUniqueViolation(e) {
+    return e && e.code === 'SQLITE_CONSTRAINT_UNIQUE';
+  }
+  // The UNIQUE(poll_id, name) index is case-sensitive; "yes" and "Yes" are not.
+  function nameTaken(pollId, name, exceptId = 0) {
+    return !!db.prepare('SELECT 1 FROM candidates WHERE poll_id=? AND lower(name)=lower(?) AND id<>?').get(pollId, name, exceptId);
+  }
+  function nextPosition(pollId) {
+    return db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS p FROM candidates WHERE poll_id=?').get(pollId).p;
+  }
+
+  const CANDIDATE_DETAILS = {
+    color:       [v => normalizeCssColor(v), 'color must be a valid CSS colour'],
+    image_url:   [v => normalizeHttpUrl(v), 'image_url must be an http(s) URL of at most 500 characters'],
+    description: [v => cleanText(v, MAX_CANDIDATE_DESCRIPTION), `description must be at most ${MAX_CANDIDATE_DESCRIPTION} characters`],
+  };
+  // { color?, image_url?, description? } → { values } with only the fields
+  // given (null or "" clears one), or { error }.
+  function candidateDetails(body) {
+    const values = {};
+    for (const [field, [clean, error]] of Object.entries(CANDIDATE_DETAILS)) {
+      const v = body?.[field];
+      if (v === undefined) continue;
+      if (v === null || String(v).trim() === '') { values[field] = null; continue; }
+      values[field] = clean(v);
+      if (!values[field]) return { error };
+    }
+    return { values };
+  }
+
+  // POST /api/admin/seed  (run once if tally is empty) → seeds the current poll
+  app.post('/api/admin/seed', requireAdmin, (req, res) => {
+    const p = currentPoll();
+    if (!p) return res.status(404).json({ error:'No poll to seed' });
+
+    const ins = db.prepare('INSERT OR IGNORE INTO candidates (poll_id, name, position) VALUES (?, ?, ?)');
+    const tx  = db.transaction(arr => {
+      const added = arr.filter(n => ins.run(p.id, n, nextPosition(p.id)).changes);
+      if (added.length) audit(req, 'candidates.seed', `poll:${p.id}`, { added });
+    });
+    tx(seedNames());
+    tallyStream.publish();
+
+    res.json({ ok:true, tally: pollCandidates(p.id) });
+  });
+
+  // GET /api/admin/settings  → question/glow of the current poll
+  app.get('/api/admin/settings', requireAdmin, (_req,res)=>{
+    syncPollSchedule();
+    const p = currentPoll();
+    const s = db.prepare('SELECT question, glow FROM settings WHERE id=1').get();
+    res.json({ poll_id: p?.id ?? null, question: p?.question ?? s?.question ?? '', glow: p?.glow ?? s?.glow ?? '#00ffff' });
+  });
+
+  // PUT /api/admin/settings  { question?, glow?, poll_id? }
+  // Edits the current poll (or poll_id). Editing the current poll also updates
+  // the defaults in settings, which new polls start from.
+  app.put('/api/admin/settings', requireAdmin, (req,res)=>{
+    const body = req.body || {};
+    const p = body.poll_id != null
+      ? db.prepare('SELECT * FROM polls WHERE id=?').get(Number(body.poll_id))
+      : currentPoll();
+    if (!p) return res.status(404).json({ error:'Poll not found' });
+
+    const next = { question: p.question, glow: p.glow };
+    if (body.question !== undefined) {
+      next.question = cleanText(body.question, MAX_QUESTION);
+      if (!next.question) return res.status(400).json({ error:`Question must be 1–${MAX_QUESTION} characters` });
+    }
+    if (body.glow !== undefined) {
+      next.glow = normalizeCssColor(body.glow);
+      if (!next.glow) return res.status(400).json({ error:'glow must be a valid CSS colour' });
+    }
+
+    const isCurrent = p.id === currentPoll()?.id;
+    db.transaction(() => {
+      db.prepare('UPDATE polls SET question=?, glow=? WHERE id=?').run(next.question, next.glow, p.id);
+      if (isCurrent) db.prepare('UPDATE settings SET question=?, glow=? WHERE id=1').run(next.question, next.glow);
+      audit(req, 'settings.update', `poll:${p.id}`, {
+        before: { question: p.question, glow: p.glow },
+        after: next,
+      });
+    })();
+
+    res.json({ ok:true, poll_id: p.id, ...next });
+  });
+
+  // GET /api/admin/candidates?poll_id=  → candidates of a poll (default: current)
+  app.get('/api/admin/candidates', requireAdmin, (req,res)=>{
+    const pollId = req.query.poll_id ? Number(req.query.poll_id) : currentPoll()?.id;
+    if (!pollId) return res.status(404).json({ error:'Poll not found' });
+    res.json({ poll_id: pollId, candidates: pollCandidates(pollId) });
+  });
+
+  // POST /api/admin/candidates  { name, poll_id?, color?, image_url?, description? }
+  app.post('/api/admin/candidates', requireAdmin, (req,res)=>{
+    const name = cleanText(req.body?.name, MAX_CANDIDATE_NAME);
+    if (!name) return res.status(400).json({ error:`Name must be 1–${MAX_CANDIDATE_NAME} characters` });
+    const { values: details, error } = candidateDetails(req.body);
+    if (error) return res.status(400).json({ error });
+    const p = req.body?.poll_id != null
+      ? db.prepare('SELECT * FROM polls WHERE id=?').get(Number(req.body.poll_id))
+      : currentPoll();
+    if (!p) return res.status(404).json({ error:'Poll not found' });
+    if (p.status === 'closed' || p.status === 'archived') {
+      return res.status(409).json({ error:'Cannot add candidates to a closed poll' });
+    }
+    if (nameTaken(p.id, name)) return res.status(409).json({ error:'A candidate with that name already exists' });
+
+    try {
+      const cand = db.transaction(() => {
+        const id = db.prepare(`INSERT INTO candidates (poll_id, name, position, color, image_url, description)
+            VALUES (?, ?, ?, ?, ?, ?)`)
+          .run(p.id, name, nextPosition(p.id), details.color ?? null, details.image_url ?? null, details.description ?? null)
+          .lastInsertRowid;
+        audit(req, 'candidate.add', `candidate:${id}`, { poll_id: p.id, name, ...details });
+        return db.prepare(`SELECT ${CANDIDATE_COLUMNS} FROM candidates WHERE id=?`).get(id);
+      })();
+      tallyStream.publish();
+      res.status(201).json(cand);
+    } catch (e) {
+      if (isUniqueViolation(e)) return res.status(409).json({ error:'A candidate with that name already exists' });
+      throw e;
+    }
+  });
+
+  // POST /api/admin/candidates/reorder  { poll_id?, ids:[candidateId, …] }
+  app.post('/api/admin/candidates/reorder', requireAdmin, (req,res)=>{
+    const pollId = req.body?.poll_id != null ? Number(req.body.poll_id) : currentPoll()?.id;
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number) : null;
+    if (!pollId) return res.status(404).json({ error:'Poll not found' });
+
+    const existing = pollCandidates(pollId).map(c => c.id);
+    const same = ids && ids.length === existing.length && new Set(ids).size === ids.length
+      && ids.every(id => existing.includes(id));
+    if (!same) return res.status(400).json({ error:'ids must list every candidate of the poll exactly once' });
+
+    db.transaction(() => {
+      const upd = db.prepare('UPDATE candidates SET position=? WHERE id=?');
+      ids.forEach((id, i) => upd.run(i, id));
+      audit(req, 'candidates.reorder', `poll:${pollId}`, { before: existing, after: ids });
+    })();
+    tallyStream.publish();
+    res.json({ ok:true, poll_id: pollId, candidates: pollCandidates(pollId) });
+  });
+
+  // PUT /api/admin/candidates/:id  { name?, color?, image_url?, description? }
+  // Only the fields given change; null or "" clears a detail.
+  app.put('/api/admin/candidates/:id', requireAdmin, (req,res)=>{
+    const cand = db.prepare('SELECT * FROM candidates WHERE id=?').get(Number(req.params.id));
+    if (!cand) return res.status(404).json({ error:'Candidate not found' });
+    let name = cand.name;
+    if (req.body?.name !== undefined) {
+      name = cleanText(req.body.name, MAX_CANDIDATE_NAME);
+      if (!name) return res.status(400).json({ error:`Name must be 1–${MAX_CANDIDATE_NAME} characters` });
+      if (nameTaken(cand.poll_id, name, cand.id)) return res.status(409).json({ error:'A candidate with that name already exists' });
+    }
+    const { values: details, error } = candidateDetails(req.body);
+    if (error) return res.status(400).json({ error });
+    if (req.body?.name === undefined && Object.keys(details).length === 0) {
+      return res.status(400).json({ error:'Nothing to update' });
+    }
+    const changed = Object.keys(details).filter(k => details[k] !== cand[k]);
+
+    try {
+      db.transaction(() => {
+        if (name !== cand.name) {
+          db.prepare('UPDATE candidates SET name=? WHERE id=?').run(name, cand.id);
+          audit(req, 'candidate.rename', `candidate:${cand.id}`, { before: cand.name, after: name });
+        }
+        if (changed.length) {
+          db.prepare(`UPDATE candidates SET ${changed.map(k => `${k}=?`).join(', ')} WHERE id=?`)
+            .run(...changed.map(k => details[k]), cand.id);
+          audit(req, 'candidate.update', `candidate:${cand.id}`, {
+            before: Object.fromEntries(changed.map(k => [k, cand[k]])),
+            after: Object.fromEntries(changed.map(k => [k, details[k]])),
+          });
+        }
+      })();
+    } catch (e) {
+      if (isUniqueViolation(e)) return res.status(409).json({ error:'A candidate with that name already exists' });
+      throw e;
+    }
+    tallyStream.publish();
+    res.json(db.prepare(`SELECT ${CANDIDATE_COLUMNS} FROM candidates WHERE id=?`).get(cand.id));
+  });
+
+  // DELETE /api/admin/candidates/:id  → only while nobody has paid for it
+  app.delete('/api/admin/candidates/:id', requireAdmin, (req,res)=>{
+    const cand = db.prepare('SELECT * FROM candidates WHERE id=?').get(Number(req.params.id));
+    if (!cand) return res.status(404).json({ error:'Candidate not found' });
+    const trx = db.prepare('SELECT COUNT(*) AS c FROM transactions WHERE candidate_id=?').get(cand.id).c;
+    const booked = db.prepare('SELECT COUNT(*) AS c FROM vote_ledger WHERE candidate_id=?').get(cand.id).c;
+    if (trx > 0 || booked > 0 || cand.tally > 0) {
+      return res.status(409).json({ error:'Candidate has votes or payments and cannot be removed' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM candidates WHERE id=?').run(cand.id);
+      audit(req, 'candidate.remove', `candidate:${cand.id}`, { poll_id: cand.poll_id, name: cand.name });
+    })();
+    tallyStream.publish();
+    res.json({ ok:true });
+  });
+
+  // POST /api/admin/candidates/:id/adjust  { delta, reason }
+  // Manual tally correction. The reason is mandatory and goes into the audit log.
+  app.post('/api/admin/candidates/:id/adjust', requireAdmin, (req,res)=>{
+    const cand = db.prepare('SELECT * FROM candidates WHERE id=?').get(Number(req.params.id));
+    if (!cand) return res.status(404).json({ error:'Candidate not found' });
+    const delta = Number(req.body?.delta);
+    const reason = cleanText(req.body?.reason, 500);
+    if (!Number.isInteger(delta) || delta === 0) return res.status(400).json({ error:'delta must be a non-zero integer' });
+    if (!reason) return res.status(400).json({ error:'A reason is required' });
+    const before = ledgerTally(db, cand.id);
+    if (before + delta < 0) return res.status(400).json({ error:'Tally cannot go below zero' });
+
+    db.transaction(() => {
+      appendLedger(db, { poll_id: cand.poll_id, candidate_id: cand.id, delta, kind: 'adjustment', reason });
+      audit(req, 'tally.adjust', `candidate:${cand.id}`, { delta, before, after: before + delta }, reason);
+      announceMilestones(cand.poll_id, { id: cand.id, name: cand.name }, delta);
+    })();
+    tallyStream.publish();
+    res.json({ ...db.prepare('SELECT id,name,position FROM candidates WHERE id=?').get(cand.id), tally: before + delta });
+  });
+
+  // GET /api/admin/reconcile?poll_id=  (default: every poll)
+  // Recomputes each tally from paid transactions plus manual adjustments and
+  // compares it with the ledger and with the cached candidates.tally.
+  app.get('/api/admin/reconcile', requireAdmin, (req,res)=>{
+    const pollId = req.query.poll_id ? Number(req.query.poll_id) : null;
+    const rows = db.prepare(`SELECT c.id, c.poll_id, c.name, c.tally AS cached,
+        COALESCE((SELECT SUM(delta) FROM vote_ledger l WHERE l.candidate_id = c.id), 0) AS ledger,
+        COALESCE((SELECT SUM(votes) FROM transactions t WHERE t.candidate_id = c.id AND t.status = 'paid'), 0) AS paid_votes,
+        COALESCE((SELECT SUM(delta) FROM vote_ledger l WHERE l.candidate_id = c.id
+          AND l.kind IN ('adjustment', 'opening_balance')), 0) AS adjustments
+      FROM candidates c ${pollId ? 'WHERE c.poll_id = ?' : ''}
+      ORDER BY c.poll_id, c.position, c.id`).all(...(pollId ? [pollId] : []));
+
+    const candidates = rows.map(r => {
+      const expected = r.paid_votes + r.adjustments;
+      return { ...r, expected, cache_drift: r.cached - r.ledger, ledger_drift: r.ledger - expected };
+    });
+
+    // Paid transactions with no payment row in the ledger, or the reverse.
+    const unbooked = db.prepare(`SELECT t.id, t.session_id, t.candidate_id, t.votes, t.status FROM transactions t
+      WHERE t.paid = 1 ${pollId ? 'AND t.poll_id = ?' : ''}
+        AND NOT EXISTS (SELECT 1 FROM vote_ledger l WHERE l.transaction_id = t.id AND l.kind = 'payment')`)
+      .all(...(pollId ? [pollId] : []));
+    const orphaned = db.prepare(`SELECT l.id, l.transaction_id, l.session_id, l.delta FROM vote_ledger l
+      JOIN transactions t ON t.id = l.transaction_id
+      WHERE l.kind = 'payment' AND t.paid = 0 ${pollId ? 'AND l.poll_id = ?' : ''}`)
+      .all(...(pollId ? [pollId] : []));
+
+    res.json({
+      ok: candidates.every(c => c.cache_drift === 0 && c.ledger_drift === 0) && !unbooked.length && !orphaned.length,
+      poll_id: pollId,
+      candidates,
+      unbooked_transactions: unbooked,
+      orphaned_ledger_entries: orphaned,
+    });
+  });
+
+  // POST /api/admin/reconcile  { reason, poll_id? }
+  // Rewrites the cached counters from the ledger. The ledger itself is never changed.
+  app.post('/api/admin/reconcile', requireAdmin, (req,res)=>{
+    const reason = cleanText(req.body?.reason, 500);
+    if (!reason) return res.status(400).json({ error:'A reason is required' });
+    const pollId = req.body?.poll_id != null ? Number(req.body.poll_id) : null;
+
+    const fixed = db.transaction(() => {
+      const drift = db.prepare(`SELECT c.id, c.tally AS cached,
+          COALESCE((SELECT SUM(delta) FROM vote_ledger l WHERE l.candidate_id = c.id), 0) AS ledger
+        FROM candidates c ${pollId ? 'WHERE c.poll_id = ?' : ''}`).all(...(pollId ? [pollId] : []))
+        .filter(c => c.cached !== c.ledger);
+      const upd = db.prepare('UPDATE candidates SET tally=? WHERE id=?');
+      for (const c of drift) upd.run(c.ledger, c.id);
+      if (drift.length) audit(req, 'tally.reconcile', pollId ? `poll:${pollId}` : 'all', { fixed: drift }, reason);
+      return drift;
+    })();
+    res.json({ ok:true, fixed });
+  });
+
+  // GET /api/admin/audit?limit=100&before=<id>  → newest first
+  app.get('/api/admin/audit', requireAdmin, (req,res)=>{
+    const limit = Math.min(500, Math.max(1, Number.parseInt(req.query.limit, 10) || 100));
+    const before = Number.parseInt(req.query.before, 10);
+    const rows = Number.isFinite(before)
+      ? db.prepare('SELECT * FROM audit_log WHERE id<? ORDER BY id DESC LIMIT ?').all(before, limit)
+      : db.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?').all(limit);
+    res.json({ entries: rows.map(r => ({ ...r, details: JSON.parse(r.details || '{}') })) });
+  });
+
+  // GET /api/admin/transactions
+  //   ?poll_id= &candidate_id= &paid=0|1 &status= &currency= &q=<session id fragment>
+  //   &from= &to= (dates) &limit=100 &before=<id>   → newest first
+  app.get('/api/admin/transactions', requireAdmin, (req,res)=>{
+    const q = req.query;
+    const where = [];
+    const args = [];
+    if (q.poll_id)      { where.push('t.poll_id=?');      args.push(Number(q.poll_id)); }
+    if (q.candidate_id) { where.push('t.candidate_id=?'); args.push(Number(q.candidate_id)); }
+    if (q.paid === '0' || q.paid === '1') { where.push('t.paid=?'); args.push(Number(q.paid)); }
+    if (q.status)       { where.push('t.status=?');       args.push(String(q.status)); }
+    if (q.currency)     { where.push('t.currency=?');     args.push(String(q.currency).toUpperCase()); }
+    if (q.q)            { where.push('t.session_id LIKE ?'); args.push(`%${String(q.q)}%`); }
+    for (const [key, op] of [['from', '>='], ['to', '<']]) {
+      if (!q[key]) continue;
+      // a bare date in `to` means "through the end of that day"
+      const bareDay = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(q[key]);
+      const t = toSqlTime(bareDay ? Date.parse(q[key]) + 86400000 : q[key]);
+      if (!t) return res.status(400).json({ error:`Invalid ${key}` });
+      where.push(`t.created_at ${op} ?`); args.push(t);
+    }
+    const before = Number.parseInt(q.before, 10);
+    if (Number.isFinite(before)) { where.push('t.id<?'); args.push(before); }
+    const limit = Math.min(500, Math.max(1, Number.parseInt(q.limit, 10) || 100));
+
+    const rows = db.prepare(`SELECT t.id, t.session_id, t.poll_id, t.candidate_id, c.name AS candidate,
+        t.votes, t.currency, t.amount_total, t.discount_amount, t.paid, t.status, t.created_at, t.paid_at
+      FROM transactions t LEFT JOIN candidates c ON c.id = t.candidate_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY t.id DESC LIMIT ?`).all(...args, limit);
+    res.json({ transactions: rows });
+  });
+
+  // GET /api/admin/tally-history?poll_id=  → paid votes per candidate per hour
+  // The dashboard accumulates these into a running total for its chart.
+  app.get('/api/admin/tally-history', requireAdmin, (req,res)=>{
+    const pollId = req.query.poll_id ? Number(req.query.poll_id) : currentPoll()?.id;
+    if (!pollId) return res.status(404).json({ error:'Poll not found' });
+    const rows = db.prepare(`SELECT strftime('%Y-%m-%d %H:00:00', COALESCE(paid_at, created_at)) AS bucket,
+        candidate_id, SUM(votes) AS votes
+      FROM transactions WHERE poll_id=? AND status='paid'
+      GROUP BY bucket, candidate_id ORDER BY bucket ASC`).all(pollId);
+    res.json({ poll_id: pollId, candidates: pollCandidates(pollId), buckets: rows });
+  });
+
+  // GET /api/admin/polls  → all polls, drafts included
+  app.get('/api/admin/polls', requireAdmin, (_req,res)=>{
+    syncPollSchedule();
+    const rows = db.prepare('SELECT * FROM polls ORDER BY id DESC').all();
+    res.json({ polls: rows });
+  });
+
+  // POST /api/admin/polls  { question, glow?, candidates:[names], opens_at?, closes_at? }
+  // Creates a draft. With opens_at it opens by itself; without, open it by hand.
+  app.post('/api/admin/polls', requireAdmin, (req,res)=>{
+    const question = cleanText(req.body?.question, MAX_QUESTION);
+    const names = Array.isArray(req.body?.candidates)
+      ? req.body.candidates.map(n => cleanText(n, MAX_CANDIDATE_NAME))
+      : seedNames();
+    const opensAt  = toSqlTime(req.body?.opens_at);
+    const closesAt = toSqlTime(req.body?.closes_at);
+    const s = db.prepare('SELECT glow FROM settings WHERE id=1').get();
+    const glow = req.body?.glow !== undefined ? normalizeCssColor(req.body.glow) : (s?.glow || '#00ffff');
+
+    if (!question) return res.status(400).json({ error:`Question must be 1–${MAX_QUESTION} characters` });
+    if (!glow) return res.status(400).json({ error:'glow must be a valid CSS colour' });
+    if (names.some(n => !n)) return res.status(400).json({ error:`Candidate names must be 1–${MAX_CANDIDATE_NAME} characters` });
+    if (names.length < 2) return res.status(400).json({ error:'A poll needs at least two candidates' });
+    if (new Set(names.map(n => n.toLowerCase())).size !== names.length) {
+      return res.status(400).json({ error:'Candidate names must be unique' });
+    }
+    if (opensAt === undefined || closesAt === undefined) return res.status(400).json({ error:'Invalid opens_at/closes_at' });
+    if (opensAt && closesAt && closesAt <= opensAt) return res.status(400).json({ error:'closes_at must be after opens_at' });
+
+    const pollId = db.transaction(() => {
+      const id = db.prepare("INSERT INTO polls (question, glow, status, opens_at, closes_at) VALUES (?, ?, 'draft', ?, ?)")
+        .run(question, glow, opensAt, closesAt).lastInsertRowid;
+      const ins = db.prepare('INSERT INTO candidates (poll_id, name, position) VALUES (?, ?, ?)');
+      names.forEach((n, i) => ins.run(id, n, i));
+      audit(req, 'poll.create', `poll:${id}`, { question, glow, candidates: names, opens_at: opensAt, closes_at: closesAt });
+      return id;
+    })();
+    syncPollSchedule();
+
+    const p = db.prepare('SELECT * FROM polls WHERE id=?').get(pollId);
+    res.status(201).json(pollWithResults(p));
+  });
+
+  // POST /api/admin/polls/:id/status  { status: 'open' | 'closed' | 'archived' }
+  app.post('/api/admin/polls/:id/status', requireAdmin, (req,res)=>{
+    const id = Number(req.params.id);
+    const status = String(req.body?.status || '');
+    const p = db.prepare('SELECT * FROM polls WHERE id=?').get(id);
+    if (!p) return res.status(404).json({ error:'Poll not found' });
+    if (!POLL_STATUSES.includes(status) || status === 'draft') {
+      return res.status(400).json({ error:'Status must be open, closed or archived' });
+    }
+    if (status === 'open' && p.status === 'archived') return res.status(409).json({ error:'Archived polls cannot be reopened' });
+    if (status === 'closed' && p.status === 'draft') return res.status(409).json({ error:'Poll was never opened' });
+
+    db.transaction(() => {
+      if (status === 'open') {
+        // Reopening a poll whose closing time has passed would just close it again.
+        db.prepare('UPDATE polls SET closes_at=NULL WHERE id=? AND closes_at <= CURRENT_TIMESTAMP').run(id);
+        openPoll(id);
+      } else if (status === 'closed') {
+        closePoll(id);
+      } else {
+        if (p.status === 'open') closePoll(id);
+        db.prepare("UPDATE polls SET status='archived' WHERE id=?").run(id);
+      }
+      audit(req, 'poll.status', `poll:${id}`, { before: p.status, after: status });
+    })();
+    tallyStream.publish();
+
+    res.json(pollWithResults(db.prepare('SELECT * FROM polls WHERE id=?').get(id)));
+  });
+
+  /* ---------- Supporter moderation (see lib/supporters.js) ---------- */
+  // GET /api/admin/supporters?status=unreviewed|approved|hidden &poll_id= &limit=50 &before=<id>
+  // → transactions that carry a name or message, oldest first for the unreviewed queue, newest first otherwise
+  app.get('/api/admin/supporters', requireAdmin, (req,res)=>{
+    const status = String(req.query.status || 'unreviewed');
+    if (!SUPPORTER_STATUSES.includes(status)) {
+      return res.status(400).json({ error:`status must be one of: ${SUPPORTER_STATUSES.join(', ')}` });
+    }
+    const where = ['t.supporter_status=?'];
+    const args = [status];
+    if (req.query.poll_id) { where.push('t.poll_id=?'); args.push(Number(req.query.poll_id)); }
+    // an unpaid checkout never shows up publicly, so it has nothing to review yet
+    if (status === 'unreviewed') where.push("t.status='paid'");
+    const queue = status === 'unreviewed';
+    const before = Number.parseInt(req.query.before, 10);
+    if (Number.isFinite(before)) { where.push(queue ? 't.id>?' : 't.id<?'); args.push(before); }
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const rows = db.prepare(`SELECT t.id, t.poll_id, t.candidate_id, c.name AS candidate, t.votes, t.status,
+        t.display_name, t.message, t.supporter_status, t.moderated_at, t.paid_at, t.created_at
+      FROM transactions t LEFT JOIN candidates c ON c.id = t.candidate_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY t.id ${queue ? 'ASC' : 'DESC'} LIMIT ?`).all(...args, limit);
+    const pending = db.prepare(`SELECT COUNT(*) AS n FROM transactions
+      WHERE supporter_status='unreviewed' AND status='paid'`).get().n;
+    res.json({ require_approval: !SUPPORTERS_VISIBLE.includes('unreviewed'), unreviewed: pending, supporters: rows });
+  });
+
+  // POST /api/admin/supporters/:id/moderate  { status: 'approved'|'hidden', reason? }
+  // :id is the transaction id. Hiding takes the name and message off the
+  // leaderboard; the votes themselves still count.
+  app.post('/api/admin/supporters/:id/moderate', requireAdmin, (req,res)=>{
+    const status = req.body?.status;
+    if (status !== 'approved' && status !== 'hidden') {
+      return res.status(400).json({ error:"status must be 'approved' or 'hidden'" });
+    }
+    const reason = req.body?.reason ? cleanText(req.body.reason, 500) : null;
+    if (req.body?.reason && !reason) return res.status(400).json({ error:'Reason must be 500 characters or fewer' });
+    const t = db.prepare('SELECT id, display_name, message, supporter_status FROM transactions WHERE id=?').get(Number(req.params.id));
+    if (!t || !t.supporter_status) return res.status(404).json({ error:'No supporter entry for this transaction' });
+    db.transaction(() => {
+      db.prepare('UPDATE transactions SET supporter_status=?, moderated_at=CURRENT_TIMESTAMP WHERE id=?').run(status, t.id);
+      audit(req, 'supporter.moderate', `transaction:${t.id}`, {
+        before: t.supporter_status, after: status, display_name: t.display_name, message: t.message,
+      }, reason);
+    })();
+    res.json(db.prepare(`SELECT id, display_name, message, supporter_status, moderated_at
+      FROM transactions WHERE id=?`).get(t.id));
+  });
+
+  /* ---------- Outbound webhooks (see lib/webhooks.js) ---------- */
+  const MAX_WEBHOOK_DESCRIPTION = 200;
+  const eventsError = `events must be "*" or a list of: ${EVENT_TYPES.join(', ')}`;
+  const endpointById = id => db.prepare(`SELECT e.*,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id=e.id AND d.status='pending') AS pending,
+      (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id=e.id AND d.status='failed') AS failed
+    FROM webhook_endpoints e WHERE e.id=?`).get(id);
+
+  // GET /api/admin/webhooks  → endpoints (secrets hidden) and the event types
+  app.get('/api/admin/webhooks', requireAdmin, (_req,res)=>{
+    const ids = db.prepare('SELECT id FROM webhook_endpoints ORDER BY id').all();
+    res.json({ event_types: EVENT_TYPES, endpoints: ids.map(r => endpointView(endpointById(r.id))) });
+  });
+
+  // POST /api/admin/webhooks  { url, events?: [types] | "*", description? }
+  // → 201 with the signing secret, which is only ever shown here (and on rotate)
+  app.post('/api/admin/webhooks', requireAdmin, (req,res)=>{
+    const url = normalizeHttpUrl(req.body?.url);
+    const events = normalizeEvents(req.body?.events);
+    const description = req.body?.description ? cleanText(req.body.description, MAX_WEBHOOK_DESCRIPTION) : null;
+    if (!url) return res.status(400).json({ error:'url must be an http(s) URL' });
+    if (!events) return res.status(400).json({ error: eventsError });
+    if (req.body?.description && !description) {
+      return res.status(400).json({ error:`description must be at most ${MAX_WEBHOOK_DESCRIPTION} characters` });
+    }
+
+    const secret = newSecret();
+    const id = db.transaction(() => {
+      const newId = db.prepare('INSERT INTO webhook_endpoints (url, secret, events, description) VALUES (?, ?, ?, ?)')
+        .run(url, secret, events, description).lastInsertRowid;
+      audit(req, 'webhook.create', `webhook:${newId}`, { url, events, description });
+      return newId;
+    })();
+    res.status(201).json({ ...endpointView(endpointById(id)), secret });
+  });
+
+  // PUT /api/admin/webhooks/:id  { url?, events?, description?, active?, rotate_secret? }
+  app.put('/api/admin/webhooks/:id', requireAdmin, (req,res)=>{
+    const ep = db.prepare('SELECT * FROM webhook_endpoints WHERE id=?').get(Number(req.params.id));
+    if (!ep) return res.status(404).json({ error:'Webhook not found' });
+    const body = req.body || {};
+    const next = { url: ep.url, events: ep.events, description: ep.description, active: ep.active };
+    if (body.url !== undefined) {
+      next.url = normalizeHttpUrl(body.url);
+      if (!next.url) return res.status(400).json({ error:'url must be an http(s) URL' });
+    }
+    if (body.events !== undefined) {
+      next.events = normalizeEvents(body.events);
+      if (!next.events) return res.status(400).json({ error: eventsError });
+    }
+    if (body.description !== undefined) {
+      next.description = body.description ? cleanText(body.description, MAX_WEBHOOK_DESCRIPTION) : null;
+      if (body.description && !next.description) {
+        return res.status(400).json({ error:`description must be at most ${MAX_WEBHOOK_DESCRIPTION} characters` });
+      }
+    }
+    if (body.active !== undefined) next.active = body.active ? 1 : 0;
+    const secret = body.rotate_secret ? newSecret() : null;
+
+    db.transaction(() => {
+      db.prepare('UPDATE webhook_endpoints SET url=?, events=?, description=?, active=?, secret=COALESCE(?, secret) WHERE id=?')
+        .run(next.url, next.events, next.description, next.active, secret, ep.id);
+      audit(req, 'webhook.update', `webhook:${ep.id}`, {
+        before: { url: ep.url, events: ep.events, description: ep.description, active: !!ep.active },
+        after: { ...next, active: !!next.active },
+        rotated_secret: !!secret,
+      });
+    })();
+    res.json({ ...endpointView(endpointById(ep.id)), ...(secret ? { secret } : {}) });
+  });
+
+  // DELETE /api/admin/webhooks/:id  → the endpoint and its delivery log
+  app.delete('/api/admin/webhooks/:id', requireAdmin, (req,res)=>{
+    const ep = db.prepare('SELECT * FROM webhook_endpoints WHERE id=?').get(Number(req.params.id));
+    if (!ep) return res.status(404).json({ error:'Webhook not found' });
+    db.transaction(() => {
+      db.prepare('DELETE FROM webhook_deliveries WHERE endpoint_id=?').run(ep.id);
+      db.prepare('DELETE FROM webhook_endpoints WHERE id=?').run(ep.id);
+      audit(req, 'webhook.delete', `webhook:${ep.id}`, { url: ep.url, events: ep.events });
+    })();
+    res.json({ ok:true });
+  });
+
+  // GET /api/admin/webhooks/deliveries?endpoint_id=&status=&event_type=&limit=  → newest first
+  app.get('/api/admin/webhooks/deliveries', requireAdmin, (req,res)=>{
+    const where = [];
+    const args = [];
+    if (req.query.endpoint_id) { where.push('endpoint_id=?'); args.push(Number(req.query.endpoint_id)); }
+    if (req.query.status) { where.push('status=?'); args.push(String(req.query.status)); }
+    if (req.query.event_type) { where.push('event_type=?'); args.push(String(req.query.event_type)); }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const rows = db.prepare(`SELECT * FROM webhook_deliveries
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`).all(...args, limit);
+    res.json({ deliveries: rows.map(d => ({ ...d, payload: JSON.parse(d.payload) })) });
+  });
+
+  // POST /api/admin/webhooks/deliveries/:id/redeliver  → 202, the event queued again as a new delivery
+  app.post('/api/admin/webhooks/deliveries/:id/redeliver', requireAdmin, (req,res)=>{
+    const d = db.prepare('SELECT * FROM webhook_deliveries WHERE id=?').get(Number(req.params.id));
+    if (!d) return res.status(404).json({ error:'Delivery not found' });
+    const id = db.transaction(() => {
+      const newId = webhooks.redeliver(d.id);
+      audit(req, 'webhook.redeliver', `webhook:${d.endpoint_id}`, { delivery_id: d.id, event_id: d.event_id, new_delivery_id: newId });
+      return newId;
+    })();
+    res.status(202).json(db.prepare('SELECT id, endpoint_id, event_id, event_type, status, redelivery_of FROM webhook_deliveries WHERE id=?').get(id));
+  });
+
+  /* ---------- Backups, exports, restore (see lib/backup.js) ---------- */
+  const BACKUP_DIR = backupDir(DB_PATH, env);
+  const BACKUP_UPLOAD_LIMIT = `${Number(env.BACKUP_UPLOAD_MAX_MB) || 200}mb`;
+  let restoring = false;
+
+  // GET /api/admin/backups  → newest first
+  app.get('/api/admin/backups', requireAdmin, (_req,res)=>{
+    res.json({ backups: listBackups(BACKUP_DIR) });
+  });
+
+  // POST /api/admin/backups  → online backup of the live database
+  app.post('/api/admin/backups', requireAdmin, async (req,res)=>{
+    try {
+      const name = backupName();
+      const { size } = await backupDatabase(db, path.join(BACKUP_DIR, name));
+      audit(req, 'db.backup', `backup:${name}`, { size });
+      req.log.info('Backup written', { backup: name, size });
+      res.json({ ok:true, name, size });
+    } catch (e) {
+      req.log.error('Backup error', { err: e });
+      res.status(500).json({ error:'Backup failed' });
+    }
+  });
+
+  // GET /api/admin/backups/:name  → the file itself
+  app.get('/api/admin/backups/:name', requireAdmin, (req,res)=>{
+    const name = req.params.name;
+    if (!isBackupName(name) || !fs.existsSync(path.join(BACKUP_DIR, name))) {
+      return res.status(404).json({ error:'Backup not found' });
+    }
+    res.download(path.join(BACKUP_DIR, name), name);
+  });
+
+  // POST /api/admin/backups/upload  (application/octet-stream)  → stored after it validates
+  // For bringing a downloaded backup back after the disk was wiped.
+  app.post('/api/admin/backups/upload', requireAdmin,
+    bodyParser.raw({ type: 'application/octet-stream', limit: BACKUP_UPLOAD_LIMIT }), (req,res)=>{
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error:'Send the backup file as application/octet-stream' });
+      }
+      const name = backupName('upload');
+      const file = path.join(BACKUP_DIR, name);
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+      fs.writeFileSync(file, req.body);
+      const check = validateBackup(file);
+      if (!check.ok) {
+        fs.rmSync(file, { force: true });
+        return res.status(400).json({ error:'Not a usable backup', details: check.errors });
+      }
+      audit(req, 'db.upload', `backup:${name}`, { size: req.body.length, counts: check.counts });
+      res.json({ ok:true, name, ...check });
+    });
+
+  // POST /api/admin/backups/:name/restore  { reason? }
+  // Validates, saves the current database as pre-restore-*.db, then replaces
+  // it with the backup and migrates it forward.
+  app.post('/api/admin/backups/:name/restore', requireAdmin, async (req,res)=>{
+    const name = req.params.name;
+    const file = path.join(BACKUP_DIR, name);
+    if (!isBackupName(name) || !fs.existsSync(file)) return res.status(404).json({ error:'Backup not found' });
+    if (restoring) return res.status(409).json({ error:'A restore is already running' });
+
+    const check = validateBackup(file);
+    if (!check.ok) return res.status(400).json({ error:'Not a usable backup', details: check.errors });
+
+    restoring = true;
+    try {
+      const safety = backupName('pre-restore');
+      await backupDatabase(db, path.join(BACKUP_DIR, safety));
+      await restoreDatabase(file, DB_PATH);
+      migrate(db, { log: req.log.child({ component: 'db' }) });
+      // Written after the restore so the restored database records it.
+      audit(req, 'db.restore', `backup:${name}`, { safety_backup: safety, counts: check.counts }, req.body?.reason);
+      syncPollSchedule();
+      tallyStream.publish();
+      req.log.warn('Database restored', { backup: name, safety_backup: safety });
+      res.json({ ok:true, restored: name, safety_backup: safety, counts: check.counts });
+    } catch (e) {
+      req.log.error('Restore error', { err: e, backup: name });
+      res.status(500).json({ error:'Restore failed' });
+    } finally {
+      restoring = false;
+    }
+  });
+
+  // GET /api/admin/export/:table?format=csv|json &poll_id= &from= &to=
+  //   table: transactions | candidates
+  app.get('/api/admin/export/:table', requireAdmin, (req,res)=>{
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ error:'format must be csv or json' });
+    const out = exportRows(db, req.params.table, req.query);
+    if (out.error) return res.status(400).json({ error: out.error });
+
+    const file = `${req.params.table}${req.query.poll_id ? `-poll${Number(req.query.poll_id)}` : ''}.${format}`;
+    res.attachment(file);
+    if (format === 'json') return res.json({ [req.params.table]: out.rows });
+    res.type('text/csv; charset=utf-8').send(toCSV(out.rows, out.columns));
+  });
+
+  /* ---------- Checkout abuse limits ---------- */
+  const ipLimiter = createRateLimiter({ windowMs: LIMITS.windowSec * 1000, max: LIMITS.perIp });
+  const fpLimiter = createRateLimiter({ windowMs: LIMITS.windowSec * 1000, max: LIMITS.perFingerprint });
+  // Rate-limit hits per IP in the last hour, for automatic blocks
+  const strikes = createRateLimiter({ windowMs: 60 * 60 * 1000, max: Infinity });
+
+  function activeBlock(ip) {
+    return db.prepare(`SELECT * FROM blocked_ips
+      WHERE ip=? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`).get(ip);
+  }
+
+  function tooMany(res, retryAfter, error) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, retry_after: retryAfter });
+  }
+
+  // Runs before create-checkout-session: blocked IPs, rate limits, open sessions.
+  function checkoutGuard(req, res, next) {
+    const ip = req.ip || '';
+    const fp = clientFingerprint(req);
+    if (activeBlock(ip)) {
+      M.checkoutsRejected.inc({ reason: 'blocked' });
+      return res.status(403).json({ error:'Checkout is blocked for this address' });
+    }
+
+    const byIp = ipLimiter.hit(ip);
+    const byFp = byIp.ok ? fpLimiter.hit(fp) : byIp;
+    if (!byIp.ok || !byFp.ok) {
+      strikes.hit(ip);
+      if (LIMITS.autoBlockAfter && strikes.count(ip) >= LIMITS.autoBlockAfter) {
+        // an admin's block, or one still running, is left alone
+        db.prepare(`INSERT INTO blocked_ips (ip, reason, source, expires_at)
+          VALUES (?, ?, 'auto', datetime('now', ?))
+          ON CONFLICT(ip) DO UPDATE SET reason=excluded.reason, source='auto',
+            created_at=CURRENT_TIMESTAMP, expires_at=excluded.expires_at
+          WHERE blocked_ips.expires_at <= CURRENT_TIMESTAMP`)
+          .run(ip, `Rate limited ${strikes.count(ip)} times in an hour`, `+${LIMITS.autoBlockMin} minutes`);
+        strikes.reset(ip);
+        req.log.warn('IP blocked automatically', { component: 'abuse', blocked_ip: ip, minutes: LIMITS.autoBlockMin });
+      }
+      M.checkoutsRejected.inc({ reason: 'rate_limited' });
+      const wait = Math.max(byIp.retryAfter, byFp.retryAfter);
+      return tooMany(res, wait, `Too many checkout attempts. Try again in ${wait} seconds.`);
+    }
+
+    const open = db.prepare(`SELECT COUNT(*) AS n, MIN(created_at) AS oldest FROM transactions
+      WHERE status='pending' AND created_at > datetime('now', ?) AND (client_ip=? OR client_fp=?)`)
+      .get(`-${LIMITS.checkoutTtlMin} minutes`, ip, fp);
+    if (open.n >= LIMITS.maxOpenSessions) {
+      M.checkoutsRejected.inc({ reason: 'open_sessions' });
+      const freesAt = new Date(open.oldest.replace(' ', 'T') + 'Z').getTime() + LIMITS.checkoutTtlMin * 60 * 1000;
+      const wait = Math.max(1, Math.ceil((freesAt - Date.now()) / 1000));
+      return tooMany(res, wait, 'You have too many unfinished checkouts. Complete or cancel one, or try again later.');
+    }
+
+    req.client = { ip, fp };
+    next();
+  }
+
+  // Abandoned checkouts stop counting as open once they would have expired.
+  const sweepTimer = setInterval(() => {
+    try {
+      const n = expireStaleCheckouts(db, LIMITS.checkoutTtlMin);
+      if (n) log.info('Expired stale unpaid checkouts', { component: 'abuse', count: n });
+      db.prepare('DELETE FROM blocked_ips WHERE expires_at <= CURRENT_TIMESTAMP').run();
+      ipLimiter.prune();
+      fpLimiter.prune();
+      strikes.prune();
+    } catch (e) {
+      log.error('Checkout sweep error', { component: 'abuse', err: e });
+    }
+  }, 60 * 1000).unref();
+
+  // GET /api/admin/blocked-ips  → active blocks and the limits in force
+  app.get('/api/admin/blocked-ips', requireAdmin, (_req,res)=>{
+    const blocked = db.prepare(`SELECT * FROM blocked_ips
+      WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP ORDER BY created_at DESC`).all();
+    res.json({ blocked, limits: LIMITS });
+  });
+
+  // POST /api/admin/blocked-ips  { ip, reason?, minutes? }  (no minutes = until unblocked)
+  app.post('/api/admin/blocked-ips', requireAdmin, (req,res)=>{
+    const ip = String(req.body?.ip ?? '').trim();
+    if (!net.isIP(ip)) return res.status(400).json({ error:'Not an IP address' });
+    const reason = req.body?.reason ? cleanText(req.body.reason, 500) : null;
+    if (req.body?.reason && !reason) return res.status(400).json({ error:'Reason must be 500 characters or fewer' });
+    const minutes = req.body?.minutes == null || req.body.minutes === '' ? null : Number(req.body.minutes);
+    if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0)) {
+      return res.status(400).json({ error:'minutes must be a positive whole number' });
+    }
+
+    db.transaction(() => {
+      db.prepare(`INSERT INTO blocked_ips (ip, reason, source, expires_at)
+        VALUES (?, ?, 'admin', CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+        ON CONFLICT(ip) DO UPDATE SET reason=excluded.reason, source='admin',
+          created_at=CURRENT_TIMESTAMP, expires_at=excluded.expires_at`)
+        .run(ip, reason, minutes, `+${minutes} minutes`);
+      audit(req, 'ip.block', `ip:${ip}`, { minutes }, reason);
+    })();
+    res.json(db.prepare('SELECT * FROM blocked_ips WHERE ip=?').get(ip));
+  });
+
+  // DELETE /api/admin/blocked-ips/:ip  → lift a block and forget its rate-limit history
+  app.delete('/api/admin/blocked-ips/:ip', requireAdmin, (req,res)=>{
+    const ip = req.params.ip;
+    const row = db.prepare('SELECT * FROM blocked_ips WHERE ip=?').get(ip);
+    if (!row) return res.status(404).json({ error:'IP is not blocked' });
+    db.transaction(() => {
+      db.prepare('DELETE FROM blocked_ips WHERE ip=?').run(ip);
+      audit(req, 'ip.unblock', `ip:${ip}`, { reason: row.reason, source: row.source });
+    })();
+    ipLimiter.reset(ip);
+    strikes.reset(ip);
+    res.json({ ok:true });
+  });
+
+  /* ---------- Create checkout ---------- */
+  app.post('/api/create-checkout-session', checkoutGuard, async (req,res)=>{
+    try {
+      if (!payments) return res.status(400).json({ error:'Payments are not configured on the server.' });
+
+      const candidateId = Number(req.body?.candidateId);
+      const votes = req.body?.votes == null ? 1 : Number(req.body.votes);
+      const currency = req.body?.currency == null ? CURRENCIES.default : normalizeCurrency(req.body.currency);
+
+      const successUrl = req.body?.successUrl ||
+        `${FRONTEND_URL}/receipt/{CHECKOUT_SESSION_ID}`;
+      const cancelUrl  = req.body?.cancelUrl ||
+        `${FRONTEND_URL}/?status=cancelled`;
+
+      if (!Number.isFinite(candidateId)) {
+        return res.status(400).json({ error:'Invalid candidateId' });
+      }
+      // never round or default a bad count: the voter would pay for votes they didn't ask for
+      if (!Number.isSafeInteger(votes) || votes < 1) {
+        return res.status(400).json({ error:'Votes must be a whole number of at least 1' });
+      }
+      if (!CURRENCIES.has(currency)) return res.status(400).json(unsupportedCurrency(req.body.currency));
+      // Kept with our transaction only; none of it goes to the payment provider.
+      const supporter = cleanSupporter(req.body, wordFilter);
+      if (supporter.error) return res.status(400).json({ error: supporter.error });
+      const { display_name, message } = supporter.values;
+      syncPollSchedule();
+      const cand = db.prepare(`SELECT c.*, p.status AS poll_status FROM candidates c
+        JOIN polls p ON p.id = c.poll_id WHERE c.id=?`).get(candidateId);
+      if (!cand) return res.status(404).json({ error:'Candidate not found' });
+      if (cand.poll_status !== 'open') return res.status(409).json({ error:'Voting is closed for this poll' });
+
+      const price = quote(PRICES, currency, votes, BUNDLES, MAX_VOTES);
+      if (price.tooMany) {
+        return res.status(400).json({ error:`At most ${MAX_VOTES} votes per checkout`, max_votes: MAX_VOTES });
+      }
+      if (price.belowMinimum) {
+        return res.status(400).json({ error:`Amount is below the minimum charge for ${currency}`, minimum: price.minimum });
+      }
+      const amount = price.amount;
+      const session = await payments.createCheckoutSession({
+        mode:'payment',
+        currency,
+        line_items: price.lines.map(l => ({
+          price_data:{
+            currency,
+            product_data:{
+              name:`${cand.name} — ${l.votes} vote${l.votes>1?'s':''}` +
+                (l.discount_pct ? ` (${l.discount_pct}% off)` : '')
+            },
+            unit_amount: l.unit_amount
+          },
+          quantity: l.quantity
+        })),
+        success_url: successUrl,
+        cancel_url:  cancelUrl,
+        allow_promotion_codes:false,
+        expires_at: Math.floor(Date.now() / 1000) + LIMITS.checkoutTtlMin * 60,
+        // request_id ties the webhook for this session back to the browser's request
+        metadata:{ poll_id:String(cand.poll_id), candidate_id:String(cand.id), votes:String(votes), request_id:req.id }
+      });
+      req.log = req.log.child({ session_id: session.id });
+
+      db.prepare(`INSERT INTO transactions
+          (session_id, poll_id, candidate_id, votes, currency, amount_total, paid, list_amount, discount_amount, bundles,
+           client_ip, client_fp, display_name, message, supporter_status)
+          VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`)
+        .run(session.id, cand.poll_id, cand.id, votes, currency, amount, 0,
+          price.list_amount, price.discount_amount, JSON.stringify(price.lines), req.client.ip, req.client.fp,
+          display_name, message, display_name || message ? 'unreviewed' : null);
+
+      M.checkoutsCreated.inc({ currency });
+      req.log.info('Checkout created', { poll_id: cand.poll_id, candidate_id: cand.id, votes, currency, amount });
+      res.json({ id: session.id, url: session.url });
+    } catch (e) {
+      req.log.error('Create session error', { err: e });
+      const msg = env.NODE_ENV === 'production'
+        ? 'Failed to create checkout session'
+        : `Failed to create checkout session: ${e.message}`;
+      res.status(500).json({ error: msg });
+    }
+  });
+
+  /* ---------- Receipt for one checkout ---------- */
+  // GET /api/checkout/:sessionId  → what the voter bought and where it stands.
+  // The Checkout Session id is the key: only the voter's browser (and Stripe)
+  // has it, and the answer covers that one transaction and nothing else.
+  // It reads our database only; /api/verify-session asks the provider.
+  app.get('/api/checkout/:sessionId', (req,res)=>{
+    const t = db.prepare(`SELECT t.session_id, t.status, t.votes, t.currency, t.amount_total, t.discount_amount,
+        t.created_at, t.paid_at, t.reversed_at, t.receipt, t.candidate_id, c.name AS candidate, t.poll_id, p.question,
+        t.display_name, t.message, t.supporter_status
+      FROM transactions t LEFT JOIN candidates c ON c.id = t.candidate_id LEFT JOIN polls p ON p.id = t.poll_id
+      WHERE t.session_id=?`).get(String(req.params.sessionId));
+    res.set('Cache-Control', 'no-store');
+    if (!t) return res.status(404).json({ error:'Unknown session' });
+    res.json({
+      session_id: t.session_id,
+      status: t.status,
+      counted: t.status === 'paid',
+      votes: t.votes,
+      candidate: { id: t.candidate_id, name: t.candidate },
+      poll: { id: t.poll_id, question: t.question },
+      currency: t.currency,
+      decimals: decimalsFor(t.currency),
+      amount_total: t.amount_total,
+      discount_amount: t.discount_amount,
+      created_at: t.created_at,
+      paid_at: t.paid_at,
+      reversed_at: t.reversed_at,
+      receipt: t.receipt,
+      // `public`: on the leaderboard, which needs the payment counted and the entry not hidden
+      supporter: t.supporter_status ? {
+        display_name: t.display_name,
+        message: t.message,
+        public: t.status === 'paid' && !!t.display_name && SUPPORTERS_VISIBLE.includes(t.supporter_status),
+      } : null,
+    });
+  });
+
+  /* ---------- Verify after redirect ---------- */
+  app.get('/api/verify-session', async (req,res)=>{
+    try {
+      if (!payments) return res.status(400).json({ error:'Payments not configured' });
+
+      const { session_id } = req.query || {};
+      if (!session_id) return res.status(400).json({ error:'Missing session_id' });
+
+      req.log = req.log.child({ session_id: String(session_id) });
+      const answer = (result, body) => {
+        M.verifications.inc({ result });
+        return res.json(body);
+      };
+
+      const trx = db.prepare('SELECT * FROM transactions WHERE session_id=?').get(session_id);
+      if (!trx) return res.status(404).json({ error:'Unknown session' });
+      if (REVERSED_STATUSES.includes(trx.status)) return answer(trx.status, { ok:false, status: trx.status, receipt: trx.receipt });
+      if (trx.paid) return answer('already_counted', { ok:true, alreadyCounted:true, receipt: trx.receipt });
+      if (trx.status === 'expired') return answer('expired', { ok:false, paid:false, status:'expired' });
+
+      const session = await payments.retrieveSession(String(session_id));
+      if (session.payment_status === 'paid') {
+        // The webhook may have counted it while we were waiting on Stripe.
+        const counted = crediting.creditSession(String(session_id), { paymentIntent: paymentIntentId(session), log: req.log });
+        const { receipt } = db.prepare('SELECT receipt FROM transactions WHERE session_id=?').get(session_id);
+        return counted
+          ? answer('counted', { ok:true, counted:true, receipt })
+          : answer('already_counted', { ok:true, alreadyCounted:true, receipt });
+      }
+      answer('unpaid', { ok:false, paid:false });
+    } catch (e) {
+      M.verifications.inc({ result: 'error' });
+      req.log.error('Verify error', { err: e });
+      res.status(500).json({ error:'Verification failed' });
+    }
+  });
+
+  /* ---------- Refunds, disputes, expiry ---------- */
+  // Find our row for a PaymentIntent. Rows counted before payment_intent was
+  // stored are looked up through Stripe once and backfilled.
+  async function transactionForPaymentIntent(pi) {
+    if (!pi) return null;
+    const trx = db.prepare('SELECT * FROM transactions WHERE payment_intent=?').get(pi);
+    if (trx) return trx;
+    const session = await payments.findSessionByPaymentIntent(pi);
+    if (!session) return null;
+    db.prepare('UPDATE transactions SET payment_intent=? WHERE session_id=?').run(pi, session.id);
+    return db.prepare('SELECT * FROM transactions WHERE session_id=?').get(session.id);
+  }
+
+  // POST /api/admin/transactions/:id/refund  { reason }
+  // Refunds the payment in Stripe and takes the votes back in one step.
+  app.post('/api/admin/transactions/:id/refund', requireAdmin, async (req,res)=>{
+    try {
+      if (!payments) return res.status(400).json({ error:'Payments not configured' });
+      const trx = db.prepare('SELECT * FROM transactions WHERE id=?').get(Number(req.params.id));
+      if (!trx) return res.status(404).json({ error:'Transaction not found' });
+      req.log = req.log.child({ session_id: trx.session_id, transaction_id: trx.id });
+      const reason = cleanText(req.body?.reason, 500);
+      if (!reason) return res.status(400).json({ error:'A reason is required' });
+      if (trx.status !== 'paid') return res.status(409).json({ error:`Transaction is ${trx.status}, not paid` });
+
+      let pi = trx.payment_intent;
+      if (!pi) {
+        pi = paymentIntentId(await payments.retrieveSession(trx.session_id));
+        if (!pi) return res.status(409).json({ error:'No payment found for this session' });
+        db.prepare('UPDATE transactions SET payment_intent=? WHERE id=?').run(pi, trx.id);
+      }
+
+      const refund = await payments.createRefund({ payment_intent: pi, metadata: { transaction_id: String(trx.id) } });
+      crediting.reverseTransaction(trx, 'refunded', () => audit(req, 'transaction.reverse', `transaction:${trx.id}`,
+        { status: 'refunded', votes: trx.votes, candidate_id: trx.candidate_id, refund_id: refund.id, by: 'admin' }, reason),
+        req.log);
+
+      res.json({ ok:true, refund_id: refund.id, transaction: db.prepare('SELECT * FROM transactions WHERE id=?').get(trx.id) });
+    } catch (e) {
+      // the provider's message can name accounts and payment ids: it goes to the log, only its code to the client
+      req.log.error('Refund failed', { err: e, code: e.code });
+      res.status(502).json({ error:'Refund failed', code: e.code || null });
+    }
+  });
+
+  /* ---------- Optional webhook ---------- */
+  // Events use Stripe's shapes whichever provider sent them.
+  const CREDIT_EVENTS = ['checkout.session.completed', 'checkout.session.async_payment_succeeded'];
+  app.post(WEBHOOK_PATHS, async (req,res)=>{
+    if (!payments?.webhookConfigured) return res.json({ received:true, note:'webhook not configured' });
+
+    let event;
+    try {
+      event = payments.constructEvent(req.body, req.headers);
+    } catch (e) {
+      M.webhookFailures.inc({ reason: 'signature' });
+      req.log.warn('Webhook signature rejected', { err: e });
+      return res.status(400).send(`Webhook Error: ${e.message}`);
+    }
+
+    const obj = event.data?.object || {};
+    req.log = req.log.child({
+      event_id: event.id,
+      event_type: event.type,
+      ...(String(event.type).startsWith('checkout.session.') ? { session_id: obj.id } : {}),
+      ...(obj.metadata?.request_id ? { checkout_request_id: obj.metadata.request_id } : {}),
+    });
+
+    if (crediting.seenEvent(event.id)) {
+      M.webhookEvents.inc({ type: event.type, outcome: 'duplicate' });
+      return res.json({ received:true, duplicate:true });
+    }
+
+    // Anything that fails below returns 500 so Stripe retries the event.
+    // The event is only recorded once it has been handled.
+    try {
+      // Delayed methods (bank debits, vouchers) complete unpaid and are paid in a later event.
+      if (CREDIT_EVENTS.includes(event.type) && obj.payment_status === 'paid') {
+        crediting.creditSession(obj.id, { paymentIntent: paymentIntentId(obj), event, log: req.log });
+      } else if (event.type === 'checkout.session.expired') {
+        crediting.expireSession(obj.id);
+      } else if (event.type === 'charge.refunded') {
+        // Partial refunds keep the votes; only a full refund reverses them.
+        const trx = obj.refunded ? await transactionForPaymentIntent(paymentIntentId(obj)) : null;
+        if (trx) crediting.reverseTransaction(trx, 'refunded', null, req.log);
+      } else if (event.type === 'charge.dispute.created') {
+        let pi = paymentIntentId(obj);
+        if (!pi && obj.charge) pi = await payments.paymentIntentForCharge(String(obj.charge));
+        const trx = await transactionForPaymentIntent(pi);
+        if (trx) crediting.reverseTransaction(trx, 'disputed', null, req.log);
+      }
+      crediting.recordEvent(event);
+    } catch (e) {
+      M.webhookEvents.inc({ type: event.type, outcome: 'failed' });
+      M.webhookFailures.inc({ reason: 'handler' });
+      req.log.error('Webhook handling error', { err: e });
+      return res.status(500).json({ error:'Webhook handling failed' });
+    }
+    M.webhookEvents.inc({ type: event.type, outcome: 'ok' });
+    req.log.info('Webhook handled');
+    res.json({ received:true });
+  });
+
+  /* ---------- Metrics ---------- */
+  metrics.gauge('vote_paid_votes', 'Votes in paid (not refunded or disputed) transactions, per candidate', () =>
+    db.prepare(`SELECT t.poll_id, t.candidate_id, c.name, SUM(t.votes) AS votes FROM transactions t
+      JOIN candidates c ON c.id = t.candidate_id
+      WHERE t.status='paid' GROUP BY t.poll_id, t.candidate_id`).all()
+      .map(r => ({ labels: { poll_id: r.poll_id, candidate_id: r.candidate_id, candidate: r.name }, value: r.votes })));
+  metrics.gauge('vote_tally_stream_clients', 'Open /api/tally/stream connections', () => [{ value: tallyStream.size }]);
+
+  // GET /api/metrics  → Prometheus text format.
+  // Bearer METRICS_TOKEN (or the admin token) when one is set.
+  app.get('/api/metrics', (req,res)=>{
+    const tokens = [env.METRICS_TOKEN, ADMIN_TOKEN].filter(Boolean);
+    const auth = req.headers.authorization || '';
+    if (tokens.length && !tokens.some(t => auth === `Bearer ${t}`)) return res.status(401).json({ error:'Unauthorized' });
+    res.type(metrics.contentType).send(metrics.render());
+  });
+
+  return {
+    app,
+    db,
+    log,
+    close() {
+      clearInterval(scheduleTimer);
+      clearInterval(sweepTimer);
+      webhooks.close();
+      tallyStream.close();
+      db.close();
+    },
+  };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,93 @@
+// backend/lib/abuse.js
+// Limits on checkout creation. Every checkout makes a Stripe session and a
+// pending transactions row, so a script hammering the endpoint costs us
+// both. Clients are identified by IP and by a fingerprint: the frontend's
+// X-Client-Id header, or a hash of the browser headers when it's missing.
+//
+//   RATE_LIMIT_WINDOW_SEC=60       window for the two limits below
+//   RATE_LIMIT_IP=10               checkouts per IP per window
+//   RATE_LIMIT_FINGERPRINT=5       checkouts per fingerprint per window
+//   MAX_OPEN_SESSIONS=3            unpaid checkouts one client may have open
+//   CHECKOUT_TTL_MIN=31            Checkout Session lifetime (Stripe allows 30–1440, counted from
+//                                  when it gets the request: the extra minute covers latency and clock skew)
+//   AUTO_BLOCK_AFTER=5             rate-limit hits in an hour before the IP is blocked
+//   AUTO_BLOCK_MIN=60              how long an automatic block lasts
+
+const crypto = require('crypto');
+
+function intFrom(value, fallback, min = 1, max = Infinity) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min ? Math.min(n, max) : fallback;
+}
+
+function loadAbuseConfig(env = process.env) {
+  return {
+    windowSec:        intFrom(env.RATE_LIMIT_WINDOW_SEC, 60),
+    perIp:            intFrom(env.RATE_LIMIT_IP, 10),
+    perFingerprint:   intFrom(env.RATE_LIMIT_FINGERPRINT, 5),
+    maxOpenSessions:  intFrom(env.MAX_OPEN_SESSIONS, 3),
+    checkoutTtlMin:   intFrom(env.CHECKOUT_TTL_MIN, 31, 31, 1440),
+    autoBlockAfter:   intFrom(env.AUTO_BLOCK_AFTER, 5, 0),   // 0 turns automatic blocks off
+    autoBlockMin:     intFrom(env.AUTO_BLOCK_MIN, 60),
+  };
+}
+
+/**
+ * Sliding-window counter kept in memory. hit(key) records an attempt and
+ * returns { ok, retryAfter } (seconds until the oldest attempt leaves the window).
+ */
+function createRateLimiter({ windowMs, max, now = Date.now }) {
+  const hits = new Map();
+
+  function recent(key, t) {
+    const list = (hits.get(key) || []).filter(ts => ts > t - windowMs);
+    if (list.length) hits.set(key, list); else hits.delete(key);
+    return list;
+  }
+
+  return {
+    hit(key) {
+      const t = now();
+      const list = recent(key, t);
+      if (list.length >= max) {
+        return { ok: false, retryAfter: Math.max(1, Math.ceil((list[0] + windowMs - t) / 1000)) };
+      }
+      list.push(t);
+      hits.set(key, list);
+      return { ok: true, retryAfter: 0 };
+    },
+    count(key) {
+      return recent(key, now()).length;
+    },
+    reset(key) {
+      hits.delete(key);
+    },
+    // Drop keys with nothing left in the window.
+    prune() {
+      const t = now();
+      for (const key of [...hits.keys()]) recent(key, t);
+    },
+  };
+}
+
+/** The frontend's X-Client-Id, or a hash of headers a browser always sends. */
+function clientFingerprint(req) {
+  const id = String(req.headers['x-client-id'] || '');
+  if (/^[\w-]{8,64}$/.test(id)) return `id:${id}`;
+  const basis = [req.headers['user-agent'], req.headers['accept-language']].map(v => v || '').join('|');
+  return `ua:${crypto.createHash('sha256').update(basis).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Expire pending checkouts older than the session lifetime plus a grace
+ * period, so abandoned ones stop counting against the client. Payment that
+ * still arrives is credited anyway (see lib/crediting.js).
+ * Returns the number of rows expired.
+ */
+function expireStaleCheckouts(db, ttlMinutes, graceMinutes = 5) {
+  return db.prepare(`UPDATE transactions SET status='expired'
+    WHERE status='pending' AND paid=0 AND created_at < datetime('now', ?)`)
+    .run(`-${ttlMinutes + graceMinutes} minutes`).changes;
+}
+
+module.exports = { loadAbuseConfig, createRateLimiter, clientFingerprint, expireStaleCheckouts };
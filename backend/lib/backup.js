@@ -0,0 +1,193 @@
+// backend/lib/backup.js
+// Backups, CSV/JSON exports and restores of the SQLite file. Shared by the
+// admin routes and scripts/backup.js.
+//
+//   BACKUP_DIR   where backups are written (default: backups/ next to the DB)
+//
+// Backups go through SQLite's online backup API, so they are consistent
+// even while the server is writing (WAL included). Restores use the same
+// API in the other direction, page by page into the open database, after
+// the file has passed validateBackup().
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { loadMigrations } = require('./migrate');
+
+const REQUIRED_TABLES = ['schema_version', 'polls', 'candidates', 'transactions', 'vote_ledger'];
+const NAME_RE = /^[\w.-]+\.db$/;
+
+function backupDir(dbFile, env = process.env) {
+  return env.BACKUP_DIR || path.join(path.dirname(dbFile), 'backups');
+}
+
+/** "votes-20260105-143000-123.db", with an optional prefix for safety copies */
+function backupName(prefix = 'votes', at = new Date()) {
+  const stamp = at.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+  return `${prefix}-${stamp}.db`;
+}
+
+/** Only plain file names inside the backup dir; nothing with a path in it. */
+function isBackupName(name) {
+  return NAME_RE.test(String(name)) && !String(name).startsWith('.');
+}
+
+/** Copy the live database to `file`. Resolves to { file, size }. */
+async function backupDatabase(db, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.partial`;
+  await db.backup(tmp);
+  fs.renameSync(tmp, file);
+  return { file, size: fs.statSync(file).size };
+}
+
+function listBackups(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(isBackupName)
+    .map(name => {
+      const st = fs.statSync(path.join(dir, name));
+      return { name, size: st.size, created_at: st.mtime.toISOString() };
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Open `file` read-only and check it is something we can restore: intact,
+ * one of our databases, and not migrated by newer code than this.
+ * Returns { ok, errors, schema_version, counts }.
+ */
+function validateBackup(file, { migrationsDir } = {}) {
+  const errors = [];
+  let src;
+  try {
+    src = new Database(file, { readonly: true, fileMustExist: true });
+    const integrity = src.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') errors.push(`Integrity check failed: ${integrity}`);
+
+    const tables = new Set(src.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(r => r.name));
+    const missing = REQUIRED_TABLES.filter(t => !tables.has(t));
+    if (missing.length) errors.push(`Missing tables: ${missing.join(', ')}`);
+
+    let version = 0;
+    if (tables.has('schema_version')) {
+      version = src.prepare('SELECT MAX(version) AS v FROM schema_version').get().v || 0;
+      const latest = loadMigrations(migrationsDir).reduce((n, m) => Math.max(n, m.version), 0);
+      if (version > latest) errors.push(`Backup is at schema version ${version}; this code only knows up to ${latest}`);
+    }
+
+    const counts = {};
+    for (const t of ['polls', 'candidates', 'transactions']) {
+      if (tables.has(t)) counts[t] = src.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n;
+    }
+    return { ok: errors.length === 0, errors, schema_version: version, counts };
+  } catch (e) {
+    // "file is not a database" and friends
+    return { ok: false, errors: [e.message], schema_version: null, counts: {} };
+  } finally {
+    if (src) src.close();
+  }
+}
+
+/**
+ * Replace the contents of the database at `dbFile` with the backup at
+ * `file`. Connections already open on dbFile see the new data. Validate
+ * first; run migrate() afterwards, since an older backup may be behind the
+ * current schema.
+ */
+async function restoreDatabase(file, dbFile) {
+  const src = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    await src.backup(dbFile);
+  } finally {
+    src.close();
+  }
+}
+
+/* ---------- Exports ---------- */
+const EXPORTS = {
+  transactions: {
+    sql: `SELECT t.id, t.session_id, t.poll_id, t.candidate_id, c.name AS candidate, t.votes, t.currency,
+        t.list_amount, t.discount_amount, t.amount_total, t.status, t.paid, t.payment_intent,
+        t.created_at, t.paid_at, t.reversed_at, t.display_name, t.message, t.supporter_status
+      FROM transactions t LEFT JOIN candidates c ON c.id = t.candidate_id`,
+    poll: 't.poll_id',
+    time: 't.created_at',
+    order: 't.id',
+  },
+  // Votes are summed from the ledger, within the date range when one is given.
+  candidates: {
+    sql: `SELECT c.id, c.poll_id, p.question AS poll, c.name, c.position,
+        COALESCE((SELECT SUM(l.delta) FROM vote_ledger l WHERE l.candidate_id = c.id /*range*/), 0) AS votes
+      FROM candidates c LEFT JOIN polls p ON p.id = c.poll_id`,
+    poll: 'c.poll_id',
+    time: 'l.created_at',
+    order: 'c.poll_id, c.position, c.id',
+  },
+};
+
+function sqlTime(v) {
+  const t = new Date(v);
+  return Number.isNaN(t.getTime()) ? null : t.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Rows of `table` ('transactions' | 'candidates') for { poll_id, from, to }.
+ * A bare date in `to` means through the end of that day, as in the
+ * transactions list. Returns { columns, rows } or { error }.
+ */
+function exportRows(db, table, { poll_id, from, to } = {}) {
+  const spec = EXPORTS[table];
+  if (!spec) return { error:`Unknown export "${table}" (use ${Object.keys(EXPORTS).join(' or ')})` };
+
+  const range = [];
+  const rangeArgs = [];
+  for (const [key, value, op] of [['from', from, '>='], ['to', to, '<']]) {
+    if (!value) continue;
+    const bareDay = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const t = sqlTime(bareDay ? Date.parse(value) + 86400000 : value);
+    if (!t) return { error:`Invalid ${key}` };
+    range.push(`${spec.time} ${op} ?`);
+    rangeArgs.push(t);
+  }
+
+  let sql = spec.sql;
+  const where = [];
+  const args = [];
+  if (table === 'candidates') {
+    sql = sql.replace('/*range*/', range.map(r => `AND ${r}`).join(' '));
+    args.push(...rangeArgs);
+  } else {
+    where.push(...range);
+    args.push(...rangeArgs);
+  }
+  if (poll_id) {
+    const id = Number(poll_id);
+    if (!Number.isInteger(id)) return { error:'Invalid poll_id' };
+    where.push(`${spec.poll}=?`);
+    args.push(id);
+  }
+  sql += `${where.length ? ' WHERE ' + where.join(' AND ') : ''} ORDER BY ${spec.order}`;
+  const stmt = db.prepare(sql);
+  return { columns: stmt.columns().map(c => c.name), rows: stmt.all(...args) };
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  let s = String(v);
+  // Keep spreadsheets from running a cell as a formula.
+  if (/^[=+\-@\t\r]/.test(s) && typeof v === 'string') s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** rows → CSV with a header line; CRLF line ends as RFC 4180 asks */
+function toCSV(rows, columns = rows.length ? Object.keys(rows[0]) : []) {
+  return [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(line => line.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  backupDir, backupName, isBackupName, backupDatabase, listBackups,
+  validateBackup, restoreDatabase, exportRows, toCSV,
+};
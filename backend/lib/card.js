@@ -0,0 +1,118 @@
+// backend/lib/card.js
+// The 1200×630 results card served at /api/polls/:id/card.svg, for link
+// previews and for sharing the week's result as an image, and the same card
+// rasterised at /api/polls/:id/card.png for the unfurlers that skip SVG
+// (Facebook, Instagram, X and most chat apps).
+//
+// Only presentation attributes, no <style> or external fonts: the card is
+// served under the API's `default-src 'none'` CSP and must render the same
+// as an <img> and when opened directly.
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MAX_ROWS = 6;
+const FONT = 'Helvetica, Arial, sans-serif';
+
+function escapeXml(v) {
+  return String(v ?? '').replace(/[<>&"']/g, ch => ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', '"':'&quot;', "'":'&apos;' }[ch]));
+}
+
+/** Greedy word wrap to at most `lines` lines of `width` characters; "…" marks a cut. */
+function wrapText(text, width, lines) {
+  const out = [];
+  let cur = '';
+  for (const w of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    if (!cur) cur = w;
+    else if (cur.length + 1 + w.length <= width) cur += ` ${w}`;
+    else { out.push(cur); cur = w; }
+  }
+  if (cur) out.push(cur);
+  const kept = out.slice(0, lines).map(l => (l.length > width ? `${l.slice(0, width - 1)}…` : l));
+  if (out.length > lines && !kept[lines - 1].endsWith('…')) kept[lines - 1] = `${kept[lines - 1].slice(0, width - 1)}…`;
+  return kept;
+}
+
+/** Same rounding as the voter page: percent with one decimal, all zeros before any vote. */
+function shares(candidates, total) {
+  return candidates.map(c => (total ? Math.round((c.tally / total) * 1000) / 10 : 0));
+}
+
+/**
+ * SVG results card for a poll as returned by pollWithResults():
+ * { question, glow, status, closes_at, total, candidates:[{ name, color, tally }] }.
+ */
+function renderResultsCard(poll, { title = 'Today Question' } = {}) {
+  const glow = poll.glow || '#00ffff';
+  const total = poll.total || 0;
+  const pct = shares(poll.candidates, total);
+  const rows = poll.candidates.slice(0, MAX_ROWS);
+  const hidden = poll.candidates.length - rows.length;
+
+  const question = wrapText(poll.question || 'This week’s question', 34, 2);
+  const top = 150 + (question.length - 1) * 64;
+  const rowH = Math.min(64, Math.floor((HEIGHT - top - 90) / Math.max(rows.length, 1)));
+
+  const bars = rows.map((c, i) => {
+    const y = top + 40 + i * rowH;
+    const color = escapeXml(c.color || glow);
+    const barW = Math.round(560 * pct[i] / 100);
+    return `
+  <text x="80" y="${y + 28}" font-family="${FONT}" font-size="30" font-weight="700" fill="#ffffff">${escapeXml(wrapText(c.name, 22, 1)[0] || '')}</text>
+  <rect x="460" y="${y + 8}" width="560" height="26" rx="13" fill="#ffffff" fill-opacity="0.1"/>
+  ${barW > 0 ? `<rect x="460" y="${y + 8}" width="${barW}" height="26" rx="13" fill="${color}"/>` : ''}
+  <text x="1120" y="${y + 30}" font-family="${FONT}" font-size="26" fill="#d1d5db" text-anchor="end">${pct[i]}%</text>`;
+  }).join('');
+
+  const status = poll.status === 'open' ? 'Voting open' : 'Final results';
+  const footer = [
+    `${total} vote${total === 1 ? '' : 's'}`,
+    status,
+    hidden > 0 ? `+${hidden} more` : null,
+  ].filter(Boolean).join('  ·  ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeXml(poll.question)}">
+  <defs>
+    <filter id="glow" x="-20%" y="-50%" width="140%" height="200%">
+      <feGaussianBlur stdDeviation="8" result="blur"/>
+      <feMerge><feMergeNode in="blur"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="#000000"/>
+  <rect x="24" y="24" width="${WIDTH - 48}" height="${HEIGHT - 48}" rx="28" fill="none" stroke="${escapeXml(glow)}" stroke-width="3" filter="url(#glow)"/>
+  <text x="80" y="92" font-family="${FONT}" font-size="24" fill="#9ca3af">${escapeXml(title)}</text>
+  ${question.map((line, i) => `<text x="80" y="${150 + i * 64}" font-family="${FONT}" font-size="54" font-weight="800" fill="#ffffff" stroke="${escapeXml(glow)}" stroke-width="1" filter="url(#glow)">${escapeXml(line)}</text>`).join('\n  ')}${bars}
+  <text x="80" y="${HEIGHT - 60}" font-family="${FONT}" font-size="24" fill="#9ca3af">${escapeXml(footer)}</text>
+</svg>
+`;
+}
+
+// Rasterising takes a few hundred ms, mostly loading fonts, so it runs on
+// libuv's thread pool rather than the event loop. A card only changes when a
+// vote lands: keep the last few renders (in flight or done) by their SVG, so
+// a burst of unfurlers for one card costs one render.
+const PNG_CACHE_SIZE = 20;
+const pngCache = new Map();
+
+/**
+ * The card as a PNG, resolved off the event loop. Helvetica and Arial are
+ * rarely installed on a server, so text falls back to `CARD_FONT` (default
+ * DejaVu Sans) from the system fonts.
+ */
+function renderResultsPng(poll, opts, env = process.env) {
+  const svg = renderResultsCard(poll, opts);
+  let png = pngCache.get(svg);
+  if (!png) {
+    const { renderAsync } = require('@resvg/resvg-js');
+    const fallback = env.CARD_FONT || 'DejaVu Sans';
+    png = renderAsync(svg, {
+      font: { loadSystemFonts: true, defaultFontFamily: fallback, sansSerifFamily: fallback },
+    }).then(image => image.asPng());
+    png.catch(() => pngCache.delete(svg));
+    if (pngCache.size >= PNG_CACHE_SIZE) pngCache.delete(pngCache.keys().next().value);
+    pngCache.set(svg, png);
+  }
+  return png;
+}
+
+module.exports = { renderResultsCard, renderResultsPng, wrapText, escapeXml };
@@ -0,0 +1,100 @@
+// backend/lib/crediting.js
+// The only code that turns a payment into votes, or takes them back.
+//
+// verify-session and the webhook can both see the same paid session at the
+// same moment, so nothing here trusts an earlier read: every state change is
+// a conditional UPDATE inside the transaction that books the ledger row, and
+// only the caller whose UPDATE changed a row counts the votes.
+
+const { appendLedger, newReceiptCode } = require('./ledger');
+const { logger } = require('./logger');
+
+// A refunded or disputed payment takes its votes back out of the tally.
+const REVERSED_STATUSES = ['refunded', 'disputed'];
+
+function paymentIntentId(obj) {
+  const pi = obj && obj.payment_intent;
+  return (pi && typeof pi === 'object' ? pi.id : pi) || null;
+}
+
+// Every function takes an optional `log`, normally the request's logger so
+// the lines carry its request id. onCounted(row) and onReversed(row, status)
+// run inside the transaction that moved the votes, after the ledger row.
+function createCrediting({
+  db, onChange = () => {}, onCounted = () => {}, onReversed = () => {},
+  log: baseLog = logger.child({ component: 'payments' }),
+}) {
+  const bySession = db.prepare('SELECT * FROM transactions WHERE session_id=?');
+  // 'expired' is included: a session can still be paid after we gave up on it.
+  // The receipt code is handed out here, once, by whichever caller wins.
+  const markPaid = db.prepare(`UPDATE transactions
+    SET paid=1, status='paid', paid_at=CURRENT_TIMESTAMP, payment_intent=COALESCE(?, payment_intent),
+      receipt=COALESCE(receipt, ?)
+    WHERE session_id=? AND paid=0 AND status IN ('pending', 'expired')`);
+  const markExpired = db.prepare("UPDATE transactions SET status='expired' WHERE session_id=? AND paid=0 AND status='pending'");
+  const markReversed = db.prepare("UPDATE transactions SET status=?, reversed_at=CURRENT_TIMESTAMP WHERE id=? AND status='paid'");
+  const receiptOf = db.prepare('SELECT receipt FROM transactions WHERE id=?');
+  const findEvent = db.prepare('SELECT 1 FROM stripe_events WHERE id=?');
+  const insertEvent = db.prepare('INSERT OR IGNORE INTO stripe_events (id, type) VALUES (?, ?)');
+
+  /** Has this Stripe event already been handled? */
+  function seenEvent(eventId) {
+    return !!findEvent.get(eventId);
+  }
+
+  /** Remember a handled event. Returns false if it was already recorded. */
+  function recordEvent(event) {
+    return !!event && insertEvent.run(event.id, event.type).changes === 1;
+  }
+
+  /**
+   * Count a paid Checkout Session, once. Pass the webhook `event` to record
+   * it in the same transaction. Returns true only for the call that counted it.
+   */
+  function creditSession(sessionId, { paymentIntent = null, event = null, log = baseLog } = {}) {
+    const trx = db.transaction(() => {
+      if (event && !recordEvent(event)) return null;
+      if (markPaid.run(paymentIntent, newReceiptCode(), sessionId).changes === 0) return null;
+      const row = bySession.get(sessionId);
+      appendLedger(db, { poll_id: row.poll_id, candidate_id: row.candidate_id, delta: row.votes, kind: 'payment',
+        transaction_id: row.id, session_id: row.session_id, payment_intent: row.payment_intent, receipt: row.receipt });
+      onCounted(row);
+      return row;
+    })();
+    if (!trx) return false;
+    log.info('Votes credited', { session_id: sessionId, votes: trx.votes, candidate_id: trx.candidate_id, poll_id: trx.poll_id,
+      receipt: trx.receipt });
+    onChange();
+    return true;
+  }
+
+  /** Give up on an unpaid session. Returns true if it was still pending. */
+  function expireSession(sessionId) {
+    return markExpired.run(sessionId).changes === 1;
+  }
+
+  /**
+   * Move a counted transaction to `status` and subtract its votes, once.
+   * `within(trx)` runs inside the same transaction (the admin route audits there).
+   */
+  function reverseTransaction(trx, status, within, log = baseLog) {
+    const reversed = db.transaction(() => {
+      if (markReversed.run(status, trx.id).changes === 0) return false;
+      const { receipt } = receiptOf.get(trx.id);
+      appendLedger(db, { poll_id: trx.poll_id, candidate_id: trx.candidate_id, delta: -trx.votes, kind: 'reversal',
+        transaction_id: trx.id, session_id: trx.session_id, payment_intent: trx.payment_intent, reason: status, receipt });
+      onReversed({ ...trx, receipt }, status);
+      if (within) within(trx);
+      return true;
+    })();
+    if (reversed) {
+      log.info('Votes reversed', { session_id: trx.session_id, status, votes: trx.votes, candidate_id: trx.candidate_id });
+      onChange();
+    }
+    return reversed;
+  }
+
+  return { creditSession, expireSession, reverseTransaction, seenEvent, recordEvent };
+}
+
+module.exports = { createCrediting, paymentIntentId, REVERSED_STATUSES };
@@ -0,0 +1,66 @@
+// backend/lib/currencies.js
+// The currencies checkout accepts. The frontend builds its picker from
+// GET /api/currencies, so this is the only list to edit.
+//
+//   CURRENCIES="USD,EUR,GBP"   limit the allowlist (default: every priced currency)
+//   DEFAULT_CURRENCY="EUR"     preselected in the picker (default: USD)
+
+const { decimalsFor, minimumMinor } = require('./pricing');
+const log = require('./logger').logger.child({ component: 'currencies' });
+
+const CURRENCY_NAMES = {
+  USD: 'US Dollar', CAD: 'Canadian Dollar', EUR: 'Euro', GBP: 'British Pound',
+  AUD: 'Australian Dollar', NZD: 'New Zealand Dollar', JPY: 'Japanese Yen',
+  AED: 'UAE Dirham', SAR: 'Saudi Riyal', INR: 'Indian Rupee', NGN: 'Nigerian Naira',
+  ZAR: 'South African Rand', BRL: 'Brazilian Real', MXN: 'Mexican Peso',
+  CHF: 'Swiss Franc', SEK: 'Swedish Krona', NOK: 'Norwegian Krone', DKK: 'Danish Krone',
+  PLN: 'Polish Złoty', RON: 'Romanian Leu', TRY: 'Turkish Lira', ILS: 'Israeli New Shekel',
+  HKD: 'Hong Kong Dollar', SGD: 'Singapore Dollar', CZK: 'Czech Koruna',
+};
+
+/** "usd " → "USD"; anything that isn't a three-letter code → null */
+function normalizeCurrency(value) {
+  const c = String(value ?? '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+/**
+ * Resolve the allowlist against the price table. A currency without a
+ * price can't be charged, so it is dropped with a warning.
+ */
+function loadCurrencies(prices, env = process.env) {
+  const wanted = env.CURRENCIES
+    ? env.CURRENCIES.split(',').map(normalizeCurrency).filter(Boolean)
+    : Object.keys(prices);
+
+  const codes = [];
+  for (const code of wanted) {
+    if (codes.includes(code)) continue;
+    if (!prices[code]) {
+      log.warn('Currency has no vote price; leaving it out', { currency: code });
+      continue;
+    }
+    codes.push(code);
+  }
+  if (codes.length === 0) throw new Error('No supported currencies: check CURRENCIES and VOTE_PRICES');
+
+  const preferred = normalizeCurrency(env.DEFAULT_CURRENCY) || 'USD';
+  return {
+    codes,
+    default: codes.includes(preferred) ? preferred : codes[0],
+    has(code) { return codes.includes(code); },
+  };
+}
+
+/** Public description of each allowed currency */
+function currencyList(currencies, prices) {
+  return currencies.codes.map(code => ({
+    code,
+    name: CURRENCY_NAMES[code] || code,
+    decimals: decimalsFor(code),
+    unit_amount: prices[code],
+    minimum: minimumMinor(code),
+  }));
+}
+
+module.exports = { normalizeCurrency, loadCurrencies, currencyList };
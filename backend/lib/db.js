@@ -0,0 +1,21 @@
+// backend/lib/db.js
+// Opening the SQLite file, shared by the server and the CLI scripts.
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+// Default: file under backend/persist/votes.db (works on Render free)
+// You can override with DB_PATH if you want.
+function defaultDbPath(env = process.env) {
+  return env.DB_PATH || path.resolve(__dirname, '..', 'persist', 'votes.db');
+}
+
+function openDatabase(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  return db;
+}
+
+module.exports = { defaultDbPath, openDatabase };
@@ -0,0 +1,71 @@
+// backend/lib/health.js
+// Liveness and readiness for GET /api/health/live and /api/health/ready.
+//
+// Live only says the process answers. Ready checks what a vote needs: the
+// database reads and writes, runs in WAL mode and has every migration
+// applied. Payments are reported too, but a server without them still
+// serves the tally, so they don't make it unready; the frontend uses that
+// part to say "payments unavailable" instead of failing outright.
+
+const { migrationStatus } = require('./migrate');
+
+function check(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+function createHealth({ db, payments, startedAt = Date.now() }) {
+  function live() {
+    return { ok: true, uptime_s: Math.round((Date.now() - startedAt) / 1000) };
+  }
+
+  function database() {
+    return check(() => {
+      db.prepare('SELECT 1').get();
+      db.prepare(`INSERT INTO health_check (id, checked_at) VALUES (1, CURRENT_TIMESTAMP)
+        ON CONFLICT(id) DO UPDATE SET checked_at = excluded.checked_at`).run();
+      const journalMode = db.pragma('journal_mode', { simple: true });
+      // Not in WAL mode, readers block behind writers; slower but correct.
+      return { ok: true, read: true, write: true, journal_mode: journalMode, wal: journalMode === 'wal' };
+    });
+  }
+
+  function schema() {
+    return check(() => {
+      const rows = migrationStatus(db);
+      const pending = rows.filter(r => !r.applied_at).map(r => r.version);
+      const unknown = rows.filter(r => r.unknown).map(r => r.version);
+      const applied = rows.filter(r => r.applied_at).map(r => r.version);
+      return {
+        // unknown versions mean the database was migrated by newer code
+        ok: pending.length === 0 && unknown.length === 0,
+        version: applied.length ? Math.max(...applied) : 0,
+        latest: rows.filter(r => !r.unknown).reduce((n, r) => Math.max(n, r.version), 0),
+        ...(pending.length ? { pending } : {}),
+        ...(unknown.length ? { unknown } : {}),
+      };
+    });
+  }
+
+  function paymentsCheck() {
+    if (!payments) return { ok: false, provider: null, webhook: false, reason: 'No payment provider configured' };
+    if (!payments.webhookConfigured) {
+      // Checkout still works; votes are counted when the voter comes back to verify-session.
+      return { ok: true, provider: payments.name, webhook: false, warning: 'Webhook secret not configured' };
+    }
+    return { ok: true, provider: payments.name, webhook: true };
+  }
+
+  /** { ok, checks: { database, schema, payments } }; ok ignores payments */
+  function ready() {
+    const checks = { database: database(), schema: schema(), payments: paymentsCheck() };
+    return { ok: checks.database.ok && checks.schema.ok, checks };
+  }
+
+  return { live, ready };
+}
+
+module.exports = { createHealth };
@@ -0,0 +1,89 @@
+// backend/lib/ledger.js
+// vote_ledger writes. A candidate's tally is the sum of its ledger deltas;
+// candidates.tally is a cache kept in step by appendLedger.
+//
+// The ledger is also a hash chain. Each row stores the previous row's hash
+// and its own:
+//
+//   hash = sha256hex(prev_hash + "\n" + poll_id|candidate_id|delta|kind|receipt|created_at)
+//
+// with receipt "" when there is none and GENESIS_HASH before the first row.
+// Changing, removing or reordering any row changes every hash after it, so
+// anyone holding the head hash can check a copy of the ledger against it.
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Crockford base32: no I, L, O or U to misread.
+const RECEIPT_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/** "7KQ2-M9XD-4RTA": 60 random bits, public, and not derived from anything Stripe knows */
+function newReceiptCode() {
+  const bytes = crypto.randomBytes(12);
+  let code = '';
+  for (let i = 0; i < 12; i++) code += RECEIPT_ALPHABET[bytes[i] & 31];
+  return code.match(/.{4}/g).join('-');
+}
+
+/** " 7kq2 m9xd-4rta " → "7KQ2-M9XD-4RTA"; null if it can't be a code */
+function normalizeReceiptCode(value) {
+  const raw = String(value ?? '').toUpperCase().replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1').replace(/O/g, '0');
+  if (!/^[0-9A-HJKMNP-TV-Z]{12}$/.test(raw)) return null;
+  return raw.match(/.{4}/g).join('-');
+}
+
+function chainHash(prevHash, { poll_id, candidate_id, delta, kind, receipt, created_at }) {
+  const line = [poll_id, candidate_id, delta, kind, receipt ?? '', created_at].join('|');
+  return crypto.createHash('sha256').update(`${prevHash}\n${line}`).digest('hex');
+}
+
+function chainHead(db) {
+  return db.prepare('SELECT hash FROM vote_ledger ORDER BY id DESC LIMIT 1').get()?.hash || GENESIS_HASH;
+}
+
+/**
+ * Book `delta` votes for a candidate: one vote_ledger row, chained onto the
+ * last one, plus the cached counter. Call inside the db.transaction that
+ * makes the change.
+ */
+function appendLedger(db, { poll_id, candidate_id, delta, kind, transaction_id = null,
+  session_id = null, payment_intent = null, reason = null, receipt = null }) {
+  const created_at = new Date().toISOString().replace('T', ' ').slice(0, 19);
+  const prev_hash = chainHead(db);
+  const hash = chainHash(prev_hash, { poll_id, candidate_id, delta, kind, receipt, created_at });
+  db.prepare(`INSERT INTO vote_ledger
+    (poll_id, candidate_id, delta, kind, transaction_id, session_id, payment_intent, reason, receipt, created_at, prev_hash, hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(poll_id, candidate_id, delta, kind, transaction_id, session_id, payment_intent, reason, receipt,
+      created_at, prev_hash, hash);
+  db.prepare('UPDATE candidates SET tally=tally+? WHERE id=?').run(delta, candidate_id);
+}
+
+function ledgerTally(db, candidateId) {
+  return db.prepare('SELECT COALESCE(SUM(delta), 0) AS t FROM vote_ledger WHERE candidate_id=?').get(candidateId).t;
+}
+
+/**
+ * Walk exported entries (oldest first) and recompute everything.
+ * Returns { ok, head, length, tally: { candidate_id: votes }, broken_at? }
+ * where broken_at is the id of the first entry whose hashes don't match.
+ */
+function verifyChain(entries) {
+  let prev = GENESIS_HASH;
+  const tally = {};
+  for (const e of entries) {
+    if (e.prev_hash !== prev || chainHash(prev, e) !== e.hash) {
+      return { ok: false, head: prev, length: entries.length, tally, broken_at: e.id };
+    }
+    tally[e.candidate_id] = (tally[e.candidate_id] || 0) + e.delta;
+    prev = e.hash;
+  }
+  return { ok: true, head: prev, length: entries.length, tally };
+}
+
+module.exports = {
+  GENESIS_HASH, appendLedger, ledgerTally, chainHash, chainHead, verifyChain,
+  newReceiptCode, normalizeReceiptCode,
+};
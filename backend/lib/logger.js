@@ -0,0 +1,40 @@
+// backend/lib/logger.js
+// JSON lines on stdout: { time, level, msg, ...fields }. child() adds fields
+// to every line it writes, which is how a request id or a Checkout Session
+// id follows a payment through the logs.
+//
+//   LOG_LEVEL=debug|info|warn|error|silent   (default info)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors don't survive JSON.stringify on their own.
+function serialize(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    out[k] = v instanceof Error ? { type: v.name, message: v.message, stack: v.stack, ...(v.code ? { code: v.code } : {}) } : v;
+  }
+  return out;
+}
+
+function createLogger({ level = process.env.LOG_LEVEL, write = line => process.stdout.write(line + '\n'), fields = {} } = {}) {
+  const min = LEVELS[String(level || 'info').toLowerCase()] ?? LEVELS.info;
+
+  function emit(lvl, msg, extra) {
+    if (LEVELS[lvl] < min) return;
+    write(JSON.stringify({ time: new Date().toISOString(), level: lvl, msg, ...serialize({ ...fields, ...extra }) }));
+  }
+
+  return {
+    level: Object.keys(LEVELS).find(k => LEVELS[k] === min),
+    debug: (msg, extra) => emit('debug', msg, extra),
+    info:  (msg, extra) => emit('info', msg, extra),
+    warn:  (msg, extra) => emit('warn', msg, extra),
+    error: (msg, extra) => emit('error', msg, extra),
+    child: more => createLogger({ level, write, fields: { ...fields, ...more } }),
+  };
+}
+
+// For library code that has no request to log against.
+const logger = createLogger();
+
+module.exports = { createLogger, logger, LEVELS };
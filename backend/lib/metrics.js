@@ -0,0 +1,81 @@
+// backend/lib/metrics.js
+// A small Prometheus registry: counters, gauges read at scrape time, and
+// histograms, rendered in the text exposition format for GET /api/metrics.
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  return v === Infinity ? '+Inf' : v === -Infinity ? '-Inf' : String(v);
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function header(name, help, type) {
+    return `# HELP ${name} ${help.replace(/\n/g, ' ')}\n# TYPE ${name} ${type}\n`;
+  }
+
+  /** counter.inc({ label: value }, n = 1) */
+  function counter(name, help) {
+    const values = new Map();
+    metrics.push(() => header(name, help, 'counter') +
+      [...values.values()].map(({ labels, value }) => `${name}${labelString(labels)} ${value}\n`).join(''));
+    return {
+      inc(labels = {}, n = 1) {
+        const key = labelString(labels);
+        const cur = values.get(key) || { labels, value: 0 };
+        cur.value += n;
+        values.set(key, cur);
+      },
+    };
+  }
+
+  /** collect() → [{ labels, value }], called on every scrape */
+  function gauge(name, help, collect) {
+    metrics.push(() => header(name, help, 'gauge') +
+      collect().map(({ labels = {}, value }) => `${name}${labelString(labels)} ${formatValue(value)}\n`).join(''));
+  }
+
+  /** histogram.observe({ label: value }, seconds) */
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push(() => header(name, help, 'histogram') + [...series.values()].map(s => {
+      let out = '';
+      buckets.forEach((le, i) => { out += `${name}_bucket${labelString({ ...s.labels, le })} ${s.counts[i]}\n`; });
+      out += `${name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}\n`;
+      out += `${name}_sum${labelString(s.labels)} ${s.sum}\n`;
+      out += `${name}_count${labelString(s.labels)} ${s.count}\n`;
+      return out;
+    }).join(''));
+    return {
+      observe(labels, value) {
+        const key = labelString(labels);
+        let s = series.get(key);
+        if (!s) series.set(key, s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+        s.sum += value;
+        s.count += 1;
+      },
+    };
+  }
+
+  return {
+    counter, gauge, histogram,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    render() {
+      return metrics.map(m => m()).join('');
+    },
+  };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
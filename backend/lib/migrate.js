@@ -0,0 +1,109 @@
+// backend/lib/migrate.js
+// Numbered schema migrations. Each file in backend/migrations is
+// NNN_description.js and exports `up(db)`; applied versions are recorded in
+// schema_version. Every migration runs in its own transaction together with
+// its schema_version row, so a failure leaves the database as it was.
+//
+// A migration that rebuilds a table can export `foreignKeys: false`; SQLite
+// only lets that be switched outside a transaction, so the runner does it.
+//
+// Never edit a migration that has shipped. Add a new one.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+const SQL_CREATE_SCHEMA_VERSION = `CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);`;
+
+/* ---------- Helpers for migration files ---------- */
+function hasTable(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+function hasColumn(db, table, col) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === col);
+}
+/** ALTER TABLE … ADD COLUMN unless it's there; true if it was added */
+function addColumnIfMissing(db, table, col, ddl) {
+  if (hasColumn(db, table, col)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${col} ${ddl}`);
+  return true;
+}
+
+/* ---------- Runner ---------- */
+/** Migration files in version order. Throws on a malformed name or a reused number. */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const list = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.js')) continue;
+    const m = file.match(FILE_RE);
+    if (!m) throw new Error(`Bad migration file name "${file}" (expected NNN_description.js)`);
+    const version = Number(m[1]);
+    if (list.some(x => x.version === version)) throw new Error(`Two migrations use version ${version}`);
+    const mod = require(path.join(dir, file));
+    if (typeof mod.up !== 'function') throw new Error(`Migration ${file} does not export up(db)`);
+    list.push({ version, name: `${m[1]}_${m[2]}`, up: mod.up, foreignKeys: mod.foreignKeys !== false });
+  }
+  return list.sort((a, b) => a.version - b.version);
+}
+
+function appliedVersions(db) {
+  db.exec(SQL_CREATE_SCHEMA_VERSION);
+  return new Map(db.prepare('SELECT version, name, applied_at FROM schema_version').all().map(r => [r.version, r]));
+}
+
+/**
+ * Apply every pending migration in order. Returns the names applied.
+ * Stops at the first failure and rethrows it.
+ */
+function migrate(db, { dir = MIGRATIONS_DIR, log = logger.child({ component: 'db' }) } = {}) {
+  const applied = appliedVersions(db);
+  const known = loadMigrations(dir);
+  const newer = [...applied.keys()].filter(v => !known.some(m => m.version === v));
+  if (newer.length) log.warn("Database has migrations this code doesn't know", { versions: newer });
+
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+  const done = [];
+  for (const m of known) {
+    if (applied.has(m.version)) continue;
+    const fkWasOn = db.pragma('foreign_keys', { simple: true }) === 1;
+    if (!m.foreignKeys && fkWasOn) db.pragma('foreign_keys = OFF');
+    try {
+      db.transaction(() => {
+        m.up(db);
+        record.run(m.version, m.name);
+      })();
+    } catch (e) {
+      e.message = `Migration ${m.name} failed: ${e.message}`;
+      throw e;
+    } finally {
+      if (!m.foreignKeys && fkWasOn) db.pragma('foreign_keys = ON');
+    }
+    log.info('Applied migration', { migration: m.name });
+    done.push(m.name);
+  }
+  return done;
+}
+
+/** [{ version, name, applied_at }] for every file and every recorded version; applied_at null = pending */
+function migrationStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+  const applied = appliedVersions(db);
+  const rows = loadMigrations(dir).map(m => ({
+    version: m.version, name: m.name, applied_at: applied.get(m.version)?.applied_at || null,
+  }));
+  for (const [version, r] of applied) {
+    if (!rows.some(x => x.version === version)) rows.push({ ...r, unknown: true });
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+module.exports = {
+  MIGRATIONS_DIR, migrate, migrationStatus, loadMigrations,
+  hasTable, hasColumn, addColumnIfMissing,
+};
@@ -0,0 +1,52 @@
+// backend/lib/payments/index.js
+// Picks the payment provider checkout, verify and the webhook talk to.
+//
+//   PAYMENT_PROVIDER=stripe   real payments (default when STRIPE_SECRET_KEY is set)
+//   PAYMENT_PROVIDER=mock     local checkout page and signed webhooks, no network
+//
+// Every provider has the same shape, modelled on the parts of Stripe we use:
+//
+//   name
+//   createCheckoutSession(params)       Stripe Checkout params → { id, url }
+//   retrieveSession(id)                 → { id, payment_status, payment_intent }
+//   findSessionByPaymentIntent(pi)      → session or null
+//   createRefund({ payment_intent, metadata }) → { id }
+//   paymentIntentForCharge(chargeId)    → payment intent id or null
+//   webhookConfigured                   false when events can't be verified
+//   constructEvent(rawBody, headers)    verified { id, type, data: { object } }; throws if the signature is bad
+//   router                              optional Express routes the provider needs (the mock checkout page)
+
+const { createStripeProvider } = require('./stripe');
+const { createMockProvider } = require('./mock');
+const log = require('../logger').logger.child({ component: 'payments' });
+
+const PROVIDERS = ['stripe', 'mock'];
+
+/** Build the configured provider, or null when payments are switched off. */
+function loadPaymentProvider(env = process.env, { backendUrl } = {}) {
+  const secret = (env.STRIPE_SECRET_KEY || '').trim();
+  const name = (env.PAYMENT_PROVIDER || (secret ? 'stripe' : '')).trim().toLowerCase();
+  if (!name) return null;
+  if (!PROVIDERS.includes(name)) throw new Error(`Unknown PAYMENT_PROVIDER "${name}" (use ${PROVIDERS.join(' or ')})`);
+
+  if (name === 'mock') {
+    // Mock sessions are paid by clicking a button.
+    if (env.NODE_ENV === 'production') throw new Error('PAYMENT_PROVIDER=mock is not allowed in production');
+    return createMockProvider({ backendUrl, webhookSecret: env.MOCK_WEBHOOK_SECRET });
+  }
+
+  if (!secret) {
+    log.error('PAYMENT_PROVIDER=stripe but STRIPE_SECRET_KEY is not set');
+    return null;
+  }
+  try {
+    const Stripe = require('stripe');
+    const client = new Stripe(secret, { apiVersion: '2024-06-20' });
+    return createStripeProvider(client, { webhookSecret: env.STRIPE_WEBHOOK_SECRET });
+  } catch (e) {
+    log.error('Stripe init failed', { err: e });
+    return null;
+  }
+}
+
+module.exports = { loadPaymentProvider, createStripeProvider, createMockProvider, PROVIDERS };
@@ -0,0 +1,182 @@
+// backend/lib/payments/mock.js
+// A stand-in for Stripe that never leaves the machine. Checkout redirects to
+// a page served by this backend with Pay and Cancel buttons; either choice
+// sends a signed webhook back to /api/payments/webhook, the same way Stripe
+// would, before returning the browser to the success or cancel URL.
+//
+// Sessions live in memory, so they are gone after a restart.
+
+const crypto = require('crypto');
+const express = require('express');
+const { decimalsFor } = require('../pricing');
+const log = require('../logger').logger.child({ component: 'payments', provider: 'mock' });
+
+const SIGNATURE_HEADER = 'mock-signature';
+const TOLERANCE_SECONDS = 300;
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, ch => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[ch]));
+}
+
+/** Stripe-style header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.payload"> */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${sig}`;
+}
+
+function verifySignature(payload, header, secret) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1) throw new Error('Missing or malformed signature header');
+  if (Math.abs(Date.now() / 1000 - t) > TOLERANCE_SECONDS) throw new Error('Signature timestamp outside tolerance');
+  const expected = Buffer.from(signPayload(payload, secret, t).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('No signature matches the payload');
+  }
+}
+
+/**
+ * `deliver(url, body, headers)` posts a webhook; the default uses fetch.
+ * Without MOCK_WEBHOOK_SECRET a random one is made, which is fine because
+ * this process both signs and verifies.
+ */
+function createMockProvider({ backendUrl, webhookSecret, deliver } = {}) {
+  const secret = webhookSecret || crypto.randomBytes(24).toString('hex');
+  const webhookUrl = `${backendUrl}/api/payments/webhook`;
+  const sessions = new Map();
+
+  const post = deliver || (async (url, body, headers) => {
+    const r = await fetch(url, { method: 'POST', headers, body });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  });
+
+  async function sendEvent(type, object) {
+    const payload = JSON.stringify({ id: randomId('evt_mock'), type, created: Math.floor(Date.now() / 1000),
+      data: { object } });
+    try {
+      await post(webhookUrl, payload, { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(payload, secret) });
+    } catch (e) {
+      // verify-session still credits a paid session, so the votes aren't lost.
+      log.error('Mock webhook delivery failed', { event_type: type, err: e });
+    }
+  }
+
+  function publicSession(s) {
+    const { line_items: _items, success_url: _s, cancel_url: _c, ...rest } = s;
+    return { ...rest };
+  }
+
+  function page(s) {
+    const decimals = decimalsFor(s.currency);
+    const money = n => `${(n / 10 ** decimals).toFixed(decimals)} ${s.currency.toUpperCase()}`;
+    const rows = s.line_items.map(l =>
+      `<tr><td>${escapeHtml(l.price_data.product_data.name)}</td><td>× ${l.quantity}</td>` +
+      `<td>${money(l.price_data.unit_amount * l.quantity)}</td></tr>`).join('');
+    const done = s.status !== 'open'
+      ? `<p>This session is ${escapeHtml(s.status)}.</p>`
+      : `<form method="post" action="/mock-checkout/${s.id}/pay"><button class="pay">Pay ${money(s.amount_total)}</button></form>
+         <form method="post" action="/mock-checkout/${s.id}/cancel"><button>Cancel</button></form>`;
+    return `<!doctype html><html><head><meta charset="utf-8"><title>Mock checkout</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>body{font-family:system-ui,sans-serif;background:#111;color:#eee;max-width:28rem;margin:3rem auto;padding:0 1rem}
+table{width:100%;border-collapse:collapse;margin:1rem 0}td{padding:.3rem 0;border-bottom:1px solid #333}
+button{width:100%;padding:.7rem;margin:.3rem 0;border:0;border-radius:.5rem;font-size:1rem;cursor:pointer}
+.pay{background:#22c55e;color:#000;font-weight:600}small{color:#888}</style></head>
+<body><h1>Mock checkout</h1><small>No money moves. PAYMENT_PROVIDER=mock</small>
+<table>${rows}</table><p><strong>Total: ${money(s.amount_total)}</strong></p>${done}</body></html>`;
+  }
+
+  const router = express.Router();
+  router.use('/mock-checkout', express.urlencoded({ extended: false }));
+
+  router.get('/mock-checkout/:id', (req,res)=>{
+    const s = sessions.get(req.params.id);
+    if (!s) return res.status(404).send('Unknown mock checkout session');
+    // The API's CSP forbids inline styles; this page has nothing else to load.
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'");
+    res.type('html').send(page(s));
+  });
+
+  router.post('/mock-checkout/:id/pay', async (req,res)=>{
+    const s = sessions.get(req.params.id);
+    if (!s) return res.status(404).send('Unknown mock checkout session');
+    if (s.status !== 'open') return res.redirect(303, `/mock-checkout/${s.id}`);
+    Object.assign(s, { status: 'complete', payment_status: 'paid', payment_intent: randomId('pi_mock') });
+    await sendEvent('checkout.session.completed', publicSession(s));
+    res.redirect(303, s.success_url.replace('{CHECKOUT_SESSION_ID}', s.id));
+  });
+
+  router.post('/mock-checkout/:id/cancel', async (req,res)=>{
+    const s = sessions.get(req.params.id);
+    if (!s) return res.status(404).send('Unknown mock checkout session');
+    if (s.status !== 'open') return res.redirect(303, `/mock-checkout/${s.id}`);
+    s.status = 'expired';
+    await sendEvent('checkout.session.expired', publicSession(s));
+    res.redirect(303, s.cancel_url);
+  });
+
+  return {
+    name: 'mock',
+
+    async createCheckoutSession(params) {
+      const id = randomId('cs_mock');
+      const amount = params.line_items.reduce((n, l) => n + l.price_data.unit_amount * l.quantity, 0);
+      sessions.set(id, {
+        id,
+        url: `${backendUrl}/mock-checkout/${id}`,
+        status: 'open',
+        payment_status: 'unpaid',
+        payment_intent: null,
+        currency: String(params.currency).toLowerCase(),
+        amount_total: amount,
+        metadata: params.metadata || {},
+        line_items: params.line_items,
+        success_url: params.success_url,
+        cancel_url: params.cancel_url,
+      });
+      return { id, url: `${backendUrl}/mock-checkout/${id}` };
+    },
+
+    async retrieveSession(id) {
+      const s = sessions.get(id);
+      if (!s) throw new Error(`No such mock checkout session: ${id}`);
+      return publicSession(s);
+    },
+
+    async findSessionByPaymentIntent(pi) {
+      for (const s of sessions.values()) if (s.payment_intent === pi) return publicSession(s);
+      return null;
+    },
+
+    // Like Stripe, the refund is confirmed again later by a charge.refunded event.
+    async createRefund({ payment_intent }) {
+      const s = [...sessions.values()].find(x => x.payment_intent === payment_intent);
+      if (!s) throw new Error(`No such mock payment: ${payment_intent}`);
+      setImmediate(() => sendEvent('charge.refunded', {
+        id: randomId('ch_mock'), payment_intent, refunded: true, amount_refunded: s.amount_total,
+      }));
+      return { id: randomId('re_mock') };
+    },
+
+    async paymentIntentForCharge() {
+      return null;
+    },
+
+    webhookConfigured: true,
+
+    constructEvent(rawBody, headers) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      verifySignature(payload, headers[SIGNATURE_HEADER], secret);
+      return JSON.parse(payload);
+    },
+
+    router,
+  };
+}
+
+module.exports = { createMockProvider, signPayload };
@@ -0,0 +1,40 @@
+// backend/lib/payments/stripe.js
+// The payment provider interface (see ./index.js) on top of a Stripe client.
+
+function createStripeProvider(stripe, { webhookSecret } = {}) {
+  return {
+    name: 'stripe',
+
+    async createCheckoutSession(params) {
+      const session = await stripe.checkout.sessions.create(params);
+      return { id: session.id, url: session.url };
+    },
+
+    retrieveSession(id) {
+      return stripe.checkout.sessions.retrieve(id);
+    },
+
+    async findSessionByPaymentIntent(pi) {
+      const list = await stripe.checkout.sessions.list({ payment_intent: pi, limit: 1 });
+      return list.data[0] || null;
+    },
+
+    createRefund({ payment_intent, metadata }) {
+      return stripe.refunds.create({ payment_intent, reason: 'requested_by_customer', metadata });
+    },
+
+    async paymentIntentForCharge(chargeId) {
+      const charge = await stripe.charges.retrieve(chargeId);
+      const pi = charge.payment_intent;
+      return (pi && typeof pi === 'object' ? pi.id : pi) || null;
+    },
+
+    webhookConfigured: !!webhookSecret,
+
+    constructEvent(rawBody, headers) {
+      return stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret);
+    },
+  };
+}
+
+module.exports = { createStripeProvider };
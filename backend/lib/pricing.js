@@ -0,0 +1,189 @@
+// backend/lib/pricing.js
+// Per-currency vote prices. Everything sent to Stripe is in the currency's
+// smallest unit: cents for USD, but whole yen for JPY (a zero-decimal currency).
+
+const log = require('./logger').logger.child({ component: 'pricing' });
+
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+]);
+
+// Price of one vote, in major units, picked to be roughly one US dollar.
+// Override any of them with VOTE_PRICES="USD:1.00,JPY:150,…". These are the
+// currencies we support (the same ones lib/currencies.js names), so
+// VOTE_PRICES can't add others: we'd know neither their name nor Stripe's minimum.
+const DEFAULT_PRICES = {
+  USD: '1.00', CAD: '1.40', EUR: '1.00', GBP: '1.00', AUD: '1.50',
+  NZD: '1.70', JPY: '150',  AED: '4.00', SAR: '4.00', INR: '85.00',
+  NGN: '1500', ZAR: '18.00', BRL: '5.50', MXN: '20.00', CHF: '1.00',
+  SEK: '11.00', NOK: '11.00', DKK: '7.00', PLN: '4.00', RON: '4.50',
+  TRY: '35.00', ILS: '3.70', HKD: '8.00', SGD: '1.35', CZK: '23.00',
+};
+
+// Smallest charge Stripe accepts, in major units.
+// https://docs.stripe.com/currencies#minimum-and-maximum-charge-amounts
+// Currencies Stripe doesn't list are settled in USD, so these are ~$0.50 equivalents.
+const STRIPE_MINIMUMS = {
+  USD: '0.50', CAD: '0.50', EUR: '0.50', GBP: '0.30', AUD: '0.50',
+  NZD: '0.50', JPY: '50',   AED: '2.00', SAR: '2.00', INR: '0.50',
+  NGN: '800',  ZAR: '10.00', BRL: '0.50', MXN: '10.00', CHF: '0.50',
+  SEK: '3.00', NOK: '3.00', DKK: '2.50', PLN: '2.00', RON: '2.00',
+  TRY: '20.00', ILS: '2.00', HKD: '4.00', SGD: '0.50', CZK: '15.00',
+};
+
+function decimalsFor(currency) {
+  return ZERO_DECIMAL.has(String(currency).toUpperCase()) ? 0 : 2;
+}
+
+/** "1.50" in USD → 150; "150" in JPY → 150 */
+function toMinor(major, currency) {
+  return Math.round(Number(major) * 10 ** decimalsFor(currency));
+}
+
+/**
+ * Build { CODE: minorPerVote } from the defaults and env overrides.
+ * VOTE_PRICE_MINOR, the old single price, still sets the USD price; since it
+ * goes to Stripe as is, anything but a whole number of cents stops startup.
+ */
+function loadPriceTable(env = process.env) {
+  const table = {};
+  for (const [code, major] of Object.entries(DEFAULT_PRICES)) table[code] = toMinor(major, code);
+
+  if (env.VOTE_PRICE_MINOR) {
+    const cents = Number(env.VOTE_PRICE_MINOR);
+    if (!Number.isSafeInteger(cents) || cents <= 0) {
+      throw new Error(`VOTE_PRICE_MINOR must be a whole number of cents above 0, got "${env.VOTE_PRICE_MINOR}"`);
+    }
+    table.USD = cents;
+  }
+
+  for (const pair of String(env.VOTE_PRICES || '').split(',')) {
+    const [code, major] = pair.split(':').map(s => s && s.trim());
+    if (!code || !major) continue;
+    if (!DEFAULT_PRICES[code.toUpperCase()]) {
+      log.warn('Ignoring VOTE_PRICES entry for an unsupported currency', { entry: pair });
+      continue;
+    }
+    const minor = toMinor(major, code);
+    if (!Number.isFinite(minor) || minor <= 0) {
+      log.warn('Ignoring bad VOTE_PRICES entry', { entry: pair });
+      continue;
+    }
+    table[code.toUpperCase()] = minor;
+  }
+  return table;
+}
+
+/* ---------- Bundles ---------- */
+// "votes:percentOff:maxPerCheckout", largest discount on the biggest bundle.
+// A checkout is split into bundles largest-first, each capped at its max.
+const DEFAULT_BUNDLES = '1:0:25,5:10:10,25:20:10,100:30:5';
+
+function loadBundles(env = process.env) {
+  const bundles = [];
+  for (const entry of String(env.VOTE_BUNDLES || DEFAULT_BUNDLES).split(',')) {
+    const [votes, pct = '0', max = '10'] = entry.split(':').map(s => s.trim());
+    const b = { votes: Number(votes), discount_pct: Number(pct), max_quantity: Number(max) };
+    const ok = Number.isInteger(b.votes) && b.votes > 0
+      && b.discount_pct >= 0 && b.discount_pct < 100
+      && Number.isInteger(b.max_quantity) && b.max_quantity > 0;
+    if (!ok || bundles.some(x => x.votes === b.votes)) {
+      log.warn('Ignoring bad VOTE_BUNDLES entry', { entry });
+      continue;
+    }
+    bundles.push(b);
+  }
+  // Without single votes most counts can't be bought at all.
+  if (!bundles.some(b => b.votes === 1)) bundles.push({ votes: 1, discount_pct: 0, max_quantity: 25 });
+  return bundles.sort((a, b) => a.votes - b.votes);
+}
+
+/** Most votes one checkout may buy: every bundle at its max, capped by MAX_VOTES_PER_CHECKOUT. */
+function maxVotesPerCheckout(bundles, env = process.env) {
+  const sum = bundles.reduce((n, b) => n + b.votes * b.max_quantity, 0);
+  const cap = Number(env.MAX_VOTES_PER_CHECKOUT);
+  return Number.isInteger(cap) && cap > 0 ? Math.min(cap, sum) : sum;
+}
+
+/** Price of one bundle in `unit`-priced currency, discount applied and rounded once. */
+function bundleAmount(unit, bundle) {
+  return Math.round(unit * bundle.votes * (100 - bundle.discount_pct) / 100);
+}
+
+/** 107 → [100×1, 5×1, 1×2]; null if the caps can't cover it */
+function splitIntoBundles(votes, bundles) {
+  let rest = votes;
+  const lines = [];
+  for (const b of [...bundles].sort((a, c) => c.votes - a.votes)) {
+    const quantity = Math.min(Math.floor(rest / b.votes), b.max_quantity);
+    if (quantity > 0) {
+      lines.push({ ...b, quantity });
+      rest -= quantity * b.votes;
+    }
+  }
+  return rest === 0 ? lines : null;
+}
+
+function minimumMinor(currency) {
+  const code = String(currency).toUpperCase();
+  return STRIPE_MINIMUMS[code] ? toMinor(STRIPE_MINIMUMS[code], code) : 0;
+}
+
+/**
+ * Price `votes` votes in `currency`, split into bundles. Returns null if the
+ * currency has no price. `tooMany` is set when the bundles' caps can't cover
+ * the count, `belowMinimum` when Stripe would reject the charge.
+ */
+function quote(table, currency, votes, bundles = loadBundles({}), maxVotes = Infinity) {
+  const code = String(currency || '').toUpperCase();
+  const unit = table[code];
+  if (!unit) return null;
+  const n = Math.max(1, Math.floor(Number(votes) || 1));
+  const split = n <= maxVotes ? splitIntoBundles(n, bundles) : null;
+
+  const lines = (split || []).map(b => ({
+    votes: b.votes,
+    quantity: b.quantity,
+    discount_pct: b.discount_pct,
+    unit_amount: bundleAmount(unit, b),
+  }));
+  const amount = lines.reduce((sum, l) => sum + l.unit_amount * l.quantity, 0);
+  const listAmount = unit * n;
+  const minimum = minimumMinor(code);
+  return {
+    currency: code,
+    decimals: decimalsFor(code),
+    votes: n,
+    unit_amount: unit,
+    lines,
+    list_amount: listAmount,
+    discount_amount: split ? listAmount - amount : 0,
+    amount,
+    minimum,
+    tooMany: !split,
+    belowMinimum: !!split && amount < minimum,
+  };
+}
+
+/** Bundles priced in one currency, for the bundle buttons. */
+function bundlePrices(table, currency, bundles) {
+  const unit = table[currency];
+  return bundles.map(b => ({ ...b, amount: bundleAmount(unit, b) }));
+}
+
+/** The public price list, one entry per currency. */
+function priceList(table) {
+  return Object.keys(table).map(code => ({
+    currency: code,
+    decimals: decimalsFor(code),
+    unit_amount: table[code],
+    minimum: minimumMinor(code),
+  }));
+}
+
+module.exports = {
+  ZERO_DECIMAL, decimalsFor, toMinor, loadPriceTable, minimumMinor, quote, priceList,
+  loadBundles, maxVotesPerCheckout, splitIntoBundles, bundlePrices,
+};
@@ -0,0 +1,124 @@
+// backend/lib/security.js
+// CORS and security headers.
+//
+// Origins are comma lists. Each entry is an exact origin, or has a `*`
+// standing for one or more DNS labels:
+//
+//   CORS_ORIGINS="https://vote.example.com,https://*.vercel.app,*.app.github.dev"
+//   CORS_ADMIN_ORIGINS="https://vote.example.com"      (default: FRONTEND_URL only)
+//   CORS_MAX_AGE=600                                   seconds browsers may cache a preflight
+//
+// An entry without a scheme matches http and https. A lone `*` allows every
+// origin, without credentials. CORS_ORIGINS defaults to FRONTEND_URL plus
+// GitHub Codespaces.
+//
+//   SECURITY_CSP="…"             replaces the default Content-Security-Policy
+//   SECURITY_HSTS_MAX_AGE=15552000   0 turns HSTS off; only sent over HTTPS
+
+const DEFAULT_ORIGIN_EXTRAS = ['https://*.app.github.dev'];
+
+// An API answering JSON needs nothing from the page it is loaded into.
+const DEFAULT_CSP = "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'";
+
+function escapeRegExp(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** One list entry → predicate on an Origin header value, or null if the entry is unusable. */
+function originMatcher(entry) {
+  const e = String(entry).trim().replace(/\/+$/, '').toLowerCase();
+  if (!e) return null;
+  if (e === '*') return Object.assign(() => true, { any: true });
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//.test(e);
+  const pattern = (withScheme ? '' : 'https?://') +
+    e.split('*').map(escapeRegExp).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  const re = new RegExp(`^${pattern}$`);
+  return origin => re.test(String(origin).toLowerCase());
+}
+
+function parseOriginList(value) {
+  return String(value || '').split(',').map(originMatcher).filter(Boolean);
+}
+
+function loadCorsConfig(env = process.env, { frontendUrl } = {}) {
+  const origins = env.CORS_ORIGINS
+    ? parseOriginList(env.CORS_ORIGINS)
+    : parseOriginList([frontendUrl, ...DEFAULT_ORIGIN_EXTRAS].join(','));
+  const adminOrigins = parseOriginList(env.CORS_ADMIN_ORIGINS || frontendUrl);
+  const maxAge = Number.isInteger(Number(env.CORS_MAX_AGE)) && Number(env.CORS_MAX_AGE) >= 0
+    ? Number(env.CORS_MAX_AGE) : 600;
+  return { origins, adminOrigins, maxAge };
+}
+
+/**
+ * A CORS policy: which origins, methods and request headers are allowed.
+ * `expose` lists response headers the page may read.
+ */
+function corsPolicy({ origins, methods, headers, expose = [], credentials = true, maxAge = 600 }) {
+  const anyOrigin = origins.some(m => m.any);
+  return {
+    allows(origin) {
+      return origins.some(m => m(origin));
+    },
+    apply(req, res) {
+      const origin = req.headers.origin;
+      res.vary('Origin');
+      if (anyOrigin) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+      } else {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        if (credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+      }
+      if (expose.length) res.setHeader('Access-Control-Expose-Headers', expose.join(', '));
+    },
+    preflight(req, res) {
+      res.setHeader('Access-Control-Allow-Methods', methods.join(','));
+      res.setHeader('Access-Control-Allow-Headers', headers.join(', '));
+      res.setHeader('Access-Control-Max-Age', String(maxAge));
+      res.vary('Access-Control-Request-Headers');
+    },
+  };
+}
+
+/**
+ * Middleware picking a policy by path prefix; the first match wins.
+ * Requests without an Origin (curl, Stripe, same-origin) pass untouched.
+ * A preflight from an origin the policy doesn't allow gets 403; other
+ * requests go through without CORS headers, so the browser hides the response.
+ */
+function corsByPath(routes) {
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    const policy = routes.find(([prefix]) => req.path.startsWith(prefix))[1];
+    const isPreflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'];
+
+    if (!origin) return isPreflight ? res.sendStatus(204) : next();
+    if (!policy.allows(origin)) {
+      return isPreflight ? res.status(403).json({ error:'Origin not allowed' }) : next();
+    }
+    policy.apply(req, res);
+    if (!isPreflight) return next();
+    policy.preflight(req, res);
+    res.sendStatus(204);
+  };
+}
+
+/** CSP, HSTS (HTTPS only), frame and sniffing protection on every response. */
+function securityHeaders(env = process.env) {
+  const csp = env.SECURITY_CSP || DEFAULT_CSP;
+  const hstsAge = env.SECURITY_HSTS_MAX_AGE == null ? 15552000 : Number(env.SECURITY_HSTS_MAX_AGE);
+  return (req, res, next) => {
+    res.setHeader('Content-Security-Policy', csp);
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    if (req.secure && hstsAge > 0) {
+      res.setHeader('Strict-Transport-Security', `max-age=${hstsAge}; includeSubDomains`);
+    }
+    res.removeHeader('X-Powered-By');
+    next();
+  };
+}
+
+module.exports = { DEFAULT_CSP, originMatcher, parseOriginList, loadCorsConfig, corsPolicy, corsByPath, securityHeaders };
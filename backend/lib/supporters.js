@@ -0,0 +1,111 @@
+// backend/lib/supporters.js
+// The optional display name and message a voter can attach to a checkout,
+// and the public leaderboard built from them.
+//
+//   SUPPORTERS_REQUIRE_APPROVAL=false   true: nothing is public until a moderator approves it
+//   BLOCKED_WORDS="word,word"           added to the built-in list below
+//
+// The word filter is a first line only: it catches the obvious, and the
+// moderation queue in the admin API is there for everything else.
+
+const { cleanText } = require('./validation');
+
+const MAX_DISPLAY_NAME = 40;
+const MAX_MESSAGE = 140;
+const SUPPORTER_STATUSES = ['unreviewed', 'approved', 'hidden'];
+
+// Matched as the start of a word: "fucking" is caught by "fuck".
+const BLOCKED_STEMS = [
+  'fuck', 'fuk', 'fck', 'motherf', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'asshole',
+  'nigg', 'faggot', 'retard', 'wank', 'twat',
+];
+// Matched as whole words (plural too), since each is the start of harmless ones: dickens, cockpit, prickly.
+const BLOCKED_WORDS = ['dick', 'cock', 'pussy', 'prick', 'fag', 'bastard', 'bollocks', 'dyke', 'spic', 'kike', 'chink'];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+/** "F.u.c-k1ng!" → ["fucking"]: lower case, look-alike digits mapped, punctuation inside words dropped */
+function filterTokens(text) {
+  return String(text ?? '').toLowerCase().split(/\s+/)
+    .map(w => w.replace(/^[^a-z0-9@$]+|[^a-z0-9]+$/g, '').replace(/[013457@$!]/g, ch => LEET[ch]).normalize('NFKD').replace(/[^a-z]/g, ''))
+    .filter(Boolean);
+}
+
+function loadWordFilter(env = process.env) {
+  const extra = String(env.BLOCKED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+  const words = new Set([...BLOCKED_WORDS, ...extra]);
+  return {
+    /** Does `text` contain a blocked word? */
+    blocks(text) {
+      return filterTokens(text).some(t => BLOCKED_STEMS.some(s => t.startsWith(s))
+        || words.has(t) || (t.endsWith('s') && words.has(t.slice(0, -1))));
+    },
+  };
+}
+
+/**
+ * Check { displayName, message } from a checkout body. Both are optional.
+ * Returns { values: { display_name, message } } (nulls when left out) or { error }.
+ */
+function cleanSupporter(body, filter) {
+  const values = { display_name: null, message: null };
+  const fields = [
+    ['display_name', body?.displayName, MAX_DISPLAY_NAME, 'Display name'],
+    ['message', body?.message, MAX_MESSAGE, 'Message'],
+  ];
+  for (const [key, raw, max, label] of fields) {
+    if (raw == null || String(raw).trim() === '') continue;
+    // control characters and bidi overrides make text look like something else
+    const v = cleanText(String(raw).replace(/[\u0000-\u001f\u007f\u202a-\u202e\u2066-\u2069]/g, ''), max);
+    if (!v) return { error:`${label} must be at most ${max} characters` };
+    if (/https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|co|ly|gg|me|xyz)\b/i.test(v)) {
+      return { error:`${label} can't contain links` };
+    }
+    if (filter.blocks(v)) return { error:`${label} contains words we don't allow` };
+    values[key] = v;
+  }
+  return { values };
+}
+
+/** Statuses shown publicly. */
+function visibleStatuses(env = process.env) {
+  return env.SUPPORTERS_REQUIRE_APPROVAL === 'true' ? ['approved'] : ['unreviewed', 'approved'];
+}
+
+/**
+ * Top named backers of each candidate in a poll: paid, visible transactions
+ * summed by display name (case-insensitive), with that backer's latest message.
+ */
+function leaderboard(db, pollId, { limit = 10, statuses = visibleStatuses() } = {}) {
+  const marks = statuses.map(() => '?').join(',');
+  const rows = db.prepare(`SELECT t.candidate_id, t.display_name, t.votes, t.message, t.paid_at
+    FROM transactions t
+    WHERE t.poll_id=? AND t.status='paid' AND t.display_name IS NOT NULL AND t.supporter_status IN (${marks})
+    ORDER BY t.paid_at ASC, t.id ASC`).all(pollId, ...statuses);
+
+  const byCandidate = new Map();
+  for (const r of rows) {
+    if (!byCandidate.has(r.candidate_id)) byCandidate.set(r.candidate_id, new Map());
+    const backers = byCandidate.get(r.candidate_id);
+    const key = r.display_name.toLowerCase();
+    const b = backers.get(key) || { display_name: r.display_name, votes: 0, message: null, last_at: null };
+    b.votes += r.votes;
+    b.display_name = r.display_name;   // the latest spelling
+    if (r.message) b.message = r.message;
+    b.last_at = r.paid_at;
+    backers.set(key, b);
+  }
+
+  const candidates = db.prepare('SELECT id, name FROM candidates WHERE poll_id=? ORDER BY position ASC, id ASC').all(pollId);
+  return candidates.map(c => ({
+    ...c,
+    backers: [...(byCandidate.get(c.id)?.values() || [])]
+      .sort((a, b) => b.votes - a.votes || a.last_at.localeCompare(b.last_at))
+      .slice(0, limit),
+  }));
+}
+
+module.exports = {
+  MAX_DISPLAY_NAME, MAX_MESSAGE, SUPPORTER_STATUSES,
+  loadWordFilter, cleanSupporter, visibleStatuses, leaderboard,
+};
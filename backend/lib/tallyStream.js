@@ -0,0 +1,60 @@
+// backend/lib/tallyStream.js
+// Server-Sent Events fan-out for live tally updates.
+//
+// Every change bumps a version number which is sent as the SSE event id.
+// Versions start from the clock, so a browser reconnecting with a
+// Last-Event-ID from before a restart is always behind and gets a fresh
+// snapshot; one that is already current only gets heartbeats.
+
+function createTallyStream({ snapshot, heartbeatMs = 25 * 1000, retryMs = 3000 }) {
+  const clients = new Set();
+  let version = Date.now();
+
+  function frame(data) {
+    return `id: ${version}\nevent: tally\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  // GET handler
+  function handler(req, res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',   // don't let a proxy buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const lastId = Number(req.headers['last-event-id'] || req.query.lastEventId);
+    if (!(lastId >= version)) res.write(frame(snapshot()));
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  }
+
+  // Push the current tally to every open stream.
+  function publish() {
+    version = Math.max(version + 1, Date.now());
+    if (clients.size === 0) return;
+    const msg = frame(snapshot());
+    for (const res of clients) res.write(msg);
+  }
+
+  const beat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, heartbeatMs);
+  beat.unref();
+
+  return {
+    handler,
+    publish,
+    get size() { return clients.size; },
+    close() {
+      clearInterval(beat);
+      for (const res of clients) res.end();
+      clients.clear();
+    },
+  };
+}
+
+module.exports = { createTallyStream };
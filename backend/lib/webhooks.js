@@ -0,0 +1,212 @@
+// backend/lib/webhooks.js
+// Outbound webhooks: signed JSON events POSTed to the endpoints admins
+// register under /api/admin/webhooks.
+//
+//   WEBHOOK_MAX_ATTEMPTS=6     tries per delivery before it is marked failed
+//   WEBHOOK_RETRY_MS=30000     wait before the first retry; each later one waits 4× longer
+//   WEBHOOK_TIMEOUT_MS=10000   how long one attempt may take
+//   WEBHOOK_POLL_MS=5000       how often the queue is checked for due retries
+//   TALLY_MILESTONES="10,50,100,500,1000,5000,10000"
+//
+// emit() only writes webhook_deliveries rows, so inside a db.transaction an
+// event is queued exactly when the change commits. Sending happens after,
+// from the queue. Every request carries
+//
+//   X-Vote-Event:      vote.counted
+//   X-Vote-Event-Id:   evt_…   (the same on retries and redeliveries: dedupe on it)
+//   X-Vote-Delivery:   42
+//   X-Vote-Signature:  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint's secret>
+//
+// verifySignature() is the receiving side of that header.
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['vote.counted', 'vote.reversed', 'poll.closed', 'tally.milestone'];
+const DEFAULT_MILESTONES = '10,50,100,500,1000,5000,10000';
+
+function intFrom(value, fallback, min = 1) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+function loadWebhookConfig(env = process.env) {
+  return {
+    maxAttempts: intFrom(env.WEBHOOK_MAX_ATTEMPTS, 6),
+    retryMs:     intFrom(env.WEBHOOK_RETRY_MS, 30 * 1000),
+    timeoutMs:   intFrom(env.WEBHOOK_TIMEOUT_MS, 10 * 1000),
+    pollMs:      intFrom(env.WEBHOOK_POLL_MS, 5 * 1000),
+    milestones:  String(env.TALLY_MILESTONES ?? DEFAULT_MILESTONES).split(',')
+      .map(Number).filter(n => Number.isInteger(n) && n > 0).sort((a, b) => a - b),
+  };
+}
+
+function sqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Check an X-Vote-Signature header against the raw body. */
+function verifySignature(secret, header, body, { toleranceSec = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')));
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSec) return false;
+  return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(sign(secret, t, body), 'hex'));
+}
+
+/** ['vote.counted'] or "vote.counted, poll.closed" → "vote.counted,poll.closed"; "*" for all; null if a type is unknown */
+function normalizeEvents(value) {
+  const list = (Array.isArray(value) ? value : String(value ?? '*').split(','))
+    .map(s => String(s).trim()).filter(Boolean);
+  if (list.length === 0 || list.includes('*')) return '*';
+  if (list.some(t => !EVENT_TYPES.includes(t))) return null;
+  return [...new Set(list)].join(',');
+}
+
+/** An endpoint row as admins see it: the secret is only shown when it is created. */
+function endpointView(row) {
+  const { secret, ...rest } = row;
+  return { ...rest, active: !!row.active, events: row.events === '*' ? ['*'] : row.events.split(','),
+    secret_hint: `…${secret.slice(-4)}` };
+}
+
+function createWebhooks({ db, env = process.env, log, fetchImpl = globalThis.fetch, onResult = () => {} }) {
+  const config = loadWebhookConfig(env);
+  const activeEndpoints = db.prepare('SELECT * FROM webhook_endpoints WHERE active=1');
+  const insertDelivery = db.prepare(`INSERT INTO webhook_deliveries
+    (endpoint_id, event_id, event_type, payload, next_attempt_at, redelivery_of) VALUES (?, ?, ?, ?, ?, ?)`);
+  // Deliveries to a disabled endpoint wait until it is enabled again.
+  const dueDeliveries = db.prepare(`SELECT d.*, e.url, e.secret FROM webhook_deliveries d
+      JOIN webhook_endpoints e ON e.id = d.endpoint_id
+    WHERE d.status='pending' AND d.next_attempt_at <= ? AND e.active=1
+    ORDER BY d.next_attempt_at, d.id LIMIT 20`);
+  const markDelivered = db.prepare(`UPDATE webhook_deliveries SET status='delivered', attempts=attempts+1,
+      last_status_code=?, last_error=NULL, last_response=?, next_attempt_at=NULL, delivered_at=CURRENT_TIMESTAMP
+    WHERE id=?`);
+  const markAttemptFailed = db.prepare(`UPDATE webhook_deliveries SET status=?, attempts=attempts+1,
+      last_status_code=?, last_error=?, last_response=?, next_attempt_at=?
+    WHERE id=?`);
+  const insertMilestone = db.prepare('INSERT OR IGNORE INTO tally_milestones (poll_id, candidate_id, milestone) VALUES (?, ?, ?)');
+
+  let draining = null;
+  let closed = false;
+
+  /** Queue `type` for every active endpoint that wants it. Returns the event id, or null if nobody does. */
+  function emit(type, data) {
+    const endpoints = activeEndpoints.all().filter(e => e.events === '*' || e.events.split(',').includes(type));
+    if (endpoints.length === 0) return null;
+    const event = { id: `evt_${crypto.randomBytes(12).toString('hex')}`, type, created: new Date().toISOString(), data };
+    const payload = JSON.stringify(event);
+    const now = sqlTime(Date.now());
+    for (const e of endpoints) insertDelivery.run(e.id, event.id, type, payload, now, null);
+    kick();
+    return event.id;
+  }
+
+  /**
+   * Milestones passed going from `before` to `after` votes that were not
+   * announced yet; they are marked announced. candidateId null = poll total.
+   */
+  function claimMilestones(pollId, candidateId, before, after) {
+    return config.milestones
+      .filter(m => before < m && m <= after)
+      .filter(m => insertMilestone.run(pollId, candidateId || 0, m).changes === 1);
+  }
+
+  /** Queue a delivery's event again, as a new delivery. Returns its id, or null. */
+  function redeliver(deliveryId) {
+    const d = db.prepare('SELECT * FROM webhook_deliveries WHERE id=?').get(deliveryId);
+    if (!d) return null;
+    const id = insertDelivery.run(d.endpoint_id, d.event_id, d.event_type, d.payload, sqlTime(Date.now()), d.id).lastInsertRowid;
+    kick();
+    return Number(id);
+  }
+
+  async function attempt(d) {
+    const t = Math.floor(Date.now() / 1000);
+    let status = null;
+    let response = null;
+    let error = null;
+    try {
+      const r = await fetchImpl(d.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'vote-backend-webhooks',
+          'X-Vote-Event': d.event_type,
+          'X-Vote-Event-Id': d.event_id,
+          'X-Vote-Delivery': String(d.id),
+          'X-Vote-Signature': `t=${t},v1=${sign(d.secret, t, d.payload)}`,
+        },
+        body: d.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+      status = r.status;
+      response = (await r.text().catch(() => '')).slice(0, 500);
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (e) {
+      const code = e.cause?.code || e.cause?.errors?.[0]?.code;   // fetch hides ECONNREFUSED and friends here
+      error = e.name === 'TimeoutError' ? `Timed out after ${config.timeoutMs} ms` : code ? `${e.message} (${code})` : e.message;
+    }
+    if (closed) return;   // the database may already be gone
+
+    if (!error) {
+      markDelivered.run(status, response, d.id);
+      onResult('delivered');
+      return;
+    }
+    const attempts = d.attempts + 1;
+    const giveUp = attempts >= config.maxAttempts;
+    const next = giveUp ? null : sqlTime(Date.now() + config.retryMs * 4 ** (attempts - 1));
+    markAttemptFailed.run(giveUp ? 'failed' : 'pending', status, error, response, next, d.id);
+    onResult(giveUp ? 'failed' : 'retry');
+    log.warn(giveUp ? 'Webhook delivery failed; giving up' : 'Webhook delivery failed; will retry', {
+      delivery_id: d.id, endpoint_id: d.endpoint_id, event_type: d.event_type, attempts, status, error, next_attempt_at: next,
+    });
+  }
+
+  async function sendDue() {
+    for (let batch = dueDeliveries.all(sqlTime(Date.now())); batch.length && !closed;
+      batch = dueDeliveries.all(sqlTime(Date.now()))) {
+      for (const d of batch) await attempt(d);
+    }
+  }
+
+  /** Send everything that is due, one at a time. Overlapping calls share the run in progress. */
+  function drain() {
+    // .finally, not try/finally inside sendDue: with nothing due that would
+    // clear `draining` before it is even assigned.
+    if (!draining) draining = sendDue().finally(() => { draining = null; });
+    return draining;
+  }
+
+  // After the current tick, so a transaction that queued something has committed.
+  function kick() {
+    setImmediate(() => {
+      if (!closed) drain().catch(e => log.error('Webhook queue error', { err: e }));
+    });
+  }
+
+  const timer = setInterval(kick, config.pollMs);
+  timer.unref();
+
+  return {
+    config, emit, claimMilestones, redeliver, drain,
+    close() {
+      closed = true;
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = {
+  EVENT_TYPES, loadWebhookConfig, createWebhooks, verifySignature, normalizeEvents, endpointView, newSecret,
+};
@@ -0,0 +1,58 @@
+// Polls, the settings row and per-poll candidates.
+//
+// Databases from before migrations may already have some or all of this, so
+// every step checks first. The oldest ones have one global candidates table
+// (name UNIQUE) and no poll_id anywhere: they are folded into poll #1 so the
+// old question and its tallies become the first week in the history.
+
+const { hasTable, hasColumn, addColumnIfMissing } = require('../lib/migrate');
+const { logger } = require('../lib/logger');
+
+// The candidates table is rebuilt for legacy databases.
+exports.foreignKeys = false;
+
+const CANDIDATES_COLUMNS = `(
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  poll_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  tally INTEGER NOT NULL DEFAULT 0,
+  position INTEGER NOT NULL DEFAULT 0,
+  UNIQUE(poll_id, name),
+  FOREIGN KEY(poll_id) REFERENCES polls(id)
+)`;
+
+exports.up = db => {
+  db.exec(`CREATE TABLE IF NOT EXISTS polls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    question TEXT NOT NULL,
+    glow TEXT NOT NULL DEFAULT '#00ffff',
+    status TEXT NOT NULL DEFAULT 'draft',   -- draft | open | closed | archived
+    opens_at DATETIME,
+    closes_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    id INTEGER PRIMARY KEY,
+    question TEXT,
+    glow TEXT
+  );`);
+
+  if (hasTable(db, 'candidates') && !hasColumn(db, 'candidates', 'poll_id')) {
+    const s = db.prepare('SELECT question, glow FROM settings WHERE id=1').get();
+    const pollId = db.prepare("INSERT INTO polls (question, glow, status, opens_at) VALUES (?, ?, 'open', CURRENT_TIMESTAMP)")
+      .run(s?.question || "Is this week's answer YES?", s?.glow || '#00ffff').lastInsertRowid;
+
+    db.exec(`CREATE TABLE candidates_new ${CANDIDATES_COLUMNS}`);
+    db.prepare('INSERT INTO candidates_new (id, poll_id, name, tally) SELECT id, ?, name, tally FROM candidates').run(pollId);
+    db.exec('DROP TABLE candidates; ALTER TABLE candidates_new RENAME TO candidates;');
+
+    if (hasTable(db, 'transactions')) {
+      addColumnIfMissing(db, 'transactions', 'poll_id', 'INTEGER');
+      db.prepare('UPDATE transactions SET poll_id=? WHERE poll_id IS NULL').run(pollId);
+    }
+    logger.info('Upgraded legacy schema', { component: 'db', poll_id: pollId });
+  }
+
+  db.exec(`CREATE TABLE IF NOT EXISTS candidates ${CANDIDATES_COLUMNS}`);
+  addColumnIfMissing(db, 'candidates', 'position', 'INTEGER NOT NULL DEFAULT 0');
+};
@@ -0,0 +1,31 @@
+// One row per Checkout Session, with its bundle pricing and payment state.
+// Older databases get the columns they are missing.
+
+const { addColumnIfMissing } = require('../lib/migrate');
+
+exports.up = db => {
+  db.exec(`CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT UNIQUE,
+    poll_id INTEGER,
+    candidate_id INTEGER NOT NULL,
+    votes INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    amount_total INTEGER NOT NULL,
+    paid INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(candidate_id) REFERENCES candidates(id)
+  );`);
+  addColumnIfMissing(db, 'transactions', 'poll_id', 'INTEGER');
+  addColumnIfMissing(db, 'transactions', 'paid_at', 'DATETIME');
+  addColumnIfMissing(db, 'transactions', 'list_amount', 'INTEGER');                       // before bundle discounts
+  addColumnIfMissing(db, 'transactions', 'discount_amount', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing(db, 'transactions', 'bundles', 'TEXT');                              // JSON: [{ votes, quantity, discount_pct, unit_amount }]
+  // pending | paid | expired | refunded | disputed
+  if (addColumnIfMissing(db, 'transactions', 'status', "TEXT NOT NULL DEFAULT 'pending'")) {
+    db.exec("UPDATE transactions SET status='paid' WHERE paid=1");
+  }
+  addColumnIfMissing(db, 'transactions', 'payment_intent', 'TEXT');
+  addColumnIfMissing(db, 'transactions', 'reversed_at', 'DATETIME');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_transactions_payment_intent ON transactions(payment_intent)');
+};
@@ -0,0 +1,13 @@
+// Who changed what through the admin API.
+
+exports.up = db => {
+  db.exec(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    target TEXT,
+    details TEXT,             -- JSON: before/after values
+    reason TEXT,
+    actor TEXT,               -- client IP; the admin token is shared
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );`);
+};
@@ -0,0 +1,57 @@
+// Every change to a tally is one row here; a candidate's tally is the sum of
+// its deltas. Rows are never updated or deleted (see the triggers).
+//
+// Tallies from before the ledger existed are backfilled: replay what the
+// transactions explain, and book whatever they don't (manual edits) as an
+// opening balance.
+
+const { hasTable } = require('../lib/migrate');
+
+function backfill(db) {
+  const ins = db.prepare(`INSERT INTO vote_ledger
+    (poll_id, candidate_id, delta, kind, transaction_id, session_id, payment_intent, reason, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  for (const t of db.prepare('SELECT * FROM transactions WHERE paid=1').all()) {
+    ins.run(t.poll_id, t.candidate_id, t.votes, 'payment', t.id, t.session_id, t.payment_intent, null,
+      t.paid_at || t.created_at);
+    if (t.status === 'refunded' || t.status === 'disputed') {
+      ins.run(t.poll_id, t.candidate_id, -t.votes, 'reversal', t.id, t.session_id, t.payment_intent, t.status,
+        t.reversed_at || t.created_at);
+    }
+  }
+  const drift = db.prepare(`SELECT c.id, c.poll_id,
+      c.tally - COALESCE((SELECT SUM(delta) FROM vote_ledger l WHERE l.candidate_id = c.id), 0) AS diff
+    FROM candidates c`).all();
+  for (const c of drift) {
+    if (c.diff !== 0) {
+      ins.run(c.poll_id, c.id, c.diff, 'opening_balance', null, null, null,
+        'Tally before the vote ledger existed', new Date().toISOString().replace('T', ' ').slice(0, 19));
+    }
+  }
+}
+
+exports.up = db => {
+  const isNew = !hasTable(db, 'vote_ledger');
+  db.exec(`CREATE TABLE IF NOT EXISTS vote_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    poll_id INTEGER NOT NULL,
+    candidate_id INTEGER NOT NULL,
+    delta INTEGER NOT NULL,
+    kind TEXT NOT NULL,            -- payment | reversal | adjustment | opening_balance
+    transaction_id INTEGER,
+    session_id TEXT,
+    payment_intent TEXT,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(transaction_id, kind),
+    FOREIGN KEY(candidate_id) REFERENCES candidates(id),
+    FOREIGN KEY(transaction_id) REFERENCES transactions(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_vote_ledger_candidate ON vote_ledger(candidate_id);
+  CREATE INDEX IF NOT EXISTS idx_vote_ledger_poll ON vote_ledger(poll_id);
+  CREATE TRIGGER IF NOT EXISTS vote_ledger_no_update BEFORE UPDATE ON vote_ledger
+    BEGIN SELECT RAISE(ABORT, 'vote_ledger is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS vote_ledger_no_delete BEFORE DELETE ON vote_ledger
+    BEGIN SELECT RAISE(ABORT, 'vote_ledger is append-only'); END;`);
+  if (isNew) backfill(db);
+};
@@ -0,0 +1,10 @@
+// Webhook event ids already handled (Stripe's or the mock provider's), so a
+// redelivered event changes nothing.
+
+exports.up = db => {
+  db.exec(`CREATE TABLE IF NOT EXISTS stripe_events (
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );`);
+};
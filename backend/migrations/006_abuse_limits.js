@@ -0,0 +1,16 @@
+// Who opened each checkout, so open unpaid sessions can be capped per
+// client, and the IPs that may not check out at all.
+
+exports.up = db => {
+  db.exec(`ALTER TABLE transactions ADD COLUMN client_ip TEXT;
+  ALTER TABLE transactions ADD COLUMN client_fp TEXT;
+  CREATE INDEX idx_transactions_pending ON transactions(status, created_at);
+
+  CREATE TABLE blocked_ips (
+    ip TEXT PRIMARY KEY,
+    reason TEXT,
+    source TEXT NOT NULL DEFAULT 'admin',   -- admin | auto
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME                     -- NULL = until unblocked
+  );`);
+};
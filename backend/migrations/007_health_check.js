@@ -0,0 +1,9 @@
+// One row that GET /api/health/ready rewrites, to prove the database file
+// still takes writes.
+
+exports.up = db => {
+  db.exec(`CREATE TABLE health_check (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    checked_at DATETIME
+  );`);
+};
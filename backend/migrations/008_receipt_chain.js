@@ -0,0 +1,37 @@
+// Receipts and the hash chain over vote_ledger (see lib/ledger.js).
+//
+// Each paid transaction gets a public receipt code, repeated on its ledger
+// rows. Every ledger row gets the hash of the row before it and its own
+// hash, so the whole ledger can be checked from an exported copy. Existing
+// rows are chained here in id order; the append-only trigger is lifted only
+// while that happens.
+
+const { chainHash, newReceiptCode, GENESIS_HASH } = require('../lib/ledger');
+
+exports.up = db => {
+  db.exec(`ALTER TABLE transactions ADD COLUMN receipt TEXT;
+  CREATE UNIQUE INDEX idx_transactions_receipt ON transactions(receipt);
+  ALTER TABLE vote_ledger ADD COLUMN receipt TEXT;
+  ALTER TABLE vote_ledger ADD COLUMN prev_hash TEXT;
+  ALTER TABLE vote_ledger ADD COLUMN hash TEXT;
+  CREATE INDEX idx_vote_ledger_receipt ON vote_ledger(receipt);
+  DROP TRIGGER vote_ledger_no_update;`);
+
+  const setTrxReceipt = db.prepare('UPDATE transactions SET receipt=? WHERE id=?');
+  for (const t of db.prepare('SELECT id FROM transactions WHERE paid=1 ORDER BY id').all()) {
+    setTrxReceipt.run(newReceiptCode(), t.id);
+  }
+
+  const setChain = db.prepare('UPDATE vote_ledger SET receipt=?, prev_hash=?, hash=? WHERE id=?');
+  const receiptOf = db.prepare('SELECT receipt FROM transactions WHERE id=?');
+  let prev = GENESIS_HASH;
+  for (const row of db.prepare('SELECT * FROM vote_ledger ORDER BY id').all()) {
+    const receipt = row.transaction_id ? receiptOf.get(row.transaction_id)?.receipt ?? null : null;
+    const hash = chainHash(prev, { ...row, receipt });
+    setChain.run(receipt, prev, hash, row.id);
+    prev = hash;
+  }
+
+  db.exec(`CREATE TRIGGER vote_ledger_no_update BEFORE UPDATE ON vote_ledger
+    BEGIN SELECT RAISE(ABORT, 'vote_ledger is append-only'); END;`);
+};
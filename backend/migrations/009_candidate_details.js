@@ -0,0 +1,9 @@
+// Optional presentation for each candidate: a colour for its card and bar,
+// a picture and a line of description. NULL means "use the poll's glow" /
+// "none".
+
+exports.up = db => {
+  db.exec(`ALTER TABLE candidates ADD COLUMN color TEXT;
+  ALTER TABLE candidates ADD COLUMN image_url TEXT;
+  ALTER TABLE candidates ADD COLUMN description TEXT;`);
+};
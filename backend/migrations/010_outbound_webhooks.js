@@ -0,0 +1,43 @@
+// Outbound webhooks (see lib/webhooks.js): the endpoints admins register,
+// one delivery row per event per endpoint (the retry queue and the delivery
+// log in one), and the milestones already announced, so a tally that dips
+// and climbs back over one doesn't announce it twice.
+
+exports.up = db => {
+  db.exec(`CREATE TABLE webhook_endpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL DEFAULT '*',      -- comma-separated event types, or *
+    description TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    endpoint_id INTEGER NOT NULL,
+    event_id TEXT NOT NULL,                -- the same for every endpoint and every redelivery
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,                 -- the exact body that is signed and sent
+    status TEXT NOT NULL DEFAULT 'pending', -- pending | delivered | failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_status_code INTEGER,
+    last_error TEXT,
+    last_response TEXT,
+    redelivery_of INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
+  );
+  CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, id);
+
+  CREATE TABLE tally_milestones (
+    poll_id INTEGER NOT NULL,
+    candidate_id INTEGER NOT NULL DEFAULT 0, -- 0 = the poll's total
+    milestone INTEGER NOT NULL,
+    reached_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (poll_id, candidate_id, milestone)
+  );`);
+};
@@ -0,0 +1,11 @@
+// What a voter may attach to a checkout: a display name and a short message
+// for the leaderboard (see lib/supporters.js). Only paid transactions are
+// shown, and a moderator can approve or hide each one.
+
+exports.up = db => {
+  db.exec(`ALTER TABLE transactions ADD COLUMN display_name TEXT;
+  ALTER TABLE transactions ADD COLUMN message TEXT;
+  ALTER TABLE transactions ADD COLUMN supporter_status TEXT;   -- NULL (nothing attached) | unreviewed | approved | hidden
+  ALTER TABLE transactions ADD COLUMN moderated_at DATETIME;
+  CREATE INDEX idx_transactions_supporter ON transactions(supporter_status, poll_id);`);
+};
@@ -0,0 +1,111 @@
+// backend/scripts/backup.js
+// Back up, export or restore the database without the admin dashboard.
+//
+//   npm run backup [-- <file>]               online backup (default: BACKUP_DIR/votes-<time>.db)
+//   npm run backup:list                      backups in BACKUP_DIR
+//   npm run backup:verify -- <file>          check a backup without restoring it
+//   npm run export -- <transactions|candidates> [--format csv|json] [--poll N]
+//                     [--from DATE] [--to DATE] [--out FILE]       (default: stdout)
+//   npm run restore -- <file>                replace the database with a backup
+//
+// Uses DB_PATH (or backend/persist/votes.db), same as the server. Backup and
+// export are safe while the server runs. Stop the server before a restore, or
+// use the dashboard, which restores into the running server.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { defaultDbPath, openDatabase } = require('../lib/db');
+const { migrate } = require('../lib/migrate');
+const {
+  backupDir, backupName, backupDatabase, listBackups, validateBackup, restoreDatabase, exportRows, toCSV,
+} = require('../lib/backup');
+
+dotenv.config();
+
+/** ["transactions", "--poll", "2"] → { _: ["transactions"], poll: "2" } */
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    else out._.push(argv[i]);
+  }
+  return out;
+}
+
+function printCheck(file, check) {
+  console.log(`[DB] ${file}: ${check.ok ? 'OK' : 'NOT USABLE'}`);
+  if (check.schema_version !== null) console.log(`  schema version ${check.schema_version}`);
+  for (const [t, n] of Object.entries(check.counts)) console.log(`  ${t.padEnd(14)} ${n}`);
+  for (const e of check.errors) console.log(`  ✗ ${e}`);
+}
+
+async function main() {
+  const [command = 'backup', ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  const file = defaultDbPath();
+  const dir = backupDir(file);
+
+  if (command === 'list') {
+    const rows = listBackups(dir);
+    console.log(`[DB] ${dir}`);
+    for (const b of rows) console.log(`  ${b.name.padEnd(36)} ${String(b.size).padStart(10)}  ${b.created_at}`);
+    if (!rows.length) console.log('  (none)');
+    return;
+  }
+
+  if (command === 'verify') {
+    if (!args._[0]) throw new Error('Usage: backup.js verify <file>');
+    const check = validateBackup(args._[0]);
+    printCheck(args._[0], check);
+    if (!check.ok) process.exitCode = 1;
+    return;
+  }
+
+  const db = openDatabase(file);
+  try {
+    if (command === 'backup') {
+      const dest = args._[0] || path.join(dir, backupName());
+      const { size } = await backupDatabase(db, dest);
+      console.log(`[DB] Backed up ${file} → ${dest} (${size} bytes)`);
+    } else if (command === 'export') {
+      const table = args._[0];
+      const format = String(args.format || 'csv').toLowerCase();
+      if (!['csv', 'json'].includes(format)) throw new Error('--format must be csv or json');
+      const out = exportRows(db, table, { poll_id: args.poll, from: args.from, to: args.to });
+      if (out.error) throw new Error(out.error);
+      const text = format === 'json' ? JSON.stringify({ [table]: out.rows }, null, 2) + '\n' : toCSV(out.rows, out.columns);
+      if (args.out) {
+        fs.writeFileSync(args.out, text);
+        console.error(`[DB] ${out.rows.length} ${table} row(s) → ${args.out}`);
+      } else {
+        process.stdout.write(text);
+      }
+    } else if (command === 'restore') {
+      const src = args._[0];
+      if (!src) throw new Error('Usage: backup.js restore <file>');
+      const check = validateBackup(src);
+      printCheck(src, check);
+      if (!check.ok) {
+        process.exitCode = 1;
+        return;
+      }
+      const safety = path.join(dir, backupName('pre-restore'));
+      await backupDatabase(db, safety);
+      console.log(`[DB] Current database saved as ${safety}`);
+      await restoreDatabase(src, file);
+      const applied = migrate(db);
+      console.log(`[DB] Restored ${src} → ${file}${applied.length ? `, ${applied.length} migration(s) applied` : ''}`);
+    } else {
+      console.error(`Unknown command "${command}" (use backup, list, verify, export or restore)`);
+      process.exitCode = 2;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+// backend/scripts/migrate.js
+// Apply or list schema migrations without starting the server.
+//
+//   npm run migrate            apply everything pending
+//   npm run migrate:status     list migrations and when each was applied
+//
+// Uses DB_PATH (or backend/persist/votes.db), same as the server.
+
+const dotenv = require('dotenv');
+const { defaultDbPath, openDatabase } = require('../lib/db');
+const { migrate, migrationStatus } = require('../lib/migrate');
+
+dotenv.config();
+
+const command = process.argv[2] || 'up';
+const file = defaultDbPath();
+const db = openDatabase(file);
+
+try {
+  if (command === 'up') {
+    console.log('[DB] Migrating', file);
+    const applied = migrate(db);
+    console.log(applied.length ? `[DB] ${applied.length} migration(s) applied` : '[DB] Already up to date');
+  } else if (command === 'status') {
+    console.log('[DB]', file);
+    const rows = migrationStatus(db);
+    for (const r of rows) {
+      const state = r.unknown ? 'applied, not in migrations/' : r.applied_at ? `applied ${r.applied_at}` : 'pending';
+      console.log(`  ${r.name.padEnd(28)} ${state}`);
+    }
+    const pending = rows.filter(r => !r.applied_at).length;
+    console.log(pending ? `${pending} pending` : 'Up to date');
+  } else {
+    console.error(`Unknown command "${command}" (use "up" or "status")`);
+    process.exitCode = 2;
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,53 @@
+// backend/scripts/verify-audit.js
+// Check a ledger audit file from GET /api/audit/ledger: recompute every hash
+// from the genesis hash, then the chain head and each candidate's tally.
+//
+//   npm run verify-audit -- vote-ledger-audit.json
+//   npm run verify-audit -- https://vote.example/api/audit/ledger
+//
+// Exits 1 if anything doesn't match.
+
+const fs = require('fs');
+const { verifyChain, GENESIS_HASH } = require('../lib/ledger');
+
+async function load(source) {
+  if (/^https?:\/\//.test(source)) {
+    const r = await fetch(source);
+    if (!r.ok) throw new Error(`HTTP ${r.status} from ${source}`);
+    return r.json();
+  }
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+async function main() {
+  const source = process.argv[2];
+  if (!source) throw new Error('Usage: verify-audit.js <file or URL>');
+  const audit = await load(source);
+  const problems = [];
+
+  if (audit.genesis_hash !== GENESIS_HASH) problems.push(`Unexpected genesis hash ${audit.genesis_hash}`);
+  const result = verifyChain(audit.entries || []);
+  if (!result.ok) problems.push(`Chain breaks at ledger entry ${result.broken_at}`);
+  if (result.ok && result.head !== audit.head) problems.push(`Head is ${result.head}, file says ${audit.head}`);
+  if (result.length !== audit.length) problems.push(`${result.length} entries, file says ${audit.length}`);
+
+  const names = new Map((audit.candidates || []).map(c => [c.id, c.name]));
+  for (const t of audit.tally || []) {
+    const votes = result.tally[t.candidate_id] || 0;
+    const label = `${names.get(t.candidate_id) ?? `#${t.candidate_id}`} (poll ${t.poll_id})`;
+    if (votes !== t.votes) problems.push(`${label}: entries sum to ${votes}, file says ${t.votes}`);
+    else console.log(`  ${label.padEnd(32)} ${votes}`);
+  }
+
+  if (problems.length) {
+    for (const p of problems) console.error(`✗ ${p}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✓ ${result.length} entries, chain head ${result.head}`);
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,154 @@
+// backend/test/abuse.test.js
+// Checkout rate limits, the open-session cap, blocked IPs and the sweeper.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { createRateLimiter, expireStaleCheckouts } = require('../lib/abuse');
+
+let srv;
+afterEach(() => srv && srv.close());
+
+// X-Forwarded-For stands in for the client address, as it does behind a proxy
+// with TRUST_PROXY=1.
+function checkout({ ip = '203.0.113.1', clientId = 'client-aaaaaaaa' } = {}) {
+  return srv.fetchJSON('/api/create-checkout-session', {
+    method: 'POST',
+    body: { candidateId: 1 },
+    headers: { 'X-Forwarded-For': ip, 'X-Client-Id': clientId },
+  });
+}
+
+const strict = extra => start({ env: {
+  TRUST_PROXY: '1', RATE_LIMIT_IP: '3', RATE_LIMIT_FINGERPRINT: '100', MAX_OPEN_SESSIONS: '100', AUTO_BLOCK_AFTER: '0', ...extra,
+} });
+
+test('an IP over its limit gets 429 with Retry-After', async () => {
+  srv = await strict();
+  for (let i = 0; i < 3; i++) assert.equal((await checkout({ clientId: `client-${i}xxxxxxx` })).status, 200);
+  const r = await checkout({ clientId: 'client-9xxxxxxx' });
+  assert.equal(r.status, 429);
+  assert.ok(r.body.retry_after >= 1 && r.body.retry_after <= 60);
+  assert.match(r.body.error, /Too many checkout attempts/);
+
+  // another address is unaffected
+  assert.equal((await checkout({ ip: '203.0.113.2' })).status, 200);
+});
+
+test('without TRUST_PROXY a spoofed X-Forwarded-For does not get around the IP limit', async () => {
+  srv = await strict({ TRUST_PROXY: undefined });
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await checkout({ ip: `203.0.113.${i}`, clientId: `client-${i}xxxxxxx` })).status, 200);
+  }
+  assert.equal((await checkout({ ip: '203.0.113.9', clientId: 'client-9xxxxxxx' })).status, 429);
+});
+
+test('a fingerprint over its limit gets 429 from any IP', async () => {
+  srv = await strict({ RATE_LIMIT_IP: '100', RATE_LIMIT_FINGERPRINT: '2' });
+  assert.equal((await checkout({ ip: '198.51.100.1' })).status, 200);
+  assert.equal((await checkout({ ip: '198.51.100.2' })).status, 200);
+  const r = await checkout({ ip: '198.51.100.3' });
+  assert.equal(r.status, 429);
+  assert.ok(r.body.retry_after > 0);
+});
+
+test('Retry-After is sent as a header', async () => {
+  srv = await strict({ RATE_LIMIT_IP: '1' });
+  await checkout();
+  const r = await fetch(`${srv.url}/api/create-checkout-session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '203.0.113.1' },
+    body: JSON.stringify({ candidateId: 1 }),
+  });
+  assert.equal(r.status, 429);
+  assert.match(r.headers.get('retry-after'), /^\d+$/);
+});
+
+test('open unpaid sessions are capped per client', async () => {
+  srv = await strict({ RATE_LIMIT_IP: '100', MAX_OPEN_SESSIONS: '2' });
+  assert.equal((await checkout()).status, 200);
+  assert.equal((await checkout()).status, 200);
+  const capped = await checkout();
+  assert.equal(capped.status, 429);
+  assert.match(capped.body.error, /unfinished checkouts/);
+
+  // paying one frees a slot
+  const row = srv.db.prepare("SELECT session_id FROM transactions WHERE status='pending' LIMIT 1").get();
+  srv.db.prepare("UPDATE transactions SET status='paid', paid=1 WHERE session_id=?").run(row.session_id);
+  assert.equal((await checkout()).status, 200);
+});
+
+test('repeated rate limiting blocks the IP until an admin lifts it', async () => {
+  srv = await strict({ RATE_LIMIT_IP: '1', AUTO_BLOCK_AFTER: '2' });
+  await checkout();
+  assert.equal((await checkout()).status, 429);
+  assert.equal((await checkout()).status, 429);
+  assert.equal((await checkout()).status, 403);
+
+  const list = await srv.fetchJSON('/api/admin/blocked-ips', { admin: true });
+  assert.deepEqual(list.body.blocked.map(b => [b.ip, b.source]), [['203.0.113.1', 'auto']]);
+  assert.ok(list.body.blocked[0].expires_at);
+
+  const lifted = await srv.fetchJSON('/api/admin/blocked-ips/203.0.113.1', { method: 'DELETE', admin: true });
+  assert.equal(lifted.status, 200);
+  assert.equal((await checkout()).status, 200);
+});
+
+test('admins can block and unblock an IP by hand', async () => {
+  srv = await strict();
+  const noAuth = await srv.fetchJSON('/api/admin/blocked-ips', { method: 'POST', body: { ip: '192.0.2.7' } });
+  assert.equal(noAuth.status, 401);
+  const bad = await srv.fetchJSON('/api/admin/blocked-ips', { method: 'POST', admin: true, body: { ip: 'nope' } });
+  assert.equal(bad.status, 400);
+
+  const blocked = await srv.fetchJSON('/api/admin/blocked-ips', {
+    method: 'POST', admin: true, body: { ip: '192.0.2.7', reason: 'card testing' },
+  });
+  assert.equal(blocked.status, 200);
+  assert.equal(blocked.body.expires_at, null);
+  const r = await checkout({ ip: '192.0.2.7' });
+  assert.equal(r.status, 403);
+
+  await srv.fetchJSON('/api/admin/blocked-ips/192.0.2.7', { method: 'DELETE', admin: true });
+  assert.equal((await checkout({ ip: '192.0.2.7' })).status, 200);
+  assert.equal((await srv.fetchJSON('/api/admin/blocked-ips/192.0.2.7', { method: 'DELETE', admin: true })).status, 404);
+
+  const actions = srv.db.prepare("SELECT action FROM audit_log WHERE action LIKE 'ip.%' ORDER BY id").all();
+  assert.deepEqual(actions.map(a => a.action), ['ip.block', 'ip.unblock']);
+});
+
+test('checkout sessions expire comfortably past the 30-minute minimum Stripe accepts', async () => {
+  for (const CHECKOUT_TTL_MIN of [undefined, '30', '45']) {
+    srv = await strict({ CHECKOUT_TTL_MIN });
+    const before = Math.floor(Date.now() / 1000);
+    const r = await checkout();
+    const { expires_at } = srv.stripe.sessions.get(r.body.id).params;
+    assert.ok(expires_at - before > 30 * 60, String(CHECKOUT_TTL_MIN));
+    if (CHECKOUT_TTL_MIN === '45') assert.ok(expires_at - before >= 45 * 60);
+    await srv.close();
+    srv = null;
+  }
+});
+
+test('the sweeper expires only stale pending checkouts', async () => {
+  srv = await strict();
+  for (let i = 0; i < 3; i++) await checkout({ ip: `203.0.113.${10 + i}` });
+  const ids = srv.db.prepare('SELECT id FROM transactions ORDER BY id').all().map(r => r.id);
+  srv.db.prepare("UPDATE transactions SET created_at=datetime('now', '-2 hours') WHERE id IN (?, ?)").run(ids[0], ids[1]);
+  srv.db.prepare("UPDATE transactions SET status='paid', paid=1 WHERE id=?").run(ids[1]);
+
+  assert.equal(expireStaleCheckouts(srv.db, 30), 1);
+  const statuses = srv.db.prepare('SELECT status FROM transactions ORDER BY id').all().map(r => r.status);
+  assert.deepEqual(statuses, ['expired', 'paid', 'pending']);
+});
+
+test('the rate limiter slides its window', () => {
+  let t = 0;
+  const limiter = createRateLimiter({ windowMs: 10000, max: 2, now: () => t });
+  assert.ok(limiter.hit('a').ok);
+  t = 4000;
+  assert.ok(limiter.hit('a').ok);
+  t = 5000;
+  assert.deepEqual(limiter.hit('a'), { ok: false, retryAfter: 5 });
+  t = 10001;
+  assert.ok(limiter.hit('a').ok);
+});
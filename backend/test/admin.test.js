@@ -0,0 +1,124 @@
+// backend/test/admin.test.js
+// Admin candidate and settings routes: reorder, settings validation and
+// manual tally adjustments, each checked for the admin token.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+
+let srv;
+beforeEach(async () => { srv = await start({ env: { CANDIDATES: 'Yes,No,Maybe' } }); });
+afterEach(() => srv && srv.close());
+
+const admin = (p, method, body) => srv.fetchJSON(p, { method, body, admin: true });
+
+function audits(action) {
+  return srv.db.prepare('SELECT target, details, reason FROM audit_log WHERE action=? ORDER BY id').all(action)
+    .map(a => ({ ...a, details: JSON.parse(a.details) }));
+}
+
+async function publicOrder() {
+  return (await srv.fetchJSON('/api/tally')).body.tally.map(c => c.name);
+}
+
+test('admin candidate and settings routes need the admin token', async () => {
+  const calls = [
+    ['/api/admin/candidates/reorder', 'POST', { ids: [3, 2, 1] }],
+    ['/api/admin/settings', 'PUT', { glow: '#ff0000' }],
+    ['/api/admin/candidates/1/adjust', 'POST', { delta: 5, reason: 'test' }],
+  ];
+  for (const [p, method, body] of calls) {
+    assert.equal((await srv.fetchJSON(p, { method, body })).status, 401, p);
+    assert.equal((await srv.fetchJSON(p, { method, body, headers: { Authorization: 'Bearer wrong' } })).status, 401, p);
+  }
+  assert.deepEqual(await publicOrder(), ['Yes', 'No', 'Maybe']);
+  assert.equal((await srv.fetchJSON('/api/tally')).body.tally[0].tally, 0);
+  assert.equal(srv.db.prepare('SELECT COUNT(*) AS n FROM audit_log').get().n, 0);
+});
+
+/* ---------- Reorder ---------- */
+test('reorder sets the public order and is audited', async () => {
+  const r = await admin('/api/admin/candidates/reorder', 'POST', { ids: [3, 1, 2] });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.candidates.map(c => c.name), ['Maybe', 'Yes', 'No']);
+  assert.deepEqual(await publicOrder(), ['Maybe', 'Yes', 'No']);
+  assert.deepEqual(audits('candidates.reorder').map(a => [a.target, a.details]),
+    [['poll:1', { before: [1, 2, 3], after: [3, 1, 2] }]]);
+});
+
+test('reorder must list every candidate of the poll exactly once', async () => {
+  for (const ids of [[1, 2], [1, 2, 2], [1, 2, 3, 4], [1, 2, 99], 'abc', undefined]) {
+    const r = await admin('/api/admin/candidates/reorder', 'POST', { ids });
+    assert.equal(r.status, 400, JSON.stringify(ids));
+    assert.equal(r.body.error, 'ids must list every candidate of the poll exactly once');
+  }
+  assert.deepEqual(await publicOrder(), ['Yes', 'No', 'Maybe']);
+});
+
+/* ---------- Settings ---------- */
+test('settings accept CSS colours and store them normalised', async () => {
+  const r = await admin('/api/admin/settings', 'PUT', { question: '  Cats   or dogs? ', glow: '#F0A' });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { ok: true, poll_id: 1, question: 'Cats or dogs?', glow: '#ff00aa' });
+  assert.equal((await admin('/api/admin/settings', 'PUT', { glow: 'rebeccapurple' })).body.glow, '#663399');
+  assert.equal((await admin('/api/admin/settings', 'PUT', { glow: 'rgb(0, 255, 0)' })).status, 200);
+
+  const settings = (await srv.fetchJSON('/api/settings')).body;
+  assert.equal(settings.question, 'Cats or dogs?');
+  assert.equal(settings.glow, 'rgb(0, 255, 0)');
+  assert.equal(audits('settings.update').length, 3);
+});
+
+test('settings refuse bad glow values and empty questions with 400', async () => {
+  const bad = ['', 'notacolour', '#12', '#12345', 'red; background:url(x)', 'url(javascript:alert(1))', 'expression(alert(1))', 42];
+  for (const glow of bad) {
+    const r = await admin('/api/admin/settings', 'PUT', { glow });
+    assert.equal(r.status, 400, String(glow));
+    assert.equal(r.body.error, 'glow must be a valid CSS colour');
+  }
+  const empty = await admin('/api/admin/settings', 'PUT', { question: '   ' });
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.error, /^Question must be 1–\d+ characters$/);
+
+  assert.equal((await admin('/api/admin/settings', 'PUT', { poll_id: 999, glow: 'red' })).status, 404);
+  assert.equal((await srv.fetchJSON('/api/settings')).body.glow, '#00ffff');
+  assert.deepEqual(audits('settings.update'), []);
+});
+
+/* ---------- Adjust ---------- */
+test('adjust writes an adjustment ledger row with its reason', async () => {
+  const r = await admin('/api/admin/candidates/2/adjust', 'POST', { delta: 5, reason: 'Paper ballots from the launch event' });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { id: 2, name: 'No', position: 1, tally: 5 });
+  assert.equal((await admin('/api/admin/candidates/2/adjust', 'POST', { delta: -2, reason: 'Counted twice' })).body.tally, 3);
+
+  const rows = srv.db.prepare('SELECT poll_id, candidate_id, delta, kind, reason, transaction_id FROM vote_ledger ORDER BY id').all();
+  assert.deepEqual(rows.map(row => ({ ...row })), [
+    { poll_id: 1, candidate_id: 2, delta: 5, kind: 'adjustment', reason: 'Paper ballots from the launch event', transaction_id: null },
+    { poll_id: 1, candidate_id: 2, delta: -2, kind: 'adjustment', reason: 'Counted twice', transaction_id: null },
+  ]);
+  assert.deepEqual(audits('tally.adjust').map(a => [a.target, a.details, a.reason]), [
+    ['candidate:2', { delta: 5, before: 0, after: 5 }, 'Paper ballots from the launch event'],
+    ['candidate:2', { delta: -2, before: 5, after: 3 }, 'Counted twice'],
+  ]);
+  assert.equal((await srv.fetchJSON('/api/tally')).body.tally.find(c => c.id === 2).tally, 3);
+});
+
+test('adjust needs a reason, a non-zero whole delta and a known candidate', async () => {
+  for (const reason of [undefined, '', '   ']) {
+    const r = await admin('/api/admin/candidates/1/adjust', 'POST', { delta: 1, reason });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, 'A reason is required');
+  }
+  for (const delta of [0, 1.5, 'abc', undefined]) {
+    const r = await admin('/api/admin/candidates/1/adjust', 'POST', { delta, reason: 'test' });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, 'delta must be a non-zero integer');
+  }
+  const below = await admin('/api/admin/candidates/1/adjust', 'POST', { delta: -1, reason: 'test' });
+  assert.equal(below.status, 400);
+  assert.equal(below.body.error, 'Tally cannot go below zero');
+  assert.equal((await admin('/api/admin/candidates/999/adjust', 'POST', { delta: 1, reason: 'test' })).status, 404);
+
+  assert.equal(srv.db.prepare('SELECT COUNT(*) AS n FROM vote_ledger').get().n, 0);
+  assert.deepEqual(audits('tally.adjust'), []);
+});
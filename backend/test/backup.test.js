@@ -0,0 +1,127 @@
+// backend/test/backup.test.js
+// Backups, exports and restores through the admin routes.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, ADMIN_TOKEN } = require('./harness');
+const { toCSV } = require('../lib/backup');
+
+let srv;
+beforeEach(async () => { srv = await start(); });
+afterEach(() => srv && srv.close());
+
+const admin = (p, opts = {}) => srv.fetchJSON(p, { admin: true, ...opts });
+
+async function paidVotes(votes, candidateId = 1) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId, votes } });
+  srv.stripe.pay(r.body.id);
+  await srv.fetchJSON(`/api/verify-session?session_id=${r.body.id}`);
+  return r.body.id;
+}
+
+async function yesTally() {
+  return (await srv.fetchJSON('/api/tally')).body.tally.find(c => c.id === 1).tally;
+}
+
+async function download(name) {
+  const r = await fetch(`${srv.url}/api/admin/backups/${name}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+  return { status: r.status, bytes: Buffer.from(await r.arrayBuffer()) };
+}
+
+async function upload(bytes) {
+  const r = await fetch(`${srv.url}/api/admin/backups/upload`, {
+    method: 'POST', body: bytes,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/octet-stream' },
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+test('everything needs the admin token', async () => {
+  for (const [method, p] of [['GET', '/api/admin/backups'], ['POST', '/api/admin/backups'],
+    ['GET', '/api/admin/export/transactions'], ['POST', '/api/admin/backups/x.db/restore']]) {
+    assert.equal((await srv.fetchJSON(p, { method })).status, 401, `${method} ${p}`);
+  }
+});
+
+test('a backup shows up in the list and downloads as a SQLite file', async () => {
+  const made = await admin('/api/admin/backups', { method: 'POST' });
+  assert.equal(made.status, 200);
+  assert.match(made.body.name, /^votes-\d{8}-\d{6}-\d{3}\.db$/);
+
+  const list = await admin('/api/admin/backups');
+  assert.deepEqual(list.body.backups.map(b => b.name), [made.body.name]);
+
+  const file = await download(made.body.name);
+  assert.equal(file.status, 200);
+  assert.equal(file.bytes.subarray(0, 15).toString(), 'SQLite format 3');
+  assert.equal((await download('..%2Fvotes.db')).status, 404);
+});
+
+test('restore brings the backup back and keeps a copy of what it replaced', async () => {
+  await paidVotes(3);
+  const { name } = (await admin('/api/admin/backups', { method: 'POST' })).body;
+  await paidVotes(4);
+  assert.equal(await yesTally(), 7);
+
+  const r = await admin(`/api/admin/backups/${name}/restore`, { method: 'POST', body: { reason: 'test' } });
+  assert.equal(r.status, 200);
+  assert.match(r.body.safety_backup, /^pre-restore-/);
+  assert.equal(await yesTally(), 3);
+  assert.equal(srv.db.prepare("SELECT COUNT(*) AS n FROM audit_log WHERE action='db.restore'").get().n, 1);
+
+  // ...and the safety copy undoes it
+  await admin(`/api/admin/backups/${r.body.safety_backup}/restore`, { method: 'POST' });
+  assert.equal(await yesTally(), 7);
+});
+
+test('uploads are validated before they are kept', async () => {
+  const junk = await upload('definitely not sqlite');
+  assert.equal(junk.status, 400);
+  assert.ok(junk.body.details.length);
+  assert.deepEqual((await admin('/api/admin/backups')).body.backups, []);
+
+  const { name } = (await admin('/api/admin/backups', { method: 'POST' })).body;
+  const ok = await upload((await download(name)).bytes);
+  assert.equal(ok.status, 200);
+  assert.match(ok.body.name, /^upload-/);
+  assert.equal(ok.body.ok, true);
+});
+
+test('a database that is not ours is refused', async () => {
+  const Database = require('better-sqlite3');
+  const other = new Database(':memory:');
+  other.exec('CREATE TABLE notes (x)');
+  const r = await upload(other.serialize());
+  other.close();
+  assert.equal(r.status, 400);
+  assert.match(r.body.details.join(), /Missing tables/);
+});
+
+test('exports transactions and candidates as CSV or JSON, filtered', async () => {
+  const session = await paidVotes(2);
+  await paidVotes(5, 2);
+
+  const csv = await admin('/api/admin/export/transactions?poll_id=1');
+  assert.equal(csv.status, 200);
+  const lines = csv.text.trim().split('\r\n');
+  assert.match(lines[0], /^id,session_id,poll_id,candidate_id,candidate,votes,currency,/);
+  assert.equal(lines.length, 3);
+  assert.ok(lines[1].includes(session));
+
+  const json = await admin('/api/admin/export/candidates?format=json');
+  assert.deepEqual(json.body.candidates.map(c => [c.name, c.votes]), [['Yes', 2], ['No', 5]]);
+
+  const future = await admin('/api/admin/export/transactions?format=json&from=2999-01-01');
+  assert.deepEqual(future.body.transactions, []);
+  const none = await admin('/api/admin/export/candidates?format=json&to=2000-01-01');
+  assert.deepEqual(none.body.candidates.map(c => c.votes), [0, 0]);
+
+  assert.equal((await admin('/api/admin/export/transactions?from=soon')).status, 400);
+  assert.equal((await admin('/api/admin/export/audit_log')).status, 400);
+  assert.equal((await admin('/api/admin/export/transactions?format=xml')).status, 400);
+});
+
+test('toCSV quotes what needs quoting and defuses formulas', () => {
+  assert.equal(toCSV([{ a: 'x,y', b: 'say "hi"', c: '=SUM(A1)', d: null, e: -3 }]),
+    'a,b,c,d,e\r\n"x,y","say ""hi""",\'=SUM(A1),,-3\r\n');
+  assert.equal(toCSV([], ['id', 'name']), 'id,name\r\n');
+});
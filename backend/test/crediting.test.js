@@ -0,0 +1,86 @@
+// backend/test/crediting.test.js
+// lib/crediting.js under concurrency: verify-session, the webhook and admin
+// refunds hitting the same payment at once, against the stubbed Stripe.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stubStripe, signedEvent } = require('./harness');
+
+let srv;
+afterEach(() => srv && srv.close());
+
+async function newSession(votes = 3) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes } });
+  assert.equal(r.status, 200);
+  return r.body.id;
+}
+
+function verify(sessionId) {
+  return srv.fetchJSON(`/api/verify-session?session_id=${encodeURIComponent(sessionId)}`);
+}
+
+function webhook(event) {
+  const signed = signedEvent(event);
+  return srv.fetchJSON('/api/stripe/webhook', {
+    method: 'POST',
+    body: signed.payload,
+    headers: { 'Content-Type': 'application/json', 'stripe-signature': signed.signature },
+  });
+}
+
+function completed(session, id = `evt_${session.id}`) {
+  return { id, type: 'checkout.session.completed', data: { object: session } };
+}
+
+async function yesTally() {
+  return (await srv.fetchJSON('/api/tally')).body.tally.find(c => c.id === 1).tally;
+}
+
+function ledgerRows(sessionId) {
+  return srv.db.prepare('SELECT kind, delta FROM vote_ledger WHERE session_id=?').all(sessionId);
+}
+
+test.describe('verify-session and webhook racing', () => {
+  test('a session paid through both at once is counted once', async () => {
+    // verify-session waits on Stripe while the webhook lands.
+    srv = await start({ stripe: stubStripe({ retrieveDelayMs: 50 }) });
+    const id = await newSession(5);
+    const session = srv.stripe.pay(id);
+
+    const results = await Promise.all([verify(id), webhook(completed(session)), verify(id), webhook(completed(session))]);
+    assert.ok(results.every(r => r.status === 200));
+    assert.equal(await yesTally(), 5);
+    assert.deepEqual(ledgerRows(id), [{ kind: 'payment', delta: 5 }]);
+  });
+
+  test('many sessions verified and delivered concurrently each count once', async () => {
+    srv = await start({ stripe: stubStripe({ retrieveDelayMs: 10 }) });
+    const ids = [];
+    for (let i = 0; i < 10; i++) ids.push(await newSession(1));
+    const calls = [];
+    for (const id of ids) {
+      const session = srv.stripe.pay(id);
+      calls.push(verify(id), verify(id), webhook(completed(session)), webhook(completed(session, `evt_retry_${id}`)));
+    }
+    await Promise.all(calls);
+    assert.equal(await yesTally(), 10);
+    const reconcile = await srv.fetchJSON('/api/admin/reconcile', { admin: true });
+    assert.equal(reconcile.status, 200);
+  });
+
+  test('a refund racing its webhook is reversed once', async () => {
+    srv = await start();
+    const id = await newSession(3);
+    await verify(srv.stripe.pay(id).id);
+    const trx = srv.db.prepare('SELECT * FROM transactions WHERE session_id=?').get(id);
+    const refunded = {
+      id: 'evt_refund', type: 'charge.refunded',
+      data: { object: { id: 'ch_1', payment_intent: trx.payment_intent, refunded: true } },
+    };
+    await Promise.all([
+      srv.fetchJSON(`/api/admin/transactions/${trx.id}/refund`, { method: 'POST', admin: true, body: { reason: 'test' } }),
+      webhook(refunded),
+    ]);
+    assert.equal(await yesTally(), 0);
+    assert.deepEqual(ledgerRows(id), [{ kind: 'payment', delta: 3 }, { kind: 'reversal', delta: -3 }]);
+  });
+});
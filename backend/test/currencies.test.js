@@ -0,0 +1,57 @@
+// backend/test/currencies.test.js
+// The currency allowlist, GET /api/currencies and zero-decimal amounts.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { loadPriceTable } = require('../lib/pricing');
+const { loadCurrencies, currencyList } = require('../lib/currencies');
+
+let srv;
+afterEach(() => srv && srv.close());
+
+test('VOTE_PRICES only reprices currencies we support', () => {
+  const table = loadPriceTable({ VOTE_PRICES: 'eur:2.00,XYZ:5,BTC:0.0001,JPY:200' });
+  assert.equal(table.EUR, 200);
+  assert.equal(table.JPY, 200);
+  assert.equal(table.XYZ, undefined);
+  assert.equal(table.BTC, undefined);
+});
+
+test('every priced currency has a name', () => {
+  const prices = loadPriceTable({});
+  for (const c of currencyList(loadCurrencies(prices, {}), prices)) assert.notEqual(c.name, c.code, c.code);
+});
+
+test('GET /api/currencies describes each allowed currency', async () => {
+  srv = await start();
+  const r = await srv.fetchJSON('/api/currencies');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.default, 'USD');
+  assert.deepEqual(r.body.currencies.find(c => c.code === 'USD'),
+    { code: 'USD', name: 'US Dollar', decimals: 2, unit_amount: 100, minimum: 50 });
+  assert.deepEqual(r.body.currencies.find(c => c.code === 'JPY'),
+    { code: 'JPY', name: 'Japanese Yen', decimals: 0, unit_amount: 150, minimum: 50 });
+});
+
+test('CURRENCIES and DEFAULT_CURRENCY narrow the list', async () => {
+  srv = await start({ env: { CURRENCIES: 'eur, JPY,XYZ', DEFAULT_CURRENCY: 'JPY', VOTE_PRICES: 'XYZ:5' } });
+  const r = await srv.fetchJSON('/api/currencies');
+  assert.deepEqual(r.body.currencies.map(c => c.code), ['EUR', 'JPY']);
+  assert.equal(r.body.default, 'JPY');
+  const usd = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, currency: 'USD' } });
+  assert.equal(usd.status, 400);
+  assert.deepEqual(usd.body.supported, ['EUR', 'JPY']);
+});
+
+test('a JPY checkout is charged in whole yen', async () => {
+  srv = await start();
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes: 7, currency: 'jpy' } });
+  assert.equal(r.status, 200);
+  const { params } = srv.stripe.sessions.get(r.body.id);
+  assert.equal(params.currency, 'JPY');
+  // 5-vote bundle at 10% off, then two single votes
+  assert.deepEqual(params.line_items.map(l => [l.price_data.currency, l.price_data.unit_amount, l.quantity]),
+    [['JPY', 675, 1], ['JPY', 150, 2]]);
+  const row = srv.db.prepare('SELECT amount_total, currency FROM transactions WHERE session_id=?').get(r.body.id);
+  assert.deepEqual({ ...row }, { amount_total: 975, currency: 'JPY' });
+});
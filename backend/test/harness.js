@@ -0,0 +1,108 @@
+// backend/test/harness.js
+// Starts the app on a random port with a throwaway database.
+process.env.LOG_LEVEL ??= 'silent';   // before lib/logger is loaded; LOG_LEVEL=debug npm test to see logs
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Stripe = require('stripe');
+const { createApp } = require('../app');
+const { createStripeProvider } = require('../lib/payments');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const WEBHOOK_SECRET = 'whsec_test';
+
+// Most tests open many checkouts from one address; test/abuse.test.js
+// sets its own limits.
+const RELAXED_LIMITS = { RATE_LIMIT_IP: '1000', RATE_LIMIT_FINGERPRINT: '1000', MAX_OPEN_SESSIONS: '1000' };
+
+// Only the webhook helpers are used, and they never touch the network.
+const realStripe = new Stripe('sk_test_offline', { apiVersion: '2024-06-20' });
+
+/**
+ * A Stripe client with just enough of the API for checkout, verify and
+ * refunds. Sessions are kept in `sessions`; `pay(id)` marks one paid.
+ * `retrieveDelayMs` holds verify-session mid-flight to line up races.
+ */
+function stubStripe({ retrieveDelayMs = 0 } = {}) {
+  const sessions = new Map();
+  let n = 0;
+  return {
+    sessions,
+    pay(id) {
+      Object.assign(sessions.get(id), { payment_status: 'paid', payment_intent: `pi_test_${id}` });
+      return sessions.get(id);
+    },
+    checkout: {
+      sessions: {
+        async create(params) {
+          const id = `cs_test_${++n}`;
+          sessions.set(id, { id, url: `https://checkout.test/${id}`, payment_status: 'unpaid', payment_intent: null, metadata: params.metadata, params });
+          return sessions.get(id);
+        },
+        async retrieve(id) {
+          if (retrieveDelayMs) await new Promise(r => setTimeout(r, retrieveDelayMs));
+          if (!sessions.has(id)) throw new Error(`No such checkout.session: ${id}`);
+          return { ...sessions.get(id) };
+        },
+        async list({ payment_intent }) {
+          return { data: [...sessions.values()].filter(s => s.payment_intent === payment_intent) };
+        },
+      },
+    },
+    refunds: { async create() { return { id: `re_test_${++n}` }; } },
+    charges: { async retrieve(id) { return { id, payment_intent: null }; } },
+    webhooks: realStripe.webhooks,
+  };
+}
+
+/** Body and signature header for a webhook event, signed with `secret`. */
+function signedEvent(event, secret = WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event);
+  return { payload, signature: realStripe.webhooks.generateTestHeaderString({ payload, secret }) };
+}
+
+/**
+ * start({ env, stripe, payments, logger }) → { url, db, stripe, fetchJSON, close }
+ * Pass `payments: null` for a server without checkout.
+ */
+async function start({ env = {}, stripe = stubStripe(), payments, logger } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vote-test-'));
+  const provider = payments !== undefined ? payments : createStripeProvider(stripe, { webhookSecret: WEBHOOK_SECRET });
+  const { app, db, close } = createApp({
+    env: { ADMIN_TOKEN, FRONTEND_URL: 'http://frontend.test', ...RELAXED_LIMITS, ...env },
+    dbPath: path.join(dir, 'votes.db'),
+    payments: provider,
+    logger,
+  });
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function fetchJSON(p, { method = 'GET', body, headers = {}, admin = false } = {}) {
+    const r = await fetch(url + p, {
+      method,
+      headers: {
+        ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+        ...(admin ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {}),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await r.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) { /* plain-text error */ }
+    return { status: r.status, headers: r.headers, body: json, text };
+  }
+
+  return {
+    url, db, stripe, fetchJSON,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { start, stubStripe, signedEvent, ADMIN_TOKEN, WEBHOOK_SECRET };
@@ -0,0 +1,67 @@
+// backend/test/health.test.js
+// GET /api/health/live and /api/health/ready.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stubStripe } = require('./harness');
+const { createStripeProvider } = require('../lib/payments');
+
+let srv;
+afterEach(() => srv && srv.close());
+
+const ready = () => srv.fetchJSON('/api/health/ready');
+
+test('live answers without touching anything else', async () => {
+  srv = await start();
+  for (const p of ['/api/health', '/api/health/live']) {
+    const r = await srv.fetchJSON(p);
+    assert.equal(r.status, 200);
+    assert.equal(r.body.ok, true);
+    assert.equal(r.headers.get('cache-control'), 'no-store');
+  }
+});
+
+test('ready reports the database, schema and payments', async () => {
+  srv = await start();
+  const r = await ready();
+  assert.equal(r.status, 200);
+  assert.equal(r.body.ok, true);
+  assert.deepEqual(r.body.checks.database, { ok: true, read: true, write: true, journal_mode: 'wal', wal: true });
+  assert.equal(r.body.checks.schema.ok, true);
+  assert.equal(r.body.checks.schema.version, r.body.checks.schema.latest);
+  assert.deepEqual(r.body.checks.payments, { ok: true, provider: 'stripe', webhook: true });
+  assert.ok(srv.db.prepare('SELECT checked_at FROM health_check WHERE id=1').get().checked_at);
+});
+
+test('missing payments or webhook secret are reported but still ready', async () => {
+  srv = await start({ payments: null });
+  let r = await ready();
+  assert.equal(r.status, 200);
+  assert.equal(r.body.checks.payments.ok, false);
+  await srv.close();
+
+  srv = await start({ payments: createStripeProvider(stubStripe(), {}) });
+  r = await ready();
+  assert.equal(r.status, 200);
+  assert.equal(r.body.checks.payments.ok, true);
+  assert.equal(r.body.checks.payments.webhook, false);
+  assert.match(r.body.checks.payments.warning, /Webhook secret/);
+});
+
+test('a failing write makes it unready', async () => {
+  srv = await start();
+  srv.db.exec('DROP TABLE health_check');
+  const r = await ready();
+  assert.equal(r.status, 503);
+  assert.equal(r.body.ok, false);
+  assert.equal(r.body.checks.database.ok, false);
+  assert.match(r.body.checks.database.error, /health_check/);
+});
+
+test('an unapplied migration makes it unready', async () => {
+  srv = await start();
+  const latest = srv.db.prepare('SELECT MAX(version) AS v FROM schema_version').get().v;
+  srv.db.prepare('DELETE FROM schema_version WHERE version=?').run(latest);
+  const r = await ready();
+  assert.equal(r.status, 503);
+  assert.deepEqual(r.body.checks.schema.pending, [latest]);
+});
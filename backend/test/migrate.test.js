@@ -0,0 +1,96 @@
+// backend/test/migrate.test.js
+process.env.LOG_LEVEL ??= 'silent';   // before lib/logger is loaded
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../lib/db');
+const { migrate, migrationStatus, loadMigrations, hasTable } = require('../lib/migrate');
+const { createLogger } = require('../lib/logger');
+const { verifyChain } = require('../lib/ledger');
+
+const quiet = createLogger({ level: 'silent' });
+const cleanup = [];
+afterEach(() => {
+  for (const fn of cleanup.splice(0)) fn();
+});
+
+function tempDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vote-migrate-'));
+  const db = openDatabase(path.join(dir, 'votes.db'));
+  cleanup.push(() => { db.close(); fs.rmSync(dir, { recursive: true, force: true }); });
+  return { db, dir };
+}
+
+test('a fresh database gets every migration, once', () => {
+  const { db } = tempDb();
+  const all = loadMigrations().map(m => m.name);
+  assert.deepEqual(migrate(db, { log: quiet }), all);
+  assert.deepEqual(migrate(db, { log: quiet }), []);
+  assert.ok(migrationStatus(db).every(r => r.applied_at));
+  for (const t of ['polls', 'candidates', 'transactions', 'settings', 'audit_log', 'vote_ledger', 'stripe_events']) {
+    assert.ok(hasTable(db, t), t);
+  }
+});
+
+test('a pre-poll database is folded into poll #1 with its tallies in the ledger', () => {
+  const { db } = tempDb();
+  db.exec(`CREATE TABLE candidates (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE, tally INTEGER DEFAULT 0);
+    CREATE TABLE settings (id INTEGER PRIMARY KEY, question TEXT, glow TEXT);
+    CREATE TABLE transactions (id INTEGER PRIMARY KEY AUTOINCREMENT, session_id TEXT UNIQUE,
+      candidate_id INTEGER NOT NULL, votes INTEGER NOT NULL, currency TEXT NOT NULL,
+      amount_total INTEGER NOT NULL, paid INTEGER NOT NULL DEFAULT 0, created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+    INSERT INTO settings VALUES (1, 'Old question?', '#ff0000');
+    INSERT INTO candidates (name, tally) VALUES ('Yes', 5), ('No', 2);
+    INSERT INTO transactions (session_id, candidate_id, votes, currency, amount_total, paid)
+      VALUES ('cs_old', 1, 3, 'usd', 300, 1);`);
+
+  migrate(db, { log: quiet });
+
+  const poll = db.prepare('SELECT * FROM polls').get();
+  assert.equal(poll.question, 'Old question?');
+  assert.equal(poll.status, 'open');
+  assert.deepEqual(db.prepare('SELECT name, poll_id, tally FROM candidates ORDER BY id').all(),
+    [{ name: 'Yes', poll_id: poll.id, tally: 5 }, { name: 'No', poll_id: poll.id, tally: 2 }]);
+  assert.deepEqual(db.prepare('SELECT poll_id, status FROM transactions').get(), { poll_id: poll.id, status: 'paid' });
+  const ledger = db.prepare('SELECT candidate_id, SUM(delta) AS t FROM vote_ledger GROUP BY candidate_id ORDER BY candidate_id').all();
+  assert.deepEqual(ledger, [{ candidate_id: 1, t: 5 }, { candidate_id: 2, t: 2 }]);
+  // the backfilled rows are chained, and the old payment has a receipt on both sides
+  assert.equal(verifyChain(db.prepare('SELECT * FROM vote_ledger ORDER BY id').all()).ok, true);
+  const { receipt } = db.prepare('SELECT receipt FROM transactions').get();
+  assert.ok(receipt);
+  assert.equal(db.prepare("SELECT receipt FROM vote_ledger WHERE kind='payment'").get().receipt, receipt);
+  assert.deepEqual(db.pragma('foreign_key_check'), []);
+  assert.equal(db.pragma('foreign_keys', { simple: true }), 1);
+});
+
+test('a failing migration is rolled back and stops the run', () => {
+  const { db, dir } = tempDb();
+  const migrations = path.join(dir, 'migrations');
+  fs.mkdirSync(migrations);
+  fs.writeFileSync(path.join(migrations, '001_ok.js'), "exports.up = db => db.exec('CREATE TABLE a (x)');");
+  fs.writeFileSync(path.join(migrations, '002_bad.js'),
+    "exports.up = db => { db.exec('CREATE TABLE b (x)'); db.exec('NOT SQL'); };");
+  fs.writeFileSync(path.join(migrations, '003_later.js'), "exports.up = db => db.exec('CREATE TABLE c (x)');");
+
+  assert.throws(() => migrate(db, { dir: migrations, log: quiet }), /Migration 002_bad failed/);
+  assert.ok(hasTable(db, 'a'));
+  assert.ok(!hasTable(db, 'b'));
+  assert.ok(!hasTable(db, 'c'));
+  assert.deepEqual(migrationStatus(db, { dir: migrations }).map(r => [r.name, !!r.applied_at]),
+    [['001_ok', true], ['002_bad', false], ['003_later', false]]);
+});
+
+test('migration files must be numbered and unique', () => {
+  const { dir } = tempDb();
+  const migrations = path.join(dir, 'migrations');
+  fs.mkdirSync(migrations);
+  fs.writeFileSync(path.join(migrations, 'add_things.js'), 'exports.up = () => {};');
+  assert.throws(() => loadMigrations(migrations), /Bad migration file name/);
+
+  fs.rmSync(path.join(migrations, 'add_things.js'));
+  fs.writeFileSync(path.join(migrations, '001_a.js'), 'exports.up = () => {};');
+  fs.writeFileSync(path.join(migrations, '01_b.js'), 'exports.up = () => {};');
+  assert.throws(() => loadMigrations(migrations), /Two migrations use version 1/);
+});
@@ -0,0 +1,88 @@
+// backend/test/mock.test.js
+// The whole vote flow on PAYMENT_PROVIDER=mock: checkout, the mock checkout
+// page, its signed webhooks, verify-session and the receipt. No Stripe stub.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { createMockProvider } = require('../lib/payments/mock');
+
+// The provider needs the backend's URL before the harness has picked a port,
+// so it is given a placeholder and webhooks are re-addressed to the server.
+const PLACEHOLDER = 'http://backend.test';
+
+let srv, delivered, dropWebhooks;
+beforeEach(async () => {
+  delivered = [];
+  dropWebhooks = false;
+  const payments = createMockProvider({
+    backendUrl: PLACEHOLDER,
+    deliver: async (url, body, headers) => {
+      if (dropWebhooks) throw new Error('connection refused');
+      const r = await fetch(url.replace(PLACEHOLDER, srv.url), { method: 'POST', headers, body });
+      delivered.push({ type: JSON.parse(body).type, status: r.status });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    },
+  });
+  srv = await start({ payments });
+});
+afterEach(() => srv && srv.close());
+
+async function checkout(votes) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.url, `${PLACEHOLDER}/mock-checkout/${r.body.id}`);
+  return r.body.id;
+}
+
+function press(id, button) {
+  return fetch(`${srv.url}/mock-checkout/${id}/${button}`, { method: 'POST', redirect: 'manual' });
+}
+
+async function yesTally() {
+  return (await srv.fetchJSON('/api/tally')).body.tally.find(c => c.id === 1).tally;
+}
+
+test('paying on the mock page counts the votes through its webhook and issues a receipt', async () => {
+  const id = await checkout(3);
+  const page = await fetch(`${srv.url}/mock-checkout/${id}`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /Pay 3\.00 USD/);
+
+  const paid = await press(id, 'pay');
+  assert.equal(paid.status, 303);
+  assert.equal(paid.headers.get('location'), `http://frontend.test/receipt/${id}`);
+  assert.deepEqual(delivered, [{ type: 'checkout.session.completed', status: 200 }]);
+  assert.equal(await yesTally(), 3);
+
+  const v = await srv.fetchJSON(`/api/verify-session?session_id=${id}`);
+  assert.deepEqual(v.body, { ok: true, alreadyCounted: true, receipt: v.body.receipt });
+  const receipt = await srv.fetchJSON(`/api/receipts/${v.body.receipt}`);
+  assert.equal(receipt.body.counted, true);
+  assert.equal(receipt.body.votes, 3);
+});
+
+test('verify-session credits a mock payment whose webhook was lost', async () => {
+  const id = await checkout(2);
+  assert.deepEqual((await srv.fetchJSON(`/api/verify-session?session_id=${id}`)).body, { ok: false, paid: false });
+
+  dropWebhooks = true;
+  assert.equal((await press(id, 'pay')).status, 303);
+  assert.equal(await yesTally(), 0);
+
+  const v = await srv.fetchJSON(`/api/verify-session?session_id=${id}`);
+  assert.deepEqual(v.body, { ok: true, counted: true, receipt: v.body.receipt });
+  assert.equal(await yesTally(), 2);
+  assert.equal((await srv.fetchJSON(`/api/receipts/${v.body.receipt}`)).body.votes, 2);
+  assert.equal((await srv.fetchJSON(`/api/checkout/${id}`)).body.status, 'paid');
+});
+
+test('cancelling on the mock page expires the checkout without counting it', async () => {
+  const id = await checkout(1);
+  const cancelled = await press(id, 'cancel');
+  assert.equal(cancelled.status, 303);
+  assert.equal(cancelled.headers.get('location'), 'http://frontend.test/?status=cancelled');
+  assert.deepEqual(delivered, [{ type: 'checkout.session.expired', status: 200 }]);
+  assert.equal((await srv.fetchJSON(`/api/checkout/${id}`)).body.status, 'expired');
+  assert.equal((await press(id, 'pay')).status, 303);   // back to the page, not paid
+  assert.equal(await yesTally(), 0);
+});
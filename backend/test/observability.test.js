@@ -0,0 +1,104 @@
+// backend/test/observability.test.js
+// Request ids, the JSON request log and GET /api/metrics.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, signedEvent } = require('./harness');
+const { createLogger } = require('../lib/logger');
+
+let srv, lines;
+beforeEach(async () => {
+  lines = [];
+  srv = await start({ logger: createLogger({ level: 'debug', write: l => lines.push(JSON.parse(l)) }) });
+});
+afterEach(() => srv && srv.close());
+
+function metrics(headers = { Authorization: 'Bearer test-admin-token' }) {
+  return srv.fetchJSON('/api/metrics', { headers });
+}
+
+/** The value of one sample line, e.g. sample(text, 'vote_checkouts_created_total{currency="USD"}') */
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(series + ' '));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+async function paidCheckout(votes) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes } });
+  srv.stripe.pay(r.body.id);
+  return r;
+}
+
+/* ---------- Request ids ---------- */
+test.describe('request ids', () => {
+  test('every response carries one, and the request log line uses it', async () => {
+    const r = await srv.fetchJSON('/api/tally');
+    const id = r.headers.get('x-request-id');
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    const line = lines.find(l => l.msg === 'request' && l.request_id === id);
+    assert.equal(line.route, '/api/tally');
+    assert.equal(line.status, 200);
+    assert.equal(typeof line.duration_ms, 'number');
+  });
+
+  test('a well-formed incoming id is kept, anything else is replaced', async () => {
+    let r = await srv.fetchJSON('/api/tally', { headers: { 'X-Request-Id': 'edge-42.a' } });
+    assert.equal(r.headers.get('x-request-id'), 'edge-42.a');
+    r = await srv.fetchJSON('/api/tally', { headers: { 'X-Request-Id': 'no spaces <please>' } });
+    assert.notEqual(r.headers.get('x-request-id'), 'no spaces <please>');
+  });
+
+  test('the session id joins the log context, and the webhook links back to the checkout request', async () => {
+    const r = await paidCheckout(2);
+    const requestId = r.headers.get('x-request-id');
+    assert.ok(lines.some(l => l.msg === 'Checkout created' && l.request_id === requestId && l.session_id === r.body.id));
+
+    const session = srv.stripe.sessions.get(r.body.id);
+    assert.equal(session.params.metadata.request_id, requestId);
+    const signed = signedEvent({ id: 'evt_obs', type: 'checkout.session.completed', data: { object: session } });
+    await srv.fetchJSON('/api/stripe/webhook', {
+      method: 'POST', body: signed.payload,
+      headers: { 'Content-Type': 'application/json', 'stripe-signature': signed.signature },
+    });
+    const credited = lines.find(l => l.msg === 'Votes credited');
+    assert.equal(credited.session_id, r.body.id);
+    assert.equal(credited.checkout_request_id, requestId);
+    assert.equal(credited.event_id, 'evt_obs');
+  });
+});
+
+/* ---------- Metrics ---------- */
+test.describe('GET /api/metrics', () => {
+  test('needs the metrics or admin token', async () => {
+    assert.equal((await metrics({})).status, 401);
+    assert.equal((await metrics({ Authorization: 'Bearer nope' })).status, 401);
+    const r = await metrics();
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(r.text, /# TYPE vote_http_request_duration_seconds histogram/);
+  });
+
+  test('METRICS_TOKEN works on its own', async () => {
+    await srv.close();
+    srv = await start({ env: { METRICS_TOKEN: 'scrape-me' } });
+    assert.equal((await metrics({ Authorization: 'Bearer scrape-me' })).status, 200);
+  });
+
+  test('counts checkouts, verifications, paid votes and webhook failures', async () => {
+    const a = await paidCheckout(3);
+    const b = await paidCheckout(2);
+    await srv.fetchJSON(`/api/verify-session?session_id=${a.body.id}`);
+    await srv.fetchJSON(`/api/verify-session?session_id=${a.body.id}`);
+    await srv.fetchJSON(`/api/verify-session?session_id=${b.body.id}`);
+    await srv.fetchJSON('/api/stripe/webhook', {
+      method: 'POST', body: '{}', headers: { 'Content-Type': 'application/json', 'stripe-signature': 'bad' },
+    });
+
+    const { text } = await metrics();
+    assert.equal(sample(text, 'vote_checkouts_created_total{currency="USD"}'), 2);
+    assert.equal(sample(text, 'vote_verifications_total{result="counted"}'), 2);
+    assert.equal(sample(text, 'vote_verifications_total{result="already_counted"}'), 1);
+    assert.equal(sample(text, 'vote_paid_votes{poll_id="1",candidate_id="1",candidate="Yes"}'), 5);
+    assert.equal(sample(text, 'vote_webhook_failures_total{reason="signature"}'), 1);
+    assert.ok(sample(text, 'vote_http_request_duration_seconds_count{method="POST",route="/api/create-checkout-session",status="200"}') === 2);
+  });
+});
@@ -0,0 +1,198 @@
+// backend/test/payments.test.js
+// verify-session, the webhook and admin refunds. Their races are in crediting.test.js.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stubStripe, signedEvent } = require('./harness');
+const { createLogger } = require('../lib/logger');
+
+let srv;
+afterEach(() => srv && srv.close());
+
+async function newSession(votes = 3) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes } });
+  assert.equal(r.status, 200);
+  return r.body.id;
+}
+
+function verify(sessionId) {
+  return srv.fetchJSON(`/api/verify-session?session_id=${encodeURIComponent(sessionId)}`);
+}
+
+function webhook(event, { secret, signature } = {}) {
+  const signed = signedEvent(event, secret);
+  return srv.fetchJSON('/api/stripe/webhook', {
+    method: 'POST',
+    body: signed.payload,
+    headers: { 'Content-Type': 'application/json', 'stripe-signature': signature ?? signed.signature },
+  });
+}
+
+function completed(session, id = `evt_${session.id}`) {
+  return { id, type: 'checkout.session.completed', data: { object: session } };
+}
+
+async function yesTally() {
+  return (await srv.fetchJSON('/api/tally')).body.tally.find(c => c.id === 1).tally;
+}
+
+function ledgerRows(sessionId) {
+  return srv.db.prepare('SELECT kind, delta FROM vote_ledger WHERE session_id=?').all(sessionId);
+}
+
+/* ---------- verify-session ---------- */
+test.describe('verify-session', () => {
+  beforeEach(async () => { srv = await start(); });
+
+  test('needs a session_id and a session we created', async () => {
+    assert.equal((await srv.fetchJSON('/api/verify-session')).status, 400);
+    assert.equal((await verify('cs_unknown')).status, 404);
+  });
+
+  test('reports an unpaid session without counting it', async () => {
+    const id = await newSession();
+    assert.deepEqual((await verify(id)).body, { ok: false, paid: false });
+    assert.equal(await yesTally(), 0);
+  });
+
+  test('counts a paid session once', async () => {
+    const id = await newSession(3);
+    srv.stripe.pay(id);
+    const first = (await verify(id)).body;
+    assert.match(first.receipt, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+    assert.deepEqual(first, { ok: true, counted: true, receipt: first.receipt });
+    assert.deepEqual((await verify(id)).body, { ok: true, alreadyCounted: true, receipt: first.receipt });
+    assert.equal(await yesTally(), 3);
+    const row = srv.db.prepare('SELECT * FROM transactions WHERE session_id=?').get(id);
+    assert.equal(row.receipt, first.receipt);
+    assert.equal(row.status, 'paid');
+    assert.equal(row.payment_intent, `pi_test_${id}`);
+  });
+
+  test('reports expired and reversed sessions', async () => {
+    const expired = await newSession();
+    srv.db.prepare("UPDATE transactions SET status='expired' WHERE session_id=?").run(expired);
+    assert.deepEqual((await verify(expired)).body, { ok: false, paid: false, status: 'expired' });
+
+    const refunded = await newSession();
+    srv.stripe.pay(refunded);
+    const { receipt } = (await verify(refunded)).body;
+    srv.db.prepare("UPDATE transactions SET status='refunded' WHERE session_id=?").run(refunded);
+    assert.deepEqual((await verify(refunded)).body, { ok: false, status: 'refunded', receipt });
+  });
+
+  test('fails cleanly when the provider errors', async () => {
+    const id = await newSession();
+    srv.stripe.sessions.delete(id);
+    assert.equal((await verify(id)).status, 500);
+  });
+});
+
+/* ---------- webhook ---------- */
+test.describe('webhook', () => {
+  beforeEach(async () => { srv = await start(); });
+
+  test('rejects a missing, malformed or wrongly signed signature', async () => {
+    const id = await newSession();
+    const event = completed(srv.stripe.pay(id));
+    for (const opts of [{ signature: '' }, { signature: 't=1,v1=deadbeef' }, { secret: 'whsec_other' }]) {
+      const r = await webhook(event, opts);
+      assert.equal(r.status, 400);
+      assert.match(r.text, /^Webhook Error:/);
+    }
+    assert.equal(await yesTally(), 0);
+  });
+
+  test('rejects a body changed after signing', async () => {
+    const id = await newSession();
+    const { signature } = signedEvent(completed(srv.stripe.pay(id)));
+    const tampered = JSON.stringify(completed({ ...srv.stripe.sessions.get(id), id: 'cs_other' }));
+    const r = await srv.fetchJSON('/api/stripe/webhook', {
+      method: 'POST', body: tampered, headers: { 'Content-Type': 'application/json', 'stripe-signature': signature },
+    });
+    assert.equal(r.status, 400);
+  });
+
+  test('counts checkout.session.completed and ignores a redelivery', async () => {
+    const id = await newSession(4);
+    const event = completed(srv.stripe.pay(id));
+    assert.deepEqual((await webhook(event)).body, { received: true });
+    assert.deepEqual((await webhook(event)).body, { received: true, duplicate: true });
+    assert.equal(await yesTally(), 4);
+  });
+
+  test('a second event for the same session does not count it again', async () => {
+    const id = await newSession(2);
+    const session = srv.stripe.pay(id);
+    await webhook(completed(session, 'evt_a'));
+    await webhook(completed(session, 'evt_b'));
+    assert.deepEqual(ledgerRows(id), [{ kind: 'payment', delta: 2 }]);
+  });
+
+  test('a delayed payment counts when checkout.session.async_payment_succeeded arrives', async () => {
+    const id = await newSession(3);
+    const session = srv.stripe.sessions.get(id);
+    await webhook(completed({ ...session, payment_status: 'unpaid' }));
+    assert.equal(await yesTally(), 0);
+
+    const paid = srv.stripe.pay(id);
+    await webhook({ id: `evt_async_${id}`, type: 'checkout.session.async_payment_succeeded', data: { object: paid } });
+    assert.equal(await yesTally(), 3);
+    assert.deepEqual(ledgerRows(id), [{ kind: 'payment', delta: 3 }]);
+    assert.equal(srv.db.prepare('SELECT status FROM transactions WHERE session_id=?').get(id).status, 'paid');
+  });
+
+  test('charge.dispute.created takes the votes back once', async () => {
+    const id = await newSession(3);
+    await webhook(completed(srv.stripe.pay(id)));
+    assert.equal(await yesTally(), 3);
+
+    const dispute = { id: 'evt_dispute', type: 'charge.dispute.created', data: { object: { id: 'dp_1', payment_intent: `pi_test_${id}` } } };
+    assert.deepEqual((await webhook(dispute)).body, { received: true });
+    assert.deepEqual((await webhook({ ...dispute, id: 'evt_dispute_again' })).body, { received: true });
+    assert.equal(await yesTally(), 0);
+    assert.deepEqual(ledgerRows(id), [{ kind: 'payment', delta: 3 }, { kind: 'reversal', delta: -3 }]);
+    const trx = srv.db.prepare('SELECT status, reversed_at FROM transactions WHERE session_id=?').get(id);
+    assert.equal(trx.status, 'disputed');
+    assert.ok(trx.reversed_at);
+  });
+
+  test('a dispute that only names the charge is traced to its payment', async () => {
+    const id = await newSession(2);
+    await webhook(completed(srv.stripe.pay(id)));
+    srv.stripe.charges.retrieve = async chargeId => ({ id: chargeId, payment_intent: `pi_test_${id}` });
+    await webhook({ id: 'evt_dispute', type: 'charge.dispute.created', data: { object: { id: 'dp_2', charge: 'ch_1' } } });
+    assert.deepEqual(ledgerRows(id), [{ kind: 'payment', delta: 2 }, { kind: 'reversal', delta: -2 }]);
+  });
+
+  test('is a no-op without a webhook secret', async () => {
+    await srv.close();
+    const { createStripeProvider } = require('../lib/payments');
+    srv = await start({ payments: createStripeProvider(stubStripe(), {}) });
+    const r = await webhook({ id: 'evt_x', type: 'ping', data: { object: {} } });
+    assert.equal(r.body.note, 'webhook not configured');
+  });
+});
+
+/* ---------- admin refund ---------- */
+test.describe('admin refund', () => {
+  test('a provider error is logged and only its code goes back', async () => {
+    const lines = [];
+    const stripe = stubStripe();
+    stripe.refunds.create = async () => {
+      throw Object.assign(new Error('No such payment_intent: pi_test_1 on account acct_123'), { code: 'resource_missing' });
+    };
+    srv = await start({ stripe, logger: createLogger({ level: 'debug', write: l => lines.push(JSON.parse(l)) }) });
+    const id = await newSession();
+    srv.stripe.pay(id);
+    await verify(id);
+    const trx = srv.db.prepare('SELECT id FROM transactions WHERE session_id=?').get(id);
+
+    const r = await srv.fetchJSON(`/api/admin/transactions/${trx.id}/refund`, { method: 'POST', admin: true, body: { reason: 'test' } });
+    assert.equal(r.status, 502);
+    assert.deepEqual(r.body, { error: 'Refund failed', code: 'resource_missing' });
+    assert.ok(!r.text.includes('acct_123'));
+    assert.ok(lines.some(l => l.msg === 'Refund failed' && l.level === 'error' && l.code === 'resource_missing'));
+    assert.equal(srv.db.prepare('SELECT status FROM transactions WHERE id=?').get(trx.id).status, 'paid');
+    assert.equal(await yesTally(), 3);
+  });
+});
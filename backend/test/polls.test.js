@@ -0,0 +1,120 @@
+// backend/test/polls.test.js
+// Poll scheduling (opens_at / closes_at), checkout on a closed poll, and the
+// public poll history under GET /api/polls.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+
+let srv;
+beforeEach(async () => { srv = await start({ env: { CANDIDATES: 'Yes,No' } }); });
+afterEach(() => srv && srv.close());
+
+const minutesFromNow = m => new Date(Date.now() + m * 60 * 1000).toISOString();
+
+function createPoll(body) {
+  return srv.fetchJSON('/api/admin/polls', { method: 'POST', admin: true, body: { candidates: ['Red', 'Blue'], ...body } });
+}
+
+function setStatus(id, status) {
+  return srv.fetchJSON(`/api/admin/polls/${id}/status`, { method: 'POST', admin: true, body: { status } });
+}
+
+function checkout(candidateId, votes = 1) {
+  return srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId, votes } });
+}
+
+async function paidVotes(candidateId, votes) {
+  const r = await checkout(candidateId, votes);
+  srv.stripe.pay(r.body.id);
+  await srv.fetchJSON(`/api/verify-session?session_id=${r.body.id}`);
+}
+
+/* ---------- Scheduling ---------- */
+test('a poll whose opens_at has passed opens by itself and closes the previous one', async () => {
+  const r = await createPoll({ question: 'Already due?', opens_at: minutesFromNow(-1), closes_at: minutesFromNow(60) });
+  assert.equal(r.status, 201);
+  assert.equal(r.body.status, 'open');
+  assert.equal((await srv.fetchJSON('/api/polls/1')).body.status, 'closed');
+  assert.equal((await srv.fetchJSON('/api/polls/current')).body.id, r.body.id);
+});
+
+test('a scheduled poll stays a hidden draft until its opens_at', async () => {
+  const r = await createPoll({ question: 'Next week?', opens_at: minutesFromNow(60) });
+  assert.equal(r.body.status, 'draft');
+  assert.equal((await srv.fetchJSON(`/api/polls/${r.body.id}`)).status, 404);
+  assert.deepEqual((await srv.fetchJSON('/api/polls')).body.polls.map(p => p.id), [1]);
+
+  // last week's poll, then this one's start time arriving
+  srv.db.prepare("UPDATE polls SET opens_at=datetime('now', '-7 days') WHERE id=1").run();
+  srv.db.prepare("UPDATE polls SET opens_at=datetime('now', '-1 minute') WHERE id=?").run(r.body.id);
+  const polls = (await srv.fetchJSON('/api/polls')).body;
+  assert.equal(polls.current, r.body.id);
+  assert.deepEqual(polls.polls.map(p => [p.id, p.status]), [[r.body.id, 'open'], [1, 'closed']]);
+});
+
+test('an open poll closes when its closes_at passes', async () => {
+  srv.db.prepare("UPDATE polls SET closes_at=datetime('now', '-1 second') WHERE id=1").run();
+  const tally = (await srv.fetchJSON('/api/tally')).body;
+  assert.equal(tally.poll.status, 'closed');
+  assert.equal((await srv.fetchJSON('/api/polls/1')).body.status, 'closed');
+});
+
+test('schedules are checked: closes_at after opens_at, and real dates', async () => {
+  const backwards = await createPoll({ question: 'Backwards?', opens_at: minutesFromNow(60), closes_at: minutesFromNow(30) });
+  assert.equal(backwards.status, 400);
+  assert.equal(backwards.body.error, 'closes_at must be after opens_at');
+  const garbled = await createPoll({ question: 'Garbled?', opens_at: 'next tuesday' });
+  assert.equal(garbled.status, 400);
+  assert.equal(garbled.body.error, 'Invalid opens_at/closes_at');
+});
+
+/* ---------- Checkout on a closed poll ---------- */
+test('checkout is refused with 409 once the poll is closed', async () => {
+  assert.equal((await setStatus(1, 'closed')).status, 200);
+  const r = await checkout(1);
+  assert.equal(r.status, 409);
+  assert.equal(r.body.error, 'Voting is closed for this poll');
+  assert.equal(srv.stripe.sessions.size, 0);
+});
+
+test('checkout is refused the moment closes_at passes, before the timer runs', async () => {
+  srv.db.prepare("UPDATE polls SET closes_at=datetime('now', '-1 second') WHERE id=1").run();
+  assert.equal((await checkout(1)).status, 409);
+  assert.equal(srv.stripe.sessions.size, 0);
+});
+
+test('candidates of an earlier poll cannot be voted for after a new one opens', async () => {
+  const r = await createPoll({ question: 'This week?' });
+  await setStatus(r.body.id, 'open');
+  assert.equal((await checkout(1)).status, 409);
+  assert.equal((await checkout(r.body.candidates[0].id)).status, 200);
+});
+
+/* ---------- History ---------- */
+test('GET /api/polls/:id keeps each past poll with its final results', async () => {
+  await paidVotes(1, 3);
+  await paidVotes(2, 1);
+  const next = await createPoll({ question: 'Round two?' });
+  await setStatus(next.body.id, 'open');
+  await paidVotes(next.body.candidates[1].id, 2);
+
+  const list = (await srv.fetchJSON('/api/polls')).body;
+  assert.equal(list.current, next.body.id);
+  assert.deepEqual(list.polls.map(p => [p.id, p.status, p.total]), [[next.body.id, 'open', 2], [1, 'closed', 4]]);
+
+  const first = (await srv.fetchJSON('/api/polls/1')).body;
+  assert.equal(first.status, 'closed');
+  assert.equal(first.total, 4);
+  assert.deepEqual(first.candidates.map(c => [c.name, c.tally]), [['Yes', 3], ['No', 1]]);
+  assert.ok(first.closes_at);
+
+  const second = (await srv.fetchJSON(`/api/polls/${next.body.id}`)).body;
+  assert.deepEqual(second.candidates.map(c => [c.name, c.tally]), [['Red', 0], ['Blue', 2]]);
+});
+
+test('GET /api/polls/:id is 404 for unknown polls and drafts', async () => {
+  const draft = await createPoll({ question: 'Not yet?' });
+  assert.equal((await srv.fetchJSON('/api/polls/999')).status, 404);
+  assert.equal((await srv.fetchJSON(`/api/polls/${draft.body.id}`)).status, 404);
+  assert.equal((await srv.fetchJSON('/api/polls/abc')).status, 404);
+});
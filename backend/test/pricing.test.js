@@ -0,0 +1,78 @@
+// backend/test/pricing.test.js
+// The price table, bundle pricing and GET /api/pricing.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { loadPriceTable } = require('../lib/pricing');
+
+let srv;
+afterEach(() => srv && srv.close());
+
+test('VOTE_PRICE_MINOR sets the USD price in cents', () => {
+  assert.equal(loadPriceTable({ VOTE_PRICE_MINOR: '250' }).USD, 250);
+  assert.equal(loadPriceTable({}).USD, 100);
+});
+
+test('a VOTE_PRICE_MINOR that is not a positive whole number stops startup', () => {
+  for (const VOTE_PRICE_MINOR of ['1O0', '0', '-100', '1.5', 'abc']) {
+    assert.throws(() => loadPriceTable({ VOTE_PRICE_MINOR }), /^Error: VOTE_PRICE_MINOR must be a whole number/, VOTE_PRICE_MINOR);
+  }
+});
+
+test('GET /api/pricing lists every currency with the default bundles', async () => {
+  srv = await start();
+  const r = await srv.fetchJSON('/api/pricing');
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.prices.find(p => p.currency === 'USD'), { currency: 'USD', decimals: 2, unit_amount: 100, minimum: 50 });
+  assert.deepEqual(r.body.prices.find(p => p.currency === 'JPY'), { currency: 'JPY', decimals: 0, unit_amount: 150, minimum: 50 });
+  assert.deepEqual(r.body.bundles.map(b => [b.votes, b.discount_pct, b.max_quantity]),
+    [[1, 0, 25], [5, 10, 10], [25, 20, 10], [100, 30, 5]]);
+  assert.equal(r.body.max_votes, 1 * 25 + 5 * 10 + 25 * 10 + 100 * 5);
+  assert.equal(r.body.quote, undefined);
+});
+
+test('GET /api/pricing?currency prices each bundle with its discount', async () => {
+  srv = await start();
+  const r = await srv.fetchJSON('/api/pricing?currency=usd');
+  assert.deepEqual(r.body.bundles.map(b => [b.votes, b.amount]), [[1, 100], [5, 450], [25, 2000], [100, 7000]]);
+});
+
+test('GET /api/pricing?currency&votes gives the exact total, split into bundles', async () => {
+  srv = await start();
+  const usd = (await srv.fetchJSON('/api/pricing?currency=USD&votes=32')).body.quote;
+  assert.deepEqual(usd.lines.map(l => [l.votes, l.quantity, l.unit_amount]), [[25, 1, 2000], [5, 1, 450], [1, 2, 100]]);
+  assert.equal(usd.amount, 2000 + 450 + 200);
+  assert.equal(usd.list_amount, 3200);
+  assert.equal(usd.discount_amount, 3200 - 2650);
+  assert.equal(usd.tooMany, false);
+  assert.equal(usd.belowMinimum, false);
+
+  const jpy = (await srv.fetchJSON('/api/pricing?currency=JPY&votes=30')).body.quote;
+  assert.equal(jpy.decimals, 0);
+  assert.equal(jpy.amount, 3000 + 675);
+
+  const tooMany = (await srv.fetchJSON('/api/pricing?currency=USD&votes=100000')).body.quote;
+  assert.equal(tooMany.tooMany, true);
+});
+
+test('GET /api/pricing refuses a currency that is not offered', async () => {
+  srv = await start();
+  const r = await srv.fetchJSON('/api/pricing?currency=XXX');
+  assert.equal(r.status, 400);
+});
+
+test('amounts below the minimum charge are flagged and refused at checkout', async () => {
+  srv = await start({ env: { VOTE_PRICES: 'USD:0.25' } });
+  const one = (await srv.fetchJSON('/api/pricing?currency=USD&votes=1')).body.quote;
+  assert.equal(one.amount, 25);
+  assert.equal(one.minimum, 50);
+  assert.equal(one.belowMinimum, true);
+  assert.equal((await srv.fetchJSON('/api/pricing?currency=USD&votes=2')).body.quote.belowMinimum, false);
+
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes: 1, currency: 'USD' } });
+  assert.equal(r.status, 400);
+  assert.deepEqual(r.body, { error: 'Amount is below the minimum charge for USD', minimum: 50 });
+  assert.equal(srv.stripe.sessions.size, 0);
+  const ok = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes: 2, currency: 'USD' } });
+  assert.equal(ok.status, 200);
+});
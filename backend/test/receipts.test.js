@@ -0,0 +1,117 @@
+// backend/test/receipts.test.js
+// Receipt codes, GET /api/receipts/:code and the public ledger audit file.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { verifyChain, normalizeReceiptCode } = require('../lib/ledger');
+
+let srv;
+beforeEach(async () => { srv = await start(); });
+afterEach(() => srv && srv.close());
+
+async function paidVotes(votes, candidateId = 1) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId, votes } });
+  srv.stripe.pay(r.body.id);
+  const v = await srv.fetchJSON(`/api/verify-session?session_id=${r.body.id}`);
+  return { sessionId: r.body.id, receipt: v.body.receipt };
+}
+
+test('a receipt confirms the vote without giving away the payment', async () => {
+  const { sessionId, receipt } = await paidVotes(3);
+  const r = await srv.fetchJSON(`/api/receipts/${receipt}`);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.counted, true);
+  assert.equal(r.body.votes, 3);
+  assert.deepEqual(r.body.candidate, { id: 1, name: 'Yes' });
+  assert.deepEqual(r.body.entries.map(e => [e.kind, e.delta]), [['payment', 3]]);
+  assert.equal(r.body.chain.head, r.body.entries[0].hash);
+  assert.ok(!r.text.includes(sessionId));
+  assert.ok(!r.text.includes('pi_test'));
+
+  // typed by hand: lower case, no dashes, O for 0
+  const typed = receipt.toLowerCase().replace(/-/g, '').replace(/0/g, 'o');
+  assert.equal((await srv.fetchJSON(`/api/receipts/${typed}`)).body.receipt, receipt);
+});
+
+test('a refunded receipt shows both ledger entries', async () => {
+  const { sessionId, receipt } = await paidVotes(2);
+  const trx = srv.db.prepare('SELECT id FROM transactions WHERE session_id=?').get(sessionId);
+  await srv.fetchJSON(`/api/admin/transactions/${trx.id}/refund`, { method: 'POST', admin: true, body: { reason: 'test' } });
+
+  const r = await srv.fetchJSON(`/api/receipts/${receipt}`);
+  assert.equal(r.body.counted, false);
+  assert.equal(r.body.status, 'refunded');
+  assert.deepEqual(r.body.entries.map(e => [e.kind, e.delta]), [['payment', 2], ['reversal', -2]]);
+  assert.equal(r.body.entries[1].prev_hash, r.body.entries[0].hash);
+});
+
+test('unknown and malformed codes are 404', async () => {
+  assert.equal((await srv.fetchJSON('/api/receipts/AAAA-BBBB-CCCC')).status, 404);
+  assert.equal((await srv.fetchJSON('/api/receipts/not-a-code')).status, 404);
+  assert.equal(normalizeReceiptCode('uuuu-uuuu-uuuu'), null);
+});
+
+test('the audit file recomputes to the published head and tallies', async () => {
+  await paidVotes(3);
+  await paidVotes(4, 2);
+  await srv.fetchJSON('/api/admin/candidates/1/adjust', { method: 'POST', admin: true, body: { delta: -1, reason: 'test' } });
+
+  const r = await srv.fetchJSON('/api/audit/ledger');
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-disposition'), /attachment; filename="vote-ledger-audit.json"/);
+  const audit = r.body;
+  assert.equal(audit.length, 3);
+  assert.ok(audit.entries.every(e => !('session_id' in e) && !('payment_intent' in e)));
+
+  const check = verifyChain(audit.entries);
+  assert.equal(check.ok, true);
+  assert.equal(check.head, audit.head);
+  const tally = (await srv.fetchJSON('/api/tally')).body.tally;
+  for (const c of tally) assert.equal(check.tally[c.id] || 0, c.tally, c.name);
+  assert.deepEqual(audit.tally.map(t => [t.candidate_id, t.votes]), [[1, 2], [2, 4]]);
+
+  // any edit breaks the chain from that entry on
+  const forged = audit.entries.map(e => ({ ...e }));
+  forged[1].delta = 40;
+  assert.deepEqual({ ok: verifyChain(forged).ok, at: verifyChain(forged).broken_at }, { ok: false, at: forged[1].id });
+});
+
+/* ---------- GET /api/checkout/:sessionId ---------- */
+test.describe('checkout receipt', () => {
+  test('shows one checkout, pending and then paid', async () => {
+    const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 2, votes: 3 } });
+    const id = r.body.id;
+    assert.match(srv.stripe.sessions.get(id).params.success_url, /\/receipt\/\{CHECKOUT_SESSION_ID\}$/);
+
+    let c = await srv.fetchJSON(`/api/checkout/${id}`);
+    assert.equal(c.status, 200);
+    assert.equal(c.headers.get('cache-control'), 'no-store');
+    assert.equal(c.body.status, 'pending');
+    assert.equal(c.body.counted, false);
+    assert.equal(c.body.receipt, null);
+    assert.deepEqual(c.body.candidate, { id: 2, name: 'No' });
+    assert.equal(c.body.votes, 3);
+    assert.equal(c.body.currency, 'USD');
+    assert.equal(c.body.decimals, 2);
+    assert.equal(c.body.amount_total, srv.db.prepare('SELECT amount_total FROM transactions WHERE session_id=?').get(id).amount_total);
+
+    srv.stripe.pay(id);
+    const { receipt } = (await srv.fetchJSON(`/api/verify-session?session_id=${id}`)).body;
+    c = await srv.fetchJSON(`/api/checkout/${id}`);
+    assert.equal(c.body.status, 'paid');
+    assert.equal(c.body.counted, true);
+    assert.equal(c.body.receipt, receipt);
+    assert.ok(c.body.paid_at);
+  });
+
+  test('leaves out how and from where it was paid', async () => {
+    const { sessionId } = await paidVotes(1);
+    const c = await srv.fetchJSON(`/api/checkout/${sessionId}`);
+    for (const key of ['payment_intent', 'client_ip', 'client_fp', 'id', 'bundles']) assert.ok(!(key in c.body), key);
+    assert.ok(!c.text.includes('pi_test'));
+  });
+
+  test('an unknown session is 404', async () => {
+    assert.equal((await srv.fetchJSON('/api/checkout/cs_nope')).status, 404);
+  });
+});
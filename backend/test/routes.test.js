@@ -0,0 +1,201 @@
+// backend/test/routes.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+
+let srv;
+before(async () => { srv = await start({ env: { CANDIDATES: 'Yes,No' } }); });
+after(() => srv.close());
+
+test('GET /api/settings returns the question, glow and current poll', async () => {
+  const { status, body } = await srv.fetchJSON('/api/settings');
+  assert.equal(status, 200);
+  assert.equal(typeof body.question, 'string');
+  assert.match(body.glow, /^#[0-9a-f]{6}$/);
+  assert.equal(body.poll.status, 'open');
+});
+
+test('GET /api/tally lists the seeded candidates at zero', async () => {
+  const { status, body } = await srv.fetchJSON('/api/tally');
+  assert.equal(status, 200);
+  assert.deepEqual(body.tally.map(c => [c.name, c.tally]), [['Yes', 0], ['No', 0]]);
+  assert.equal(body.poll.status, 'open');
+});
+
+test('POST /api/admin/seed needs the admin token', async () => {
+  assert.equal((await srv.fetchJSON('/api/admin/seed', { method: 'POST' })).status, 401);
+  const wrong = await srv.fetchJSON('/api/admin/seed', { method: 'POST', headers: { Authorization: 'Bearer nope' } });
+  assert.equal(wrong.status, 401);
+
+  const ok = await srv.fetchJSON('/api/admin/seed', { method: 'POST', admin: true });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.tally.length, 2);
+});
+
+test('POST /api/admin/seed is refused when no admin token is configured', async () => {
+  const open = await start({ env: { ADMIN_TOKEN: '' } });
+  try {
+    const r = await open.fetchJSON('/api/admin/seed', { method: 'POST', headers: { Authorization: 'Bearer ' } });
+    assert.equal(r.status, 401);
+  } finally {
+    await open.close();
+  }
+});
+
+/* ---------- Candidates ---------- */
+test('any number of seeded candidates is listed in order', async () => {
+  const three = await start({ env: { CANDIDATES: 'Drake,Kendrick,Neither' } });
+  try {
+    const { body } = await three.fetchJSON('/api/tally');
+    assert.deepEqual(body.tally.map(c => c.name), ['Drake', 'Kendrick', 'Neither']);
+    assert.deepEqual(Object.keys(body.tally[0]).sort(), ['color', 'description', 'id', 'image_url', 'name', 'tally']);
+  } finally {
+    await three.close();
+  }
+});
+
+test('PUT /api/admin/candidates/:id sets and clears colour, image and description', async () => {
+  const put = body => srv.fetchJSON('/api/admin/candidates/1', { method: 'PUT', admin: true, body });
+  const r = await put({ color: 'Gold', image_url: 'https://img.example/yes.png', description: '  Keep  it ' });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.name, 'Yes');
+  assert.equal(r.body.color, '#ffd700');
+  assert.equal(r.body.image_url, 'https://img.example/yes.png');
+  assert.equal(r.body.description, 'Keep it');
+
+  const { body } = await srv.fetchJSON('/api/tally');
+  assert.equal(body.tally[0].color, '#ffd700');
+
+  const cleared = await put({ image_url: '', description: null });
+  assert.equal(cleared.body.image_url, null);
+  assert.equal(cleared.body.description, null);
+  assert.equal(cleared.body.color, '#ffd700');
+
+  const actions = srv.db.prepare("SELECT action FROM audit_log WHERE target='candidate:1'").all().map(a => a.action);
+  assert.deepEqual(actions, ['candidate.update', 'candidate.update']);
+  await put({ color: null });
+});
+
+test('PUT /api/admin/candidates/:id rejects bad details', async () => {
+  const put = body => srv.fetchJSON('/api/admin/candidates/1', { method: 'PUT', admin: true, body });
+  assert.match((await put({ color: 'not-a-colour' })).body.error, /color/);
+  assert.match((await put({ image_url: 'javascript:alert(1)' })).body.error, /image_url/);
+  assert.match((await put({ image_url: '/relative.png' })).body.error, /image_url/);
+  assert.match((await put({ description: 'x'.repeat(281) })).body.error, /description/);
+  assert.equal((await put({})).status, 400);
+});
+
+/* ---------- Results card ---------- */
+test('GET /api/polls/current/card.svg renders the question and each candidate', async () => {
+  srv.db.prepare('UPDATE polls SET question=? WHERE id=1').run('Cats & <dogs>?');
+  const r = await fetch(`${srv.url}/api/polls/current/card.svg`);
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.equal(r.headers.get('cache-control'), 'public, max-age=60');
+  const svg = await r.text();
+  assert.match(svg, /^<\?xml[^]*<svg [^]*<\/svg>\s*$/);
+  assert.ok(svg.includes('Cats &amp; &lt;dogs&gt;?'));
+  assert.ok(svg.includes('>Yes<') && svg.includes('>No<'));
+  assert.ok(!svg.includes('<style'));
+});
+
+test('GET /api/polls/current/card.png rasterises the card for link previews', async () => {
+  const r = await fetch(`${srv.url}/api/polls/current/card.png`);
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get('content-type'), 'image/png');
+  assert.equal(r.headers.get('cache-control'), 'public, max-age=60');
+  const png = Buffer.from(await r.arrayBuffer());
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  // IHDR: width and height as big-endian uint32 at bytes 16 and 20
+  assert.equal(png.readUInt32BE(16), 1200);
+  assert.equal(png.readUInt32BE(20), 630);
+});
+
+test('rendering a PNG card does not hold up other requests', async () => {
+  srv.db.prepare('UPDATE polls SET question=? WHERE id=1').run('A question nobody has rendered yet?');
+  const order = [];
+  const png = fetch(`${srv.url}/api/polls/current/card.png`).then(r => r.arrayBuffer()).then(() => order.push('png'));
+  await new Promise(r => setTimeout(r, 20));   // the render is under way
+  const health = fetch(`${srv.url}/api/health`).then(r => r.text()).then(() => order.push('health'));
+  await Promise.all([png, health]);
+  assert.deepEqual(order, ['health', 'png']);
+});
+
+test('concurrent requests for one PNG card share a render', () => {
+  const { renderResultsPng } = require('../lib/card');
+  const poll = { question: 'Shared?', status: 'open', total: 0, candidates: [{ name: 'Yes', tally: 0 }] };
+  const a = renderResultsPng(poll);
+  assert.equal(renderResultsPng(poll), a);
+  return a;
+});
+
+test('GET /api/polls/:id/card.svg is 404 for unknown or draft polls', async () => {
+  assert.equal((await fetch(`${srv.url}/api/polls/999/card.svg`)).status, 404);
+  assert.equal((await fetch(`${srv.url}/api/polls/999/card.png`)).status, 404);
+});
+
+/* ---------- Checkout validation ---------- */
+const checkout = body => srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body });
+
+test('checkout rejects a missing or non-numeric candidateId', async () => {
+  for (const candidateId of [undefined, 'abc']) {
+    const r = await checkout({ candidateId });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error, 'Invalid candidateId');
+  }
+});
+
+test('checkout rejects an unknown candidate', async () => {
+  const r = await checkout({ candidateId: 9999 });
+  assert.equal(r.status, 404);
+  assert.equal(r.body.error, 'Candidate not found');
+});
+
+test('checkout rejects a vote count that is not a positive whole number', async () => {
+  const count = () => srv.db.prepare('SELECT COUNT(*) AS n FROM transactions').get().n;
+  const before = count();
+  for (const votes of ['abc', '', 0, -5, 1.5, '2x']) {
+    const r = await checkout({ candidateId: 1, votes });
+    assert.equal(r.status, 400, String(votes));
+    assert.equal(r.body.error, 'Votes must be a whole number of at least 1');
+  }
+  assert.equal(count(), before);
+});
+
+test('checkout without a vote count buys one vote', async () => {
+  const r = await checkout({ candidateId: 1 });
+  assert.equal(r.status, 200);
+  assert.equal(srv.db.prepare('SELECT votes FROM transactions WHERE session_id=?').get(r.body.id).votes, 1);
+});
+
+test('checkout rejects more votes than one checkout allows', async () => {
+  const r = await checkout({ candidateId: 1, votes: 1000000 });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /^At most \d+ votes per checkout$/);
+});
+
+test('checkout rejects a currency outside the allowlist', async () => {
+  const r = await checkout({ candidateId: 1, currency: 'XXX' });
+  assert.equal(r.status, 400);
+  assert.ok(r.body.supported.includes('USD'));
+});
+
+test('checkout records a pending transaction with the quoted amount', async () => {
+  const r = await checkout({ candidateId: 2, votes: 5, currency: 'USD' });
+  assert.equal(r.status, 200);
+  assert.match(r.body.url, /^https:\/\/checkout\.test\//);
+  const row = srv.db.prepare('SELECT * FROM transactions WHERE session_id=?').get(r.body.id);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.votes, 5);
+  assert.equal(row.amount_total, 450);
+});
+
+test('checkout is refused when payments are not configured', async () => {
+  const off = await start({ payments: null });
+  try {
+    const r = await off.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1 } });
+    assert.equal(r.status, 400);
+  } finally {
+    await off.close();
+  }
+});
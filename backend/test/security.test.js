@@ -0,0 +1,170 @@
+// backend/test/security.test.js
+// CORS policies and security headers.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { originMatcher, DEFAULT_CSP } = require('../lib/security');
+
+describe('origin patterns', () => {
+  const matches = (entry, origin) => originMatcher(entry)(origin);
+
+  test('exact origins match scheme, host and port', () => {
+    assert.ok(matches('https://vote.example', 'https://vote.example'));
+    assert.ok(matches('https://vote.example/', 'https://VOTE.example'));
+    assert.ok(!matches('https://vote.example', 'http://vote.example'));
+    assert.ok(!matches('https://vote.example', 'https://vote.example:8443'));
+    assert.ok(!matches('https://vote.example', 'https://vote.example.evil.test'));
+  });
+
+  test('a wildcard stands for one or more labels, never the dot before the domain', () => {
+    assert.ok(matches('https://*.vercel.app', 'https://my-app.vercel.app'));
+    assert.ok(matches('https://*.vercel.app', 'https://a.b.vercel.app'));
+    assert.ok(!matches('https://*.vercel.app', 'https://vercel.app'));
+    assert.ok(!matches('https://*.vercel.app', 'https://evilvercel.app'));
+    assert.ok(!matches('https://*.vercel.app', 'https://x.vercel.app.evil.test'));
+  });
+
+  test('entries without a scheme match http and https', () => {
+    assert.ok(matches('*.app.github.dev', 'https://x-5173.app.github.dev'));
+    assert.ok(matches('localhost:5173', 'http://localhost:5173'));
+    assert.ok(!matches('localhost:5173', 'http://localhost:5174'));
+  });
+
+  test('blank entries are ignored', () => {
+    assert.equal(originMatcher('  '), null);
+  });
+});
+
+describe('CORS', () => {
+  let srv;
+  before(async () => {
+    srv = await start({ env: {
+      FRONTEND_URL: 'https://vote.example',
+      CORS_ORIGINS: 'https://vote.example,https://*.preview.example',
+      CORS_MAX_AGE: '900',
+    } });
+  });
+  after(() => srv.close());
+
+  const get = (p, origin) => fetch(srv.url + p, { headers: origin ? { Origin: origin } : {} });
+  const preflight = (p, origin, method, headers = 'content-type') => fetch(srv.url + p, {
+    method: 'OPTIONS',
+    headers: { Origin: origin, 'Access-Control-Request-Method': method, 'Access-Control-Request-Headers': headers },
+  });
+
+  test('an allowed origin gets its origin echoed back', async () => {
+    for (const origin of ['https://vote.example', 'https://pr-12.preview.example']) {
+      const r = await get('/api/tally', origin);
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('access-control-allow-origin'), origin);
+      assert.match(r.headers.get('vary'), /Origin/);
+      assert.equal(r.headers.get('access-control-expose-headers'), 'Retry-After, X-Request-Id');
+    }
+  });
+
+  test('a rejected origin gets no CORS headers', async () => {
+    for (const origin of ['https://evil.test', 'https://vote.example.evil.test', 'http://vote.example']) {
+      const r = await get('/api/tally', origin);
+      assert.equal(r.headers.get('access-control-allow-origin'), null, origin);
+    }
+  });
+
+  test('requests without an Origin are untouched', async () => {
+    const r = await get('/api/tally');
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('access-control-allow-origin'), null);
+  });
+
+  test('public preflight allows GET/POST and is cached for CORS_MAX_AGE', async () => {
+    const r = await preflight('/api/create-checkout-session', 'https://vote.example', 'POST', 'content-type,x-client-id');
+    assert.equal(r.status, 204);
+    assert.equal(r.headers.get('access-control-allow-methods'), 'GET,POST');
+    assert.equal(r.headers.get('access-control-allow-headers'), 'Content-Type, X-Client-Id, X-Request-Id');
+    assert.equal(r.headers.get('access-control-max-age'), '900');
+  });
+
+  test('preflight from a rejected origin is refused', async () => {
+    const r = await preflight('/api/create-checkout-session', 'https://evil.test', 'POST');
+    assert.equal(r.status, 403);
+    assert.equal(r.headers.get('access-control-allow-origin'), null);
+  });
+
+  test('admin routes allow PUT/DELETE with Authorization, from FRONTEND_URL only', async () => {
+    const ok = await preflight('/api/admin/candidates/1', 'https://vote.example', 'DELETE', 'authorization');
+    assert.equal(ok.status, 204);
+    assert.equal(ok.headers.get('access-control-allow-methods'), 'GET,POST,PUT,DELETE');
+    assert.match(ok.headers.get('access-control-allow-headers'), /Authorization/);
+
+    const preview = await preflight('/api/admin/candidates/1', 'https://pr-12.preview.example', 'DELETE', 'authorization');
+    assert.equal(preview.status, 403);
+    const r = await get('/api/admin/settings', 'https://pr-12.preview.example');
+    assert.equal(r.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+describe('CORS with a wildcard and separate admin origins', () => {
+  let srv;
+  before(async () => {
+    srv = await start({ env: { CORS_ORIGINS: '*', CORS_ADMIN_ORIGINS: 'https://admin.example' } });
+  });
+  after(() => srv.close());
+
+  test('any origin is allowed on public routes, without credentials', async () => {
+    const r = await fetch(`${srv.url}/api/tally`, { headers: { Origin: 'https://anyone.test' } });
+    assert.equal(r.headers.get('access-control-allow-origin'), '*');
+    assert.equal(r.headers.get('access-control-allow-credentials'), null);
+  });
+
+  test('admin routes still use their own list', async () => {
+    const r = await fetch(`${srv.url}/api/admin/settings`, { headers: { Origin: 'https://anyone.test' } });
+    assert.equal(r.headers.get('access-control-allow-origin'), null);
+    const ok = await fetch(`${srv.url}/api/admin/settings`, { headers: { Origin: 'https://admin.example' } });
+    assert.equal(ok.headers.get('access-control-allow-origin'), 'https://admin.example');
+  });
+});
+
+describe('security headers', () => {
+  let srv;
+  // behind one proxy, as on Render, so X-Forwarded-Proto is believed
+  before(async () => { srv = await start({ env: { TRUST_PROXY: '1' } }); });
+  after(() => srv.close());
+
+  test('every response carries CSP, frame and sniffing protection', async () => {
+    for (const p of ['/api/health', '/api/tally']) {
+      const r = await fetch(srv.url + p);
+      assert.equal(r.headers.get('content-security-policy'), DEFAULT_CSP);
+      assert.equal(r.headers.get('x-frame-options'), 'DENY');
+      assert.equal(r.headers.get('x-content-type-options'), 'nosniff');
+      assert.equal(r.headers.get('referrer-policy'), 'no-referrer');
+      assert.equal(r.headers.get('x-powered-by'), null);
+    }
+  });
+
+  test('HSTS is only sent over HTTPS', async () => {
+    const plain = await fetch(`${srv.url}/api/health`);
+    assert.equal(plain.headers.get('strict-transport-security'), null);
+    const proxied = await fetch(`${srv.url}/api/health`, { headers: { 'X-Forwarded-Proto': 'https' } });
+    assert.equal(proxied.headers.get('strict-transport-security'), 'max-age=15552000; includeSubDomains');
+  });
+
+  test('X-Forwarded-Proto is ignored unless TRUST_PROXY is set', async () => {
+    const direct = await start();
+    try {
+      const r = await fetch(`${direct.url}/api/health`, { headers: { 'X-Forwarded-Proto': 'https' } });
+      assert.equal(r.headers.get('strict-transport-security'), null);
+    } finally {
+      await direct.close();
+    }
+  });
+
+  test('SECURITY_CSP and SECURITY_HSTS_MAX_AGE override the defaults', async () => {
+    const custom = await start({ env: { SECURITY_CSP: "default-src 'self'", SECURITY_HSTS_MAX_AGE: '0' } });
+    try {
+      const r = await fetch(`${custom.url}/api/health`, { headers: { 'X-Forwarded-Proto': 'https' } });
+      assert.equal(r.headers.get('content-security-policy'), "default-src 'self'");
+      assert.equal(r.headers.get('strict-transport-security'), null);
+    } finally {
+      await custom.close();
+    }
+  });
+});
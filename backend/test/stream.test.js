@@ -0,0 +1,126 @@
+// backend/test/stream.test.js
+// GET /api/tally/stream: the first snapshot, pushes on paid votes,
+// Last-Event-ID resumes, heartbeats and the open-connections gauge.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+
+let srv;
+const streams = [];
+beforeEach(async () => { srv = await start({ env: { TALLY_HEARTBEAT_MS: '50' } }); });
+afterEach(async () => {
+  for (const s of streams.splice(0)) s.close();
+  if (srv) await srv.close();
+});
+
+/** Opens the stream; `until(pred)` reads until the text so far matches. */
+async function openStream(headers = {}) {
+  const ctrl = new AbortController();
+  const r = await fetch(`${srv.url}/api/tally/stream`, { headers, signal: ctrl.signal });
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  const stream = {
+    response: r,
+    get text() { return text; },
+    async until(pred, ms = 2000) {
+      const deadline = Date.now() + ms;
+      while (!pred(text)) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`stream timed out; got ${JSON.stringify(text)}`)), deadline - Date.now());
+        });
+        try {
+          const { value, done } = await Promise.race([reader.read(), timeout]);
+          if (done) throw new Error('stream ended');
+          text += decoder.decode(value, { stream: true });
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+      return text;
+    },
+    /** `tally` events so far: [{ id, data }] */
+    events() {
+      return text.split('\n\n').filter(f => /^event: tally$/m.test(f)).map(f => ({
+        id: Number(/^id: (\d+)$/m.exec(f)[1]),
+        data: JSON.parse(/^data: (.*)$/m.exec(f)[1]),
+      }));
+    },
+    close() { ctrl.abort(); },
+  };
+  streams.push(stream);
+  return stream;
+}
+
+const yesOf = e => e.data.tally.find(c => c.id === 1).tally;
+
+async function paidVotes(votes) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes } });
+  srv.stripe.pay(r.body.id);
+  await srv.fetchJSON(`/api/verify-session?session_id=${r.body.id}`);
+}
+
+async function streamClients() {
+  const { text } = await srv.fetchJSON('/api/metrics', { admin: true });
+  return Number(/^vote_tally_stream_clients (\d+)$/m.exec(text)[1]);
+}
+
+test('a new stream gets the current tally first', async () => {
+  const s = await openStream();
+  assert.equal(s.response.status, 200);
+  assert.match(s.response.headers.get('content-type'), /^text\/event-stream/);
+  assert.equal(s.response.headers.get('cache-control'), 'no-cache, no-transform');
+  await s.until(t => /event: tally/.test(t));
+  assert.match(s.text, /^retry: \d+\n\n/);
+  const [first] = s.events();
+  assert.deepEqual(first.data.tally.map(c => [c.name, c.tally]), [['Yes', 0], ['No', 0]]);
+  assert.equal(first.data.poll.status, 'open');
+});
+
+test('a paid vote pushes a newer tally', async () => {
+  const s = await openStream();
+  await s.until(t => /event: tally/.test(t));
+  await paidVotes(3);
+  await s.until(() => s.events().length === 2);
+  const [before, after] = s.events();
+  assert.ok(after.id > before.id);
+  assert.equal(yesOf(before), 0);
+  assert.equal(yesOf(after), 3);
+});
+
+test('Last-Event-ID only gets a snapshot when something was missed', async () => {
+  const first = await openStream();
+  await first.until(t => /event: tally/.test(t));
+  const { id } = first.events()[0];
+
+  // current: heartbeats only
+  const current = await openStream({ 'Last-Event-ID': String(id) });
+  await current.until(t => t.includes(': ping'));
+  assert.deepEqual(current.events(), []);
+
+  // behind: the missed vote straight away
+  await paidVotes(2);
+  const behind = await openStream({ 'Last-Event-ID': String(id) });
+  await behind.until(t => /event: tally/.test(t));
+  assert.equal(yesOf(behind.events()[0]), 2);
+  assert.ok(behind.events()[0].id > id);
+});
+
+test('idle streams get a ping every TALLY_HEARTBEAT_MS', async () => {
+  const s = await openStream();
+  await s.until(t => (t.match(/^: ping$/gm) || []).length >= 2, 1000);
+});
+
+test('the stream clients gauge goes back down on disconnect', async () => {
+  assert.equal(await streamClients(), 0);
+  const a = await openStream();
+  const b = await openStream();
+  await a.until(t => /event: tally/.test(t));
+  await b.until(t => /event: tally/.test(t));
+  assert.equal(await streamClients(), 2);
+
+  a.close();
+  for (let i = 0; i < 50 && await streamClients() !== 1; i++) await new Promise(r => setTimeout(r, 20));
+  assert.equal(await streamClients(), 1);
+});
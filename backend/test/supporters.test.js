@@ -0,0 +1,122 @@
+// backend/test/supporters.test.js
+// Display names and messages at checkout, the leaderboard and its moderation queue.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start } = require('./harness');
+const { loadWordFilter, cleanSupporter } = require('../lib/supporters');
+
+let srv;
+beforeEach(async () => { srv = await start(); });
+afterEach(() => srv && srv.close());
+
+function checkout(body) {
+  return srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId: 1, votes: 1, ...body } });
+}
+
+async function paidVotes(votes, candidateId, supporter = {}) {
+  const r = await checkout({ candidateId, votes, ...supporter });
+  assert.equal(r.status, 200);
+  srv.stripe.pay(r.body.id);
+  await srv.fetchJSON(`/api/verify-session?session_id=${r.body.id}`);
+  return srv.db.prepare('SELECT id FROM transactions WHERE session_id=?').get(r.body.id).id;
+}
+
+test('the word filter sees through case, spacing tricks and look-alike digits', () => {
+  const filter = loadWordFilter({ BLOCKED_WORDS: 'Rhubarb' });
+  for (const text of ['Go F.U.C.K yourself', 'sh1tty team', 'what a d1cks', 'RHUBARB!', 'b!tch']) {
+    assert.ok(filter.blocks(text), text);
+  }
+  for (const text of ['Scunthorpe forever', 'Dickens fan', 'cockpit crew', 'Go team 2025', 'shiitake']) {
+    assert.ok(!filter.blocks(text), text);
+  }
+});
+
+test('names and messages are checked before the checkout is created', async () => {
+  const filter = loadWordFilter({});
+  assert.deepEqual(cleanSupporter({ displayName: '  Ada   L. ', message: '' }, filter).values, { display_name: 'Ada L.', message: null });
+  assert.deepEqual(cleanSupporter({}, filter).values, { display_name: null, message: null });
+
+  const bad = [
+    [{ displayName: 'x'.repeat(41) }, /Display name must be at most 40/],
+    [{ message: 'y'.repeat(141) }, /Message must be at most 140/],
+    [{ message: 'see www.example.com' }, /can't contain links/],
+    [{ displayName: 'shithead' }, /words we don't allow/],
+  ];
+  for (const [body, error] of bad) {
+    const r = await checkout(body);
+    assert.equal(r.status, 400);
+    assert.match(r.body.error, error);
+  }
+  assert.equal(srv.stripe.sessions.size, 0);
+});
+
+test('names stay off the leaderboard until the payment is confirmed', async () => {
+  const pending = await checkout({ displayName: 'Ada', message: 'Go Yes!' });
+  const meta = srv.stripe.sessions.get(pending.body.id).metadata;
+  assert.deepEqual(Object.keys(meta).sort(), ['candidate_id', 'poll_id', 'request_id', 'votes']);
+  assert.equal((await srv.fetchJSON('/api/leaderboard')).body.candidates[0].backers.length, 0);
+  assert.equal((await srv.fetchJSON(`/api/checkout/${pending.body.id}`)).body.supporter.public, false);
+
+  srv.stripe.pay(pending.body.id);
+  await srv.fetchJSON(`/api/verify-session?session_id=${pending.body.id}`);
+  const receipt = (await srv.fetchJSON(`/api/checkout/${pending.body.id}`)).body;
+  assert.deepEqual(receipt.supporter, { display_name: 'Ada', message: 'Go Yes!', public: true });
+
+  const board = (await srv.fetchJSON('/api/leaderboard')).body;
+  assert.equal(board.poll.id, 1);
+  assert.deepEqual(board.candidates[0].backers, [{ display_name: 'Ada', votes: 1, message: 'Go Yes!' }]);
+});
+
+test('backers are summed by name and ranked per candidate', async () => {
+  await paidVotes(2, 1, { displayName: 'ada' });
+  await paidVotes(5, 1, { displayName: 'Bob', message: 'first' });
+  await paidVotes(4, 1, { displayName: 'Ada', message: 'again!' });
+  await paidVotes(3, 2, { displayName: 'Cy' });
+  await paidVotes(9, 1);                                  // anonymous
+
+  const board = (await srv.fetchJSON('/api/leaderboard?limit=1')).body;
+  assert.deepEqual(board.candidates.map(c => [c.name, c.backers]), [
+    ['Yes', [{ display_name: 'Ada', votes: 6, message: 'again!' }]],
+    ['No', [{ display_name: 'Cy', votes: 3, message: null }]],
+  ]);
+  assert.equal((await srv.fetchJSON('/api/leaderboard?poll_id=99')).status, 404);
+});
+
+test('moderators work through the queue and hidden entries leave the leaderboard', async () => {
+  const ada = await paidVotes(2, 1, { displayName: 'Ada' });
+  const bob = await paidVotes(3, 1, { displayName: 'Bob', message: 'rude but not filtered' });
+  await checkout({ displayName: 'Unpaid' });
+
+  const queue = await srv.fetchJSON('/api/admin/supporters', { admin: true });
+  assert.equal(queue.status, 200);
+  assert.equal(queue.body.unreviewed, 2);
+  assert.deepEqual(queue.body.supporters.map(s => s.display_name), ['Ada', 'Bob']);
+  assert.equal((await srv.fetchJSON('/api/admin/supporters')).status, 401);
+
+  const moderate = (id, body) => srv.fetchJSON(`/api/admin/supporters/${id}/moderate`, { method: 'POST', admin: true, body });
+  assert.equal((await moderate(bob, { status: 'deleted' })).status, 400);
+  assert.equal((await moderate(999, { status: 'hidden' })).status, 404);
+  const hidden = await moderate(bob, { status: 'hidden', reason: 'rude' });
+  assert.equal(hidden.body.supporter_status, 'hidden');
+  assert.ok(hidden.body.moderated_at);
+  await moderate(ada, { status: 'approved' });
+
+  const board = (await srv.fetchJSON('/api/leaderboard')).body;
+  assert.deepEqual(board.candidates[0].backers.map(b => b.display_name), ['Ada']);
+  assert.equal((await srv.fetchJSON('/api/admin/supporters', { admin: true })).body.supporters.length, 0);
+  assert.deepEqual((await srv.fetchJSON('/api/admin/supporters?status=hidden', { admin: true })).body.supporters.map(s => s.id), [bob]);
+
+  const log = srv.db.prepare("SELECT * FROM audit_log WHERE action='supporter.moderate' ORDER BY id").all();
+  assert.equal(log.length, 2);
+  assert.equal(log[0].reason, 'rude');
+  assert.equal(JSON.parse(log[0].details).before, 'unreviewed');
+});
+
+test('with approval required only approved entries are shown', async () => {
+  await srv.close();
+  srv = await start({ env: { SUPPORTERS_REQUIRE_APPROVAL: 'true' } });
+  const id = await paidVotes(1, 1, { displayName: 'Ada' });
+  assert.equal((await srv.fetchJSON('/api/leaderboard')).body.candidates[0].backers.length, 0);
+  await srv.fetchJSON(`/api/admin/supporters/${id}/moderate`, { method: 'POST', admin: true, body: { status: 'approved' } });
+  assert.equal((await srv.fetchJSON('/api/leaderboard')).body.candidates[0].backers.length, 1);
+});
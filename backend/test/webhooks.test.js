@@ -0,0 +1,193 @@
+// backend/test/webhooks.test.js
+// Outbound webhooks, delivered to a receiver on a local port.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { start } = require('./harness');
+const { verifySignature } = require('../lib/webhooks');
+
+let srv;
+let receiver;
+
+/**
+ * A local endpoint that records every request. `respond(n)` picks the
+ * status code for the n-th request (1-based); 200 by default.
+ */
+async function startReceiver(respond = () => 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(respond(requests.length), { 'Content-Type': 'text/plain' }).end('thanks');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); }),
+  };
+}
+
+async function until(check, ms = 3000) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    const v = check();
+    if (v) return v;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  assert.fail('timed out waiting');
+}
+
+async function paidVotes(votes, candidateId = 1) {
+  const r = await srv.fetchJSON('/api/create-checkout-session', { method: 'POST', body: { candidateId, votes } });
+  srv.stripe.pay(r.body.id);
+  await srv.fetchJSON(`/api/verify-session?session_id=${r.body.id}`);
+  return r.body.id;
+}
+
+async function register(body) {
+  const r = await srv.fetchJSON('/api/admin/webhooks', { method: 'POST', admin: true, body });
+  assert.equal(r.status, 201);
+  return r.body;
+}
+
+const deliveries = () => srv.db.prepare('SELECT * FROM webhook_deliveries ORDER BY id').all();
+
+beforeEach(async () => {
+  srv = await start({ env: { WEBHOOK_RETRY_MS: '20', WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_POLL_MS: '20', TALLY_MILESTONES: '5,10' } });
+});
+afterEach(async () => {
+  if (receiver) await receiver.close();
+  receiver = null;
+  await srv.close();
+});
+
+test('vote.counted is signed with the endpoint secret', async () => {
+  receiver = await startReceiver();
+  const ep = await register({ url: receiver.url, events: ['vote.counted'] });
+  assert.match(ep.secret, /^whsec_[0-9a-f]{48}$/);
+
+  const sessionId = await paidVotes(3);
+  const req = await until(() => receiver.requests[0]);
+  assert.equal(req.headers['x-vote-event'], 'vote.counted');
+  assert.equal(req.headers['x-vote-event-id'], req.json.id);
+  assert.ok(verifySignature(ep.secret, req.headers['x-vote-signature'], req.body));
+  assert.ok(!verifySignature('whsec_other', req.headers['x-vote-signature'], req.body));
+  assert.ok(!verifySignature(ep.secret, req.headers['x-vote-signature'], req.body.replace('"votes":3', '"votes":30')));
+
+  assert.equal(req.json.type, 'vote.counted');
+  assert.equal(req.json.data.votes, 3);
+  assert.deepEqual(req.json.data.candidate, { id: 1, name: 'Yes' });
+  assert.equal(req.json.data.tally, 3);
+  assert.match(req.json.data.receipt, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+  assert.ok(!req.body.includes(sessionId));
+
+  await until(() => deliveries()[0].status === 'delivered');
+  const [d] = deliveries();
+  assert.equal(d.attempts, 1);
+  assert.equal(d.last_status_code, 200);
+  assert.equal(d.last_response, 'thanks');
+
+  const list = await srv.fetchJSON('/api/admin/webhooks', { admin: true });
+  assert.equal(list.body.endpoints[0].secret, undefined);
+  assert.equal(list.body.endpoints[0].secret_hint, `…${ep.secret.slice(-4)}`);
+});
+
+test('only subscribed events are sent; refunds send vote.reversed', async () => {
+  receiver = await startReceiver();
+  await register({ url: receiver.url, events: ['vote.reversed'] });
+  const sessionId = await paidVotes(2);
+  const trx = srv.db.prepare('SELECT id FROM transactions WHERE session_id=?').get(sessionId);
+  await srv.fetchJSON(`/api/admin/transactions/${trx.id}/refund`, { method: 'POST', admin: true, body: { reason: 'test' } });
+
+  const req = await until(() => receiver.requests[0]);
+  assert.equal(req.json.type, 'vote.reversed');
+  assert.equal(req.json.data.reason, 'refunded');
+  assert.equal(req.json.data.tally, 0);
+  await new Promise(r => setTimeout(r, 60));
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('failed deliveries are retried with backoff, then given up', async () => {
+  receiver = await startReceiver(n => (n < 3 ? 500 : 200));
+  await register({ url: receiver.url });
+  await paidVotes(1);
+  await until(() => deliveries()[0]?.status === 'delivered');
+  const [d] = deliveries();
+  assert.equal(d.attempts, 3);
+  assert.equal(receiver.requests.length, 3);
+  assert.equal(new Set(receiver.requests.map(r => r.headers['x-vote-event-id'])).size, 1);
+
+  receiver.requests.length = 0;
+  const down = await startReceiver(() => 503);
+  await srv.fetchJSON('/api/admin/webhooks/1', { method: 'PUT', admin: true, body: { url: down.url } });
+  await paidVotes(1);
+  const failed = await until(() => deliveries().find(x => x.status === 'failed'));
+  await down.close();
+  assert.equal(failed.attempts, 3);
+  assert.equal(failed.last_status_code, 503);
+  assert.equal(failed.last_error, 'HTTP 503');
+  assert.equal(failed.next_attempt_at, null);
+});
+
+test('redeliver sends the same event again as a new delivery', async () => {
+  receiver = await startReceiver();
+  await register({ url: receiver.url });
+  await paidVotes(1);
+  await until(() => receiver.requests.length === 1);
+  const [first] = deliveries();
+
+  assert.equal((await srv.fetchJSON('/api/admin/webhooks/deliveries/999/redeliver', { method: 'POST', admin: true })).status, 404);
+  const r = await srv.fetchJSON(`/api/admin/webhooks/deliveries/${first.id}/redeliver`, { method: 'POST', admin: true });
+  assert.equal(r.status, 202);
+  assert.equal(r.body.redelivery_of, first.id);
+
+  await until(() => receiver.requests.length === 2);
+  assert.equal(receiver.requests[1].body, receiver.requests[0].body);
+  assert.equal(receiver.requests[1].headers['x-vote-delivery'], String(r.body.id));
+
+  const log = await srv.fetchJSON(`/api/admin/webhooks/deliveries?endpoint_id=1`, { admin: true });
+  assert.deepEqual(log.body.deliveries.map(d => d.id), [r.body.id, first.id]);
+  assert.equal(log.body.deliveries[1].payload.type, 'vote.counted');
+});
+
+test('milestones are announced once and closing a poll sends poll.closed', async () => {
+  receiver = await startReceiver();
+  await register({ url: receiver.url, events: ['tally.milestone', 'poll.closed'] });
+  await paidVotes(6);                 // Yes 6, total 6: both pass 5
+  await paidVotes(4, 2);              // total 10
+  await srv.fetchJSON('/api/admin/candidates/1/adjust', { method: 'POST', admin: true, body: { delta: -2, reason: 'test' } });
+  await paidVotes(2);                 // Yes back over 5: already announced
+  await srv.fetchJSON('/api/admin/polls/1/status', { method: 'POST', admin: true, body: { status: 'closed' } });
+
+  await until(() => receiver.requests.some(r => r.json.type === 'poll.closed'));
+  const milestones = receiver.requests.filter(r => r.json.type === 'tally.milestone').map(r => r.json.data);
+  assert.deepEqual(milestones.map(m => [m.scope, m.milestone]), [['candidate', 5], ['poll', 5], ['poll', 10]]);
+
+  const closed = receiver.requests.find(r => r.json.type === 'poll.closed').json.data;
+  assert.equal(closed.poll.id, 1);
+  assert.equal(closed.total, 10);
+  assert.deepEqual(closed.results.map(c => [c.name, c.tally]), [['Yes', 6], ['No', 4]]);
+});
+
+test('endpoints are validated and can be paused', async () => {
+  const post = body => srv.fetchJSON('/api/admin/webhooks', { method: 'POST', admin: true, body });
+  assert.equal((await post({ url: 'ftp://example.com' })).status, 400);
+  assert.equal((await post({ url: 'https://example.com', events: ['vote.cast'] })).status, 400);
+  assert.equal((await srv.fetchJSON('/api/admin/webhooks', { method: 'POST', body: { url: 'https://example.com' } })).status, 401);
+
+  receiver = await startReceiver();
+  const ep = await register({ url: receiver.url });
+  await srv.fetchJSON(`/api/admin/webhooks/${ep.id}`, { method: 'PUT', admin: true, body: { active: false } });
+  await paidVotes(1);
+  await new Promise(r => setTimeout(r, 80));
+  assert.equal(receiver.requests.length, 0);
+
+  const rotated = await srv.fetchJSON(`/api/admin/webhooks/${ep.id}`, { method: 'PUT', admin: true, body: { rotate_secret: true } });
+  assert.notEqual(rotated.body.secret, ep.secret);
+  assert.equal((await srv.fetchJSON(`/api/admin/webhooks/${ep.id}`, { method: 'DELETE', admin: true })).status, 200);
+  assert.equal(srv.db.prepare('SELECT COUNT(*) AS n FROM webhook_deliveries').get().n, 0);
+});
@@ -0,0 +1,21 @@
+// Drop-in poll widget:
+//   <script src="https://<voting site>/embed.js" async></script>
+// Puts an iframe of /embed from the same site where the tag is and keeps its
+// height in step with the widget. Optional data-width="480px" on the tag.
+(() => {
+  const script = document.currentScript;
+  if (!script) return;
+  const origin = new URL(script.src).origin;
+
+  const frame = document.createElement('iframe');
+  frame.src = `${origin}/embed`;
+  frame.title = 'Live poll';
+  frame.loading = 'lazy';
+  frame.style.cssText = `width:100%;max-width:${script.dataset.width || '480px'};height:320px;border:0;border-radius:16px;background:#000`;
+  script.parentNode.insertBefore(frame, script);
+
+  window.addEventListener('message', (e) => {
+    if (e.origin !== origin || e.source !== frame.contentWindow) return;
+    if (e.data?.type === 'vote-embed:height') frame.style.height = `${Math.ceil(e.data.height)}px`;
+  });
+})();
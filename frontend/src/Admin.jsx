@@ -0,0 +1,1048 @@
+// ADMIN — question/glow, candidates, transactions, tally over time, blocked IPs, webhooks and backups
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { resolveBackendUrl, neonStyle, formatPollDate, formatMinor } from './helpers.js';
+
+const TOKEN_KEY = 'vote.adminToken';
+const SERIES_COLORS = ['#00ffff', '#ff00ff', '#ffd700', '#7fff00', '#ff7f50', '#1e90ff', '#ff69b4', '#adff2f'];
+
+/* ------------------------------ api helper ------------------------------- */
+// A Blob/File body is sent as-is (backup uploads); anything else as JSON.
+// With `as: 'blob'` the response comes back as { blob, filename } for downloads.
+async function adminFetch(backend, token, path, { method = 'GET', body, as = 'json' } = {}) {
+  const raw = typeof Blob !== 'undefined' && body instanceof Blob;
+  const r = await fetch(`${backend}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(raw ? { 'Content-Type': 'application/octet-stream' } : body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: raw ? body : body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  if (r.ok && as === 'blob') {
+    const name = /filename="?([^";]+)"?/.exec(r.headers.get('Content-Disposition') || '');
+    return { blob: await r.blob(), filename: name ? name[1] : 'download' };
+  }
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    // provider failures come back as a generic error plus the provider's code
+    const err = new Error(data.code ? `${data.error} (${data.code})` : data.error || `HTTP ${r.status}`);
+    err.status = r.status;
+    err.details = data.details;
+    throw err;
+  }
+  return data;
+}
+
+// Downloads need the Authorization header, so they can't be plain links.
+function saveBlob({ blob, filename }) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ---------------------------- tally over time ---------------------------- */
+function TallyChart({ candidates, buckets }) {
+  const width = 640;
+  const height = 220;
+  const pad = 28;
+
+  const series = useMemo(() => {
+    const times = [...new Set(buckets.map(b => b.bucket))].sort();
+    return {
+      times,
+      lines: candidates.map((c, i) => {
+        let running = 0;
+        const points = times.map(t => {
+          const hit = buckets.find(b => b.bucket === t && b.candidate_id === c.id);
+          running += hit ? hit.votes : 0;
+          return running;
+        });
+        return { id: c.id, name: c.name, color: SERIES_COLORS[i % SERIES_COLORS.length], points };
+      }),
+    };
+  }, [candidates, buckets]);
+
+  if (series.times.length === 0) {
+    return <p className="text-sm text-gray-400">No paid votes yet.</p>;
+  }
+
+  const max = Math.max(1, ...series.lines.flatMap(l => l.points));
+  const x = (i) => pad + (series.times.length === 1 ? 0 : (i / (series.times.length - 1)) * (width - pad * 2));
+  const y = (v) => height - pad - (v / max) * (height - pad * 2);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="#444" />
+        <line x1={pad} y1={pad} x2={pad} y2={height - pad} stroke="#444" />
+        <text x={pad - 6} y={pad + 4} fill="#888" fontSize="10" textAnchor="end">{max}</text>
+        <text x={pad} y={height - 8} fill="#888" fontSize="10">{formatPollDate(series.times[0])}</text>
+        <text x={width - pad} y={height - 8} fill="#888" fontSize="10" textAnchor="end">
+          {formatPollDate(series.times[series.times.length - 1])}
+        </text>
+        {series.lines.map(l => (
+          <polyline
+            key={l.id}
+            fill="none"
+            stroke={l.color}
+            strokeWidth="2"
+            points={l.points.map((v, i) => `${x(i)},${y(v)}`).join(' ')}
+          />
+        ))}
+      </svg>
+      <div className="mt-2 flex flex-wrap gap-4 text-xs">
+        {series.lines.map(l => (
+          <span key={l.id} className="inline-flex items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: l.color }} />
+            {l.name} ({l.points[l.points.length - 1]})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* --------------------------------- admin --------------------------------- */
+export default function Admin() {
+  const { url: BACKEND } = resolveBackendUrl();
+
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) || '');
+  const [tokenInput, setTokenInput] = useState('');
+  const [authed, setAuthed] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const [pollId, setPollId] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [glow, setGlow] = useState('#00ffff');
+  const [saving, setSaving] = useState(false);
+
+  const [candidates, setCandidates] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [renames, setRenames] = useState({});
+  const [adjust, setAdjust] = useState({ id: null, delta: '', reason: '' });
+  const [details, setDetails] = useState({ id: null, color: '', image_url: '', description: '' });
+
+  const [history, setHistory] = useState({ candidates: [], buckets: [] });
+
+  const [filters, setFilters] = useState({ candidate_id: '', status: '', currency: '', q: '', from: '', to: '' });
+  const [transactions, setTransactions] = useState([]);
+  const [txReload, setTxReload] = useState(0);
+  const [decimals, setDecimals] = useState({});
+
+  const [blocked, setBlocked] = useState({ blocked: [], limits: null });
+  const [blockForm, setBlockForm] = useState({ ip: '', reason: '', minutes: '' });
+
+  const [supporters, setSupporters] = useState({ supporters: [], unreviewed: 0, require_approval: false });
+  const [supporterStatus, setSupporterStatus] = useState('unreviewed');
+  const [supportersReload, setSupportersReload] = useState(0);
+
+  const [webhooks, setWebhooks] = useState({ endpoints: [], event_types: [] });
+  const [deliveries, setDeliveries] = useState([]);
+  const [hookForm, setHookForm] = useState({ url: '', events: [], description: '' });
+  const [hookSecret, setHookSecret] = useState(null);
+
+  const [backups, setBackups] = useState([]);
+  const [exportForm, setExportForm] = useState({ table: 'transactions', poll_id: '', from: '', to: '' });
+
+  const api = useCallback(
+    (path, opts) => adminFetch(BACKEND, token, path, opts).catch((e) => {
+      if (e.status === 401) {
+        sessionStorage.removeItem(TOKEN_KEY);
+        setAuthed(false);
+        setToken('');
+      }
+      throw e;
+    }),
+    [BACKEND, token]
+  );
+
+  const loadCandidates = useCallback(async () => {
+    const c = await api('/api/admin/candidates');
+    setCandidates(c.candidates || []);
+  }, [api]);
+
+  const loadHistory = useCallback(async () => {
+    const h = await api('/api/admin/tally-history');
+    setHistory({ candidates: h.candidates || [], buckets: h.buckets || [] });
+  }, [api]);
+
+  const loadBlocked = useCallback(async () => {
+    setBlocked(await api('/api/admin/blocked-ips'));
+  }, [api]);
+
+  const loadWebhooks = useCallback(async () => {
+    const [w, d] = await Promise.all([api('/api/admin/webhooks'), api('/api/admin/webhooks/deliveries?limit=50')]);
+    setWebhooks(w);
+    setDeliveries(d.deliveries || []);
+  }, [api]);
+
+  const loadBackups = useCallback(async () => {
+    setBackups((await api('/api/admin/backups')).backups || []);
+  }, [api]);
+
+  // log in (or restore the token from this tab's session)
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    api('/api/admin/settings')
+      .then((s) => {
+        if (cancelled) return;
+        sessionStorage.setItem(TOKEN_KEY, token);
+        setAuthed(true);
+        setPollId(s.poll_id);
+        setQuestion(s.question || '');
+        setGlow(s.glow || '#00ffff');
+        setMessage('');
+      })
+      .catch((e) => { if (!cancelled) setMessage(e.status === 401 ? 'Wrong admin token.' : e.message); });
+    return () => { cancelled = true; };
+  }, [api, token]);
+
+  useEffect(() => {
+    if (!authed) return;
+    fetch(`${BACKEND}/api/pricing`)
+      .then(r => r.json())
+      .then(d => setDecimals(Object.fromEntries((d.prices || []).map(x => [x.currency, x.decimals]))))
+      .catch(() => {/* amounts fall back to 2 decimals */});
+    loadCandidates().catch(e => setMessage(e.message));
+    loadHistory().catch(e => setMessage(e.message));
+    loadBlocked().catch(e => setMessage(e.message));
+    loadWebhooks().catch(e => setMessage(e.message));
+    loadBackups().catch(e => setMessage(e.message));
+  }, [authed, BACKEND, loadCandidates, loadHistory, loadBlocked, loadWebhooks, loadBackups]);
+
+  // transactions follow the filters
+  useEffect(() => {
+    if (!authed) return;
+    const qs = new URLSearchParams({ limit: '100' });
+    for (const [k, v] of Object.entries(filters)) if (v) qs.set(k, v);
+    if (pollId) qs.set('poll_id', String(pollId));
+    api(`/api/admin/transactions?${qs}`)
+      .then(d => setTransactions(d.transactions || []))
+      .catch(e => setMessage(e.message));
+  }, [authed, api, filters, pollId, txReload]);
+
+  // names and messages for the top backers board, by moderation status
+  useEffect(() => {
+    if (!authed) return;
+    api(`/api/admin/supporters?status=${supporterStatus}&limit=100`)
+      .then(setSupporters)
+      .catch(e => setMessage(e.message));
+  }, [authed, api, supporterStatus, supportersReload]);
+
+  const run = async (fn, ok) => {
+    setMessage('');
+    try {
+      await fn();
+      if (ok) setMessage(ok);
+    } catch (e) {
+      setMessage(e.message);
+    }
+  };
+
+  const saveSettings = () => run(async () => {
+    setSaving(true);
+    try {
+      const r = await api('/api/admin/settings', { method: 'PUT', body: { question, glow } });
+      setQuestion(r.question);
+      setGlow(r.glow);
+    } finally {
+      setSaving(false);
+    }
+  }, 'Settings saved.');
+
+  const addCandidate = () => run(async () => {
+    await api('/api/admin/candidates', { method: 'POST', body: { name: newName } });
+    setNewName('');
+    await loadCandidates();
+  }, 'Candidate added.');
+
+  const renameCandidate = (c) => run(async () => {
+    await api(`/api/admin/candidates/${c.id}`, { method: 'PUT', body: { name: renames[c.id] } });
+    setRenames(r => ({ ...r, [c.id]: undefined }));
+    await loadCandidates();
+  }, 'Candidate renamed.');
+
+  const toggleDetails = (c) => setDetails(d => (d.id === c.id
+    ? { id: null, color: '', image_url: '', description: '' }
+    : { id: c.id, color: c.color || '', image_url: c.image_url || '', description: c.description || '' }));
+
+  // empty fields clear the detail on the server
+  const saveDetails = () => run(async () => {
+    const { id, ...body } = details;
+    await api(`/api/admin/candidates/${id}`, { method: 'PUT', body });
+    setDetails({ id: null, color: '', image_url: '', description: '' });
+    await loadCandidates();
+  }, 'Candidate details saved.');
+
+  const removeCandidate = (c) => {
+    if (!window.confirm(`Remove "${c.name}"?`)) return;
+    run(async () => {
+      await api(`/api/admin/candidates/${c.id}`, { method: 'DELETE' });
+      await loadCandidates();
+    }, 'Candidate removed.');
+  };
+
+  const moveCandidate = (index, dir) => run(async () => {
+    const ids = candidates.map(c => c.id);
+    const j = index + dir;
+    if (j < 0 || j >= ids.length) return;
+    [ids[index], ids[j]] = [ids[j], ids[index]];
+    const r = await api('/api/admin/candidates/reorder', { method: 'POST', body: { ids } });
+    setCandidates(r.candidates || []);
+  });
+
+  const submitAdjust = () => run(async () => {
+    await api(`/api/admin/candidates/${adjust.id}/adjust`, {
+      method: 'POST',
+      body: { delta: Number(adjust.delta), reason: adjust.reason },
+    });
+    setAdjust({ id: null, delta: '', reason: '' });
+    await loadCandidates();
+  }, 'Tally adjusted.');
+
+  const refundTransaction = (t) => {
+    const reason = window.prompt(`Refund ${t.votes} vote(s) for ${t.candidate} and remove them from the tally?\nReason:`);
+    if (!reason || !reason.trim()) return;
+    run(async () => {
+      await api(`/api/admin/transactions/${t.id}/refund`, { method: 'POST', body: { reason } });
+      setTxReload(n => n + 1);
+      await loadCandidates();
+    }, 'Payment refunded and votes removed.');
+  };
+
+  const moderate = (s, status) => {
+    const reason = status === 'hidden' ? window.prompt(`Hide "${s.display_name || s.message}" from the top backers board?\nReason (optional):`) : '';
+    if (reason === null) return;
+    run(async () => {
+      await api(`/api/admin/supporters/${s.id}/moderate`, { method: 'POST', body: { status, reason: reason || undefined } });
+      setSupportersReload(n => n + 1);
+    }, status === 'hidden' ? 'Hidden from the board.' : 'Approved.');
+  };
+
+  const blockIp = () => run(async () => {
+    await api('/api/admin/blocked-ips', {
+      method: 'POST',
+      body: { ip: blockForm.ip.trim(), reason: blockForm.reason, minutes: blockForm.minutes ? Number(blockForm.minutes) : null },
+    });
+    setBlockForm({ ip: '', reason: '', minutes: '' });
+    await loadBlocked();
+  }, 'IP blocked.');
+
+  const unblockIp = (ip) => run(async () => {
+    await api(`/api/admin/blocked-ips/${encodeURIComponent(ip)}`, { method: 'DELETE' });
+    await loadBlocked();
+  }, 'IP unblocked.');
+
+  // the secret is only returned on create and rotate, so keep it on screen until dismissed
+  const addWebhook = () => run(async () => {
+    const r = await api('/api/admin/webhooks', {
+      method: 'POST',
+      body: { url: hookForm.url.trim(), events: hookForm.events.length ? hookForm.events : '*', description: hookForm.description },
+    });
+    setHookSecret({ id: r.id, url: r.url, secret: r.secret });
+    setHookForm({ url: '', events: [], description: '' });
+    await loadWebhooks();
+  }, 'Webhook added.');
+
+  const updateWebhook = (w, body, done) => run(async () => {
+    const r = await api(`/api/admin/webhooks/${w.id}`, { method: 'PUT', body });
+    if (r.secret) setHookSecret({ id: r.id, url: r.url, secret: r.secret });
+    await loadWebhooks();
+  }, done);
+
+  const removeWebhook = (w) => {
+    if (!window.confirm(`Remove the webhook to ${w.url} and its delivery log?`)) return;
+    run(async () => {
+      await api(`/api/admin/webhooks/${w.id}`, { method: 'DELETE' });
+      await loadWebhooks();
+    }, 'Webhook removed.');
+  };
+
+  const redeliver = (d) => run(async () => {
+    await api(`/api/admin/webhooks/deliveries/${d.id}/redeliver`, { method: 'POST' });
+    await loadWebhooks();
+  }, 'Queued for redelivery.');
+
+  const createBackup = () => run(async () => {
+    const r = await api('/api/admin/backups', { method: 'POST' });
+    await loadBackups();
+    setMessage(`Backup ${r.name} written.`);
+  });
+
+  const downloadBackup = (name) => run(async () => {
+    saveBlob(await api(`/api/admin/backups/${encodeURIComponent(name)}`, { as: 'blob' }));
+  });
+
+  const uploadBackup = (file) => run(async () => {
+    try {
+      const r = await api('/api/admin/backups/upload', { method: 'POST', body: file });
+      await loadBackups();
+      setMessage(`Uploaded as ${r.name}. Restore it from the list below.`);
+    } catch (e) {
+      if (e.details) e.message += `: ${e.details.join('; ')}`;
+      throw e;
+    }
+  });
+
+  const restoreBackup = (name) => {
+    const reason = window.prompt(
+      `Replace the live database with ${name}?\nEverything since that backup is set aside in a pre-restore copy.\nReason:`
+    );
+    if (reason === null) return;
+    run(async () => {
+      try {
+        await api(`/api/admin/backups/${encodeURIComponent(name)}/restore`, { method: 'POST', body: { reason } });
+      } catch (e) {
+        if (e.details) e.message += `: ${e.details.join('; ')}`;
+        throw e;
+      }
+      await Promise.all([loadCandidates(), loadHistory(), loadBlocked(), loadWebhooks(), loadBackups()]);
+      setTxReload(n => n + 1);
+      setSupportersReload(n => n + 1);
+    }, `Restored ${name}.`);
+  };
+
+  const exportData = (format) => run(async () => {
+    const { table, ...rest } = exportForm;
+    const params = new URLSearchParams({ format });
+    for (const [k, v] of Object.entries(rest)) if (v) params.set(k, v);
+    saveBlob(await api(`/api/admin/export/${table}?${params}`, { as: 'blob' }));
+  });
+
+  const logout = () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken('');
+    setAuthed(false);
+  };
+
+  const input = 'bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2';
+  const card = 'bg-white/5 border border-white/10 rounded-2xl p-6';
+  const hexGlow = /^#[0-9a-f]{6}$/i.test(glow) ? glow : '#00ffff';
+
+  if (!authed) {
+    return (
+      <div className="min-h-screen grid place-items-center text-white" style={{ background: '#000' }}>
+        <form
+          className={`${card} w-full max-w-sm space-y-4`}
+          onSubmit={(e) => { e.preventDefault(); setToken(tokenInput.trim()); }}
+        >
+          <h1 className="text-xl font-semibold">Admin</h1>
+          <input
+            type="password"
+            placeholder="Admin token"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            className={`w-full ${input}`}
+          />
+          <button className="w-full bg-white text-black font-semibold px-4 py-2 rounded-xl hover:bg-gray-200">
+            Log in
+          </button>
+          {message && <div className="text-sm text-amber-200">{message}</div>}
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen" style={{ background: '#000' }}>
+      <header className="sticky top-0 z-10 bg-black/60 backdrop-blur border-b border-white/10">
+        <div className="max-w-[1400px] mx-auto px-6 py-4 flex items-center justify-between text-white">
+          <h1 className="text-xl font-semibold">Admin</h1>
+          <div className="flex items-center gap-3 text-sm">
+            <a href="/" className="px-3 py-2 rounded-xl border border-white/20 hover:bg-white/5">Voter page</a>
+            <button onClick={logout} className="px-3 py-2 rounded-xl border border-white/20 hover:bg-white/5">Log out</button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-[1400px] mx-auto px-6 py-10 text-white space-y-8">
+        {message && <div className="text-sm text-amber-200">{message}</div>}
+
+        <section className={card}>
+          <h2 className="text-lg font-semibold mb-4">Question &amp; glow</h2>
+          <div className="grid md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              <label className="block text-sm text-gray-300">
+                Question
+                <input value={question} onChange={(e) => setQuestion(e.target.value)} className={`mt-1 w-full ${input}`} />
+              </label>
+              <label className="block text-sm text-gray-300">
+                Glow colour
+                <div className="mt-1 flex gap-2">
+                  <input type="color" value={hexGlow} onChange={(e) => setGlow(e.target.value)} className="h-10 w-12 bg-transparent" />
+                  <input value={glow} onChange={(e) => setGlow(e.target.value)} className={`flex-1 ${input}`} />
+                </div>
+              </label>
+              <button
+                onClick={saveSettings}
+                disabled={saving}
+                className="bg-white text-black font-semibold px-4 py-2 rounded-xl hover:bg-gray-200 disabled:opacity-60"
+              >
+                {saving ? 'Saving…' : 'Save'}
+              </button>
+            </div>
+            <div className="grid place-items-center rounded-2xl border border-white/10 p-6">
+              <p className="text-2xl md:text-3xl font-extrabold text-center" style={neonStyle(glow)}>
+                {question || 'This week’s question'}
+              </p>
+              <div className="mt-6 px-8 py-4 rounded-2xl border text-xl font-extrabold" style={neonStyle(glow)}>
+                Preview
+              </div>
+            </div>
+          </div>
+        </section>
+
+        <section className={card}>
+          <h2 className="text-lg font-semibold mb-4">Share</h2>
+          <div className="grid md:grid-cols-2 gap-6">
+            <div className="space-y-3 text-sm text-gray-300">
+              {[
+                ['Script tag', `<script src="${window.location.origin}/embed.js" async></script>`],
+                ['Iframe', `<iframe src="${window.location.origin}/embed" title="Live poll" style="width:100%;max-width:480px;height:360px;border:0"></iframe>`],
+                ['Results card', `${BACKEND}/api/polls/current/card.png`],
+              ].map(([label, code]) => (
+                <label key={label} className="block">
+                  {label}
+                  <div className="mt-1 flex gap-2">
+                    <input readOnly value={code} onFocus={(e) => e.target.select()} className={`flex-1 font-mono text-xs ${input}`} />
+                    <button
+                      onClick={() => navigator.clipboard?.writeText(code).then(() => setMessage(`${label} copied.`))}
+                      className="px-3 py-2 rounded-xl border border-white/20 text-sm"
+                    >
+                      Copy
+                    </button>
+                  </div>
+                </label>
+              ))}
+              <p className="text-xs text-gray-400">The voter page links to the results card in its Open Graph tags.</p>
+            </div>
+            <img
+              src={`${BACKEND}/api/polls/current/card.svg`}
+              alt="Current results card"
+              className="w-full rounded-xl border border-white/10"
+            />
+          </div>
+        </section>
+
+        <section className={card}>
+          <h2 className="text-lg font-semibold mb-4">Candidates</h2>
+          <ul className="space-y-2">
+            {candidates.map((c, i) => (
+              <li key={c.id} className="flex flex-wrap items-center gap-2 bg-black/30 rounded-xl px-3 py-2">
+                <div className="flex flex-col">
+                  <button onClick={() => moveCandidate(i, -1)} disabled={i === 0} className="text-xs disabled:opacity-30">▲</button>
+                  <button onClick={() => moveCandidate(i, 1)} disabled={i === candidates.length - 1} className="text-xs disabled:opacity-30">▼</button>
+                </div>
+                <span
+                  className="w-3 h-3 rounded-full border border-white/30"
+                  style={{ background: c.color || glow }}
+                  title={c.color || 'Poll glow'}
+                />
+                <input
+                  value={renames[c.id] ?? c.name}
+                  onChange={(e) => setRenames(r => ({ ...r, [c.id]: e.target.value }))}
+                  className={`flex-1 min-w-[10rem] ${input}`}
+                />
+                <span className="w-16 text-right text-sm">{c.tally}</span>
+                {renames[c.id] !== undefined && renames[c.id] !== c.name && (
+                  <button onClick={() => renameCandidate(c)} className="px-3 py-2 rounded-xl border border-white/20 text-sm">Rename</button>
+                )}
+                <button onClick={() => toggleDetails(c)} className="px-3 py-2 rounded-xl border border-white/20 text-sm">
+                  Details
+                </button>
+                <button
+                  onClick={() => setAdjust({ id: adjust.id === c.id ? null : c.id, delta: '', reason: '' })}
+                  className="px-3 py-2 rounded-xl border border-white/20 text-sm"
+                >
+                  Adjust
+                </button>
+                <button onClick={() => removeCandidate(c)} className="px-3 py-2 rounded-xl border border-red-400/60 text-red-300 text-sm">
+                  Remove
+                </button>
+                {details.id === c.id && (
+                  <div className="w-full grid sm:grid-cols-2 gap-2 mt-2">
+                    <input
+                      placeholder="Colour (blank = poll glow)"
+                      value={details.color}
+                      onChange={(e) => setDetails(d => ({ ...d, color: e.target.value }))}
+                      className={input}
+                    />
+                    <input
+                      placeholder="Image URL (https://…)"
+                      value={details.image_url}
+                      onChange={(e) => setDetails(d => ({ ...d, image_url: e.target.value }))}
+                      className={input}
+                    />
+                    <input
+                      placeholder="Short description"
+                      maxLength={280}
+                      value={details.description}
+                      onChange={(e) => setDetails(d => ({ ...d, description: e.target.value }))}
+                      className={`sm:col-span-2 ${input}`}
+                    />
+                    <button
+                      onClick={saveDetails}
+                      className="sm:col-span-2 bg-white text-black font-semibold px-4 py-2 rounded-xl disabled:opacity-60"
+                    >
+                      Save details
+                    </button>
+                  </div>
+                )}
+                {adjust.id === c.id && (
+                  <div className="w-full flex flex-wrap gap-2 mt-2">
+                    <input
+                      type="number"
+                      placeholder="+/- votes"
+                      value={adjust.delta}
+                      onChange={(e) => setAdjust(a => ({ ...a, delta: e.target.value }))}
+                      className={`w-28 ${input}`}
+                    />
+                    <input
+                      placeholder="Reason (required)"
+                      value={adjust.reason}
+                      onChange={(e) => setAdjust(a => ({ ...a, reason: e.target.value }))}
+                      className={`flex-1 ${input}`}
+                    />
+                    <button
+                      onClick={submitAdjust}
+                      disabled={!adjust.delta || !adjust.reason.trim()}
+                      className="bg-white text-black font-semibold px-4 py-2 rounded-xl disabled:opacity-60"
+                    >
+                      Apply
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          <div className="mt-4 flex gap-2">
+            <input
+              placeholder="New candidate"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className={`flex-1 ${input}`}
+            />
+            <button
+              onClick={addCandidate}
+              disabled={!newName.trim()}
+              className="bg-white text-black font-semibold px-4 py-2 rounded-xl disabled:opacity-60"
+            >
+              Add
+            </button>
+          </div>
+        </section>
+
+        <section className={card}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">Tally over time</h2>
+            <button onClick={() => run(loadHistory)} className="px-3 py-2 rounded-xl border border-white/20 text-sm">Refresh</button>
+          </div>
+          <TallyChart candidates={history.candidates} buckets={history.buckets} />
+        </section>
+
+        <section className={card}>
+          <h2 className="text-lg font-semibold mb-4">Recent transactions</h2>
+          <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-2 mb-4 text-sm">
+            <select
+              value={filters.candidate_id}
+              onChange={(e) => setFilters(f => ({ ...f, candidate_id: e.target.value }))}
+              className={input}
+            >
+              <option value="">All candidates</option>
+              {candidates.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select value={filters.status} onChange={(e) => setFilters(f => ({ ...f, status: e.target.value }))} className={input}>
+              <option value="">Any status</option>
+              {['pending', 'paid', 'expired', 'refunded', 'disputed'].map(st => <option key={st} value={st}>{st}</option>)}
+            </select>
+            <input
+              placeholder="Currency"
+              value={filters.currency}
+              onChange={(e) => setFilters(f => ({ ...f, currency: e.target.value.toUpperCase() }))}
+              className={input}
+            />
+            <input
+              placeholder="Session id"
+              value={filters.q}
+              onChange={(e) => setFilters(f => ({ ...f, q: e.target.value }))}
+              className={input}
+            />
+            <input type="date" value={filters.from} onChange={(e) => setFilters(f => ({ ...f, from: e.target.value }))} className={input} />
+            <input type="date" value={filters.to} onChange={(e) => setFilters(f => ({ ...f, to: e.target.value }))} className={input} />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="py-2 pr-4">Session</th>
+                  <th className="py-2 pr-4">Candidate</th>
+                  <th className="py-2 pr-4 text-right">Votes</th>
+                  <th className="py-2 pr-4 text-right">Amount</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Created</th>
+                  <th className="py-2 pr-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map(t => (
+                  <tr key={t.id} className="border-t border-white/10">
+                    <td className="py-2 pr-4 font-mono text-xs">{t.session_id}</td>
+                    <td className="py-2 pr-4">{t.candidate}</td>
+                    <td className="py-2 pr-4 text-right">{t.votes}</td>
+                    <td className="py-2 pr-4 text-right">{formatMinor(t.amount_total, t.currency, decimals[t.currency] ?? 2)}</td>
+                    <td className="py-2 pr-4">{t.status}</td>
+                    <td className="py-2 pr-4 text-gray-400">{t.created_at}</td>
+                    <td className="py-2 pr-4">
+                      {t.status === 'paid' && (
+                        <button onClick={() => refundTransaction(t)} className="px-2 py-1 rounded-lg border border-red-400/60 text-red-300 text-xs">
+                          Refund
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {transactions.length === 0 && (
+                  <tr><td colSpan={7} className="py-4 text-gray-400">No transactions match.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        <section className={card}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">
+              Supporters
+              {supporters.unreviewed > 0 && <span className="ml-2 text-sm text-amber-200">{supporters.unreviewed} to review</span>}
+            </h2>
+            <div className="flex gap-2 text-sm">
+              <select value={supporterStatus} onChange={(e) => setSupporterStatus(e.target.value)} className={input}>
+                <option value="unreviewed">To review</option>
+                <option value="approved">Approved</option>
+                <option value="hidden">Hidden</option>
+              </select>
+              <button onClick={() => setSupportersReload(n => n + 1)} className="px-3 py-2 rounded-xl border border-white/20">Refresh</button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-400 mb-4">
+            Names and messages voters attached to paid votes.{' '}
+            {supporters.require_approval
+              ? 'They stay off the top backers board until approved.'
+              : 'They are on the top backers board until hidden.'}{' '}
+            Hiding one doesn't change the tally.
+          </p>
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="py-2 pr-4">Name</th>
+                <th className="py-2 pr-4">Message</th>
+                <th className="py-2 pr-4">Candidate</th>
+                <th className="py-2 pr-4">Votes</th>
+                <th className="py-2 pr-4">Paid</th>
+                <th className="py-2 pr-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {supporters.supporters.map(s => (
+                <tr key={s.id} className="border-t border-white/10 align-top">
+                  <td className="py-2 pr-4 break-all">{s.display_name || '—'}</td>
+                  <td className="py-2 pr-4 break-words max-w-xs">{s.message || '—'}</td>
+                  <td className="py-2 pr-4">{s.candidate}</td>
+                  <td className="py-2 pr-4">{s.votes}</td>
+                  <td className="py-2 pr-4 text-gray-400">{s.paid_at || s.status}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap space-x-1">
+                    {s.supporter_status !== 'approved' && (
+                      <button onClick={() => moderate(s, 'approved')} className="px-2 py-1 rounded-lg border border-white/20 text-xs">
+                        Approve
+                      </button>
+                    )}
+                    {s.supporter_status !== 'hidden' && (
+                      <button onClick={() => moderate(s, 'hidden')} className="px-2 py-1 rounded-lg border border-white/20 text-xs">
+                        Hide
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {supporters.supporters.length === 0 && (
+                <tr><td colSpan={6} className="py-4 text-gray-400">Nothing here.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+
+        <section className={card}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">Blocked IPs</h2>
+            <button onClick={() => run(loadBlocked)} className="px-3 py-2 rounded-xl border border-white/20 text-sm">Refresh</button>
+          </div>
+          {blocked.limits && (
+            <p className="text-sm text-gray-400 mb-4">
+              Checkout limits: {blocked.limits.perIp} per IP and {blocked.limits.perFingerprint} per browser
+              every {blocked.limits.windowSec}s, {blocked.limits.maxOpenSessions} unfinished checkouts per client.
+              {blocked.limits.autoBlockAfter > 0 &&
+                ` An IP that hits the limit ${blocked.limits.autoBlockAfter} times in an hour is blocked for ${blocked.limits.autoBlockMin} minutes.`}
+            </p>
+          )}
+          <form
+            className="grid sm:grid-cols-4 gap-2 mb-4 text-sm"
+            onSubmit={(e) => { e.preventDefault(); blockIp(); }}
+          >
+            <input
+              placeholder="IP address"
+              value={blockForm.ip}
+              onChange={(e) => setBlockForm(f => ({ ...f, ip: e.target.value }))}
+              className={input}
+            />
+            <input
+              placeholder="Reason"
+              value={blockForm.reason}
+              onChange={(e) => setBlockForm(f => ({ ...f, reason: e.target.value }))}
+              className={input}
+            />
+            <input
+              type="number"
+              min="1"
+              placeholder="Minutes (blank = until lifted)"
+              value={blockForm.minutes}
+              onChange={(e) => setBlockForm(f => ({ ...f, minutes: e.target.value }))}
+              className={input}
+            />
+            <button disabled={!blockForm.ip.trim()} className="bg-white text-black font-semibold px-4 py-2 rounded-xl disabled:opacity-50">
+              Block
+            </button>
+          </form>
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="py-2 pr-4">IP</th>
+                <th className="py-2 pr-4">Reason</th>
+                <th className="py-2 pr-4">By</th>
+                <th className="py-2 pr-4">Since</th>
+                <th className="py-2 pr-4">Until</th>
+                <th className="py-2 pr-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {blocked.blocked.map(b => (
+                <tr key={b.ip} className="border-t border-white/10">
+                  <td className="py-2 pr-4 font-mono text-xs">{b.ip}</td>
+                  <td className="py-2 pr-4">{b.reason || '—'}</td>
+                  <td className="py-2 pr-4">{b.source}</td>
+                  <td className="py-2 pr-4 text-gray-400">{b.created_at}</td>
+                  <td className="py-2 pr-4 text-gray-400">{b.expires_at || 'until lifted'}</td>
+                  <td className="py-2 pr-4">
+                    <button onClick={() => unblockIp(b.ip)} className="px-2 py-1 rounded-lg border border-white/20 text-xs">
+                      Unblock
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {blocked.blocked.length === 0 && (
+                <tr><td colSpan={6} className="py-4 text-gray-400">No IPs are blocked.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+
+        <section className={card}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold">Webhooks</h2>
+            <button onClick={() => run(loadWebhooks)} className="px-3 py-2 rounded-xl border border-white/20 text-sm">Refresh</button>
+          </div>
+          <p className="text-sm text-gray-400 mb-4">
+            Signed JSON events POSTed to other tools. Check the <code>X-Vote-Signature</code> header with the endpoint&apos;s secret.
+          </p>
+          <form className="space-y-2 mb-4 text-sm" onSubmit={(e) => { e.preventDefault(); addWebhook(); }}>
+            <div className="grid sm:grid-cols-3 gap-2">
+              <input
+                placeholder="https://example.com/hooks/votes"
+                value={hookForm.url}
+                onChange={(e) => setHookForm(f => ({ ...f, url: e.target.value }))}
+                className={`sm:col-span-2 ${input}`}
+              />
+              <input
+                placeholder="Description"
+                value={hookForm.description}
+                onChange={(e) => setHookForm(f => ({ ...f, description: e.target.value }))}
+                className={input}
+              />
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              {webhooks.event_types.map(t => (
+                <label key={t} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={hookForm.events.includes(t)}
+                    onChange={(e) => setHookForm(f => ({
+                      ...f, events: e.target.checked ? [...f.events, t] : f.events.filter(x => x !== t),
+                    }))}
+                  />
+                  <span className="font-mono text-xs">{t}</span>
+                </label>
+              ))}
+              <span className="text-xs text-gray-400">none ticked = all events</span>
+              <button disabled={!hookForm.url.trim()} className="ml-auto bg-white text-black font-semibold px-4 py-2 rounded-xl disabled:opacity-50">
+                Add webhook
+              </button>
+            </div>
+          </form>
+          {hookSecret && (
+            <div className="mb-4 p-3 rounded-xl border border-amber-400/60 bg-amber-900/20 text-sm">
+              Signing secret for {hookSecret.url}: <code className="font-mono break-all">{hookSecret.secret}</code>
+              <div className="text-xs text-amber-200 mt-1">
+                Copy it now; it is not shown again.{' '}
+                <button onClick={() => setHookSecret(null)} className="underline">Dismiss</button>
+              </div>
+            </div>
+          )}
+          <ul className="space-y-2 mb-6">
+            {webhooks.endpoints.map(w => (
+              <li key={w.id} className="flex flex-wrap items-center gap-2 bg-black/30 rounded-xl px-3 py-2 text-sm">
+                <span className={`w-2 h-2 rounded-full ${w.active ? 'bg-emerald-400' : 'bg-gray-500'}`} />
+                <span className="font-mono text-xs break-all">{w.url}</span>
+                <span className="text-xs text-gray-400">{w.events.join(', ')}</span>
+                {w.description && <span className="text-xs text-gray-400">— {w.description}</span>}
+                <span className="ml-auto text-xs text-gray-400">
+                  {w.pending} pending · {w.failed} failed · secret {w.secret_hint}
+                </span>
+                <button
+                  onClick={() => updateWebhook(w, { active: !w.active }, w.active ? 'Webhook paused.' : 'Webhook resumed.')}
+                  className="px-2 py-1 rounded-lg border border-white/20 text-xs"
+                >
+                  {w.active ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={() => window.confirm('Issue a new secret? The old one stops working at once.')
+                    && updateWebhook(w, { rotate_secret: true }, 'Secret rotated.')}
+                  className="px-2 py-1 rounded-lg border border-white/20 text-xs"
+                >
+                  Rotate secret
+                </button>
+                <button onClick={() => removeWebhook(w)} className="px-2 py-1 rounded-lg border border-red-400/60 text-red-300 text-xs">
+                  Remove
+                </button>
+              </li>
+            ))}
+            {webhooks.endpoints.length === 0 && <li className="text-sm text-gray-400">No webhooks yet.</li>}
+          </ul>
+          <h3 className="text-sm font-semibold mb-2">Recent deliveries</h3>
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="py-2 pr-4">#</th>
+                <th className="py-2 pr-4">Event</th>
+                <th className="py-2 pr-4">Endpoint</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">Tries</th>
+                <th className="py-2 pr-4">Last result</th>
+                <th className="py-2 pr-4">Created</th>
+                <th className="py-2 pr-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(d => (
+                <tr key={d.id} className="border-t border-white/10">
+                  <td className="py-2 pr-4">{d.id}{d.redelivery_of ? <span className="text-gray-400"> ↻{d.redelivery_of}</span> : null}</td>
+                  <td className="py-2 pr-4 font-mono text-xs">{d.event_type}</td>
+                  <td className="py-2 pr-4">{d.endpoint_id}</td>
+                  <td className={`py-2 pr-4 ${d.status === 'failed' ? 'text-red-300' : d.status === 'pending' ? 'text-amber-200' : ''}`}>
+                    {d.status}{d.status === 'pending' && d.next_attempt_at ? ` (next ${d.next_attempt_at})` : ''}
+                  </td>
+                  <td className="py-2 pr-4">{d.attempts}</td>
+                  <td className="py-2 pr-4 text-gray-400">{d.last_error || (d.last_status_code ? `HTTP ${d.last_status_code}` : '—')}</td>
+                  <td className="py-2 pr-4 text-gray-400">{d.created_at}</td>
+                  <td className="py-2 pr-4">
+                    <button onClick={() => redeliver(d)} className="px-2 py-1 rounded-lg border border-white/20 text-xs">
+                      Redeliver
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {deliveries.length === 0 && (
+                <tr><td colSpan={8} className="py-4 text-gray-400">Nothing sent yet.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+
+        <section className={card}>
+          <h2 className="text-lg font-semibold mb-4">Export</h2>
+          <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-2 text-sm">
+            <select value={exportForm.table} onChange={(e) => setExportForm(f => ({ ...f, table: e.target.value }))} className={input}>
+              <option value="transactions">Transactions</option>
+              <option value="candidates">Candidates &amp; votes</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              placeholder="Poll # (blank = all)"
+              value={exportForm.poll_id}
+              onChange={(e) => setExportForm(f => ({ ...f, poll_id: e.target.value }))}
+              className={input}
+            />
+            <input type="date" value={exportForm.from} onChange={(e) => setExportForm(f => ({ ...f, from: e.target.value }))} className={input} />
+            <input type="date" value={exportForm.to} onChange={(e) => setExportForm(f => ({ ...f, to: e.target.value }))} className={input} />
+            <button onClick={() => exportData('csv')} className="bg-white text-black font-semibold px-4 py-2 rounded-xl">CSV</button>
+            <button onClick={() => exportData('json')} className="px-4 py-2 rounded-xl border border-white/20">JSON</button>
+          </div>
+        </section>
+
+        <section className={card}>
+          <div className="flex items-center justify-between mb-4 gap-2">
+            <h2 className="text-lg font-semibold">Backups</h2>
+            <div className="flex items-center gap-2 text-sm">
+              <label className="px-3 py-2 rounded-xl border border-white/20 cursor-pointer">
+                Upload…
+                <input
+                  type="file"
+                  accept=".db,application/octet-stream"
+                  className="hidden"
+                  onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ''; if (f) uploadBackup(f); }}
+                />
+              </label>
+              <button onClick={createBackup} className="bg-white text-black font-semibold px-3 py-2 rounded-xl">Back up now</button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-400 mb-4">
+            Backups are stored next to the database. Download them to keep a copy that survives a redeploy.
+          </p>
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="py-2 pr-4">File</th>
+                <th className="py-2 pr-4 text-right">Size</th>
+                <th className="py-2 pr-4">Created</th>
+                <th className="py-2 pr-4" />
+              </tr>
+            </thead>
+            <tbody>
+              {backups.map(b => (
+                <tr key={b.name} className="border-t border-white/10">
+                  <td className="py-2 pr-4 font-mono text-xs">{b.name}</td>
+                  <td className="py-2 pr-4 text-right">{(b.size / 1024).toFixed(0)} KB</td>
+                  <td className="py-2 pr-4 text-gray-400">{new Date(b.created_at).toLocaleString()}</td>
+                  <td className="py-2 pr-4 space-x-2 text-right">
+                    <button onClick={() => downloadBackup(b.name)} className="px-2 py-1 rounded-lg border border-white/20 text-xs">
+                      Download
+                    </button>
+                    <button onClick={() => restoreBackup(b.name)} className="px-2 py-1 rounded-lg border border-red-400/60 text-red-300 text-xs">
+                      Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {backups.length === 0 && (
+                <tr><td colSpan={4} className="py-4 text-gray-400">No backups yet.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -1,53 +1,19 @@
-// PAY-PER-VOTE — Weekly YES/NO with neon, Stripe, live tally
+// PAY-PER-VOTE — Weekly poll with neon, Stripe, live tally
 import React, { useEffect, useMemo, useState } from 'react';
+import {
+  normalizeVotes, buildSuccessUrl, isValidCurrency, resolveBackendUrl,
+  neonStyle, fetchJSONRetry, clientId, waitForReady,
+  loadCheckouts, rememberCheckout, subscribeTally,
+} from './helpers.js';
+import { I18nContext, useLocale, currencyForLocale } from './i18n.js';
+import CheckoutHistory from './CheckoutHistory.jsx';
+import CandidatePicker from './CandidatePicker.jsx';
+import Leaderboard from './Leaderboard.jsx';
+import LanguagePicker from './LanguagePicker.jsx';
 
-/* ------------------------------ small helpers ------------------------------ */
-function normalizeVotes(v) {
-  const n = Number(v);
-  if (!Number.isFinite(n) || n < 1) return 1;
-  return Math.floor(n);
-}
-function buildSuccessUrl(origin) {
-  return `${origin}/?status=success&session_id={CHECKOUT_SESSION_ID}`;
-}
-function isValidCurrency(c, set) {
-  return set.includes(String(c || '').toUpperCase());
-}
-/** Resolve backend URL from (in order): Vite env → global/window → default */
-function resolveBackendUrl(
-  env = (typeof import.meta !== 'undefined' ? import.meta.env : undefined),
-  globals = (typeof globalThis !== 'undefined' ? globalThis : {})
-) {
-  if (env && env.VITE_BACKEND_URL) return { url: env.VITE_BACKEND_URL, source: 'vite-env' };
-  if (globals && globals.VITE_BACKEND_URL) return { url: globals.VITE_BACKEND_URL, source: 'global' };
-  if (globals && globals.__BACKEND_URL)   return { url: globals.__BACKEND_URL,   source: 'window' };
-  return { url: 'http://localhost:8787', source: 'default' };
-}
-function neonStyle(color) {
-  const c = color || '#00ffff';
-  return {
-    textShadow: `0 0 1px ${c}, 0 0 4px ${c}, 0 0 12px ${c}, 0 0 32px ${c}`,
-    boxShadow: `0 0 1px ${c}, 0 0 8px ${c}, inset 0 0 6px ${c}80`,
-    borderColor: c,
-  };
-}
-
-/* ---------- helpers for resilient fetch (Render free-tier wakeup) ---------- */
-function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
-async function fetchJSONRetry(url, options = {}, tries = 12, delay = 2500) {
-  let lastErr;
-  for (let i = 0; i < tries; i++) {
-    try {
-      const r = await fetch(url, options);
-      if (!r.ok) throw new Error(`HTTP ${r.status}`);
-      return await r.json();
-    } catch (e) {
-      lastErr = e;
-      await sleep(delay); // give the backend time to wake
-    }
-  }
-  throw lastErr;
-}
+// Must match MAX_DISPLAY_NAME / MAX_MESSAGE in backend/lib/supporters.js
+const MAX_DISPLAY_NAME = 40;
+const MAX_MESSAGE = 140;
 
 /* ----------------------------- debug: show URL ----------------------------- */
 if (typeof window !== 'undefined') {
@@ -61,23 +27,37 @@ if (typeof window !== 'undefined') {
 /* --------------------------------- app ---------------------------------- */
 export default function App() {
   const { url: BACKEND, source: BACKEND_SOURCE } = resolveBackendUrl();
+  const [i18n, setLocale] = useLocale();
+  const { t, number, money, date } = i18n;
 
   const [question, setQuestion] = useState('');
   const [glow, setGlow] = useState('#00ffff');
   const [tally, setTally] = useState([]);
   const [instagram, setInstagram] = useState('https://instagram.com');
+  const [poll, setPoll] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [openPastId, setOpenPastId] = useState(null);
+  const [pastResults, setPastResults] = useState({});
   const [loading, setLoading] = useState(true);
-  const [message, setMessage] = useState('');
+  // { key, vars } of a message in i18n.js, so it follows a language switch,
+  // or { text } for one from the server
+  const [message, setMessage] = useState(null);
+  const say = (key, vars) => setMessage({ key, vars });
+  const [receipt, setReceipt] = useState(null); // receipt code from verify-session
+  const [checkouts] = useState(() => loadCheckouts()); // this browser's own sessions
+  const [backendState, setBackendState] = useState('waking'); // waking | ready | payments-unavailable | not-ready | unreachable
 
   const [choiceId, setChoiceId] = useState(null);
   const [votes, setVotes] = useState(1);
   const [currency, setCurrency] = useState('USD');
   const [creating, setCreating] = useState(false);
+  const [displayName, setDisplayName] = useState('');   // optional, for the top backers board
+  const [supportMessage, setSupportMessage] = useState('');
+  const [currencyInfo, setCurrencyInfo] = useState([]); // from /api/currencies
+  const [pricing, setPricing] = useState(null);          // bundles + quote for currency/votes
 
-  const currencies = useMemo(
-    () => ['USD','CAD','EUR','GBP','AUD','NZD','JPY','AED','SAR','INR','NGN','ZAR','BRL','MXN','CHF','SEK','NOK','DKK','PLN','RON','TRY','ILS','HKD','SGD','CZK'],
-    []
-  );
+  const currencies = useMemo(() => currencyInfo.map(c => c.code), [currencyInfo]);
+  const prices = useMemo(() => Object.fromEntries(currencyInfo.map(c => [c.code, c])), [currencyInfo]);
 
   // initial load + poll tally (retry-aware)
   useEffect(() => {
@@ -85,47 +65,93 @@ export default function App() {
 
     const init = async () => {
       setLoading(true);
-      setMessage('Waking the backend… (free plan can take ~30–60s)');
+      say('status.waking');
       try {
-        const s = await fetchJSONRetry(`${BACKEND}/api/settings`);
+        const ready = await waitForReady(BACKEND, {
+          onWaiting: (n) => {
+            if (!cancelled) say('status.wakingAttempt', { attempt: n + 1 });
+          },
+        });
+        if (cancelled) return;
+        setBackendState(ready.state);
+        if (ready.state === 'not-ready') {
+          console.error('[frontend] backend not ready:', ready.checks);
+          say('status.notReady');
+          return;
+        }
+
+        // Awake now, so a few quick retries are plenty.
+        const s = await fetchJSONRetry(`${BACKEND}/api/settings`, {}, 3, 1000);
         if (cancelled) return;
         setQuestion(s.question || '');
         setGlow(s.glow || '#00ffff');
         setInstagram(s.instagram || 'https://instagram.com');
+        setPoll(s.poll || null);
 
-        const t = await fetchJSONRetry(`${BACKEND}/api/tally`);
+        const t = await fetchJSONRetry(`${BACKEND}/api/tally`, {}, 3, 1000);
         if (cancelled) return;
         setTally(t.tally || []);
-        setMessage('');
+        setMessage(null);
+
+        const cur = await fetchJSONRetry(`${BACKEND}/api/currencies`, {}, 3, 1000);
+        if (cancelled) return;
+        setCurrencyInfo(cur.currencies || []);
+        // the visitor's own currency when we take it ("en-NG" → NGN), else the server's default
+        const local = currencyForLocale(undefined, (cur.currencies || []).map(c => c.code));
+        if (local || cur.default) setCurrency(local || cur.default);
+
+        const h = await fetchJSONRetry(`${BACKEND}/api/polls`, {}, 2).catch(() => ({ polls: [] }));
+        if (!cancelled) setHistory((h.polls || []).filter(x => x.id !== h.current && x.status !== 'open'));
       } catch (e) {
         // eslint-disable-next-line no-console
         console.error('[frontend] settings/tally fetch failed:', e);
-        if (!cancelled) setMessage('Cannot reach backend. Check VITE_BACKEND_URL and server.');
+        if (!cancelled) {
+          setBackendState(s => (s === 'waking' ? 'unreachable' : s));
+          say('status.unreachable');
+        }
       } finally {
         if (!cancelled) setLoading(false);
       }
     };
     init();
 
-    const iv = setInterval(async () => {
-      try {
-        const t = await fetch(`${BACKEND}/api/tally`).then(r => r.json());
-        if (!cancelled) setTally(t.tally || []);
-      } catch {/* swallow polling errors */}
-    }, 3000);
+    const applyTally = (t) => {
+      if (cancelled) return;
+      setTally(t.tally || []);
+      if (t.poll) setPoll(p => ({ ...p, ...t.poll }));
+    };
+
+    // live tally: SSE push, with 3s polling only while the stream is down
+    const unsubscribe = subscribeTally(BACKEND, applyTally);
 
     return () => {
       cancelled = true;
-      clearInterval(iv);
+      unsubscribe();
     };
   }, [BACKEND]);
 
-  // optional: auto-pick "YES" on first load if nothing selected yet
+  // server-side quote (bundles + discounts) for the current selection
   useEffect(() => {
-    if (!choiceId && tally?.length) {
-      const yes = tally.find(x => String(x.name).toLowerCase() === 'yes') ?? tally[0];
-      if (yes) setChoiceId(yes.id);
-    }
+    if (!currency) return;
+    let cancelled = false;
+    const t = setTimeout(async () => {
+      try {
+        const qs = new URLSearchParams({ currency, votes: String(normalizeVotes(votes)) });
+        const r = await fetch(`${BACKEND}/api/pricing?${qs}`).then(x => x.json());
+        if (!cancelled && r.quote) setPricing(r);
+      } catch {/* keep the last quote */}
+    }, 250);
+    return () => { cancelled = true; clearTimeout(t); };
+  }, [BACKEND, currency, votes]);
+
+  // tab title follows the question (link previews use the static tags in index.html)
+  useEffect(() => {
+    if (question) document.title = `${question} · Today Question`;
+  }, [question]);
+
+  // drop the choice if an admin removes that candidate mid-poll
+  useEffect(() => {
+    if (choiceId && tally.length && !tally.some(x => x.id === choiceId)) setChoiceId(null);
   }, [tally, choiceId]);
 
   // post-checkout verify
@@ -138,27 +164,46 @@ export default function App() {
       fetch(`${BACKEND}/api/verify-session?session_id=${encodeURIComponent(session_id)}`)
         .then(r => r.json())
         .then(d => {
+          if (d.receipt) setReceipt(d.receipt);
           if (d.ok) {
-            setMessage(d.alreadyCounted ? 'Payment already verified earlier.' : 'Payment verified! Votes counted.');
+            say(d.alreadyCounted ? 'status.verifiedEarlier' : 'status.verified');
+          } else if (d.status === 'refunded' || d.status === 'disputed' || d.status === 'expired') {
+            say(`status.${d.status}`);
           } else {
-            setMessage('Payment not verified yet. Refresh in a moment.');
+            say('status.notVerified');
           }
         })
-        .catch(() => setMessage('Verification failed. Contact support with your receipt.'));
+        .catch(() => say('status.verifyFailed'));
     } else if (status === 'cancelled') {
-      setMessage('Payment cancelled. No votes were cast.');
+      say('status.cancelled');
     }
   }, [BACKEND]);
 
+  // past weeks: load final results the first time a row is expanded
+  const togglePast = async (id) => {
+    setOpenPastId(cur => (cur === id ? null : id));
+    if (pastResults[id]) return;
+    try {
+      const r = await fetch(`${BACKEND}/api/polls/${id}`).then(x => x.json());
+      setPastResults(prev => ({ ...prev, [id]: r }));
+    } catch (e) {
+      console.error('[frontend] poll fetch failed:', e);
+    }
+  };
+
   // create checkout session → Stripe redirect
   const createCheckout = async () => {
-    setMessage('');
+    setMessage(null);
+    if (poll && poll.status !== 'open') {
+      say('status.votingClosed');
+      return;
+    }
     if (!choiceId) {
-      setMessage('Pick YES or NO.');
+      say('status.pickCandidate');
       return;
     }
     if (!isValidCurrency(currency, currencies)) {
-      setMessage('Unsupported currency.');
+      say('status.unsupportedCurrency');
       return;
     }
     const v = normalizeVotes(votes);
@@ -168,25 +213,38 @@ export default function App() {
     try {
       const res = await fetch(`${BACKEND}/api/create-checkout-session`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': clientId() },
         body: JSON.stringify({
           candidateId: choiceId,
           votes: v,
           currency,
+          displayName: displayName.trim() || undefined,
+          message: supportMessage.trim() || undefined,
           successUrl: buildSuccessUrl(window.location.origin),
           cancelUrl: `${window.location.origin}/?status=cancelled`,
         }),
       });
       const data = await res.json();
       if (data?.url) {
+        rememberCheckout({
+          id: data.id,
+          candidate: tally.find(t => t.id === choiceId)?.name,
+          votes: v,
+          currency,
+          created_at: new Date().toISOString(),
+          status: 'pending',
+        });
         window.location.assign(data.url);
       } else {
-        setMessage(data?.error || 'Unable to create checkout session.');
+        // The request id lets support find this attempt in the server logs.
+        const ref = res.headers.get('X-Request-Id');
+        const text = data?.error || t('status.checkoutFailed');
+        setMessage({ text: text + (ref ? ` (ref ${ref.slice(0, 8)})` : '') });
       }
     } catch (e) {
       // eslint-disable-next-line no-console
       console.error('[frontend] create-checkout error:', e);
-      setMessage('Error connecting to payment server.');
+      say('status.connectFailed');
     } finally {
       setCreating(false);
     }
@@ -195,134 +253,262 @@ export default function App() {
   if (loading) {
     return (
       <div className="min-h-screen grid place-items-center text-xl text-white" style={{ background: '#000' }}>
-        Loading…
+        {t('app.loading')}
       </div>
     );
   }
 
-  const yes = tally.find(x => String(x.name).toLowerCase() === 'yes');
-  const no  = tally.find(x => String(x.name).toLowerCase() === 'no');
+  const votingOpen = !poll || poll.status === 'open';
+  const price = prices[currency];
+  const quote = pricing?.quote?.currency === currency && pricing.quote.votes === normalizeVotes(votes)
+    ? pricing.quote
+    : null;
+  const bundles = pricing?.quote?.currency === currency ? pricing.bundles : [];
+  const cannotBuy = !!quote && (quote.tooMany || quote.belowMinimum);
+  const paymentsDown = backendState !== 'ready';
 
   return (
-    <div className="min-h-screen" style={{ background: '#000' }}>
-      <header className="sticky top-0 z-10 bg-black/60 backdrop-blur border-b border-white/10">
-        <div className="max-w-[1400px] mx-auto px-6 py-4 flex items-center justify-between text-white">
-          <div className="flex items-center gap-3">
-            <div className="w-9 h-9 rounded-xl bg-white text-black grid place-items-center font-bold">V</div>
-            <div>
-              <h1 className="text-xl font-semibold">Today Question</h1>
-              <p className="text-xs text-gray-400">Pay-per-vote • Multi-currency • Live tally</p>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen" style={{ background: '#000' }}>
+        <header className="sticky top-0 z-10 bg-black/60 backdrop-blur border-b border-white/10">
+          <div className="max-w-[1400px] mx-auto px-6 py-4 flex items-center justify-between text-white">
+            <div className="flex items-center gap-3">
+              <div className="w-9 h-9 rounded-xl bg-white text-black grid place-items-center font-bold">V</div>
+              <div>
+                <h1 className="text-xl font-semibold">{t('app.title')}</h1>
+                <p className="text-xs text-gray-400">{t('app.tagline')}</p>
+              </div>
             </div>
-          </div>
-          <a
-            href={instagram}
-            target="_blank"
-            rel="noreferrer"
-            className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border border-white/20 hover:bg-white/5 text-sm"
-          >
-            Instagram
-          </a>
-        </div>
-      </header>
-
-      <main className="max-w-[1400px] mx-auto px-6 py-10 text-white">
-        <div className="text-center mb-10">
-          {BACKEND_SOURCE !== 'vite-env' && (
-            <div className="mx-auto mb-5 max-w-2xl p-3 text-xs rounded-md border border-amber-400 bg-amber-900/30 text-amber-200">
-              Tip: Set <code>VITE_BACKEND_URL</code> in <code>frontend/.env</code> and restart Vite. Using{' '}
-              <b>{BACKEND}</b> from <b>{BACKEND_SOURCE}</b>.
-            </div>
-          )}
-          <h2 className="text-3xl md:text-5xl font-extrabold" style={neonStyle(glow)}>
-            {question || 'This week’s question'}
-          </h2>
-        </div>
-
-        <div className="flex flex-wrap items-center justify-center gap-8 md:gap-16 mb-12">
-          <button
-            onClick={() => setChoiceId(yes?.id)}
-            className={`px-10 py-10 rounded-2xl border text-3xl font-extrabold transition hover:scale-105 ${
-              choiceId === yes?.id ? 'ring-2 ring-white' : ''
-            }`}
-            style={neonStyle(glow)}
-          >
-            YES
-          </button>
-
-          <button
-            onClick={() => setChoiceId(no?.id)}
-            className={`px-10 py-10 rounded-2xl border text-3xl font-extrabold transition hover:scale-105 ${
-              choiceId === no?.id ? 'ring-2 ring-white' : ''
-            }`}
-            style={neonStyle(glow)}
-          >
-            NO
-          </button>
-        </div>
-
-        <div className="max-w-xl mx-auto bg-white/5 border border-white/10 rounded-2xl p-6">
-          <div className="grid sm:grid-cols-3 gap-4 items-end">
-            <div>
-              <label className="text-sm text-gray-300">Votes</label>
-              <input
-                type="number"
-                min={1}
-                value={votes}
-                onChange={(e) => setVotes(normalizeVotes(e.target.value))}
-                className="mt-1 w-full bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2"
-              />
-            </div>
-            <div>
-              <label className="text-sm text-gray-300">Currency</label>
-              <select
-                value={currency}
-                onChange={(e) => setCurrency(e.target.value)}
-                className="mt-1 w-full bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2"
+            <div className="flex items-center gap-2">
+              <LanguagePicker onChange={setLocale} />
+              <a
+                href={instagram}
+                target="_blank"
+                rel="noreferrer"
+                className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border border-white/20 hover:bg-white/5 text-sm"
               >
-                {currencies.map((c) => (
-                  <option key={c} value={c}>
-                    {c}
-                  </option>
+                Instagram
+              </a>
+            </div>
+          </div>
+        </header>
+
+        <main className="max-w-[1400px] mx-auto px-6 py-10 text-white">
+          <div className="text-center mb-10">
+            {BACKEND_SOURCE !== 'vite-env' && (
+              <div className="mx-auto mb-5 max-w-2xl p-3 text-xs rounded-md border border-amber-400 bg-amber-900/30 text-amber-200">
+                Tip: Set <code>VITE_BACKEND_URL</code> in <code>frontend/.env</code> and restart Vite. Using{' '}
+                <b>{BACKEND}</b> from <b>{BACKEND_SOURCE}</b>.
+              </div>
+            )}
+            <h2 className="text-3xl md:text-5xl font-extrabold" style={neonStyle(glow)}>
+              {question || t('poll.questionFallback')}
+            </h2>
+            {poll && (
+              <p className="mt-4 text-sm text-gray-400">
+                {votingOpen
+                  ? (poll.closes_at ? t('poll.closesAt', { date: date(poll.closes_at) }) : t('poll.open'))
+                  : t('poll.closed')}
+              </p>
+            )}
+          </div>
+
+          <CandidatePicker candidates={tally} choiceId={choiceId} onChoose={setChoiceId} glow={glow} />
+
+          <div className="max-w-xl mx-auto bg-white/5 border border-white/10 rounded-2xl p-6">
+            {price && bundles.length > 1 && (
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+                {bundles.map((b) => (
+                  <button
+                    key={b.votes}
+                    onClick={() => setVotes(b.votes)}
+                    className={`rounded-xl border border-white/20 px-2 py-2 text-sm hover:bg-white/5 ${
+                      normalizeVotes(votes) === b.votes ? 'ring-2 ring-white' : ''
+                    }`}
+                  >
+                    <div className="font-semibold">{t('poll.votes', { count: b.votes })}</div>
+                    <div className="text-xs text-gray-300">{money(b.amount, currency, price.decimals)}</div>
+                    {b.discount_pct > 0 && <div className="text-xs text-emerald-300">{t('buy.percentOff', { pct: b.discount_pct })}</div>}
+                  </button>
                 ))}
-              </select>
+              </div>
+            )}
+            <div className="grid sm:grid-cols-3 gap-4 items-end">
+              <div>
+                <label className="text-sm text-gray-300">{t('buy.votes')}</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={pricing?.max_votes}
+                  value={votes}
+                  onChange={(e) => setVotes(normalizeVotes(e.target.value))}
+                  className="mt-1 w-full bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2"
+                />
+              </div>
+              <div>
+                <label className="text-sm text-gray-300">{t('buy.currency')}</label>
+                <select
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  className="mt-1 w-full bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2"
+                >
+                  {currencyInfo.map((c) => (
+                    <option key={c.code} value={c.code} title={c.name}>
+                      {c.code}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <button
+                  onClick={createCheckout}
+                  disabled={creating || !votingOpen || cannotBuy || paymentsDown}
+                  className="w-full bg-white text-black font-semibold px-4 py-3 rounded-xl hover:bg-gray-200 disabled:opacity-60"
+                >
+                  {!votingOpen ? t('buy.votingClosed')
+                    : paymentsDown ? t('buy.paymentsUnavailable')
+                    : creating ? t('buy.redirecting') : t('buy.pay')}
+                </button>
+              </div>
             </div>
-            <div>
-              <button
-                onClick={createCheckout}
-                disabled={creating}
-                className="w-full bg-white text-black font-semibold px-4 py-3 rounded-xl hover:bg-gray-200 disabled:opacity-60"
-              >
-                {creating ? 'Redirecting…' : 'Pay & Cast Vote'}
-              </button>
+
+            <div className="mt-4 grid sm:grid-cols-3 gap-4">
+              <div>
+                <label className="text-sm text-gray-300">{t('buy.displayName')} <span className="text-gray-500">{t('buy.optional')}</span></label>
+                <input
+                  value={displayName}
+                  maxLength={MAX_DISPLAY_NAME}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  placeholder={t('buy.anonymous')}
+                  className="mt-1 w-full bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2"
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <label className="text-sm text-gray-300">{t('buy.message')} <span className="text-gray-500">{t('buy.optional')}</span></label>
+                <input
+                  value={supportMessage}
+                  maxLength={MAX_MESSAGE}
+                  onChange={(e) => setSupportMessage(e.target.value)}
+                  placeholder={t('buy.messagePlaceholder')}
+                  className="mt-1 w-full bg-black/40 border border-white/20 text-white rounded-xl px-3 py-2"
+                />
+              </div>
             </div>
+
+            {price && quote && (
+              <div className="mt-4 text-sm text-gray-200">
+                {quote.tooMany ? (
+                  <span className="text-amber-200">{t('buy.maxVotes', { max: pricing.max_votes })}</span>
+                ) : (
+                  <>
+                    {t('buy.total')} <b>{money(quote.amount, currency, price.decimals)}</b>{' '}
+                    {quote.discount_amount > 0 ? (
+                      <span className="text-emerald-300">{t('buy.youSave', { amount: money(quote.discount_amount, currency, price.decimals) })}</span>
+                    ) : (
+                      <span className="text-gray-400">{t('buy.perVote', { amount: money(price.unit_amount, currency, price.decimals) })}</span>
+                    )}
+                  </>
+                )}
+                {quote.belowMinimum && (
+                  <div className="text-amber-200">
+                    {t('buy.minimum', { currency, amount: money(price.minimum, currency, price.decimals) })}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {backendState === 'payments-unavailable' && (
+              <div className="mt-4 text-sm text-amber-200">
+                {t('buy.paymentsDown')}
+              </div>
+            )}
+            {message && <div className="mt-4 text-sm text-amber-200">{message.text ?? t(message.key, message.vars)}</div>}
+            {receipt && (
+              <div className="mt-2 text-sm text-gray-200">
+                {t('buy.yourReceipt')} <b className="font-mono tracking-wider">{receipt}</b>{' '}
+                <a
+                  href={`${BACKEND}/api/receipts/${receipt}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="underline text-gray-400 hover:text-white"
+                >
+                  {t('buy.checkReceipt')}
+                </a>
+                <div className="text-xs text-gray-400">{t('buy.keepCode')}</div>
+              </div>
+            )}
+
+            <p className="mt-4 text-xs text-gray-400">
+              {t('buy.footnote')} {t('buy.supporterNote')}
+            </p>
           </div>
 
-          {message && <div className="mt-4 text-sm text-amber-200">{message}</div>}
+          <div className="mt-12 max-w-xl mx-auto">
+            <h3 className="text-lg font-semibold mb-3" style={neonStyle(glow)}>{t('tally.title')}</h3>
+            <ul className="space-y-2">
+              {tally.map((c) => (
+                <li
+                  key={c.id}
+                  className="flex items-center justify-between bg-white/5 border border-white/10 rounded-xl px-3 py-2"
+                >
+                  <span className="font-medium">{c.name}</span>
+                  <span className="text-sm">{number(c.tally)}</span>
+                </li>
+              ))}
+            </ul>
+            <p className="mt-2 text-xs text-gray-400">
+              {t('tally.ledger')}{' '}
+              <a href={`${BACKEND}/api/audit/ledger`} className="underline hover:text-white">{t('tally.download')}</a>
+              {' '}{t('tally.recompute')}
+            </p>
+          </div>
 
-          <p className="mt-4 text-xs text-gray-400">
-            Each vote is a small payment. Your votes are counted after successful payment.
-          </p>
-        </div>
+          <Leaderboard
+            backend={BACKEND}
+            pollId={poll?.id}
+            version={tally.reduce((sum, t) => sum + t.tally, 0)}
+            glow={glow}
+          />
 
-        <div className="mt-12 max-w-xl mx-auto">
-          <h3 className="text-lg font-semibold mb-3" style={neonStyle(glow)}>Live Tally</h3>
-          <ul className="space-y-2">
-            {tally.map((t) => (
-              <li
-                key={t.id}
-                className="flex items-center justify-between bg-white/5 border border-white/10 rounded-xl px-3 py-2"
-              >
-                <span className="font-medium">{t.name}</span>
-                <span className="text-sm">{t.tally}</span>
-              </li>
-            ))}
-          </ul>
-        </div>
-      </main>
-
-      <footer className="py-8 text-center text-xs text-gray-500">
-        © {new Date().getFullYear()} Weekly Vote. All rights reserved.
-      </footer>
-    </div>
+          <CheckoutHistory checkouts={checkouts} />
+
+          {history.length > 0 && (
+            <div className="mt-12 max-w-xl mx-auto">
+              <h3 className="text-lg font-semibold mb-3" style={neonStyle(glow)}>{t('tally.pastWeeks')}</h3>
+              <ul className="space-y-2">
+                {history.map((h) => (
+                  <li key={h.id} className="bg-white/5 border border-white/10 rounded-xl">
+                    <button
+                      onClick={() => togglePast(h.id)}
+                      className="w-full flex items-center justify-between px-3 py-2 text-left"
+                    >
+                      <span className="font-medium">{h.question}</span>
+                      <span className="text-xs text-gray-400">
+                        {date(h.closes_at || h.opens_at)} • {t('poll.votes', { count: h.total })}
+                      </span>
+                    </button>
+                    {openPastId === h.id && (
+                      <ul className="px-3 pb-3 space-y-1 text-sm">
+                        {(pastResults[h.id]?.candidates || []).map((c) => (
+                          <li key={c.id} className="flex items-center justify-between">
+                            <span>{c.name}</span>
+                            <span>{number(c.tally)}</span>
+                          </li>
+                        ))}
+                        {!pastResults[h.id] && <li className="text-gray-400">{t('app.loading')}</li>}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </main>
+
+        <footer className="py-8 text-center text-xs text-gray-500">
+          {t('app.footer', { year: String(new Date().getFullYear()) })}
+        </footer>
+      </div>
+    </I18nContext.Provider>
   );
 }
@@ -0,0 +1,78 @@
+// The candidate cards on the voter page: one per candidate, however many the
+// poll has, each with its share of the live tally. Behaves as a radio group:
+// Tab reaches the chosen card, arrows/Home/End move the choice.
+import React, { useRef } from 'react';
+import { neonStyle, tallyShares, radioKeyTarget } from './helpers.js';
+import { useI18n } from './i18n.js';
+
+export default function CandidatePicker({ candidates, choiceId, onChoose, glow }) {
+  const { t, percent } = useI18n();
+  const cards = useRef([]);
+  const shares = tallyShares(candidates);
+  const chosen = candidates.findIndex(c => c.id === choiceId);
+
+  const onKeyDown = (e, index) => {
+    const next = radioKeyTarget(e.key, index, candidates.length);
+    if (next === null) return;
+    e.preventDefault();
+    onChoose(candidates[next].id);
+    cards.current[next]?.focus();
+  };
+
+  if (candidates.length === 0) {
+    return <p className="text-center text-gray-400 mb-12">{t('poll.noCandidates')}</p>;
+  }
+
+  return (
+    <div
+      role="radiogroup"
+      aria-label={t('poll.candidates')}
+      className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3 max-w-5xl mx-auto mb-12"
+    >
+      {candidates.map((c, i) => {
+        const color = c.color || glow;
+        const selected = c.id === choiceId;
+        return (
+          <button
+            key={c.id}
+            ref={(el) => { cards.current[i] = el; }}
+            type="button"
+            role="radio"
+            aria-checked={selected}
+            tabIndex={selected || (chosen < 0 && i === 0) ? 0 : -1}
+            onClick={() => onChoose(c.id)}
+            onKeyDown={(e) => onKeyDown(e, i)}
+            className={`flex flex-col items-center text-center gap-3 p-6 rounded-2xl border transition hover:scale-105 focus:outline-none focus-visible:ring-4 focus-visible:ring-white/60 ${
+              selected ? 'ring-2 ring-white' : ''
+            }`}
+            style={neonStyle(color)}
+          >
+            {c.image_url && (
+              <img
+                src={c.image_url}
+                alt=""
+                loading="lazy"
+                referrerPolicy="no-referrer"
+                onError={(e) => { e.currentTarget.hidden = true; }}
+                className="w-20 h-20 rounded-full object-cover"
+              />
+            )}
+            <span className="text-2xl md:text-3xl font-extrabold break-words">{c.name}</span>
+            {c.description && <span className="text-sm text-gray-300">{c.description}</span>}
+            <span className="w-full mt-auto">
+              <span className="block h-2 rounded-full bg-white/10 overflow-hidden">
+                <span
+                  className="block h-full rounded-full transition-all"
+                  style={{ width: `${shares[i]}%`, background: color }}
+                />
+              </span>
+              <span className="block mt-1 text-xs text-gray-300">
+                {percent(shares[i])} · {t('poll.votes', { count: c.tally })}
+              </span>
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
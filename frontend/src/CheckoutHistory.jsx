@@ -0,0 +1,39 @@
+// This browser's own checkouts, newest first, each linking to its receipt page
+import React from 'react';
+import { useI18n } from './i18n.js';
+
+const STATUSES = ['pending', 'paid', 'expired', 'refunded', 'disputed'];
+
+export default function CheckoutHistory({ checkouts, currentId, title }) {
+  const { t, money } = useI18n();
+  const list = checkouts.filter(c => c.id !== currentId);
+  if (list.length === 0) return null;
+  return (
+    <div className="mt-12 max-w-xl mx-auto">
+      <h3 className="text-lg font-semibold mb-1">{title || t('history.title')}</h3>
+      <p className="text-xs text-gray-400 mb-3">{t('history.deviceOnly')}</p>
+      <ul className="space-y-2">
+        {list.map((c) => (
+          <li key={c.id}>
+            <a
+              href={`/receipt/${encodeURIComponent(c.id)}`}
+              className="flex items-center justify-between gap-3 bg-white/5 border border-white/10 rounded-xl px-3 py-2 hover:bg-white/10"
+            >
+              <span>
+                {!c.votes ? t('history.checkout')
+                  : c.candidate ? t('history.for', { votes: t('poll.votes', { count: c.votes }), candidate: c.candidate })
+                  : t('poll.votes', { count: c.votes })}
+                {c.amount_total != null && c.currency && (
+                  <span className="text-gray-400"> · {money(c.amount_total, c.currency, c.decimals ?? 2)}</span>
+                )}
+              </span>
+              <span className={`text-xs ${c.status === 'paid' ? 'text-emerald-300' : 'text-gray-400'}`}>
+                {STATUSES.includes(c.status || 'pending') ? t(`history.${c.status || 'pending'}`) : c.status}
+              </span>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+// EMBED — /embed, the live poll widget for other sites. Load it in an iframe,
+// or drop in <script src="https://<this site>/embed.js" async></script> and
+// let public/embed.js size the iframe from the height posted below.
+import React, { useEffect, useRef, useState } from 'react';
+import { resolveBackendUrl, neonStyle, tallyShares, subscribeTally, fetchJSONRetry } from './helpers.js';
+import { useLocale } from './i18n.js';
+
+export default function Embed() {
+  const { url: BACKEND } = resolveBackendUrl();
+  // no language menu here: the host page's visitor gets their browser language
+  const [{ t, percent }] = useLocale();
+  const [question, setQuestion] = useState('');
+  const [glow, setGlow] = useState('#00ffff');
+  const [tally, setTally] = useState([]);
+  const [poll, setPoll] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const root = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const [s, t] = await Promise.all([
+          fetchJSONRetry(`${BACKEND}/api/settings`, {}, 6),
+          fetchJSONRetry(`${BACKEND}/api/tally`, {}, 6),
+        ]);
+        if (cancelled) return;
+        setQuestion(s.question || '');
+        setGlow(s.glow || '#00ffff');
+        setPoll(s.poll);
+        setTally(t.tally || []);
+      } catch {
+        if (!cancelled) setFailed(true);
+      }
+    })();
+    const unsubscribe = subscribeTally(BACKEND, (t) => {
+      setTally(t.tally || []);
+      if (t.poll) setPoll(p => ({ ...p, ...t.poll }));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [BACKEND]);
+
+  // tell the host page how tall we are (public/embed.js listens)
+  useEffect(() => {
+    if (!root.current || window.parent === window || typeof ResizeObserver === 'undefined') return;
+    const ro = new ResizeObserver(([entry]) => {
+      window.parent.postMessage({ type: 'vote-embed:height', height: entry.target.scrollHeight }, '*');
+    });
+    ro.observe(root.current);
+    return () => ro.disconnect();
+  }, []);
+
+  const shares = tallyShares(tally);
+  const total = tally.reduce((sum, t) => sum + t.tally, 0);
+  const open = !poll || poll.status === 'open';
+
+  return (
+    <div ref={root} className="bg-black text-white p-5 rounded-2xl border" style={{ borderColor: glow }}>
+      <h1 className="text-xl font-extrabold mb-4" style={neonStyle(glow)}>
+        {question || t(failed ? 'embed.unavailable' : 'app.loading')}
+      </h1>
+      <ul className="space-y-3">
+        {tally.map((c, i) => (
+          <li key={c.id}>
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-semibold">{c.name}</span>
+              <span className="text-gray-300">{percent(shares[i])}</span>
+            </div>
+            <div className="mt-1 h-2 rounded-full bg-white/10 overflow-hidden">
+              <div className="h-full rounded-full transition-all" style={{ width: `${shares[i]}%`, background: c.color || glow }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="mt-4 flex items-center justify-between text-xs text-gray-400">
+        <span>{t('poll.votes', { count: total })} · {t(open ? 'embed.live' : 'embed.final')}</span>
+        {open && (
+          <a href={`${window.location.origin}/`} target="_blank" rel="noopener" className="px-3 py-1 rounded-lg bg-white text-black font-semibold">
+            {t('embed.voteNow')}
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
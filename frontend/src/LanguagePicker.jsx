@@ -0,0 +1,19 @@
+// The manual language switch; the choice is remembered (see i18n.js)
+import React from 'react';
+import { LOCALES, useI18n } from './i18n.js';
+
+export default function LanguagePicker({ onChange }) {
+  const { locale, t } = useI18n();
+  return (
+    <select
+      value={locale}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={t('app.language')}
+      className="bg-black/40 border border-white/20 text-white rounded-xl px-2 py-2 text-sm"
+    >
+      {LOCALES.map((l) => (
+        <option key={l.code} value={l.code} lang={l.code}>{l.label}</option>
+      ))}
+    </select>
+  );
+}
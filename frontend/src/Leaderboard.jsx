@@ -0,0 +1,54 @@
+// Top named backers per candidate, from /api/leaderboard. `version` changes
+// whenever the tally does, which is when the board can have changed.
+import React, { useEffect, useState } from 'react';
+import { neonStyle } from './helpers.js';
+import { useI18n } from './i18n.js';
+
+export default function Leaderboard({ backend, pollId, version, glow }) {
+  const { t } = useI18n();
+  const [board, setBoard] = useState(null);
+
+  useEffect(() => {
+    if (!pollId) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const r = await fetch(`${backend}/api/leaderboard?poll_id=${pollId}&limit=5`);
+        if (r.ok && !cancelled) setBoard(await r.json());
+      } catch { /* keep the last board */ }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [backend, pollId, version]);
+
+  const candidates = (board?.candidates || []).filter(c => c.backers.length > 0);
+  if (candidates.length === 0) return null;
+
+  return (
+    <div className="mt-12 max-w-xl mx-auto">
+      <h3 className="text-lg font-semibold mb-3" style={neonStyle(glow)}>{t('tally.backers')}</h3>
+      <div className="space-y-4">
+        {candidates.map((c) => (
+          <div key={c.id}>
+            <div className="text-sm text-gray-400 mb-1">{c.name}</div>
+            <ol className="space-y-2">
+              {c.backers.map((b, i) => (
+                <li key={b.display_name} className="bg-white/5 border border-white/10 rounded-xl px-3 py-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="font-medium break-all">
+                      <span className="text-gray-500 mr-2">{i + 1}.</span>{b.display_name}
+                    </span>
+                    <span className="text-sm shrink-0">{t('poll.votes', { count: b.votes })}</span>
+                  </div>
+                  {b.message && <p className="mt-1 text-sm text-gray-300 break-words">“{b.message}”</p>}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
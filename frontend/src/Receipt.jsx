@@ -0,0 +1,146 @@
+// RECEIPT — /receipt/:sessionId, where Stripe sends the voter back after paying
+import React, { useCallback, useEffect, useState } from 'react';
+import { resolveBackendUrl, neonStyle, loadCheckouts, rememberCheckout } from './helpers.js';
+import { I18nContext, useLocale } from './i18n.js';
+import CheckoutHistory from './CheckoutHistory.jsx';
+import LanguagePicker from './LanguagePicker.jsx';
+
+// label and help text are receipt.<status> and receipt.<status>Help in i18n.js
+const STATUS_TONE = {
+  pending: 'text-amber-200',
+  paid: 'text-emerald-300',
+  expired: 'text-gray-300',
+  refunded: 'text-gray-300',
+  disputed: 'text-gray-300',
+};
+
+export default function Receipt({ sessionId }) {
+  const { url: BACKEND } = resolveBackendUrl();
+  const [i18n, setLocale] = useLocale();
+  const { t, number, money, dateTime } = i18n;
+  const [checkout, setCheckout] = useState(null);
+  const [error, setError] = useState(''); // a message key in i18n.js
+  const [checking, setChecking] = useState(false);
+  const [history, setHistory] = useState(() => loadCheckouts());
+
+  const load = useCallback(async ({ verify }) => {
+    setError('');
+    try {
+      // verify-session asks the payment provider; only worth it while pending
+      if (verify) await fetch(`${BACKEND}/api/verify-session?session_id=${encodeURIComponent(sessionId)}`).catch(() => {});
+      const r = await fetch(`${BACKEND}/api/checkout/${encodeURIComponent(sessionId)}`);
+      if (r.status === 404) {
+        setError('receipt.notFound');
+        return;
+      }
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const c = await r.json();
+      setCheckout(c);
+      setHistory(rememberCheckout({
+        id: c.session_id, candidate: c.candidate?.name, votes: c.votes, currency: c.currency,
+        decimals: c.decimals, amount_total: c.amount_total, created_at: c.created_at, status: c.status,
+      }));
+      return c;
+    } catch (e) {
+      console.error('[frontend] receipt fetch failed:', e);
+      setError('receipt.loadFailed');
+    }
+  }, [BACKEND, sessionId]);
+
+  // First load: a fresh redirect from Stripe is usually still pending in our DB.
+  useEffect(() => {
+    load({ verify: false }).then((c) => {
+      if (c?.status === 'pending') load({ verify: true });
+    });
+  }, [load]);
+
+  const recheck = async () => {
+    setChecking(true);
+    await load({ verify: true });
+    setChecking(false);
+  };
+
+  const status = checkout && STATUS_TONE[checkout.status] ? checkout.status : 'pending';
+  const glow = '#00ffff';
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen text-white" style={{ background: '#000' }}>
+        <main className="max-w-xl mx-auto px-6 py-12">
+          <div className="flex items-center justify-between">
+            <a href="/" className="text-sm text-gray-400 hover:text-white">{t('receipt.back')}</a>
+            <LanguagePicker onChange={setLocale} />
+          </div>
+          <h1 className="mt-4 text-2xl font-semibold" style={neonStyle(glow)}>{t('receipt.title')}</h1>
+
+          {error && <div className="mt-6 text-sm text-amber-200">{t(error)}</div>}
+          {!checkout && !error && <div className="mt-6 text-gray-400">{t('app.loading')}</div>}
+
+          {checkout && (
+            <div className="mt-6 bg-white/5 border border-white/10 rounded-2xl p-6 space-y-4">
+              <div className={`text-lg font-semibold ${STATUS_TONE[status]}`}>{t(`receipt.${status}`)}</div>
+              <p className="text-sm text-gray-300">{t(`receipt.${status}Help`)}</p>
+              <dl className="grid grid-cols-[auto,1fr] gap-x-6 gap-y-2 text-sm">
+                {checkout.poll?.question && (<><dt className="text-gray-400">{t('receipt.question')}</dt><dd>{checkout.poll.question}</dd></>)}
+                <dt className="text-gray-400">{t('receipt.candidate')}</dt><dd>{checkout.candidate?.name || '—'}</dd>
+                <dt className="text-gray-400">{t('receipt.votes')}</dt><dd>{number(checkout.votes)}</dd>
+                <dt className="text-gray-400">{t('receipt.amount')}</dt>
+                <dd>
+                  {money(checkout.amount_total, checkout.currency, checkout.decimals)}
+                  {checkout.discount_amount > 0 && (
+                    <span className="text-emerald-300">
+                      {' '}{t('receipt.saved', { amount: money(checkout.discount_amount, checkout.currency, checkout.decimals) })}
+                    </span>
+                  )}
+                </dd>
+                <dt className="text-gray-400">{t('receipt.started')}</dt><dd>{dateTime(checkout.created_at)}</dd>
+                {checkout.paid_at && (<><dt className="text-gray-400">{t('receipt.paidAt')}</dt><dd>{dateTime(checkout.paid_at)}</dd></>)}
+                {checkout.reversed_at && (
+                  <>
+                    <dt className="text-gray-400">{t(checkout.status === 'disputed' ? 'receipt.disputed' : 'receipt.refunded')}</dt>
+                    <dd>{dateTime(checkout.reversed_at)}</dd>
+                  </>
+                )}
+                {checkout.supporter?.display_name && (
+                  <><dt className="text-gray-400">{t('receipt.shownAs')}</dt><dd>{checkout.supporter.display_name}</dd></>
+                )}
+                {checkout.supporter?.message && (
+                  <><dt className="text-gray-400">{t('receipt.message')}</dt><dd className="break-words">“{checkout.supporter.message}”</dd></>
+                )}
+                {checkout.receipt && (
+                  <>
+                    <dt className="text-gray-400">{t('receipt.code')}</dt>
+                    <dd>
+                      <b className="font-mono tracking-wider">{checkout.receipt}</b>{' '}
+                      <a href={`${BACKEND}/api/receipts/${checkout.receipt}`} target="_blank" rel="noreferrer" className="underline text-gray-400 hover:text-white">
+                        {t('receipt.publicCheck')}
+                      </a>
+                    </dd>
+                  </>
+                )}
+              </dl>
+              {checkout.supporter?.display_name && (
+                <p className="text-xs text-gray-400">
+                  {t(checkout.supporter.public ? 'receipt.onBoard' : 'receipt.offBoard')}
+                </p>
+              )}
+              {checkout.status === 'pending' && (
+                <button
+                  onClick={recheck}
+                  disabled={checking}
+                  className="bg-white text-black font-semibold px-4 py-2 rounded-xl hover:bg-gray-200 disabled:opacity-60"
+                >
+                  {checking ? t('receipt.checking') : t('receipt.recheck')}
+                </button>
+              )}
+              <p className="text-xs text-gray-400">{t('receipt.bookmark')}</p>
+            </div>
+          )}
+        </main>
+        <div className="px-6 pb-12 text-white">
+          <CheckoutHistory checkouts={history} currentId={sessionId} title={t('history.otherTitle')} />
+        </div>
+      </div>
+    </I18nContext.Provider>
+  );
+}
@@ -0,0 +1,227 @@
+// Small helpers shared by the voter page and the admin dashboard
+
+/* ------------------------------ small helpers ------------------------------ */
+export function normalizeVotes(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.floor(n);
+}
+/** Stripe fills in {CHECKOUT_SESSION_ID}; the receipt page verifies the payment */
+export function buildSuccessUrl(origin) {
+  return `${origin}/receipt/{CHECKOUT_SESSION_ID}`;
+}
+/** "/receipt/cs_test_123" → "cs_test_123"; anything else → null */
+export function receiptSessionId(pathname) {
+  const m = /^\/receipt\/([^/]+)\/?$/.exec(String(pathname || ''));
+  return m ? decodeURIComponent(m[1]) : null;
+}
+export function isValidCurrency(c, set) {
+  return set.includes(String(c || '').toUpperCase());
+}
+/** Resolve backend URL from (in order): Vite env → global/window → default */
+export function resolveBackendUrl(
+  env = (typeof import.meta !== 'undefined' ? import.meta.env : undefined),
+  globals = (typeof globalThis !== 'undefined' ? globalThis : {})
+) {
+  if (env && env.VITE_BACKEND_URL) return { url: env.VITE_BACKEND_URL, source: 'vite-env' };
+  if (globals && globals.VITE_BACKEND_URL) return { url: globals.VITE_BACKEND_URL, source: 'global' };
+  if (globals && globals.__BACKEND_URL)   return { url: globals.__BACKEND_URL,   source: 'window' };
+  return { url: 'http://localhost:8787', source: 'default' };
+}
+/** SQLite "YYYY-MM-DD HH:MM:SS" (UTC) → short local date (locale: the browser's unless given) */
+export function formatPollDate(v, locale) {
+  if (!v) return '';
+  const d = new Date(String(v).replace(' ', 'T') + 'Z');
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+/** SQLite "YYYY-MM-DD HH:MM:SS" (UTC) → local date and time */
+export function formatSqlTime(v, locale) {
+  if (!v) return '';
+  const d = new Date(String(v).replace(' ', 'T') + 'Z');
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+}
+/**
+ * Smallest units → money in the locale's format: 150, "USD" → "$1.50" (en-US),
+ * "1,50 US$" (pt-BR). Zero-decimal currencies like JPY pass decimals=0.
+ * A code Intl doesn't know comes back as "1.50 XYZ".
+ */
+export function formatMinor(amount, currency, decimals = 2, locale) {
+  const value = Number(amount) / 10 ** decimals;
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency', currency, minimumFractionDigits: decimals, maximumFractionDigits: decimals,
+    }).format(value);
+  } catch {
+    return `${value.toFixed(decimals)} ${currency}`;
+  }
+}
+export function neonStyle(color) {
+  const c = color || '#00ffff';
+  return {
+    textShadow: `0 0 1px ${c}, 0 0 4px ${c}, 0 0 12px ${c}, 0 0 32px ${c}`,
+    // color-mix instead of a hex alpha suffix so rgb()/hsl() glows work too
+    boxShadow: `0 0 1px ${c}, 0 0 8px ${c}, inset 0 0 6px color-mix(in srgb, ${c} 50%, transparent)`,
+    borderColor: c,
+  };
+}
+
+/**
+ * Each candidate's share of the votes, in percent with one decimal, in the
+ * order given. All zeros while nobody has voted.
+ */
+export function tallyShares(tally) {
+  const total = tally.reduce((sum, t) => sum + (Number(t.tally) || 0), 0);
+  return tally.map(t => (total ? Math.round(((Number(t.tally) || 0) / total) * 1000) / 10 : 0));
+}
+
+/**
+ * Arrow/Home/End handling for a radio group: the index the key moves to
+ * from `index`, wrapping around; null for any other key.
+ */
+export function radioKeyTarget(key, index, count) {
+  if (count <= 0) return null;
+  switch (key) {
+    case 'ArrowRight': case 'ArrowDown': return index < 0 ? 0 : (index + 1) % count;
+    case 'ArrowLeft': case 'ArrowUp': return index < 0 ? count - 1 : (index - 1 + count) % count;
+    case 'Home': return 0;
+    case 'End': return count - 1;
+    default: return null;
+  }
+}
+
+/** Random id kept in localStorage; sent as X-Client-Id so checkout limits follow the browser */
+export function clientId(storage = globalThis.localStorage) {
+  const KEY = 'vote.clientId';
+  try {
+    let id = storage.getItem(KEY);
+    if (!id) {
+      id = globalThis.crypto.randomUUID();
+      storage.setItem(KEY, id);
+    }
+    return id;
+  } catch {
+    return ''; // storage blocked: the backend falls back to a header fingerprint
+  }
+}
+
+/* ---------- this browser's checkouts (localStorage) ---------- */
+// Only ever the voter's own sessions, so they can reopen a receipt or
+// re-check a payment that was still pending when they left.
+const CHECKOUTS_KEY = 'vote.checkouts';
+const MAX_CHECKOUTS = 20;
+
+export function loadCheckouts(storage = globalThis.localStorage) {
+  try {
+    const list = JSON.parse(storage.getItem(CHECKOUTS_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(c => c && typeof c.id === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+function saveCheckouts(list, storage) {
+  try {
+    storage.setItem(CHECKOUTS_KEY, JSON.stringify(list.slice(0, MAX_CHECKOUTS)));
+  } catch {/* storage full or blocked: history is a convenience */}
+  return list.slice(0, MAX_CHECKOUTS);
+}
+/** Add or refresh one checkout ({ id, ...details }); newest first. Returns the new list. */
+export function rememberCheckout(entry, storage = globalThis.localStorage) {
+  const list = loadCheckouts(storage);
+  const old = list.find(c => c.id === entry.id);
+  const rest = list.filter(c => c.id !== entry.id);
+  return saveCheckouts([{ ...old, ...entry }, ...rest], storage);
+}
+/** Merge `patch` into a checkout already in the list, keeping its place. */
+export function updateCheckout(id, patch, storage = globalThis.localStorage) {
+  const list = loadCheckouts(storage);
+  if (!list.some(c => c.id === id)) return list;
+  return saveCheckouts(list.map(c => (c.id === id ? { ...c, ...patch } : c)), storage);
+}
+
+/* ---------- helpers for resilient fetch (Render free-tier wakeup) ---------- */
+export function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
+export async function fetchJSONRetry(url, options = {}, tries = 12, delay = 2500) {
+  let lastErr;
+  for (let i = 0; i < tries; i++) {
+    try {
+      const r = await fetch(url, options);
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return await r.json();
+    } catch (e) {
+      lastErr = e;
+      await sleep(delay); // give the backend time to wake
+    }
+  }
+  throw lastErr;
+}
+
+/* ---------- readiness (GET /api/health/ready) ---------- */
+/** ready body → 'ready' | 'payments-unavailable' | 'not-ready' */
+export function readinessState(body) {
+  if (!body?.ok) return 'not-ready';
+  if (body.checks?.payments && !body.checks.payments.ok) return 'payments-unavailable';
+  return 'ready';
+}
+/**
+ * Poll /api/health/ready until the backend itself answers (200 or 503 with
+ * its JSON), calling onWaiting(attempt) between tries. A sleeping host's
+ * proxy page or a network error means it is still waking up. Backends from
+ * before the readiness check (404) count as ready.
+ */
+export async function waitForReady(base, { tries = 12, delay = 2500, onWaiting = () => {} } = {}) {
+  let lastErr;
+  for (let i = 0; i < tries; i++) {
+    try {
+      const r = await fetch(`${base}/api/health/ready`, { cache: 'no-store' });
+      if (r.status === 404) return { state: 'ready', checks: null };
+      const body = await r.json().catch(() => null);
+      if (body?.checks) return { state: readinessState(body), checks: body.checks };
+      lastErr = new Error(`HTTP ${r.status}`);
+    } catch (e) {
+      lastErr = e;
+    }
+    if (i < tries - 1) {
+      onWaiting(i + 1);
+      await sleep(delay);
+    }
+  }
+  throw lastErr;
+}
+
+/* ---------- live tally (GET /api/tally/stream) ---------- */
+/**
+ * Call onTally with every { tally, poll } snapshot: pushed over SSE, with
+ * polling of /api/tally only while the stream is down. Returns a stop function.
+ */
+export function subscribeTally(base, onTally, { EventSourceImpl = globalThis.EventSource, pollMs = 3000 } = {}) {
+  let stopped = false;
+  let iv = null;
+  const startPolling = () => {
+    if (iv || stopped) return;
+    iv = setInterval(async () => {
+      try {
+        const t = await fetch(`${base}/api/tally`).then(r => r.json());
+        if (!stopped) onTally(t);
+      } catch {/* swallow polling errors */}
+    }, pollMs);
+  };
+  const stopPolling = () => { clearInterval(iv); iv = null; };
+
+  let es = null;
+  if (EventSourceImpl) {
+    es = new EventSourceImpl(`${base}/api/tally/stream`);
+    es.addEventListener('tally', (e) => {
+      try { if (!stopped) onTally(JSON.parse(e.data)); } catch {/* ignore bad frames */}
+    });
+    es.onopen = stopPolling;
+    es.onerror = startPolling; // EventSource keeps retrying on its own (with Last-Event-ID)
+  } else {
+    startPolling();
+  }
+
+  return () => {
+    stopped = true;
+    stopPolling();
+    if (es) es.close();
+  };
+}
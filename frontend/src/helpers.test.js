@@ -0,0 +1,325 @@
+// Run with `npm test` (node:test, no browser needed)
+import { test, describe, afterEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import assert from 'node:assert/strict';
+import {
+  normalizeVotes, resolveBackendUrl, buildSuccessUrl, fetchJSONRetry, clientId,
+  readinessState, waitForReady, receiptSessionId, loadCheckouts, rememberCheckout, updateCheckout,
+  tallyShares, radioKeyTarget, subscribeTally, sleep, formatMinor,
+} from './helpers.js';
+import { MESSAGES, pickLocale, translate, currencyForLocale, makeI18n } from './i18n.js';
+
+describe('normalizeVotes', () => {
+  test('keeps whole positive numbers', () => {
+    assert.equal(normalizeVotes(1), 1);
+    assert.equal(normalizeVotes(25), 25);
+    assert.equal(normalizeVotes('7'), 7);
+  });
+  test('rounds fractions down', () => {
+    assert.equal(normalizeVotes(3.9), 3);
+    assert.equal(normalizeVotes('2.5'), 2);
+  });
+  test('falls back to one vote for anything unusable', () => {
+    for (const v of [0, -3, 0.5, '', 'abc', null, undefined, NaN, Infinity]) {
+      assert.equal(normalizeVotes(v), 1, `normalizeVotes(${String(v)})`);
+    }
+  });
+});
+
+describe('resolveBackendUrl', () => {
+  test('prefers the Vite env variable', () => {
+    const r = resolveBackendUrl({ VITE_BACKEND_URL: 'https://api.example' }, { __BACKEND_URL: 'https://window.example' });
+    assert.deepEqual(r, { url: 'https://api.example', source: 'vite-env' });
+  });
+  test('then a global VITE_BACKEND_URL, then window.__BACKEND_URL', () => {
+    assert.deepEqual(resolveBackendUrl({}, { VITE_BACKEND_URL: 'https://g.example', __BACKEND_URL: 'https://w.example' }),
+      { url: 'https://g.example', source: 'global' });
+    assert.deepEqual(resolveBackendUrl({}, { __BACKEND_URL: 'https://w.example' }),
+      { url: 'https://w.example', source: 'window' });
+  });
+  test('defaults to the local backend', () => {
+    assert.deepEqual(resolveBackendUrl(undefined, {}), { url: 'http://localhost:8787', source: 'default' });
+    assert.deepEqual(resolveBackendUrl({ VITE_BACKEND_URL: '' }, null), { url: 'http://localhost:8787', source: 'default' });
+  });
+});
+
+describe('buildSuccessUrl', () => {
+  test('leaves the Checkout placeholder for Stripe to fill in', () => {
+    assert.equal(buildSuccessUrl('https://vote.example'), 'https://vote.example/receipt/{CHECKOUT_SESSION_ID}');
+  });
+
+  test('receiptSessionId reads it back out of the path', () => {
+    assert.equal(receiptSessionId('/receipt/cs_test_a1B2'), 'cs_test_a1B2');
+    assert.equal(receiptSessionId('/receipt/cs_test_a1B2/'), 'cs_test_a1B2');
+    assert.equal(receiptSessionId('/receipt/'), null);
+    assert.equal(receiptSessionId('/admin'), null);
+    assert.equal(receiptSessionId('/receipt/a/b'), null);
+  });
+});
+
+describe('fetchJSONRetry', () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => { globalThis.fetch = realFetch; });
+
+  // Each call takes the next response; an Error is thrown instead.
+  function fakeFetch(responses) {
+    const calls = [];
+    globalThis.fetch = async (url, options) => {
+      calls.push({ url, options });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return { ok: next.status < 400, status: next.status, json: async () => next.body };
+    };
+    return calls;
+  }
+
+  test('returns the JSON of the first good response', async () => {
+    const calls = fakeFetch([{ status: 200, body: { ok: true } }]);
+    assert.deepEqual(await fetchJSONRetry('/api/health', { method: 'GET' }, 3, 0), { ok: true });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0], { url: '/api/health', options: { method: 'GET' } });
+  });
+
+  test('retries network errors and HTTP errors until one succeeds', async () => {
+    const calls = fakeFetch([new Error('offline'), { status: 503 }, { status: 200, body: [1, 2] }]);
+    assert.deepEqual(await fetchJSONRetry('/api/tally', {}, 5, 0), [1, 2]);
+    assert.equal(calls.length, 3);
+  });
+
+  test('gives up after `tries` attempts with the last error', async () => {
+    const calls = fakeFetch([new Error('offline'), { status: 502 }]);
+    await assert.rejects(fetchJSONRetry('/api/tally', {}, 2, 0), /HTTP 502/);
+    assert.equal(calls.length, 2);
+  });
+});
+
+describe('clientId', () => {
+  function memoryStorage() {
+    const m = new Map();
+    return { getItem: k => m.get(k) ?? null, setItem: (k, v) => m.set(k, String(v)) };
+  }
+  test('makes an id once and keeps returning it', () => {
+    const storage = memoryStorage();
+    const id = clientId(storage);
+    assert.match(id, /^[\w-]{8,64}$/);
+    assert.equal(clientId(storage), id);
+  });
+  test('is empty when storage is unavailable', () => {
+    const broken = { getItem() { throw new Error('blocked'); } };
+    assert.equal(clientId(broken), '');
+    assert.equal(clientId(undefined), '');
+  });
+});
+
+describe('readiness', () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => { globalThis.fetch = realFetch; });
+
+  const checks = (payments = true) => ({ database: { ok: true }, schema: { ok: true }, payments: { ok: payments } });
+
+  test('readinessState', () => {
+    assert.equal(readinessState({ ok: true, checks: checks() }), 'ready');
+    assert.equal(readinessState({ ok: true, checks: checks(false) }), 'payments-unavailable');
+    assert.equal(readinessState({ ok: false, checks: checks() }), 'not-ready');
+    assert.equal(readinessState(null), 'not-ready');
+  });
+
+  test('waits through network errors and proxy pages, reporting each attempt', async () => {
+    const responses = [
+      new Error('offline'),
+      { status: 502, json: async () => { throw new SyntaxError('not JSON'); } },
+      { status: 503, json: async () => ({ ok: false, checks: checks() }) },
+    ];
+    globalThis.fetch = async () => {
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    };
+    const waits = [];
+    const r = await waitForReady('http://api.test', { delay: 0, onWaiting: n => waits.push(n) });
+    assert.equal(r.state, 'not-ready');
+    assert.deepEqual(waits, [1, 2]);
+  });
+
+  test('an older backend without the endpoint counts as ready; giving up rethrows', async () => {
+    globalThis.fetch = async () => ({ status: 404 });
+    assert.deepEqual(await waitForReady('http://api.test', { delay: 0 }), { state: 'ready', checks: null });
+
+    globalThis.fetch = async () => { throw new Error('offline'); };
+    await assert.rejects(waitForReady('http://api.test', { tries: 2, delay: 0 }), /offline/);
+  });
+});
+
+describe('checkout history', () => {
+  function memoryStorage() {
+    const data = new Map();
+    return { getItem: k => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)) };
+  }
+
+  test('remembers checkouts newest first and updates them in place', () => {
+    const storage = memoryStorage();
+    rememberCheckout({ id: 'cs_1', votes: 1, status: 'pending' }, storage);
+    rememberCheckout({ id: 'cs_2', votes: 2, status: 'pending' }, storage);
+    updateCheckout('cs_1', { status: 'paid' }, storage);
+    updateCheckout('cs_unknown', { status: 'paid' }, storage);
+    assert.deepEqual(loadCheckouts(storage), [
+      { id: 'cs_2', votes: 2, status: 'pending' },
+      { id: 'cs_1', votes: 1, status: 'paid' },
+    ]);
+
+    // remembering one again moves it to the top and keeps what it knew
+    rememberCheckout({ id: 'cs_1', receipt: 'ABCD-EFGH-JKMN' }, storage);
+    assert.deepEqual(loadCheckouts(storage)[0], { id: 'cs_1', votes: 1, status: 'paid', receipt: 'ABCD-EFGH-JKMN' });
+  });
+
+  test('keeps the last 20 and survives junk or blocked storage', () => {
+    const storage = memoryStorage();
+    for (let i = 0; i < 25; i++) rememberCheckout({ id: `cs_${i}` }, storage);
+    const list = loadCheckouts(storage);
+    assert.equal(list.length, 20);
+    assert.equal(list[0].id, 'cs_24');
+
+    storage.setItem('vote.checkouts', '{not json');
+    assert.deepEqual(loadCheckouts(storage), []);
+    const broken = { getItem() { throw new Error('blocked'); }, setItem() { throw new Error('blocked'); } };
+    assert.deepEqual(loadCheckouts(broken), []);
+    assert.deepEqual(rememberCheckout({ id: 'cs_x' }, broken), [{ id: 'cs_x' }]);
+  });
+});
+
+describe('tallyShares', () => {
+  test('splits 100% across any number of candidates', () => {
+    assert.deepEqual(tallyShares([{ tally: 1 }, { tally: 1 }, { tally: 2 }]), [25, 25, 50]);
+    assert.deepEqual(tallyShares([{ tally: 1 }, { tally: 2 }]), [33.3, 66.7]);
+  });
+  test('is all zeros before anyone votes', () => {
+    assert.deepEqual(tallyShares([{ tally: 0 }, { tally: 0 }, { tally: 0 }]), [0, 0, 0]);
+    assert.deepEqual(tallyShares([]), []);
+  });
+});
+
+describe('radioKeyTarget', () => {
+  test('arrows move and wrap around', () => {
+    assert.equal(radioKeyTarget('ArrowRight', 0, 3), 1);
+    assert.equal(radioKeyTarget('ArrowDown', 2, 3), 0);
+    assert.equal(radioKeyTarget('ArrowLeft', 0, 3), 2);
+    assert.equal(radioKeyTarget('ArrowUp', 1, 3), 0);
+  });
+  test('Home and End jump to the ends; nothing selected starts from the edge', () => {
+    assert.equal(radioKeyTarget('Home', 2, 3), 0);
+    assert.equal(radioKeyTarget('End', 0, 3), 2);
+    assert.equal(radioKeyTarget('ArrowRight', -1, 3), 0);
+    assert.equal(radioKeyTarget('ArrowLeft', -1, 3), 2);
+  });
+  test('ignores other keys and empty groups', () => {
+    assert.equal(radioKeyTarget('a', 0, 3), null);
+    assert.equal(radioKeyTarget('ArrowRight', 0, 0), null);
+  });
+});
+
+describe('subscribeTally', () => {
+  const realFetch = globalThis.fetch;
+  afterEach(() => { globalThis.fetch = realFetch; });
+
+  class FakeEventSource {
+    constructor(url) { this.url = url; this.listeners = {}; FakeEventSource.last = this; }
+    addEventListener(type, fn) { this.listeners[type] = fn; }
+    emit(data) { this.listeners.tally({ data: JSON.stringify(data) }); }
+    close() { this.closed = true; }
+  }
+
+  test('passes on pushed snapshots until stopped', () => {
+    const seen = [];
+    const stop = subscribeTally('https://api.example', t => seen.push(t), { EventSourceImpl: FakeEventSource });
+    const es = FakeEventSource.last;
+    assert.equal(es.url, 'https://api.example/api/tally/stream');
+    es.emit({ tally: [{ id: 1, tally: 2 }] });
+    es.listeners.tally({ data: 'not json' });
+    stop();
+    es.emit({ tally: [] });
+    assert.deepEqual(seen, [{ tally: [{ id: 1, tally: 2 }] }]);
+    assert.equal(es.closed, true);
+  });
+
+  test('polls while the stream is down and stops once it reopens', async () => {
+    let polls = 0;
+    globalThis.fetch = async () => { polls += 1; return { json: async () => ({ tally: [] }) }; };
+    const stop = subscribeTally('', () => {}, { EventSourceImpl: FakeEventSource, pollMs: 5 });
+    const es = FakeEventSource.last;
+    es.onerror();
+    await sleep(30);
+    assert.ok(polls > 0);
+    es.onopen();
+    const after = polls;
+    await sleep(30);
+    assert.equal(polls, after);
+    stop();
+  });
+});
+
+describe('formatMinor', () => {
+  test('formats smallest units for the locale and currency', () => {
+    assert.equal(formatMinor(150, 'USD', 2, 'en-US'), '$1.50');
+    assert.equal(formatMinor(123456, 'BRL', 2, 'pt-BR'), 'R$\u00a01.234,56');
+    assert.equal(formatMinor(500, 'JPY', 0, 'en-US'), '¥500');
+  });
+  test('falls back to the code for currencies Intl does not know', () => {
+    assert.equal(formatMinor(150, 'US', 2, 'en'), '1.50 US');
+  });
+});
+
+describe('i18n', () => {
+  test('every locale translates every English key', () => {
+    const keys = Object.keys(MESSAGES.en).sort();
+    for (const [locale, messages] of Object.entries(MESSAGES)) {
+      assert.deepEqual(Object.keys(messages).sort(), keys, locale);
+    }
+  });
+  test('every message key the voter pages use exists', () => {
+    // any quoted 'namespace.key' in the page sources; template keys like
+    // `receipt.${status}` are covered by the key lists above
+    const namespaces = [...new Set(Object.keys(MESSAGES.en).map(k => k.split('.')[0]))].join('|');
+    const pattern = new RegExp(`['"]((?:${namespaces})\\.[A-Za-z.]+)['"]`, 'g');
+    const pages = ['App', 'Receipt', 'Embed', 'CandidatePicker', 'Leaderboard', 'CheckoutHistory', 'LanguagePicker'];
+    for (const page of pages) {
+      const source = readFileSync(new URL(`./${page}.jsx`, import.meta.url), 'utf8');
+      const used = [...source.matchAll(pattern)].map(m => m[1]);
+      assert.ok(used.length > 0, page);
+      for (const key of used) assert.ok(key in MESSAGES.en, `${page}: ${key}`);
+    }
+  });
+  test('the voter pages have no hard-coded loading text', () => {
+    for (const page of ['App', 'Receipt', 'Embed']) {
+      const source = readFileSync(new URL(`./${page}.jsx`, import.meta.url), 'utf8');
+      assert.ok(!/>\s*Loading…/.test(source) && !/'Loading…'/.test(source), page);
+    }
+  });
+  test('a saved choice wins, then the first browser language we have', () => {
+    assert.equal(pickLocale(['de-DE', 'pt-BR', 'en'], null), 'pt');
+    assert.equal(pickLocale(['pt-BR'], 'fr'), 'fr');
+    assert.equal(pickLocale(['pt-BR'], 'xx'), 'pt');
+    assert.equal(pickLocale(['de-DE'], null), 'en');
+  });
+  test('fills in vars, picks plurals and falls back to English', () => {
+    assert.equal(translate('es', 'poll.votes', { count: 1 }), '1 voto');
+    assert.equal(translate('es', 'poll.votes', { count: 3 }), '3 votos');
+    assert.equal(translate('fr', 'buy.maxVotes', { max: 100 }), '100 votes au maximum par paiement.');
+    assert.equal(translate('xx', 'buy.votes'), 'Votes');
+    assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+  });
+  test('numbers and money follow the browser region of the chosen language', () => {
+    const pt = makeI18n('pt', ['pt-BR']);
+    assert.equal(pt.t('poll.votes', { count: 1234 }), '1.234 votos');
+    assert.equal(pt.money(150, 'BRL', 2), 'R$\u00a01,50');
+    assert.equal(pt.percent(33.3), '33,3%');
+    assert.equal(makeI18n('en', ['en-IN']).number(1234567), '12,34,567');
+  });
+  test('the default currency comes from the browser region when it is offered', () => {
+    assert.equal(currencyForLocale(['en-NG', 'en'], ['USD', 'NGN']), 'NGN');
+    assert.equal(currencyForLocale(['en', 'hi-IN'], ['USD', 'INR']), 'INR');
+    assert.equal(currencyForLocale(['pt'], ['USD', 'BRL']), 'BRL');
+    assert.equal(currencyForLocale(['ar-AE'], ['USD', 'AED']), 'AED');
+    assert.equal(currencyForLocale(['de-DE'], ['USD']), null);
+    assert.equal(currencyForLocale([], ['USD']), null);
+  });
+});
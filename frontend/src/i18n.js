@@ -0,0 +1,582 @@
+// Translations and locale-aware formatting for the voter pages.
+//
+// The locale is the one picked in the language menu (kept in localStorage),
+// else the first browser language we have messages for, else English.
+// Missing keys fall back to English, so a new string only has to be added
+// to `en` to show up everywhere.
+//
+// Page roots call useLocale() and put the result in I18nContext; components
+// below read it with useI18n().
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { formatMinor, formatPollDate, formatSqlTime } from './helpers.js';
+
+export const LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' },
+  { code: 'pt', label: 'Português' },
+];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_KEY = 'vote.locale';
+
+// {name} is replaced from vars (numbers formatted for the locale); { one, other }
+// entries are picked with Intl.PluralRules on vars.count.
+export const MESSAGES = {
+  en: {
+    'app.title': 'Today Question',
+    'app.tagline': 'Pay-per-vote • Multi-currency • Live tally',
+    'app.footer': '© {year} Weekly Vote. All rights reserved.',
+    'app.language': 'Language',
+    'app.loading': 'Loading…',
+
+    'status.waking': 'Waking the backend… (free plan can take ~30–60s)',
+    'status.wakingAttempt': 'Waking the backend… attempt {attempt} (free plan can take ~30–60s)',
+    'status.notReady': 'The server is awake but its database is not ready. Please try again in a few minutes.',
+    'status.unreachable': 'Cannot reach backend. Check VITE_BACKEND_URL and server.',
+    'status.verifiedEarlier': 'Payment already verified earlier.',
+    'status.verified': 'Payment verified! Votes counted.',
+    'status.refunded': 'This payment was refunded; its votes are no longer counted.',
+    'status.disputed': 'This payment was disputed; its votes are no longer counted.',
+    'status.expired': 'This checkout expired before payment. No votes were cast.',
+    'status.notVerified': 'Payment not verified yet. Refresh in a moment.',
+    'status.verifyFailed': 'Verification failed. Contact support with your receipt.',
+    'status.cancelled': 'Payment cancelled. No votes were cast.',
+    'status.votingClosed': 'Voting has closed for this week.',
+    'status.pickCandidate': 'Pick a candidate.',
+    'status.unsupportedCurrency': 'Unsupported currency.',
+    'status.checkoutFailed': 'Unable to create checkout session.',
+    'status.connectFailed': 'Error connecting to payment server.',
+
+    'poll.questionFallback': 'This week’s question',
+    'poll.closesAt': 'Voting closes {date}',
+    'poll.open': 'Voting is open',
+    'poll.closed': 'Voting has closed — final results below',
+    'poll.noCandidates': 'No candidates yet.',
+    'poll.candidates': 'Candidates',
+    'poll.votes': { one: '{count} vote', other: '{count} votes' },
+
+    'buy.percentOff': '{pct}% off',
+    'buy.votes': 'Votes',
+    'buy.currency': 'Currency',
+    'buy.displayName': 'Display name',
+    'buy.message': 'Message',
+    'buy.optional': '(optional)',
+    'buy.anonymous': 'Anonymous',
+    'buy.messagePlaceholder': 'Say something to the other fans',
+    'buy.pay': 'Pay & Cast Vote',
+    'buy.redirecting': 'Redirecting…',
+    'buy.votingClosed': 'Voting closed',
+    'buy.paymentsUnavailable': 'Payments unavailable',
+    'buy.maxVotes': 'At most {max} votes per checkout.',
+    'buy.total': 'Total:',
+    'buy.youSave': '(you save {amount})',
+    'buy.perVote': '({amount} per vote)',
+    'buy.minimum': 'Minimum charge in {currency} is {amount}.',
+    'buy.paymentsDown': 'Payments are unavailable right now. The live tally still updates; please check back later to vote.',
+    'buy.yourReceipt': 'Your receipt:',
+    'buy.checkReceipt': 'check it',
+    'buy.keepCode': 'Keep this code: anyone can use it to confirm your vote was counted.',
+    'buy.footnote': 'Each vote is a small payment. Your votes are counted after successful payment.',
+    'buy.supporterNote': 'A name or message is shown on the top backers board once your payment is counted; leave them empty to vote anonymously.',
+
+    'tally.title': 'Live Tally',
+    'tally.ledger': 'Every vote is in a public hash-chained ledger.',
+    'tally.download': 'Download the audit file',
+    'tally.recompute': 'to recompute these totals yourself.',
+    'tally.pastWeeks': 'Past Weeks',
+    'tally.backers': 'Top Backers',
+
+    'history.title': 'Your checkouts',
+    'history.otherTitle': 'Your other checkouts',
+    'history.deviceOnly': 'Kept on this device only.',
+    'history.checkout': 'Checkout',
+    'history.for': '{votes} for {candidate}',
+    'history.pending': 'pending — tap to re-check',
+    'history.paid': 'counted',
+    'history.expired': 'expired',
+    'history.refunded': 'refunded',
+    'history.disputed': 'disputed',
+
+    'receipt.back': '← Back to voting',
+    'receipt.title': 'Your receipt',
+    'receipt.notFound': 'We have no checkout with this id. Check the link, or start a new vote.',
+    'receipt.loadFailed': 'Could not load this receipt. The server may be waking up; try again in a moment.',
+    'receipt.pending': 'Waiting for payment',
+    'receipt.pendingHelp': 'Stripe has not confirmed this payment yet. It can take a minute; re-check below.',
+    'receipt.paid': 'Counted',
+    'receipt.paidHelp': 'Your votes are in the tally.',
+    'receipt.expired': 'Expired',
+    'receipt.expiredHelp': 'This checkout expired before payment. No votes were cast.',
+    'receipt.refunded': 'Refunded',
+    'receipt.refundedHelp': 'This payment was refunded; its votes are no longer counted.',
+    'receipt.disputed': 'Disputed',
+    'receipt.disputedHelp': 'This payment was disputed; its votes are no longer counted.',
+    'receipt.question': 'Question',
+    'receipt.candidate': 'Candidate',
+    'receipt.votes': 'Votes',
+    'receipt.amount': 'Amount',
+    'receipt.saved': '(saved {amount})',
+    'receipt.started': 'Started',
+    'receipt.paidAt': 'Paid',
+    'receipt.shownAs': 'Shown as',
+    'receipt.message': 'Message',
+    'receipt.code': 'Receipt code',
+    'receipt.publicCheck': 'public check',
+    'receipt.onBoard': 'Your name is on the top backers board.',
+    'receipt.offBoard': 'Your name goes on the top backers board once the payment is counted and, where required, approved.',
+    'receipt.recheck': 'Re-check payment',
+    'receipt.checking': 'Checking…',
+    'receipt.bookmark': 'Bookmark this page to come back to it; it stays up to date.',
+    'embed.unavailable': 'Poll unavailable right now',
+    'embed.live': 'Live',
+    'embed.final': 'Final results',
+    'embed.voteNow': 'Vote now',
+  },
+
+  es: {
+    'app.title': 'La pregunta de hoy',
+    'app.tagline': 'Pago por voto • Varias monedas • Recuento en vivo',
+    'app.footer': '© {year} Weekly Vote. Todos los derechos reservados.',
+    'app.language': 'Idioma',
+    'app.loading': 'Cargando…',
+
+    'status.waking': 'Despertando el servidor… (en el plan gratuito puede tardar ~30–60 s)',
+    'status.wakingAttempt': 'Despertando el servidor… intento {attempt} (en el plan gratuito puede tardar ~30–60 s)',
+    'status.notReady': 'El servidor está activo pero su base de datos no está lista. Vuelve a intentarlo en unos minutos.',
+    'status.unreachable': 'No se puede conectar con el servidor. Revisa VITE_BACKEND_URL y el servidor.',
+    'status.verifiedEarlier': 'Este pago ya se había verificado.',
+    'status.verified': '¡Pago verificado! Votos contados.',
+    'status.refunded': 'Este pago fue reembolsado; sus votos ya no cuentan.',
+    'status.disputed': 'Este pago fue disputado; sus votos ya no cuentan.',
+    'status.expired': 'Este pago caducó antes de completarse. No se emitió ningún voto.',
+    'status.notVerified': 'El pago aún no está verificado. Actualiza en un momento.',
+    'status.verifyFailed': 'No se pudo verificar. Contacta con soporte con tu recibo.',
+    'status.cancelled': 'Pago cancelado. No se emitió ningún voto.',
+    'status.votingClosed': 'La votación de esta semana ha terminado.',
+    'status.pickCandidate': 'Elige una opción.',
+    'status.unsupportedCurrency': 'Moneda no admitida.',
+    'status.checkoutFailed': 'No se pudo iniciar el pago.',
+    'status.connectFailed': 'Error al conectar con el servidor de pagos.',
+
+    'poll.questionFallback': 'La pregunta de esta semana',
+    'poll.closesAt': 'La votación cierra el {date}',
+    'poll.open': 'La votación está abierta',
+    'poll.closed': 'La votación ha terminado — resultados finales abajo',
+    'poll.noCandidates': 'Todavía no hay opciones.',
+    'poll.candidates': 'Opciones',
+    'poll.votes': { one: '{count} voto', other: '{count} votos' },
+
+    'buy.percentOff': '{pct} % de descuento',
+    'buy.votes': 'Votos',
+    'buy.currency': 'Moneda',
+    'buy.displayName': 'Nombre público',
+    'buy.message': 'Mensaje',
+    'buy.optional': '(opcional)',
+    'buy.anonymous': 'Anónimo',
+    'buy.messagePlaceholder': 'Di algo a los demás fans',
+    'buy.pay': 'Pagar y votar',
+    'buy.redirecting': 'Redirigiendo…',
+    'buy.votingClosed': 'Votación cerrada',
+    'buy.paymentsUnavailable': 'Pagos no disponibles',
+    'buy.maxVotes': 'Como máximo {max} votos por pago.',
+    'buy.total': 'Total:',
+    'buy.youSave': '(ahorras {amount})',
+    'buy.perVote': '({amount} por voto)',
+    'buy.minimum': 'El cargo mínimo en {currency} es {amount}.',
+    'buy.paymentsDown': 'Los pagos no están disponibles ahora mismo. El recuento sigue actualizándose; vuelve más tarde para votar.',
+    'buy.yourReceipt': 'Tu recibo:',
+    'buy.checkReceipt': 'comprobar',
+    'buy.keepCode': 'Guarda este código: cualquiera puede usarlo para confirmar que tu voto se contó.',
+    'buy.footnote': 'Cada voto es un pequeño pago. Tus votos se cuentan cuando el pago se completa.',
+    'buy.supporterNote': 'Tu nombre o mensaje aparece en el ranking de seguidores cuando se cuenta tu pago; déjalos vacíos para votar de forma anónima.',
+
+    'tally.title': 'Recuento en vivo',
+    'tally.ledger': 'Cada voto está en un registro público encadenado por hashes.',
+    'tally.download': 'Descarga el archivo de auditoría',
+    'tally.recompute': 'para recalcular estos totales tú mismo.',
+    'tally.pastWeeks': 'Semanas anteriores',
+    'tally.backers': 'Mayores seguidores',
+
+    'history.title': 'Tus pagos',
+    'history.otherTitle': 'Tus otros pagos',
+    'history.deviceOnly': 'Solo se guardan en este dispositivo.',
+    'history.checkout': 'Pago',
+    'history.for': '{votes} para {candidate}',
+    'history.pending': 'pendiente — toca para comprobar',
+    'history.paid': 'contado',
+    'history.expired': 'caducado',
+    'history.refunded': 'reembolsado',
+    'history.disputed': 'disputado',
+
+    'receipt.back': '← Volver a votar',
+    'receipt.title': 'Tu recibo',
+    'receipt.notFound': 'No hay ningún pago con este id. Revisa el enlace o empieza un nuevo voto.',
+    'receipt.loadFailed': 'No se pudo cargar el recibo. Puede que el servidor se esté despertando; inténtalo de nuevo en un momento.',
+    'receipt.pending': 'Esperando el pago',
+    'receipt.pendingHelp': 'Stripe aún no ha confirmado este pago. Puede tardar un minuto; compruébalo abajo.',
+    'receipt.paid': 'Contado',
+    'receipt.paidHelp': 'Tus votos están en el recuento.',
+    'receipt.expired': 'Caducado',
+    'receipt.expiredHelp': 'Este pago caducó antes de completarse. No se emitió ningún voto.',
+    'receipt.refunded': 'Reembolsado',
+    'receipt.refundedHelp': 'Este pago fue reembolsado; sus votos ya no cuentan.',
+    'receipt.disputed': 'Disputado',
+    'receipt.disputedHelp': 'Este pago fue disputado; sus votos ya no cuentan.',
+    'receipt.question': 'Pregunta',
+    'receipt.candidate': 'Opción',
+    'receipt.votes': 'Votos',
+    'receipt.amount': 'Importe',
+    'receipt.saved': '(ahorraste {amount})',
+    'receipt.started': 'Iniciado',
+    'receipt.paidAt': 'Pagado',
+    'receipt.shownAs': 'Se muestra como',
+    'receipt.message': 'Mensaje',
+    'receipt.code': 'Código de recibo',
+    'receipt.publicCheck': 'comprobación pública',
+    'receipt.onBoard': 'Tu nombre está en el ranking de seguidores.',
+    'receipt.offBoard': 'Tu nombre aparecerá en el ranking de seguidores cuando se cuente el pago y, si hace falta, se apruebe.',
+    'receipt.recheck': 'Comprobar el pago',
+    'receipt.checking': 'Comprobando…',
+    'receipt.bookmark': 'Guarda esta página para volver; se mantiene actualizada.',
+    'embed.unavailable': 'Encuesta no disponible ahora mismo',
+    'embed.live': 'En vivo',
+    'embed.final': 'Resultados finales',
+    'embed.voteNow': 'Vota ahora',
+  },
+
+  fr: {
+    'app.title': 'La question du jour',
+    'app.tagline': 'Vote payant • Plusieurs devises • Résultats en direct',
+    'app.footer': '© {year} Weekly Vote. Tous droits réservés.',
+    'app.language': 'Langue',
+    'app.loading': 'Chargement…',
+
+    'status.waking': 'Réveil du serveur… (l’offre gratuite peut prendre ~30–60 s)',
+    'status.wakingAttempt': 'Réveil du serveur… tentative {attempt} (l’offre gratuite peut prendre ~30–60 s)',
+    'status.notReady': 'Le serveur répond mais sa base de données n’est pas prête. Réessayez dans quelques minutes.',
+    'status.unreachable': 'Impossible de joindre le serveur. Vérifiez VITE_BACKEND_URL et le serveur.',
+    'status.verifiedEarlier': 'Ce paiement a déjà été vérifié.',
+    'status.verified': 'Paiement vérifié ! Votes comptés.',
+    'status.refunded': 'Ce paiement a été remboursé ; ses votes ne comptent plus.',
+    'status.disputed': 'Ce paiement a été contesté ; ses votes ne comptent plus.',
+    'status.expired': 'Ce paiement a expiré avant d’être réglé. Aucun vote n’a été compté.',
+    'status.notVerified': 'Paiement pas encore vérifié. Actualisez dans un instant.',
+    'status.verifyFailed': 'La vérification a échoué. Contactez le support avec votre reçu.',
+    'status.cancelled': 'Paiement annulé. Aucun vote n’a été compté.',
+    'status.votingClosed': 'Le vote de cette semaine est terminé.',
+    'status.pickCandidate': 'Choisissez une option.',
+    'status.unsupportedCurrency': 'Devise non prise en charge.',
+    'status.checkoutFailed': 'Impossible de lancer le paiement.',
+    'status.connectFailed': 'Erreur de connexion au serveur de paiement.',
+
+    'poll.questionFallback': 'La question de la semaine',
+    'poll.closesAt': 'Le vote se termine le {date}',
+    'poll.open': 'Le vote est ouvert',
+    'poll.closed': 'Le vote est terminé — résultats finaux ci-dessous',
+    'poll.noCandidates': 'Pas encore d’options.',
+    'poll.candidates': 'Options',
+    'poll.votes': { one: '{count} vote', other: '{count} votes' },
+
+    'buy.percentOff': '−{pct} %',
+    'buy.votes': 'Votes',
+    'buy.currency': 'Devise',
+    'buy.displayName': 'Nom affiché',
+    'buy.message': 'Message',
+    'buy.optional': '(facultatif)',
+    'buy.anonymous': 'Anonyme',
+    'buy.messagePlaceholder': 'Un mot pour les autres fans',
+    'buy.pay': 'Payer et voter',
+    'buy.redirecting': 'Redirection…',
+    'buy.votingClosed': 'Vote terminé',
+    'buy.paymentsUnavailable': 'Paiements indisponibles',
+    'buy.maxVotes': '{max} votes au maximum par paiement.',
+    'buy.total': 'Total :',
+    'buy.youSave': '(vous économisez {amount})',
+    'buy.perVote': '({amount} par vote)',
+    'buy.minimum': 'Le montant minimum en {currency} est de {amount}.',
+    'buy.paymentsDown': 'Les paiements sont indisponibles pour le moment. Les résultats continuent de s’actualiser ; revenez plus tard pour voter.',
+    'buy.yourReceipt': 'Votre reçu :',
+    'buy.checkReceipt': 'vérifier',
+    'buy.keepCode': 'Gardez ce code : n’importe qui peut l’utiliser pour confirmer que votre vote a été compté.',
+    'buy.footnote': 'Chaque vote est un petit paiement. Vos votes sont comptés une fois le paiement réussi.',
+    'buy.supporterNote': 'Votre nom ou message apparaît au classement des soutiens une fois le paiement compté ; laissez-les vides pour voter anonymement.',
+
+    'tally.title': 'Résultats en direct',
+    'tally.ledger': 'Chaque vote figure dans un registre public chaîné par hachage.',
+    'tally.download': 'Téléchargez le fichier d’audit',
+    'tally.recompute': 'pour recalculer ces totaux vous-même.',
+    'tally.pastWeeks': 'Semaines précédentes',
+    'tally.backers': 'Meilleurs soutiens',
+
+    'history.title': 'Vos paiements',
+    'history.otherTitle': 'Vos autres paiements',
+    'history.deviceOnly': 'Conservés sur cet appareil uniquement.',
+    'history.checkout': 'Paiement',
+    'history.for': '{votes} pour {candidate}',
+    'history.pending': 'en attente — touchez pour vérifier',
+    'history.paid': 'compté',
+    'history.expired': 'expiré',
+    'history.refunded': 'remboursé',
+    'history.disputed': 'contesté',
+
+    'receipt.back': '← Retour au vote',
+    'receipt.title': 'Votre reçu',
+    'receipt.notFound': 'Aucun paiement ne correspond à cet identifiant. Vérifiez le lien ou lancez un nouveau vote.',
+    'receipt.loadFailed': 'Impossible de charger ce reçu. Le serveur est peut-être en train de se réveiller ; réessayez dans un instant.',
+    'receipt.pending': 'En attente du paiement',
+    'receipt.pendingHelp': 'Stripe n’a pas encore confirmé ce paiement. Cela peut prendre une minute ; vérifiez ci-dessous.',
+    'receipt.paid': 'Compté',
+    'receipt.paidHelp': 'Vos votes sont dans les résultats.',
+    'receipt.expired': 'Expiré',
+    'receipt.expiredHelp': 'Ce paiement a expiré avant d’être réglé. Aucun vote n’a été compté.',
+    'receipt.refunded': 'Remboursé',
+    'receipt.refundedHelp': 'Ce paiement a été remboursé ; ses votes ne comptent plus.',
+    'receipt.disputed': 'Contesté',
+    'receipt.disputedHelp': 'Ce paiement a été contesté ; ses votes ne comptent plus.',
+    'receipt.question': 'Question',
+    'receipt.candidate': 'Option',
+    'receipt.votes': 'Votes',
+    'receipt.amount': 'Montant',
+    'receipt.saved': '(économie de {amount})',
+    'receipt.started': 'Commencé',
+    'receipt.paidAt': 'Payé',
+    'receipt.shownAs': 'Affiché comme',
+    'receipt.message': 'Message',
+    'receipt.code': 'Code du reçu',
+    'receipt.publicCheck': 'vérification publique',
+    'receipt.onBoard': 'Votre nom figure au classement des soutiens.',
+    'receipt.offBoard': 'Votre nom apparaîtra au classement des soutiens une fois le paiement compté et, si nécessaire, approuvé.',
+    'receipt.recheck': 'Vérifier le paiement',
+    'receipt.checking': 'Vérification…',
+    'receipt.bookmark': 'Ajoutez cette page à vos favoris pour y revenir ; elle reste à jour.',
+    'embed.unavailable': 'Sondage indisponible pour le moment',
+    'embed.live': 'En direct',
+    'embed.final': 'Résultats définitifs',
+    'embed.voteNow': 'Votez maintenant',
+  },
+
+  pt: {
+    'app.title': 'A pergunta de hoje',
+    'app.tagline': 'Pague por voto • Várias moedas • Contagem ao vivo',
+    'app.footer': '© {year} Weekly Vote. Todos os direitos reservados.',
+    'app.language': 'Idioma',
+    'app.loading': 'Carregando…',
+
+    'status.waking': 'Acordando o servidor… (no plano gratuito pode levar ~30–60 s)',
+    'status.wakingAttempt': 'Acordando o servidor… tentativa {attempt} (no plano gratuito pode levar ~30–60 s)',
+    'status.notReady': 'O servidor está ativo, mas o banco de dados não está pronto. Tente novamente em alguns minutos.',
+    'status.unreachable': 'Não foi possível conectar ao servidor. Verifique VITE_BACKEND_URL e o servidor.',
+    'status.verifiedEarlier': 'Este pagamento já tinha sido verificado.',
+    'status.verified': 'Pagamento verificado! Votos contados.',
+    'status.refunded': 'Este pagamento foi reembolsado; os votos dele não contam mais.',
+    'status.disputed': 'Este pagamento foi contestado; os votos dele não contam mais.',
+    'status.expired': 'Este pagamento expirou antes de ser concluído. Nenhum voto foi registrado.',
+    'status.notVerified': 'Pagamento ainda não verificado. Atualize em instantes.',
+    'status.verifyFailed': 'A verificação falhou. Fale com o suporte informando seu recibo.',
+    'status.cancelled': 'Pagamento cancelado. Nenhum voto foi registrado.',
+    'status.votingClosed': 'A votação desta semana foi encerrada.',
+    'status.pickCandidate': 'Escolha uma opção.',
+    'status.unsupportedCurrency': 'Moeda não suportada.',
+    'status.checkoutFailed': 'Não foi possível iniciar o pagamento.',
+    'status.connectFailed': 'Erro ao conectar ao servidor de pagamento.',
+
+    'poll.questionFallback': 'A pergunta desta semana',
+    'poll.closesAt': 'A votação termina em {date}',
+    'poll.open': 'A votação está aberta',
+    'poll.closed': 'A votação foi encerrada — resultado final abaixo',
+    'poll.noCandidates': 'Ainda não há opções.',
+    'poll.candidates': 'Opções',
+    'poll.votes': { one: '{count} voto', other: '{count} votos' },
+
+    'buy.percentOff': '{pct}% de desconto',
+    'buy.votes': 'Votos',
+    'buy.currency': 'Moeda',
+    'buy.displayName': 'Nome público',
+    'buy.message': 'Mensagem',
+    'buy.optional': '(opcional)',
+    'buy.anonymous': 'Anônimo',
+    'buy.messagePlaceholder': 'Deixe um recado para os outros fãs',
+    'buy.pay': 'Pagar e votar',
+    'buy.redirecting': 'Redirecionando…',
+    'buy.votingClosed': 'Votação encerrada',
+    'buy.paymentsUnavailable': 'Pagamentos indisponíveis',
+    'buy.maxVotes': 'No máximo {max} votos por pagamento.',
+    'buy.total': 'Total:',
+    'buy.youSave': '(você economiza {amount})',
+    'buy.perVote': '({amount} por voto)',
+    'buy.minimum': 'A cobrança mínima em {currency} é {amount}.',
+    'buy.paymentsDown': 'Os pagamentos estão indisponíveis no momento. A contagem continua atualizando; volte mais tarde para votar.',
+    'buy.yourReceipt': 'Seu recibo:',
+    'buy.checkReceipt': 'conferir',
+    'buy.keepCode': 'Guarde este código: qualquer pessoa pode usá-lo para confirmar que seu voto foi contado.',
+    'buy.footnote': 'Cada voto é um pequeno pagamento. Seus votos são contados após o pagamento ser aprovado.',
+    'buy.supporterNote': 'Seu nome ou mensagem aparece no ranking de apoiadores quando o pagamento é contado; deixe em branco para votar anonimamente.',
+
+    'tally.title': 'Contagem ao vivo',
+    'tally.ledger': 'Cada voto está em um registro público encadeado por hash.',
+    'tally.download': 'Baixe o arquivo de auditoria',
+    'tally.recompute': 'para recalcular esses totais você mesmo.',
+    'tally.pastWeeks': 'Semanas anteriores',
+    'tally.backers': 'Maiores apoiadores',
+
+    'history.title': 'Seus pagamentos',
+    'history.otherTitle': 'Seus outros pagamentos',
+    'history.deviceOnly': 'Guardados só neste dispositivo.',
+    'history.checkout': 'Pagamento',
+    'history.for': '{votes} para {candidate}',
+    'history.pending': 'pendente — toque para conferir',
+    'history.paid': 'contado',
+    'history.expired': 'expirado',
+    'history.refunded': 'reembolsado',
+    'history.disputed': 'contestado',
+
+    'receipt.back': '← Voltar para a votação',
+    'receipt.title': 'Seu recibo',
+    'receipt.notFound': 'Não há pagamento com este id. Confira o link ou comece um novo voto.',
+    'receipt.loadFailed': 'Não foi possível carregar este recibo. O servidor pode estar acordando; tente novamente em instantes.',
+    'receipt.pending': 'Aguardando pagamento',
+    'receipt.pendingHelp': 'A Stripe ainda não confirmou este pagamento. Pode levar um minuto; confira abaixo.',
+    'receipt.paid': 'Contado',
+    'receipt.paidHelp': 'Seus votos estão na contagem.',
+    'receipt.expired': 'Expirado',
+    'receipt.expiredHelp': 'Este pagamento expirou antes de ser concluído. Nenhum voto foi registrado.',
+    'receipt.refunded': 'Reembolsado',
+    'receipt.refundedHelp': 'Este pagamento foi reembolsado; os votos dele não contam mais.',
+    'receipt.disputed': 'Contestado',
+    'receipt.disputedHelp': 'Este pagamento foi contestado; os votos dele não contam mais.',
+    'receipt.question': 'Pergunta',
+    'receipt.candidate': 'Opção',
+    'receipt.votes': 'Votos',
+    'receipt.amount': 'Valor',
+    'receipt.saved': '(economia de {amount})',
+    'receipt.started': 'Iniciado',
+    'receipt.paidAt': 'Pago',
+    'receipt.shownAs': 'Aparece como',
+    'receipt.message': 'Mensagem',
+    'receipt.code': 'Código do recibo',
+    'receipt.publicCheck': 'verificação pública',
+    'receipt.onBoard': 'Seu nome está no ranking de apoiadores.',
+    'receipt.offBoard': 'Seu nome vai para o ranking de apoiadores quando o pagamento for contado e, se necessário, aprovado.',
+    'receipt.recheck': 'Conferir pagamento',
+    'receipt.checking': 'Conferindo…',
+    'receipt.bookmark': 'Salve esta página nos favoritos para voltar; ela continua atualizada.',
+    'embed.unavailable': 'Enquete indisponível no momento',
+    'embed.live': 'Ao vivo',
+    'embed.final': 'Resultados finais',
+    'embed.voteNow': 'Vote agora',
+  },
+};
+
+/** "pt-BR" → "pt" when we have it; null otherwise */
+function supported(tag) {
+  const base = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES.some(l => l.code === base) ? base : null;
+}
+
+/** The saved choice if there is one, else the first browser language we translate, else English */
+export function pickLocale(languages = globalThis.navigator?.languages || [], stored = null) {
+  return supported(stored) || languages.map(supported).find(Boolean) || DEFAULT_LOCALE;
+}
+
+export function loadLocale(storage = globalThis.localStorage) {
+  try { return storage.getItem(LOCALE_KEY); } catch { return null; }
+}
+export function saveLocale(locale, storage = globalThis.localStorage) {
+  try { storage.setItem(LOCALE_KEY, locale); } catch {/* the choice just won't stick */}
+}
+
+/**
+ * Message `key` in `locale` with {vars} filled in; English, then the key
+ * itself, when missing. Number vars go through `formatNumber`.
+ */
+export function translate(locale, key, vars = {}, formatNumber = String) {
+  let msg = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof msg === 'object') {
+    msg = msg[new Intl.PluralRules(locale).select(Number(vars.count))] ?? msg.other;
+  }
+  return msg.replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in vars)) return m;
+    return typeof vars[name] === 'number' ? formatNumber(vars[name]) : String(vars[name]);
+  });
+}
+
+// Countries that pay in something other than what Intl would guess from the
+// language alone. Anything not here and not in the allowlist falls back to
+// the server's default.
+const REGION_CURRENCY = {
+  US: 'USD', CA: 'CAD', GB: 'GBP', AU: 'AUD', NZ: 'NZD', JP: 'JPY', AE: 'AED', SA: 'SAR', IN: 'INR',
+  NG: 'NGN', ZA: 'ZAR', BR: 'BRL', MX: 'MXN', CH: 'CHF', LI: 'CHF', SE: 'SEK', NO: 'NOK', DK: 'DKK',
+  PL: 'PLN', RO: 'RON', TR: 'TRY', IL: 'ILS', HK: 'HKD', SG: 'SGD', CZ: 'CZK',
+  AT: 'EUR', BE: 'EUR', CY: 'EUR', DE: 'EUR', EE: 'EUR', ES: 'EUR', FI: 'EUR', FR: 'EUR', GR: 'EUR',
+  HR: 'EUR', IE: 'EUR', IT: 'EUR', LT: 'EUR', LU: 'EUR', LV: 'EUR', MT: 'EUR', NL: 'EUR', PT: 'EUR',
+  SI: 'EUR', SK: 'EUR',
+};
+
+/** Region of a language tag; "pt" → "BR", "en" → "US" via Intl's likely subtags */
+function regionOf(tag) {
+  try {
+    const loc = new Intl.Locale(tag);
+    return loc.region || loc.maximize().region || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The currency a visitor most likely pays in, from their browser languages
+ * ("en-NG" → NGN), if it is one of `codes`; else null. Languages that name a
+ * country win over bare ones.
+ */
+export function currencyForLocale(languages = globalThis.navigator?.languages || [], codes = []) {
+  const tags = [...languages.filter(l => /[-_]/.test(l)), ...languages.filter(l => !/[-_]/.test(l))];
+  for (const tag of tags) {
+    const code = REGION_CURRENCY[regionOf(String(tag).replace('_', '-'))];
+    if (code && codes.includes(code)) return code;
+  }
+  return null;
+}
+
+/**
+ * Translator and formatters bound to one locale. `formatTag` is the browser
+ * language when it matches the chosen locale ("pt-BR" for pt), so numbers and
+ * dates follow the visitor's region.
+ */
+export function makeI18n(locale, languages = globalThis.navigator?.languages || []) {
+  const formatTag = languages.find(l => supported(l) === locale) || locale;
+  const number = new Intl.NumberFormat(formatTag);
+  const percent = new Intl.NumberFormat(formatTag, { style: 'percent', maximumFractionDigits: 1 });
+  return {
+    locale,
+    formatTag,
+    t: (key, vars) => translate(locale, key, vars, n => number.format(n)),
+    /** 1234 → "1,234" / "1.234" */
+    number: n => number.format(Number(n) || 0),
+    /** 33.3 (a tallyShares value) → "33.3%" / "33,3 %" */
+    percent: share => percent.format((Number(share) || 0) / 100),
+    /** 150, "BRL", 2 → "R$ 1,50" */
+    money: (amount, currency, decimals) => formatMinor(amount, currency, decimals, formatTag),
+    date: v => formatPollDate(v, formatTag),
+    dateTime: v => formatSqlTime(v, formatTag),
+  };
+}
+
+export const I18nContext = createContext(makeI18n(DEFAULT_LOCALE, []));
+
+/** For components under a page root */
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+/** For page roots: the current i18n and a setter that remembers the choice */
+export function useLocale() {
+  const [locale, setLocaleState] = useState(() => pickLocale(undefined, loadLocale()));
+  const setLocale = useCallback((next) => {
+    saveLocale(next);
+    setLocaleState(next);
+  }, []);
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+  const i18n = useMemo(() => makeI18n(locale), [locale]);
+  return [i18n, setLocale];
+}
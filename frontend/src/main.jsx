@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import Admin from './Admin.jsx'
+import Receipt from './Receipt.jsx'
+import Embed from './Embed.jsx'
+import { receiptSessionId } from './helpers.js'
+
+const path = window.location.pathname.replace(/\/+$/, '')
+const isAdmin = path === '/admin'
+const isEmbed = path === '/embed'
+const receiptId = receiptSessionId(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdmin ? <Admin /> : isEmbed ? <Embed /> : receiptId ? <Receipt sessionId={receiptId} /> : <App />}
   </StrictMode>,
 )